@@ -0,0 +1,268 @@
+// Academias, papéis e convites (Firestore)
+// Cada academia tem os seus dados e os seus membros, todos sob /artifacts/{appId}:
+//   users/{uid}                           -> { academyId } (a academia aberta pelo usuário)
+//   invites/{código}                      -> { academyId, role, studentId, createdBy, createdAt, expiresAt, usedBy }
+//   academies/{academyId}                 -> { name, ownerUid, createdAt }
+//   academies/{academyId}/members/{uid}   -> { role, email, studentId, inviteCode, joinedAt }
+//   academies/{academyId}/{alunos, eventos, aulas, inventario, mensalidades}
+// As permissões abaixo decidem o que a interface mostra; quem as garante é o firestore.rules, que repete as mesmas regras.
+
+import { t, translatedLabels } from './i18n.js';
+
+export const ROLES = translatedLabels('academies.role', ['mestre', 'professor', 'aluno']);
+
+// Papéis que podem fazer cada coisa.
+const PERMISSIONS = {
+    manageStudents: ['mestre', 'professor'],
+    manageClasses: ['mestre', 'professor'],
+    manageFinance: ['mestre'],
+    manageMembers: ['mestre'],
+    invite: ['mestre', 'professor']
+};
+
+// Campos do próprio cadastro que o aluno pode alterar (os mesmos do firestore.rules).
+export const STUDENT_SELF_FIELDS = ['name', 'email', 'phone'];
+
+// Sem letras e números que se confundem (0/O, 1/I/L).
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_DAYS = 7;
+
+/**
+ * Indica se o papel tem a permissão.
+ * @param {string|null} role - Chave de `ROLES` (null para quem não está em nenhuma academia).
+ * @param {string} permission - Chave de `PERMISSIONS` (ex: 'manageFinance').
+ * @returns {boolean}
+ */
+export function can(role, permission) {
+    return Boolean(role) && (PERMISSIONS[permission] ?? []).includes(role);
+}
+
+/**
+ * Papéis que um membro pode convidar: o mestre convida qualquer papel; o professor, só alunos.
+ * @param {string|null} role - O papel de quem convida.
+ * @returns {Array<string>} Chaves de `ROLES`.
+ */
+export function invitableRoles(role) {
+    if (role === 'mestre') return Object.keys(ROLES);
+    if (role === 'professor') return ['aluno'];
+    return [];
+}
+
+/**
+ * Indica se o membro pode revogar o convite: o mestre revoga qualquer um; o professor, só os que criou.
+ * @param {object} member - Quem revoga (`uid` e `role`).
+ * @param {object} invite - O convite (`createdBy`).
+ * @returns {boolean}
+ */
+export function canRevokeInvite(member, invite) {
+    return member.role === 'mestre' || (can(member.role, 'invite') && invite.createdBy === member.uid);
+}
+
+/**
+ * Papéis que um membro pode ter na lista de membros: o atual e os que o mestre pode dar a ele.
+ * Só passa a ser aluno quem está ligado a um cadastro (o aluno só enxerga o próprio cadastro).
+ * @param {object} member - O membro (`role` e `studentId`).
+ * @returns {Array<string>} Chaves de `ROLES`.
+ */
+export function assignableRoles(member) {
+    return Object.keys(ROLES).filter(role => role !== 'aluno' || role === member.role || Boolean(member.studentId));
+}
+
+/**
+ * Gera um código de convite no formato XXXX-XXXX.
+ * @param {function(): number} [random] - Gerador de números entre 0 e 1.
+ * @returns {string}
+ */
+export function generateInviteCode(random = Math.random) {
+    const chars = Array.from({ length: 8 }, () => INVITE_ALPHABET[Math.floor(random() * INVITE_ALPHABET.length)]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+/**
+ * Padroniza o código digitado (maiúsculas, sem espaços, com o hífen no meio).
+ * @param {string} text - O código digitado.
+ * @returns {string} '' se não tiver o formato de um código.
+ */
+export function normalizeInviteCode(text) {
+    const compact = String(text ?? '').toUpperCase().replace(/[\s-]/g, '');
+    if (compact.length !== 8 || [...compact].some(char => !INVITE_ALPHABET.includes(char))) return '';
+    return `${compact.slice(0, 4)}-${compact.slice(4)}`;
+}
+
+/**
+ * Confere se um convite ainda pode ser usado.
+ * @param {object|null} invite - Os dados do convite (null se não existir).
+ * @param {Date} [now] - O momento atual.
+ * @returns {string|null} A mensagem de erro, ou null se o convite for válido.
+ */
+export function checkInvite(invite, now = new Date()) {
+    if (!invite) return t('academies.invite.notFound');
+    if (invite.usedBy) return t('academies.invite.used');
+    const expiresAt = invite.expiresAt?.toDate ? invite.expiresAt.toDate() : new Date(invite.expiresAt);
+    if (expiresAt <= now) return t('academies.invite.expired');
+    return null;
+}
+
+/**
+ * Caminho de uma coleção de dados da academia (ex: 'alunos').
+ * @param {string} appId - O ID do app.
+ * @param {string} academyId - O ID da academia.
+ * @param {string} name - O nome da coleção.
+ * @returns {string}
+ */
+export function academyCollectionPath(appId, academyId, name) {
+    return `/artifacts/${appId}/academies/${academyId}/${name}`;
+}
+
+/**
+ * Acesso às academias no Firestore. `firebase` é o objeto exposto em `window.firebase` pelo index.html.
+ * @param {object} options
+ * @param {object} options.firebase - As funções do SDK do Firebase.
+ * @param {object} options.db - A instância do Firestore.
+ * @param {string} options.appId - O ID do app.
+ */
+export function createAcademyService({ firebase, db, appId }) {
+    const root = `/artifacts/${appId}`;
+    const userRef = uid => firebase.doc(db, `${root}/users/${uid}`);
+    const academyRef = academyId => firebase.doc(db, `${root}/academies/${academyId}`);
+    const memberRef = (academyId, uid) => firebase.doc(db, `${root}/academies/${academyId}/members/${uid}`);
+    const inviteRef = code => firebase.doc(db, `${root}/invites/${code}`);
+
+    return {
+        /**
+         * A academia aberta pelo usuário e o seu papel nela.
+         * @param {string} uid - O ID do usuário.
+         * @returns {Promise<{academyId: string, academy: object, member: object}|null>} null se não estiver em nenhuma.
+         */
+        async loadMembership(uid) {
+            const userSnap = await firebase.getDoc(userRef(uid));
+            const academyId = userSnap.exists() ? userSnap.data().academyId : '';
+            if (!academyId) return null;
+            // Quem foi removido da academia perde o acesso ao documento dela.
+            const memberSnap = await firebase.getDoc(memberRef(academyId, uid));
+            if (!memberSnap.exists()) return null;
+            const academySnap = await firebase.getDoc(academyRef(academyId));
+            return {
+                academyId,
+                academy: { id: academyId, ...academySnap.data() },
+                member: { uid, ...memberSnap.data() }
+            };
+        },
+
+        /**
+         * Cria uma academia com o usuário como mestre.
+         * @param {object} user - O usuário do Firebase Auth.
+         * @param {string} name - O nome da academia.
+         * @returns {Promise<string>} O ID da academia.
+         */
+        async createAcademy(user, name) {
+            const ref = firebase.doc(firebase.collection(db, `${root}/academies`));
+            const now = new Date();
+            const batch = firebase.writeBatch(db);
+            batch.set(ref, { name, ownerUid: user.uid, createdAt: now });
+            batch.set(memberRef(ref.id, user.uid), { role: 'mestre', email: user.email || '', studentId: '', inviteCode: '', joinedAt: now });
+            batch.set(userRef(user.uid), { academyId: ref.id });
+            await batch.commit();
+            return ref.id;
+        },
+
+        /**
+         * Entra em uma academia com um código de convite (o convite fica marcado como usado).
+         * @param {object} user - O usuário do Firebase Auth.
+         * @param {string} code - O código, já padronizado por `normalizeInviteCode`.
+         * @returns {Promise<string>} O ID da academia.
+         */
+        async joinAcademy(user, code) {
+            const inviteSnap = await firebase.getDoc(inviteRef(code));
+            const invite = inviteSnap.exists() ? inviteSnap.data() : null;
+            const error = checkInvite(invite);
+            if (error) throw new Error(error);
+
+            const batch = firebase.writeBatch(db);
+            batch.set(memberRef(invite.academyId, user.uid), {
+                role: invite.role,
+                email: user.email || '',
+                studentId: invite.studentId || '',
+                inviteCode: code,
+                joinedAt: new Date()
+            });
+            batch.update(inviteRef(code), { usedBy: user.uid });
+            batch.set(userRef(user.uid), { academyId: invite.academyId });
+            await batch.commit();
+            return invite.academyId;
+        },
+
+        /**
+         * Cria um convite de uso único, válido por alguns dias.
+         * @param {object} membership - O resultado de `loadMembership` de quem convida.
+         * @param {object} invite
+         * @param {string} invite.role - O papel do convidado (ver `invitableRoles`).
+         * @param {string} [invite.studentId] - Para alunos, o cadastro que o convidado poderá ver e editar.
+         * @returns {Promise<string>} O código do convite.
+         */
+        async createInvite(membership, { role, studentId = '' }) {
+            const code = generateInviteCode();
+            const now = new Date();
+            await firebase.setDoc(inviteRef(code), {
+                academyId: membership.academyId,
+                role,
+                studentId: role === 'aluno' ? studentId : '',
+                createdBy: membership.member.uid,
+                createdAt: now,
+                expiresAt: new Date(now.getTime() + INVITE_DAYS * 24 * 60 * 60 * 1000),
+                usedBy: ''
+            });
+            return code;
+        },
+
+        revokeInvite(code) {
+            return firebase.deleteDoc(inviteRef(code));
+        },
+
+        /**
+         * Acompanha os convites ainda não usados da academia, do mais recente para o mais antigo.
+         * @returns {function(): void} Cancela a inscrição.
+         */
+        subscribeInvites(academyId, onChange, onError) {
+            const invitesQuery = firebase.query(
+                firebase.collection(db, `${root}/invites`),
+                firebase.where('academyId', '==', academyId),
+                firebase.where('usedBy', '==', '')
+            );
+            return firebase.onSnapshot(invitesQuery, (snapshot) => {
+                const invites = snapshot.docs.map(doc => ({ code: doc.id, ...doc.data() }));
+                onChange(invites.sort((a, b) => b.createdAt?.toMillis?.() - a.createdAt?.toMillis?.()));
+            }, onError);
+        },
+
+        /**
+         * Acompanha os membros da academia, por papel e e-mail.
+         * @returns {function(): void} Cancela a inscrição.
+         */
+        subscribeMembers(academyId, onChange, onError) {
+            const order = Object.keys(ROLES);
+            return firebase.onSnapshot(firebase.collection(db, `${root}/academies/${academyId}/members`), (snapshot) => {
+                const members = snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() }));
+                onChange(members.sort((a, b) => order.indexOf(a.role) - order.indexOf(b.role) || (a.email || '').localeCompare(b.email || '')));
+            }, onError);
+        },
+
+        /**
+         * Acompanha o próprio cadastro de membro, para aplicar na hora as mudanças de papel feitas pelo mestre.
+         * @returns {function(): void} Cancela a inscrição. `onChange` recebe null quando o membro é removido.
+         */
+        subscribeMember(academyId, uid, onChange, onError) {
+            return firebase.onSnapshot(memberRef(academyId, uid), (snapshot) => {
+                onChange(snapshot.exists() ? { uid, ...snapshot.data() } : null);
+            }, onError);
+        },
+
+        updateMemberRole(academyId, uid, role) {
+            return firebase.updateDoc(memberRef(academyId, uid), { role });
+        },
+
+        removeMember(academyId, uid) {
+            return firebase.deleteDoc(memberRef(academyId, uid));
+        }
+    };
+}
@@ -0,0 +1,281 @@
+// Camada de provedores de IA
+// Cada provedor expõe `generate(payload, options)`, que devolve o texto gerado (ou null), e
+// `stream(payload, options)`, que chama `options.onChunk` a cada trecho e devolve o texto completo.
+// Ambos aceitam `options.signal` (AbortSignal) para cancelamento.
+// Erros HTTP são lançados com a propriedade `status` para que o chamador decida sobre retry.
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash-preview-05-20';
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * Cria um erro de API com o status HTTP anexado.
+ * @param {number} status - O status HTTP recebido.
+ * @returns {Error}
+ */
+function apiError(status) {
+    const error = new Error(`Erro de resposta da API: ${status}`);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Extrai o texto da primeira candidata de uma resposta no formato generateContent.
+ * @param {object} result - O JSON devolvido pela API.
+ * @returns {string|null}
+ */
+export function extractCandidateText(result) {
+    return result?.candidates?.[0]?.content?.parts?.[0]?.text ?? null;
+}
+
+/**
+ * Cria o erro lançado quando uma requisição é cancelada (mesmo nome usado pelo fetch).
+ * @returns {DOMException}
+ */
+function abortError() {
+    return new DOMException('A geração foi interrompida.', 'AbortError');
+}
+
+/**
+ * Espera `ms` milissegundos, interrompendo a espera se o sinal for abortado.
+ * @param {number} ms - Tempo de espera.
+ * @param {AbortSignal} [signal] - Sinal de cancelamento.
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortError());
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(abortError());
+        }, { once: true });
+    });
+}
+
+/**
+ * Faz o POST de um JSON e devolve a resposta, lançando erro com status se ela falhar.
+ * @param {string} url - O endpoint completo.
+ * @param {object} body - O corpo da requisição.
+ * @param {AbortSignal} [signal] - Sinal de cancelamento.
+ * @returns {Promise<Response>}
+ */
+async function postJson(url, body, signal) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!response.ok) {
+        throw apiError(response.status);
+    }
+    return response;
+}
+
+/**
+ * Lê uma resposta em Server-Sent Events cujo `data:` é um JSON no formato generateContent.
+ * @param {Response} response - A resposta do fetch.
+ * @param {function(string): void} [onChunk] - Recebe cada novo trecho de texto.
+ * @returns {Promise<string>} O texto completo.
+ */
+async function readGenerateContentStream(response, onChunk) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+
+    const handleEvent = (event) => {
+        const data = event.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('');
+        if (!data) return;
+        const chunk = extractCandidateText(JSON.parse(data));
+        if (chunk) {
+            fullText += chunk;
+            onChunk?.(chunk);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+            handleEvent(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+    handleEvent(buffer);
+    return fullText;
+}
+
+/**
+ * Adaptador direto para a API Gemini. Use apenas em desenvolvimento: a chave fica exposta no cliente.
+ * @param {object} options
+ * @param {string} options.apiKey - A chave da API Gemini.
+ * @param {string} [options.model] - O modelo a ser usado.
+ */
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL }) {
+    const key = encodeURIComponent(apiKey);
+    return {
+        name: 'gemini',
+        model,
+        async generate(payload, { signal } = {}) {
+            const response = await postJson(`${GEMINI_API_BASE}/${model}:generateContent?key=${key}`, payload, signal);
+            return extractCandidateText(await response.json());
+        },
+        async stream(payload, { signal, onChunk } = {}) {
+            const response = await postJson(`${GEMINI_API_BASE}/${model}:streamGenerateContent?alt=sse&key=${key}`, payload, signal);
+            return readGenerateContentStream(response, onChunk);
+        }
+    };
+}
+
+/**
+ * Adaptador para um proxy no servidor que guarda a chave e repassa o payload para a Gemini.
+ * O proxy recebe `{ model, ...payload }` e deve responder no formato generateContent; com
+ * `stream: true` no corpo, deve responder em Server-Sent Events, como `streamGenerateContent?alt=sse`.
+ * @param {object} options
+ * @param {string} options.endpoint - URL do proxy (ex: '/api/gemini').
+ * @param {string} [options.model] - O modelo a ser usado.
+ */
+export function createProxyProvider({ endpoint, model = DEFAULT_GEMINI_MODEL }) {
+    return {
+        name: 'proxy',
+        model,
+        async generate(payload, { signal } = {}) {
+            const response = await postJson(endpoint, { model, ...payload }, signal);
+            return extractCandidateText(await response.json());
+        },
+        async stream(payload, { signal, onChunk } = {}) {
+            const response = await postJson(endpoint, { model, stream: true, ...payload }, signal);
+            return readGenerateContentStream(response, onChunk);
+        }
+    };
+}
+
+// Respostas fixas do provedor local, uma por ferramenta ✨ (5.1 a 5.8).
+// A ferramenta é reconhecida pelo texto do prompt, então os handlers não precisam mudar.
+export const MOCK_RESPONSES = [
+    {
+        // Pedido fora do tema que passa pela recusa local: exercita a checagem das respostas (js/prompt-guard.js).
+        tool: 'recusa',
+        match: /<<<TEXTO_DO_USUARIO[^]*\b(futebol|novela)\b[^]*TEXTO_DO_USUARIO>>>/,
+        text: 'FORA_DO_TEMA'
+    },
+    {
+        tool: 'summary',
+        match: /Resuma a conversa/,
+        text: 'O aluno conversou com o mestre sobre os fundamentos da capoeira.'
+    },
+    {
+        tool: 'style',
+        match: /Angola, Regional ou Contemporânea/,
+        text: '**Capoeira Angola**\n\nA descrição valoriza o jogo baixo, lento e estratégico, com malícia e diálogo corporal — características marcantes da Angola.'
+    },
+    {
+        tool: 'cantiga',
+        match: /Componha uma cantiga/,
+        text: 'Título: A volta que o mundo dá\nSolo: Eu vim de longe pra jogar\nCoro: Camará, olha a volta que o mundo dá\nSolo: O berimbau mandou chamar\nCoro: Camará, olha a volta que o mundo dá'
+    },
+    {
+        tool: 'guide',
+        match: /guia passo a passo/,
+        text: '• Comece na ginga, com a base firme.\n• Gire o tronco e leve o olhar ao camará.\n• Execute o movimento mantendo a guarda alta.\n• Volte para a ginga sem perder o ritmo.'
+    },
+    {
+        tool: 'training',
+        match: /plano de treino/,
+        text: '{"title": "Base e ginga em 30 minutos", "blocks": {"aquecimento": [{"name": "Ginga leve", "sets": 1, "reps": 0, "duration": 300, "rest": 0, "notes": "Solte os ombros e mantenha a base baixa."}, {"name": "Polichinelos", "sets": 3, "reps": 20, "duration": 0, "rest": 30, "notes": ""}], "sequencia": [{"name": "Ginga, meia-lua de frente e esquiva lateral", "movement": "Meia-lua de frente", "sets": 4, "reps": 10, "duration": 0, "rest": 45, "notes": "Alterne os lados."}], "aprimoramento": [{"name": "Cocorinha", "sets": 3, "reps": 0, "duration": 40, "rest": 20, "notes": ""}, {"name": "Rolê", "sets": 3, "reps": 12, "duration": 0, "rest": 30, "notes": ""}], "alongamento": [{"name": "Ponte assistida", "sets": 1, "reps": 0, "duration": 60, "rest": 0, "notes": ""}, {"name": "Alongamento de posteriores", "sets": 1, "reps": 0, "duration": 120, "rest": 0, "notes": ""}]}}'
+    },
+    {
+        tool: 'abada',
+        match: /logomarca e o uniforme/,
+        text: '1. **Berimbau em movimento** — traço único formando um berimbau. Cores: verde e amarelo. Simbologia: a música que conduz o jogo.\n2. **Roda solar** — círculo com raios em forma de pernas em aú. Cores: laranja e branco. Simbologia: energia e união.\n3. **Raiz e asa** — árvore cujas raízes viram asas. Cores: marrom e azul. Simbologia: tradição e liberdade.'
+    },
+    {
+        tool: 'chat',
+        match: /Mestre de Capoeira/,
+        text: 'Camará, a capoeira não se aprende só com o corpo. Escute o berimbau, respeite a roda e tenha paciência: cada jogo é uma lição.'
+    },
+    {
+        tool: 'contact',
+        match: /rascunho de e-mail/,
+        text: 'Prezado Mestre,\n\nEspero que esteja bem. Gostaria de obter mais informações sobre as aulas oferecidas pela sua academia.\n\nAgradeço desde já a atenção.\n\nAtenciosamente,\n[Seu nome]'
+    },
+    {
+        tool: 'toque',
+        match: /toque de berimbau/,
+        text: '**Angola**\n\nToque lento e cadenciado, ideal para um jogo baixo, estratégico e cheio de malícia, próximo ao chão.'
+    }
+];
+
+const MOCK_FALLBACK = 'Resposta de demonstração do provedor local.';
+
+/**
+ * Provedor local e determinístico, para demonstrações e testes sem rede.
+ * @param {object} [options]
+ * @param {number} [options.delay] - Atraso simulado em milissegundos.
+ * @param {Array} [options.responses] - Tabela de respostas fixas.
+ */
+export function createMockProvider({ delay = 300, responses = MOCK_RESPONSES } = {}) {
+    const pickResponse = (payload) => {
+        const contents = [payload.systemInstruction, ...(payload.contents || [])].filter(Boolean);
+        const prompt = contents.map(content => content.parts.map(part => part.text).join('')).join('\n');
+        const entry = responses.find(response => response.match.test(prompt));
+        return entry ? entry.text : MOCK_FALLBACK;
+    };
+
+    return {
+        name: 'mock',
+        model: 'mock',
+        async generate(payload, { signal } = {}) {
+            await wait(delay, signal);
+            return pickResponse(payload);
+        },
+        async stream(payload, { signal, onChunk } = {}) {
+            await wait(delay, signal);
+            // Emite palavra por palavra para simular o streaming real.
+            const chunks = pickResponse(payload).match(/\S+\s*|\s+/g) || [];
+            for (const chunk of chunks) {
+                await wait(Math.round(delay / 10), signal);
+                onChunk?.(chunk);
+            }
+            return chunks.join('');
+        }
+    };
+}
+
+/**
+ * Lê a configuração de IA. Ordem de prioridade: `?ai=` na URL, localStorage ('aiProvider')
+ * e a variável global `__ai_config` (JSON, no mesmo formato de `__firebase_config`).
+ * @returns {{provider?: string, endpoint?: string, apiKey?: string, model?: string}}
+ */
+export function resolveAiConfig() {
+    const config = typeof __ai_config !== 'undefined' ? JSON.parse(__ai_config) : {};
+    const override = new URLSearchParams(window.location.search).get('ai') || localStorage.getItem('aiProvider');
+    if (override) {
+        config.provider = override;
+    }
+    return config;
+}
+
+/**
+ * Cria o provedor a partir da configuração. Sem proxy nem chave, usa o provedor local.
+ * @param {object} config - Resultado de `resolveAiConfig()`.
+ */
+export function createAiProvider(config) {
+    const provider = config.provider || (config.endpoint ? 'proxy' : config.apiKey ? 'gemini' : 'mock');
+    switch (provider) {
+        case 'proxy':
+            return createProxyProvider({ endpoint: config.endpoint || '/api/gemini', model: config.model });
+        case 'gemini':
+            return createGeminiProvider({ apiKey: config.apiKey || '', model: config.model });
+        default:
+            return createMockProvider(config);
+    }
+}
@@ -0,0 +1,74 @@
+// Pedido de uma resposta à IA em streaming: retry com backoff, cancelamento e a conferência de js/prompt-guard.js
+// A parte visual (spinner e área de saída) fica em `callGeminiApi`, no script.js; aqui só o texto.
+
+import { REFUSAL_MARKER, checkAiAnswer } from './prompt-guard.js';
+import { t } from './i18n.js';
+
+/**
+ * Pede a resposta ao provedor e devolve o texto final (ou a mensagem que o substitui).
+ * Com `tool`, os trechos só são repassados a `onChunk` depois que o texto acumulado passa em `checkAiAnswer`:
+ * uma resposta recusada ou fora da capoeira nunca aparece, nem enquanto chega nem quando o usuário interrompe.
+ * @param {object} provider - Um provedor de js/ai-providers.js.
+ * @param {object} payload - O corpo do pedido (`contents` e, opcionalmente, `systemInstruction`).
+ * @param {object} [options]
+ * @param {string} [options.tool] - Chave de `AI_TOOLS` da ferramenta que faz o pedido.
+ * @param {Array<string>} [options.topicTerms] - Outros termos que contam como capoeira na resposta.
+ * @param {function(string): void} [options.onChunk] - Recebe o texto acumulado a cada novo trecho liberado.
+ * @param {AbortSignal} [options.signal] - Sinal de cancelamento.
+ * @param {number} [options.maxRetries] - Número máximo de tentativas.
+ * @param {function(): boolean} [options.isOffline] - Indica se a IA está inacessível por falta de conexão.
+ * @param {function(number): number} [options.retryDelay] - Espera (ms) antes da nova tentativa, pelo número da tentativa.
+ * @returns {Promise<string>}
+ */
+export async function requestAiAnswer(provider, payload, {
+    tool,
+    topicTerms,
+    onChunk,
+    signal,
+    maxRetries = 3,
+    isOffline = () => false,
+    retryDelay = attempt => Math.pow(2, attempt) * 1000
+} = {}) {
+    let text = '';
+    // Enquanto o texto pode ainda ser o começo da recusa (ou não falou de capoeira), ele fica guardado.
+    const passes = () => !tool || (
+        checkAiAnswer(tool, text, { terms: topicTerms }).ok && !REFUSAL_MARKER.startsWith(text.trim())
+    );
+    let released = !tool;
+    const handleChunk = (chunk) => {
+        text += chunk;
+        released = released || passes();
+        if (released) {
+            onChunk?.(text);
+        }
+    };
+
+    if (isOffline()) {
+        return t('ai.offline');
+    }
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            await provider.stream(payload, { signal, onChunk: handleChunk });
+            if (!text) return t('ai.empty');
+            if (tool && !checkAiAnswer(tool, text, { terms: topicTerms }).ok) return t('aiGuard.answer');
+            return text;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (!text) return t('ai.stopped');
+                // O trecho recebido até aqui também passa pela conferência.
+                return passes() ? `${text}\n\n${t('ai.interrupted')}` : t('aiGuard.answer');
+            }
+            // Só repete se nada foi exibido ainda, para não duplicar o texto parcial.
+            if (error.status === 429 && text === '' && i < maxRetries - 1) {
+                await new Promise(resolve => setTimeout(resolve, retryDelay(i)));
+                continue;
+            }
+            console.error(`Erro na chamada da IA (${provider.name}):`, error);
+            if (isOffline()) {
+                return text && passes() ? `${text}\n\n(${t('ai.offline')})` : t('ai.offline');
+            }
+            return t('ai.error', { message: error.message });
+        }
+    }
+    return t('ai.timeout');
+}
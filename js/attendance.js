@@ -0,0 +1,210 @@
+// Frequência: aulas (sessões de treino) e presença dos alunos
+// Uma aula tem: date (AAAA-MM-DD), turma, instructor e present (ids dos alunos presentes).
+// A frequência de um aluno considera as aulas das turmas em que ele já teve presença, a partir da primeira presença.
+
+import { formatDate, t } from './i18n.js';
+
+// Frequência mínima (em %) e período avaliado (em meses) antes de um batizado.
+export const DEFAULT_ATTENDANCE_RULE = { threshold: 75, months: 3 };
+
+const RULE_STORAGE_KEY = 'attendanceRule';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converte uma Date para AAAA-MM-DD (data local).
+ * @param {Date} date - A data.
+ * @returns {string}
+ */
+export function toIsoDate(date) {
+    return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+}
+
+/**
+ * Lê a regra de frequência salva no navegador, completando o que faltar com `DEFAULT_ATTENDANCE_RULE`.
+ * @returns {{threshold: number, months: number}}
+ */
+export function loadAttendanceRule() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(RULE_STORAGE_KEY)) || {};
+        const rule = { ...DEFAULT_ATTENDANCE_RULE };
+        ['threshold', 'months'].forEach(key => {
+            if (Number.isFinite(saved[key])) rule[key] = saved[key];
+        });
+        return rule;
+    } catch (error) {
+        console.error('Erro ao ler a regra de frequência:', error);
+        return { ...DEFAULT_ATTENDANCE_RULE };
+    }
+}
+
+/**
+ * Salva a regra de frequência no navegador.
+ * @param {{threshold: number, months: number}} rule - A regra.
+ */
+export function saveAttendanceRule(rule) {
+    localStorage.setItem(RULE_STORAGE_KEY, JSON.stringify(rule));
+}
+
+/**
+ * Valida e normaliza uma aula.
+ * @param {object} input - Os valores brutos (date, turma, instructor, present).
+ * @param {object} [options]
+ * @param {Date} [options.today] - Data de referência (aulas futuras não são aceitas).
+ * @returns {{values: object, errors: object}} Valores normalizados e mensagens de erro por campo.
+ */
+export function validateSession(input, { today = new Date() } = {}) {
+    const errors = {};
+    const values = {
+        date: String(input.date ?? '').trim(),
+        turma: String(input.turma ?? '').trim().replace(/\s+/g, ' '),
+        instructor: String(input.instructor ?? '').trim().replace(/\s+/g, ' '),
+        present: [...new Set((input.present ?? []).map(String))]
+    };
+
+    if (!DATE_PATTERN.test(values.date) || Number.isNaN(new Date(`${values.date}T00:00:00`).getTime())) {
+        errors.date = t('attendance.error.date');
+    } else if (values.date > toIsoDate(today)) {
+        errors.date = t('attendance.error.future');
+    }
+
+    if (values.turma.length < 2) {
+        errors.turma = t('attendance.error.turma');
+    }
+
+    if (values.instructor.length < 3) {
+        errors.instructor = t('attendance.error.instructor');
+    }
+
+    if (values.present.length === 0) {
+        errors.present = t('attendance.error.present');
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Início do período avaliado: `months` meses antes de `today`.
+ * @param {Date} today - Data de referência.
+ * @param {number} months - Tamanho do período.
+ * @returns {string} AAAA-MM-DD
+ */
+export function periodStart(today, months) {
+    return toIsoDate(new Date(today.getFullYear(), today.getMonth() - months, today.getDate()));
+}
+
+/**
+ * Histórico de um aluno: as aulas das turmas dele desde a primeira presença, da mais recente para a mais antiga.
+ * @param {Array<object>} sessions - Todas as aulas.
+ * @param {string} studentId - O aluno.
+ * @returns {Array<{session: object, present: boolean}>}
+ */
+export function studentHistory(sessions, studentId) {
+    const attended = sessions.filter(session => session.present.includes(studentId));
+    if (attended.length === 0) return [];
+    const turmas = new Set(attended.map(session => session.turma));
+    const first = attended.reduce((min, session) => session.date < min ? session.date : min, attended[0].date);
+    return sessions
+        .filter(session => turmas.has(session.turma) && session.date >= first)
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .map(session => ({ session, present: session.present.includes(studentId) }));
+}
+
+/**
+ * Frequência de um aluno em um período.
+ * @param {Array<object>} sessions - Todas as aulas.
+ * @param {string} studentId - O aluno.
+ * @param {object} [period]
+ * @param {string} [period.from] - Primeiro dia (AAAA-MM-DD), inclusive.
+ * @param {string} [period.to] - Último dia (AAAA-MM-DD), inclusive.
+ * @returns {{attended: number, total: number, rate: number|null}} `rate` de 0 a 100, ou null sem aulas no período.
+ */
+export function studentAttendance(sessions, studentId, { from = '', to = '9999-12-31' } = {}) {
+    const history = studentHistory(sessions, studentId).filter(({ session }) => session.date >= from && session.date <= to);
+    const attended = history.filter(entry => entry.present).length;
+    return {
+        attended,
+        total: history.length,
+        rate: history.length ? Math.round((attended / history.length) * 100) : null
+    };
+}
+
+/**
+ * Alunos abaixo da frequência mínima no período da regra. Alunos sem nenhuma presença no período
+ * (quando houve aulas) também aparecem, com frequência 0.
+ * @param {Array<object>} sessions - Todas as aulas.
+ * @param {Array<object>} students - Os alunos (com id).
+ * @param {object} [rule] - {threshold, months}.
+ * @param {Date} [today] - Data de referência.
+ * @returns {Map<string, {attended: number, total: number, rate: number}>} Aluno → frequência.
+ */
+export function lowAttendance(sessions, students, rule = DEFAULT_ATTENDANCE_RULE, today = new Date()) {
+    const from = periodStart(today, rule.months);
+    const to = toIsoDate(today);
+    const hadSessions = sessions.some(session => session.date >= from && session.date <= to);
+    const flagged = new Map();
+    students.forEach(student => {
+        const stats = studentAttendance(sessions, student.id, { from, to });
+        if (stats.rate === null) {
+            if (hadSessions && rule.threshold > 0) flagged.set(student.id, { ...stats, rate: 0 });
+        } else if (stats.rate < rule.threshold) {
+            flagged.set(student.id, stats);
+        }
+    });
+    return flagged;
+}
+
+/**
+ * Presenças por mês (para o gráfico de tendência).
+ * @param {Array<object>} sessions - As aulas.
+ * @param {object} [filters]
+ * @param {string} [filters.turma] - Turma ('' para todas).
+ * @returns {Array<{month: string, sessions: number, checkins: number, average: number}>} Meses (AAAA-MM) em ordem.
+ */
+export function monthlyAttendance(sessions, { turma = '' } = {}) {
+    const months = new Map();
+    sessions.filter(session => !turma || session.turma === turma).forEach(session => {
+        const month = session.date.slice(0, 7);
+        const stats = months.get(month) || { month, sessions: 0, checkins: 0 };
+        stats.sessions += 1;
+        stats.checkins += session.present.length;
+        months.set(month, stats);
+    });
+    return [...months.values()]
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(stats => ({ ...stats, average: Math.round((stats.checkins / stats.sessions) * 10) / 10 }));
+}
+
+/**
+ * Presenças por turma.
+ * @param {Array<object>} sessions - As aulas.
+ * @param {object} [filters]
+ * @param {string} [filters.month] - Mês (AAAA-MM, '' para todo o período).
+ * @returns {Array<{turma: string, sessions: number, checkins: number, average: number, instructors: Array<string>}>}
+ */
+export function turmaAttendance(sessions, { month = '' } = {}) {
+    const turmas = new Map();
+    sessions.filter(session => !month || session.date.startsWith(month)).forEach(session => {
+        const stats = turmas.get(session.turma) || { turma: session.turma, sessions: 0, checkins: 0, instructors: new Set() };
+        stats.sessions += 1;
+        stats.checkins += session.present.length;
+        stats.instructors.add(session.instructor);
+        turmas.set(session.turma, stats);
+    });
+    return [...turmas.values()]
+        .sort((a, b) => a.turma.localeCompare(b.turma, 'pt-BR'))
+        .map(stats => ({
+            ...stats,
+            average: Math.round((stats.checkins / stats.sessions) * 10) / 10,
+            instructors: [...stats.instructors]
+        }));
+}
+
+/**
+ * Nome do mês para exibição, no idioma atual (ex: "out. de 2026").
+ * @param {string} month - AAAA-MM.
+ * @returns {string}
+ */
+export function formatMonth(month) {
+    return formatDate(`${month}-01`, { month: 'short', year: 'numeric' });
+}
@@ -0,0 +1,267 @@
+// Biblioteca e sintetizador de toques do berimbau (Web Audio)
+// Os toques ficam em data/toques.json, escritos em uma notação simples separada por espaços:
+//   dom - corda solta (som grave)        dim - pedra encostada na corda (som agudo)
+//   chi - pedra de leve na corda (chiado) tch - só o caxixi
+//   -   - pausa
+// Cada símbolo dura uma colcheia; `:n` muda a duração para n colcheias (ex: "dom:2"). O andamento (bpm) é em semínimas.
+
+const BERIMBAU_SOUNDS = ['dom', 'dim', 'chi', 'tch'];
+const LOOKAHEAD_SECONDS = 0.12;
+const SCHEDULER_INTERVAL_MS = 25;
+
+/**
+ * Remove acentos e padroniza para busca.
+ * @param {string} text - O texto original.
+ * @returns {string}
+ */
+function fold(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Converte a notação de um toque em uma sequência de colcheias.
+ * @param {string} notation - A notação (ex: "tch tch dom:2 dim:4").
+ * @returns {Array<string|null>} O som que começa em cada colcheia (null quando nada é tocado).
+ */
+export function parseToque(notation) {
+    const steps = [];
+    String(notation).trim().split(/\s+/).filter(Boolean).forEach(token => {
+        const match = token.match(/^([a-z]+|-)(?::(\d+))?$/);
+        if (!match || (match[1] !== '-' && !BERIMBAU_SOUNDS.includes(match[1]))) {
+            throw new Error(`Símbolo inválido na notação do toque: "${token}"`);
+        }
+        const duration = match[2] ? Number(match[2]) : 1;
+        if (duration < 1) {
+            throw new Error(`Duração inválida na notação do toque: "${token}"`);
+        }
+        steps.push(match[1] === '-' ? null : match[1], ...Array(duration - 1).fill(null));
+    });
+    if (steps.length === 0) {
+        throw new Error('A notação do toque está vazia.');
+    }
+    return steps;
+}
+
+/**
+ * Carrega a biblioteca de toques, já com a notação convertida em `steps`.
+ * @param {string} [url] - Caminho do arquivo de dados.
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadToques(url = 'data/toques.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Erro ao carregar toques: ${response.status}`);
+    }
+    const toques = await response.json();
+    return toques.map(toque => ({ ...toque, steps: parseToque(toque.notation) }));
+}
+
+/**
+ * Encontra o primeiro toque da biblioteca citado em um texto (ex: a sugestão da IA).
+ * Quando dois nomes começam na mesma posição, vale o mais longo ("São Bento Grande de Angola" antes de "Angola").
+ * @param {Array<object>} toques - A biblioteca.
+ * @param {string} text - O texto.
+ * @returns {object|null}
+ */
+export function findToqueInText(toques, text) {
+    const folded = fold(text);
+    let best = null;
+    toques.forEach(toque => {
+        [toque.name, ...toque.aliases].forEach(name => {
+            const escaped = fold(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`).exec(folded);
+            if (!match) return;
+            const index = match.index + match[1].length;
+            if (!best || index < best.index || (index === best.index && name.length > best.length)) {
+                best = { toque, index, length: name.length };
+            }
+        });
+    });
+    return best ? best.toque : null;
+}
+
+/**
+ * Buffer de ruído branco, reaproveitado pelos sons de caxixi, chiado e platinelas.
+ * @param {AudioContext} context - O contexto de áudio.
+ * @returns {AudioBuffer}
+ */
+function noiseBuffer(context) {
+    if (!context.noiseBuffer) {
+        const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        context.noiseBuffer = buffer;
+    }
+    return context.noiseBuffer;
+}
+
+function tone(context, output, time, { frequency, endFrequency, duration, gain, type = 'sine', cutoff }) {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, time);
+    if (endFrequency) {
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, time + duration);
+    }
+    envelope.gain.setValueAtTime(gain, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    let node = oscillator;
+    if (cutoff) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(cutoff, time);
+        oscillator.connect(filter);
+        node = filter;
+    }
+    node.connect(envelope);
+    envelope.connect(output);
+    oscillator.start(time);
+    oscillator.stop(time + duration);
+}
+
+function noise(context, output, time, { duration, gain, type, frequency }) {
+    const source = context.createBufferSource();
+    const filter = context.createBiquadFilter();
+    const envelope = context.createGain();
+    source.buffer = noiseBuffer(context);
+    filter.type = type;
+    filter.frequency.setValueAtTime(frequency, time);
+    envelope.gain.setValueAtTime(gain, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+    source.connect(filter);
+    filter.connect(envelope);
+    envelope.connect(output);
+    source.start(time);
+    source.stop(time + duration);
+}
+
+function playBerimbau(context, output, sound, time) {
+    // O caxixi acompanha todas as batidas da vareta.
+    noise(context, output, time, { duration: 0.07, gain: sound === 'tch' ? 0.35 : 0.15, type: 'highpass', frequency: 6000 });
+    if (sound === 'tch') return;
+    if (sound === 'chi') {
+        noise(context, output, time, { duration: 0.05, gain: 0.3, type: 'bandpass', frequency: 2500 });
+        return;
+    }
+    // A cabaça dá o "uóin" característico: o som começa brilhante e escurece.
+    const frequency = sound === 'dom' ? 110 : 123.5;
+    tone(context, output, time, { frequency, endFrequency: frequency * 0.98, duration: 0.9, gain: 0.3, type: 'sawtooth', cutoff: 1200 });
+    tone(context, output, time, { frequency: frequency * 2, duration: 0.4, gain: 0.08, type: 'triangle' });
+}
+
+function playPandeiro(context, output, step, time) {
+    if (step % 2 === 0) {
+        tone(context, output, time, { frequency: 100, endFrequency: 70, duration: 0.2, gain: 0.25 });
+    }
+    noise(context, output, time, { duration: 0.09, gain: step % 2 === 0 ? 0.08 : 0.15, type: 'highpass', frequency: 7000 });
+}
+
+function playAtabaque(context, output, step, time) {
+    if (step % 4 === 0) {
+        tone(context, output, time, { frequency: 80, endFrequency: 55, duration: 0.45, gain: 0.5 });
+    } else if (step % 4 === 2) {
+        tone(context, output, time, { frequency: 180, endFrequency: 140, duration: 0.12, gain: 0.25 });
+    }
+}
+
+/**
+ * Cria o tocador de toques. O contexto de áudio só é criado no primeiro `play`, que deve partir de um clique
+ * (exigência dos navegadores para tocar som).
+ * @param {object} [options]
+ * @param {function(): AudioContext} [options.createContext] - Fábrica do contexto de áudio.
+ * @param {function(number): void} [options.onStep] - Chamado a cada colcheia tocada, com o índice no ciclo.
+ * @param {function(): void} [options.onEnd] - Chamado quando a reprodução termina ou é parada.
+ */
+export function createToquePlayer({ createContext = () => new (window.AudioContext || window.webkitAudioContext)(), onStep = () => {}, onEnd = () => {} } = {}) {
+    const settings = { bpm: 80, loop: true, layers: { pandeiro: false, atabaque: false } };
+    let context = null;
+    let output = null;
+    let timer = null;
+    let endTimer = null;
+    let current = null;
+
+    function scheduleStep(step, time) {
+        const sound = current.steps[step];
+        if (sound) {
+            playBerimbau(context, output, sound, time);
+        }
+        if (settings.layers.pandeiro) {
+            playPandeiro(context, output, step, time);
+        }
+        if (settings.layers.atabaque) {
+            playAtabaque(context, output, step, time);
+        }
+        setTimeout(() => onStep(step), Math.max(0, (time - context.currentTime) * 1000));
+    }
+
+    function tick() {
+        while (current && current.nextTime < context.currentTime + LOOKAHEAD_SECONDS) {
+            scheduleStep(current.step, current.nextTime);
+            current.nextTime += 60 / settings.bpm / 2;
+            current.step++;
+            if (current.step === current.steps.length) {
+                if (!settings.loop) {
+                    const remaining = (current.nextTime - context.currentTime) * 1000;
+                    clearInterval(timer);
+                    timer = null;
+                    endTimer = setTimeout(stop, remaining + 900);
+                    return;
+                }
+                current.step = 0;
+            }
+        }
+    }
+
+    /**
+     * Toca um toque do começo.
+     * @param {object} toque - O toque (com `steps`).
+     */
+    function play(toque) {
+        stop();
+        if (!context) {
+            context = createContext();
+            output = context.createGain();
+            output.gain.value = 0.8;
+            output.connect(context.destination);
+        }
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        current = { steps: toque.steps, step: 0, nextTime: context.currentTime + 0.05 };
+        timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+        tick();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        clearTimeout(endTimer);
+        timer = null;
+        endTimer = null;
+        if (current) {
+            current = null;
+            onEnd();
+        }
+    }
+
+    return {
+        play,
+        stop,
+        get playing() {
+            return current !== null;
+        },
+        /** Muda o andamento; vale a partir da próxima colcheia. */
+        setTempo(bpm) {
+            settings.bpm = Math.min(200, Math.max(30, Number(bpm) || settings.bpm));
+        },
+        setLoop(loop) {
+            settings.loop = Boolean(loop);
+        },
+        /** Liga ou desliga as camadas de acompanhamento (pandeiro, atabaque). */
+        setLayer(layer, enabled) {
+            settings.layers[layer] = Boolean(enabled);
+        }
+    };
+}
@@ -0,0 +1,286 @@
+// Cancioneiro: cantigas com os versos do solista e as respostas do coro
+// As cantigas tradicionais ficam em data/cantigas.json; as salvas pelo usuário (ex: compostas com a IA) e as
+// favoritas ficam no localStorage. Cada cantiga tem: id, title, type (ver CANTIGA_TYPES), toque (id em
+// data/toques.json, opcional), author e lines ({part: 'solo' | 'coro', text}).
+
+import { t } from './i18n.js';
+import { delimitUserInput } from './prompt-guard.js';
+
+const SAVED_STORAGE_KEY = 'cancioneiroCantigas';
+const FAVORITES_STORAGE_KEY = 'cancioneiroFavoritas';
+
+export const CANTIGA_TYPES = {
+    ladainha: 'Ladainha',
+    louvacao: 'Louvação',
+    corrido: 'Corrido',
+    quadra: 'Quadra'
+};
+
+// Formas de organizar solo e coro ao compor com a IA (o nome exibido é `cantigas.structure.<chave>`).
+export const CANTIGA_STRUCTURES = {
+    resposta: {
+        instruction: 'o solista canta um verso e o coro responde logo em seguida, sempre com o mesmo refrão curto'
+    },
+    refrao: {
+        instruction: 'estrofes de quatro versos do solista, cada uma seguida pelo refrão do coro (dois versos)'
+    },
+    solo: {
+        instruction: 'somente versos do solista, sem respostas do coro'
+    }
+};
+
+// Estruturas possíveis em cada tipo (a primeira é a sugerida) e características passadas à IA.
+const TYPE_RULES = {
+    ladainha: {
+        structures: ['solo'],
+        needsCoro: false,
+        hint: 'É cantada pelo solista no início da roda, antes do jogo; conta uma história ou traz um ensinamento, começa com "Iê!" e termina com "camará".'
+    },
+    louvacao: {
+        structures: ['resposta'],
+        needsCoro: true,
+        hint: 'Vem logo depois da ladainha: o solista louva (ex: "Iê, viva meu Deus") e o coro repete o mesmo verso acrescentando "camará".'
+    },
+    corrido: {
+        structures: ['resposta', 'refrao'],
+        needsCoro: true,
+        hint: 'É rápido e curto, com um refrão fácil que o coro repete enquanto acompanha o jogo.'
+    },
+    quadra: {
+        structures: ['solo', 'refrao'],
+        needsCoro: false,
+        hint: 'Os versos vêm em grupos de quatro, com rima, e falam do cotidiano, da história ou de figuras importantes da capoeira.'
+    }
+};
+
+// Prefixos aceitos no texto da cantiga (ex: "Coro: Paranauê").
+const LINE_PREFIX = /^\(?(t[ií]tulo|coro|solo|solista)\)?\s*[:\-–]\s*/i;
+
+/**
+ * Remove acentos e padroniza para busca.
+ * @param {string} text - O texto original.
+ * @returns {string}
+ */
+function fold(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Estruturas possíveis para um tipo de cantiga, da sugerida para as demais.
+ * @param {string} type - Chave de `CANTIGA_TYPES`.
+ * @returns {Array<string>} Chaves de `CANTIGA_STRUCTURES`.
+ */
+export function structuresForType(type) {
+    return TYPE_RULES[type]?.structures ?? Object.keys(CANTIGA_STRUCTURES);
+}
+
+/**
+ * Valida e normaliza uma cantiga.
+ * @param {object} input - Os valores brutos (title, type, toque, author, lines).
+ * @param {object} [options]
+ * @param {Array<string>} [options.toqueIds] - Ids dos toques conhecidos (sem a lista, qualquer id é aceito).
+ * @returns {{values: object, errors: object}} Valores normalizados e mensagens de erro por campo.
+ */
+export function validateCantiga(input, { toqueIds } = {}) {
+    const errors = {};
+    const values = {
+        title: String(input.title ?? '').trim().replace(/\s+/g, ' '),
+        type: String(input.type ?? ''),
+        toque: String(input.toque ?? ''),
+        author: String(input.author ?? '').trim().replace(/\s+/g, ' '),
+        lines: (input.lines ?? [])
+            .map(line => ({ part: line.part === 'coro' ? 'coro' : 'solo', text: String(line.text ?? '').trim().replace(/\s+/g, ' ') }))
+            .filter(line => line.text)
+    };
+
+    if (values.title.length < 2) {
+        errors.title = t('cantigas.error.title');
+    }
+
+    if (!CANTIGA_TYPES[values.type]) {
+        errors.type = t('cantigas.error.type');
+    }
+
+    if (values.toque && toqueIds && !toqueIds.includes(values.toque)) {
+        errors.toque = t('cantigas.error.toque');
+    }
+
+    if (!values.lines.some(line => line.part === 'solo')) {
+        errors.lines = t('cantigas.error.solo');
+    } else if (TYPE_RULES[values.type]?.needsCoro && !values.lines.some(line => line.part === 'coro')) {
+        errors.lines = t('cantigas.error.coro', { type: CANTIGA_TYPES[values.type] });
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Carrega as cantigas tradicionais do cancioneiro.
+ * @param {string} [url] - Caminho do arquivo de dados.
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadCantigas(url = 'data/cantigas.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Erro ao carregar cantigas: ${response.status}`);
+    }
+    const cantigas = await response.json();
+    return cantigas.map(cantiga => {
+        const { values, errors } = validateCantiga(cantiga);
+        const messages = Object.values(errors);
+        if (messages.length) {
+            throw new Error(`Cantiga inválida "${cantiga.title}": ${messages.join(' ')}`);
+        }
+        return { ...values, id: cantiga.id };
+    });
+}
+
+/**
+ * Lê o texto de uma cantiga: um verso por linha, com "Coro:" nas respostas do coro.
+ * Versos sem prefixo (ou com "Solo:") são do solista; uma linha "Título:" define o título.
+ * Marcações de lista e negrito (comuns nas respostas da IA) são ignoradas.
+ * @param {string} text - O texto.
+ * @returns {{title: string, lines: Array<{part: string, text: string}>}}
+ */
+export function parseCantigaText(text) {
+    let title = '';
+    const lines = [];
+    String(text ?? '').split(/\r?\n/).forEach(raw => {
+        const line = raw.replace(/\*\*|__/g, '').replace(/^\s*(?:[-*>•]|\d+[.)])\s+/, '').trim();
+        if (!line) return;
+        const prefix = LINE_PREFIX.exec(line);
+        const content = prefix ? line.slice(prefix[0].length).trim() : line;
+        if (!content) return;
+        const label = prefix ? fold(prefix[1]) : 'solo';
+        if (label === 'titulo') {
+            title = title || content;
+        } else {
+            lines.push({ part: label === 'coro' ? 'coro' : 'solo', text: content });
+        }
+    });
+    return { title, lines };
+}
+
+/**
+ * Escreve os versos de uma cantiga no formato lido por `parseCantigaText` (sem o título).
+ * @param {object} cantiga - A cantiga.
+ * @returns {string}
+ */
+export function formatCantigaText(cantiga) {
+    return cantiga.lines.map(line => `${line.part === 'coro' ? 'Coro' : 'Solo'}: ${line.text}`).join('\n');
+}
+
+/**
+ * Filtra o cancioneiro combinando busca (título e versos), tipo e favoritas.
+ * @param {Array<object>} cantigas - O cancioneiro.
+ * @param {object} filters
+ * @param {string} [filters.query] - Texto buscado.
+ * @param {string} [filters.type] - Tipo ('' para todos).
+ * @param {Set<string>} [filters.favorites] - Ids das favoritas.
+ * @param {boolean} [filters.favoritesOnly] - Mostrar só as favoritas.
+ * @returns {Array<object>}
+ */
+export function filterCantigas(cantigas, { query = '', type = '', favorites = new Set(), favoritesOnly = false } = {}) {
+    const needle = fold(query);
+    return cantigas.filter(cantiga =>
+        (!needle || [cantiga.title, ...cantiga.lines.map(line => line.text)].some(text => fold(text).includes(needle))) &&
+        (!type || cantiga.type === type) &&
+        (!favoritesOnly || favorites.has(cantiga.id))
+    );
+}
+
+/**
+ * Lê as cantigas salvas pelo usuário, da mais recente para a mais antiga.
+ * @returns {Array<object>}
+ */
+export function loadSavedCantigas() {
+    try {
+        const cantigas = JSON.parse(localStorage.getItem(SAVED_STORAGE_KEY)) || [];
+        return cantigas.sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (error) {
+        console.error('Erro ao ler as cantigas salvas:', error);
+        return [];
+    }
+}
+
+/**
+ * Grava (ou substitui) uma cantiga do usuário. Sem `id`, cria uma nova.
+ * @param {object} cantiga - A cantiga (já validada).
+ * @returns {object} A cantiga salva, com `id`, `custom` e `updatedAt`.
+ */
+export function saveCantiga(cantiga) {
+    const now = Date.now();
+    const saved = {
+        ...cantiga,
+        id: cantiga.id || `minha-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        custom: true,
+        updatedAt: now
+    };
+    const cantigas = loadSavedCantigas().filter(item => item.id !== saved.id);
+    localStorage.setItem(SAVED_STORAGE_KEY, JSON.stringify([saved, ...cantigas]));
+    return saved;
+}
+
+/**
+ * Remove uma cantiga do usuário (e das favoritas).
+ * @param {string} cantigaId - O ID da cantiga.
+ */
+export function deleteSavedCantiga(cantigaId) {
+    const cantigas = loadSavedCantigas().filter(item => item.id !== cantigaId);
+    localStorage.setItem(SAVED_STORAGE_KEY, JSON.stringify(cantigas));
+    const favorites = loadFavoriteCantigas();
+    if (favorites.delete(cantigaId)) {
+        localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify([...favorites]));
+    }
+}
+
+/**
+ * Lê os ids das cantigas favoritas.
+ * @returns {Set<string>}
+ */
+export function loadFavoriteCantigas() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY)) || []);
+    } catch (error) {
+        console.error('Erro ao ler as cantigas favoritas:', error);
+        return new Set();
+    }
+}
+
+/**
+ * Marca ou desmarca uma cantiga como favorita.
+ * @param {string} cantigaId - O ID da cantiga.
+ * @returns {Set<string>} As favoritas atualizadas.
+ */
+export function toggleFavoriteCantiga(cantigaId) {
+    const favorites = loadFavoriteCantigas();
+    if (!favorites.delete(cantigaId)) {
+        favorites.add(cantigaId);
+    }
+    localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify([...favorites]));
+    return favorites;
+}
+
+/**
+ * Monta o pedido à IA para compor uma cantiga completa, já no formato lido por `parseCantigaText`.
+ * O tema vai delimitado (ver `delimitUserInput`).
+ * @param {object} options
+ * @param {string} options.theme - O tema escolhido pelo usuário.
+ * @param {string} options.type - Chave de `CANTIGA_TYPES`.
+ * @param {string} options.structure - Chave de `CANTIGA_STRUCTURES`.
+ * @param {number} options.verses - Quantidade aproximada de versos do solista.
+ * @param {string} [options.toqueName] - Nome do toque em que a cantiga será cantada.
+ * @returns {string}
+ */
+export function buildCompositionPrompt({ theme, type, structure, verses, toqueName }) {
+    const parts = [
+        `Você é um mestre de capoeira experiente e cantador. Componha uma cantiga inédita do tipo ${CANTIGA_TYPES[type].toLowerCase()} sobre o tema descrito pelo usuário:\n${delimitUserInput(theme)}\n`,
+        TYPE_RULES[type].hint,
+        `Estrutura: ${CANTIGA_STRUCTURES[structure].instruction}. Use cerca de ${verses} versos do solista.`
+    ];
+    if (toqueName) {
+        parts.push(`A cantiga será cantada no toque de ${toqueName}; respeite o andamento e o clima desse toque.`);
+    }
+    parts.push('Responda somente com a cantiga, sem comentários nem markdown, neste formato: a primeira linha "Título: ..." e depois um verso por linha, começando com "Solo:" (versos do solista) ou "Coro:" (respostas do coro).');
+    return parts.join(' ');
+}
@@ -0,0 +1,88 @@
+// Stores de coleções: a interface comum aos dados da Academia (alunos, eventos, aulas, inventário e mensalidades)
+//   subscribe(onChange, onError) -> unsubscribe, add(item), update(id, changes), remove(id)
+// O store do Firestore é o padrão; o store em memória o substitui em testes e demonstrações (`?db=memory`).
+// Cada coleção informa como a lista é ordenada (ver js/student-store.js e js/dated-store.js).
+
+/**
+ * Store sobre o Firestore. `firebase` é o objeto exposto em `window.firebase` pelo index.html.
+ * @param {object} options
+ * @param {object} options.firebase - As funções do SDK do Firebase.
+ * @param {object} options.db - A instância do Firestore.
+ * @param {string} options.collectionPath - Caminho da coleção (ex: `/artifacts/${appId}/academies/${academyId}/alunos`).
+ * @param {function(Array<object>): Array<object>} options.sort - Ordena a lista entregue a `subscribe`.
+ * @param {string} [options.docId] - Acompanha só este documento.
+ */
+export function createFirestoreStore({ firebase, db, collectionPath, sort, docId }) {
+    const collectionRef = firebase.collection(db, collectionPath);
+    return {
+        name: 'firestore',
+        subscribe(onChange, onError) {
+            if (docId) {
+                return firebase.onSnapshot(firebase.doc(db, collectionPath, docId), (snapshot) => {
+                    onChange(snapshot.exists() ? [{ id: snapshot.id, ...snapshot.data() }] : []);
+                }, onError);
+            }
+            return firebase.onSnapshot(collectionRef, (snapshot) => {
+                onChange(sort(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))));
+            }, onError);
+        },
+        async add(item) {
+            const docRef = await firebase.addDoc(collectionRef, { ...item, timestamp: new Date() });
+            return docRef.id;
+        },
+        update(id, changes) {
+            return firebase.updateDoc(firebase.doc(db, collectionPath, id), { ...changes, updatedAt: new Date() });
+        },
+        remove(id) {
+            return firebase.deleteDoc(firebase.doc(db, collectionPath, id));
+        }
+    };
+}
+
+/**
+ * Store em memória, com a mesma interface do store do Firestore.
+ * @param {Array<object>} initialItems - Documentos iniciais.
+ * @param {function(Array<object>): Array<object>} sort - Ordena a lista entregue a `subscribe`.
+ */
+export function createMemoryStore(initialItems, sort) {
+    const items = new Map();
+    const listeners = new Set();
+    let nextId = 1;
+
+    const snapshot = () => sort([...items.values()].map(item => ({ ...item })));
+    const notify = () => {
+        const list = snapshot();
+        listeners.forEach(listener => listener(list));
+    };
+
+    initialItems.forEach(item => {
+        const id = item.id || `local-${nextId++}`;
+        items.set(id, { ...item, id });
+    });
+
+    return {
+        name: 'memory',
+        subscribe(onChange) {
+            listeners.add(onChange);
+            onChange(snapshot());
+            return () => listeners.delete(onChange);
+        },
+        async add(item) {
+            const id = `local-${nextId++}`;
+            items.set(id, { ...item, id, timestamp: new Date() });
+            notify();
+            return id;
+        },
+        async update(id, changes) {
+            if (!items.has(id)) {
+                throw new Error(`Registro não encontrado: ${id}`);
+            }
+            items.set(id, { ...items.get(id), ...changes, id, updatedAt: new Date() });
+            notify();
+        },
+        async remove(id) {
+            items.delete(id);
+            notify();
+        }
+    };
+}
@@ -0,0 +1,161 @@
+// Sistemas de graduação (cordas)
+// Um sistema é uma lista ordenada de níveis, do iniciante ao mestre. Cada nível tem:
+//   name     - nome da corda (ex: "Verde e Amarela")
+//   colors   - 1 a 3 cores em hexadecimal
+//   blend    - 'split' (faixas de cor) ou 'gradient' (cores em degradê); só importa com mais de uma cor
+//   title    - título de quem usa a corda (ex: "Instrutor"), opcional
+//   minMonths - tempo mínimo, em meses, no nível anterior antes de receber este
+
+import { t } from './i18n.js';
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const BLENDS = ['split', 'gradient'];
+
+// Sistema de referência exibido quando nenhum grupo é escolhido (e usado para alunos sem grupo cadastrado).
+export const DEFAULT_CORD_SYSTEM = [
+    { name: 'Verde', colors: ['#16a34a'], title: 'Iniciante', minMonths: 0 },
+    { name: 'Amarelo', colors: ['#facc15'], title: 'Aluno com mais tempo', minMonths: 12 },
+    { name: 'Azul', colors: ['#2563eb'], title: 'Aluno intermediário', minMonths: 12 },
+    { name: 'Verde e Amarelo', colors: ['#16a34a', '#facc15'], blend: 'gradient', title: 'Aluno avançado', minMonths: 12 },
+    { name: 'Azul e Verde', colors: ['#2563eb', '#16a34a'], blend: 'gradient', title: 'Monitor', minMonths: 18 },
+    { name: 'Azul e Amarelo', colors: ['#2563eb', '#facc15'], blend: 'gradient', title: 'Professor', minMonths: 24 },
+    { name: 'Branca', colors: ['#ffffff'], title: 'Mestre', minMonths: 60 }
+];
+
+/**
+ * Valida um sistema de cordas e preenche os valores padrão.
+ * @param {Array<object>} levels - Os níveis, em ordem.
+ * @returns {Array<object>} Os níveis normalizados.
+ * @throws {Error} Se algum nível for inválido.
+ */
+export function normalizeCordSystem(levels) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+        throw new Error('O sistema de cordas precisa de pelo menos um nível.');
+    }
+    const names = new Set();
+    return levels.map((level, index) => {
+        const name = String(level?.name ?? '').trim();
+        const colors = Array.isArray(level?.colors) ? level.colors : [];
+        const blend = level?.blend ?? 'split';
+        const minMonths = level?.minMonths ?? 0;
+        const position = `Nível ${index + 1}${name ? ` (${name})` : ''}`;
+
+        if (!name) {
+            throw new Error(`${position}: informe o nome da corda.`);
+        }
+        if (names.has(name)) {
+            throw new Error(`${position}: nome repetido no sistema.`);
+        }
+        if (colors.length < 1 || colors.length > 3 || !colors.every(color => COLOR_PATTERN.test(color))) {
+            throw new Error(`${position}: use de 1 a 3 cores no formato #rrggbb.`);
+        }
+        if (!BLENDS.includes(blend)) {
+            throw new Error(`${position}: a mistura de cores deve ser "split" ou "gradient".`);
+        }
+        if (!Number.isInteger(minMonths) || minMonths < 0) {
+            throw new Error(`${position}: o tempo mínimo deve ser um número inteiro de meses.`);
+        }
+        names.add(name);
+        return { name, colors, blend, title: level.title || '', minMonths };
+    });
+}
+
+/**
+ * Fundo CSS que desenha a corda: cor única, faixas ('split') ou degradê ('gradient').
+ * @param {object} level - O nível.
+ * @returns {string}
+ */
+export function cordBackground(level) {
+    const { colors, blend = 'split' } = level;
+    if (colors.length === 1) {
+        return colors[0];
+    }
+    if (blend === 'gradient') {
+        return `linear-gradient(to right, ${colors.join(', ')})`;
+    }
+    const stops = colors.map((color, index) => {
+        const start = (index * 100) / colors.length;
+        const end = ((index + 1) * 100) / colors.length;
+        return `${color} ${start}% ${end}%`;
+    });
+    return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+/**
+ * Descreve o tempo mínimo de um nível (ex: "1 ano e 6 meses").
+ * @param {number} months - Meses.
+ * @returns {string}
+ */
+export function formatMinTime(months) {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const parts = [];
+    if (years) parts.push(t(years === 1 ? 'cords.year' : 'cords.years', { count: years }));
+    if (rest) parts.push(t(rest === 1 ? 'cords.month' : 'cords.months', { count: rest }));
+    return parts.join(t('cords.and')) || t('cords.noMinTime');
+}
+
+/**
+ * O nível seguinte a uma corda no sistema.
+ * @param {Array<object>} levels - O sistema de cordas.
+ * @param {string} currentName - A corda atual.
+ * @returns {object|null} null no último nível ou se a corda não pertence ao sistema.
+ */
+export function nextCordLevel(levels, currentName) {
+    const index = levels.findIndex(level => level.name === currentName);
+    return index >= 0 ? levels[index + 1] ?? null : null;
+}
+
+/**
+ * Calcula a próxima corda de um aluno e a partir de quando ele pode recebê-la.
+ * @param {Array<object>} levels - O sistema de cordas.
+ * @param {string} currentName - A corda atual.
+ * @param {string|Date} since - Quando a corda atual foi recebida (AAAA-MM-DD ou Date).
+ * @param {Date} [today] - Data de referência.
+ * @returns {{next: object|null, eligibleAt: Date|null, eligible: boolean}} `next` é null no último nível.
+ */
+export function cordEligibility(levels, currentName, since, today = new Date()) {
+    const next = nextCordLevel(levels, currentName);
+    if (!next) {
+        return { next: null, eligibleAt: null, eligible: false };
+    }
+    const start = since instanceof Date ? since : new Date(`${since}T00:00:00`);
+    const eligibleAt = new Date(start.getFullYear(), start.getMonth() + next.minMonths, start.getDate());
+    return { next, eligibleAt, eligible: eligibleAt <= today };
+}
+
+/**
+ * Desenha a faixa de cordas de um sistema.
+ * @param {HTMLElement} container - O elemento de destino (o conteúdo é substituído).
+ * @param {Array<object>} levels - O sistema de cordas.
+ */
+export function renderCordStrip(container, levels) {
+    container.replaceChildren(...levels.map((level, index) => {
+        const item = document.createElement('div');
+        item.className = 'cord-level text-center';
+        item.title = [level.title, index > 0 && level.minMonths > 0 ? t('cords.minTimeTitle', { time: formatMinTime(level.minMonths) }) : '']
+            .filter(Boolean).join(' · ');
+
+        const cord = document.createElement('div');
+        cord.className = 'cord-bar';
+        cord.style.background = cordBackground(level);
+
+        const name = document.createElement('p');
+        name.textContent = level.name;
+        item.append(cord, name);
+
+        if (level.title) {
+            const title = document.createElement('p');
+            title.className = 'text-xs text-stone-500';
+            title.textContent = level.title;
+            item.appendChild(title);
+        }
+        if (index > 0 && level.minMonths > 0) {
+            const time = document.createElement('p');
+            time.className = 'text-xs text-stone-500';
+            time.textContent = t('cords.minTime', { time: formatMinTime(level.minMonths) });
+            item.appendChild(time);
+        }
+        return item;
+    }));
+}
@@ -0,0 +1,33 @@
+// Acesso a coleções ordenadas por data: "eventos" (batizados e rodas) e "aulas" (frequência)
+// Mesma interface dos demais stores (ver js/collection-store.js).
+// Cada documento tem `date` (AAAA-MM-DD) e, opcionalmente, `startTime` (HH:MM).
+
+import { createFirestoreStore, createMemoryStore } from './collection-store.js';
+
+/**
+ * Ordena os documentos por data e horário de início.
+ * @param {Array<object>} items - A lista de documentos.
+ * @returns {Array<object>}
+ */
+function sortByDate(items) {
+    return items.sort((a, b) => `${a.date}T${a.startTime || ''}`.localeCompare(`${b.date}T${b.startTime || ''}`));
+}
+
+/**
+ * Store sobre o Firestore.
+ * @param {object} options
+ * @param {object} options.firebase - As funções do SDK do Firebase.
+ * @param {object} options.db - A instância do Firestore.
+ * @param {string} options.collectionPath - Caminho da coleção (ex: `/artifacts/${appId}/academies/${academyId}/aulas`).
+ */
+export function createFirestoreDatedStore({ firebase, db, collectionPath }) {
+    return createFirestoreStore({ firebase, db, collectionPath, sort: sortByDate });
+}
+
+/**
+ * Store em memória, com a mesma interface do store do Firestore.
+ * @param {Array<object>} [initialItems] - Documentos iniciais.
+ */
+export function createMemoryDatedStore(initialItems = []) {
+    return createMemoryStore(initialItems, sortByDate);
+}
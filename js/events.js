@@ -0,0 +1,295 @@
+// Eventos da academia: batizados e trocas de corda, e rodas
+// Um evento tem: type, title, date (AAAA-MM-DD), startTime e endTime (HH:MM, opcionais), location,
+// mestres (mestres visitantes) e participants ({studentId, name, group, cordel, nextCordel}).
+// Os dados do aluno são copiados para o evento, para que a lista e os certificados não mudem depois da cerimônia.
+// Os textos (mensagens, agenda e impressão) saem no idioma atual.
+
+import { cordBackground, nextCordLevel } from './cord-systems.js';
+import { formatDate, t, translatedLabels } from './i18n.js';
+
+export const EVENT_TYPES = translatedLabels('events.type', ['batizado', 'roda']);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Separa a lista de mestres visitantes (por vírgula, ponto e vírgula ou quebra de linha).
+ * @param {string|Array<string>} value - O texto digitado ou a lista já separada.
+ * @returns {Array<string>}
+ */
+export function parseMestres(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[,;\n]/);
+    return list.map(name => String(name).trim().replace(/\s+/g, ' ')).filter(Boolean);
+}
+
+/**
+ * Monta o participante de um evento a partir do aluno, sugerindo a corda seguinte do sistema do grupo.
+ * @param {object} student - O aluno (id, name, group, cordel).
+ * @param {Array<object>} levels - O sistema de cordas do grupo do aluno.
+ * @returns {object}
+ */
+export function eventParticipant(student, levels) {
+    return {
+        studentId: student.id,
+        name: student.name,
+        group: student.group,
+        cordel: student.cordel,
+        nextCordel: nextCordLevel(levels, student.cordel)?.name ?? ''
+    };
+}
+
+/**
+ * Valida e normaliza um evento.
+ * @param {object} input - Os valores brutos (type, title, date, startTime, endTime, location, mestres, participants).
+ * @returns {{values: object, errors: object}} Valores normalizados e mensagens de erro por campo.
+ */
+export function validateEvent(input) {
+    const errors = {};
+    const values = {
+        type: String(input.type ?? ''),
+        title: String(input.title ?? '').trim().replace(/\s+/g, ' '),
+        date: String(input.date ?? '').trim(),
+        startTime: String(input.startTime ?? '').trim(),
+        endTime: String(input.endTime ?? '').trim(),
+        location: String(input.location ?? '').trim().replace(/\s+/g, ' '),
+        mestres: parseMestres(input.mestres),
+        participants: (input.participants ?? []).map(participant => ({
+            studentId: participant.studentId,
+            name: participant.name,
+            group: participant.group || '',
+            cordel: participant.cordel || '',
+            nextCordel: participant.nextCordel || ''
+        }))
+    };
+
+    if (!EVENT_TYPES[values.type]) {
+        errors.type = t('events.error.type');
+    }
+
+    if (values.title.length < 3) {
+        errors.title = t('events.error.title');
+    }
+
+    if (!DATE_PATTERN.test(values.date) || Number.isNaN(new Date(`${values.date}T00:00:00`).getTime())) {
+        errors.date = t('events.error.date');
+    }
+
+    if (values.startTime && !TIME_PATTERN.test(values.startTime)) {
+        errors.startTime = t('events.error.timeFormat');
+    }
+    if (values.endTime && !TIME_PATTERN.test(values.endTime)) {
+        errors.endTime = t('events.error.timeFormat');
+    } else if (values.endTime && !values.startTime) {
+        errors.endTime = t('events.error.startMissing');
+    } else if (values.endTime && values.endTime <= values.startTime) {
+        errors.endTime = t('events.error.endBeforeStart');
+    }
+
+    if (values.location.length < 3) {
+        errors.location = t('events.error.location');
+    }
+
+    if (values.type === 'batizado') {
+        if (values.participants.length === 0) {
+            errors.participants = t('events.error.participants');
+        } else if (values.participants.some(participant => !participant.nextCordel)) {
+            errors.participants = t('events.error.nextCordel');
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Descreve a data (e o horário) de um evento (ex: "sábado, 14 de novembro de 2026, 15:00 às 18:00").
+ * @param {object} event - O evento.
+ * @returns {string}
+ */
+export function formatEventDate(event) {
+    const date = formatDate(event.date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    if (!event.startTime) return date;
+    return event.endTime
+        ? t('events.dateTimeRange', { date, start: event.startTime, end: event.endTime })
+        : `${date}, ${event.startTime}`;
+}
+
+// --- iCalendar (RFC 5545) ---
+
+function escapeIcsText(text) {
+    return String(text ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r\n?|\n/g, '\\n');
+}
+
+// Linhas com mais de 75 bytes continuam na linha seguinte, começando com um espaço.
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = encoder.encode(char).length;
+        if (size + charSize > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function icsDateTime(date, time) {
+    return `${icsDate(date)}T${time.replace(':', '')}00`;
+}
+
+// Três horas depois do início, sem passar do fim do dia.
+function defaultEndTime(startTime) {
+    const [hours, minutes] = startTime.split(':').map(Number);
+    const total = Math.min(hours * 60 + minutes + 180, 23 * 60 + 59);
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function nextDay(date) {
+    const day = new Date(`${date}T00:00:00`);
+    day.setDate(day.getDate() + 1);
+    return [day.getFullYear(), String(day.getMonth() + 1).padStart(2, '0'), String(day.getDate()).padStart(2, '0')].join('');
+}
+
+function eventDescription(event) {
+    const lines = [EVENT_TYPES[event.type] || ''];
+    if (event.mestres.length) {
+        lines.push(t('events.visitingMestres', { names: event.mestres.join(', ') }));
+    }
+    if (event.participants.length) {
+        lines.push(t(event.type === 'batizado' ? 'events.receivingCord' : 'events.confirmed', { count: event.participants.length }));
+    }
+    return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Gera um arquivo iCalendar (.ics) com um ou mais eventos.
+ * Sem horário, o evento ocupa o dia inteiro; sem término, dura 3 horas. Os horários são locais (sem fuso).
+ * @param {Array<object>} events - Os eventos (com id).
+ * @param {Date} [now] - Momento da exportação (DTSTAMP).
+ * @returns {string}
+ */
+export function eventsToIcs(events, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Guia da Capoeira//Eventos da Academia//PT',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    events.forEach(event => {
+        lines.push('BEGIN:VEVENT', `UID:${event.id}@guiadacapoeira`, `DTSTAMP:${stamp}`);
+        if (event.startTime) {
+            const end = event.endTime || defaultEndTime(event.startTime);
+            lines.push(`DTSTART:${icsDateTime(event.date, event.startTime)}`, `DTEND:${icsDateTime(event.date, end)}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${icsDate(event.date)}`, `DTEND;VALUE=DATE:${nextDay(event.date)}`);
+        }
+        lines.push(
+            `SUMMARY:${escapeIcsText(event.title)}`,
+            `LOCATION:${escapeIcsText(event.location)}`,
+            `DESCRIPTION:${escapeIcsText(eventDescription(event))}`,
+            `CATEGORIES:${escapeIcsText(EVENT_TYPES[event.type] || '')}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+// --- Impressão (lista da cerimônia e certificados) ---
+
+function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+/**
+ * Desenha a lista da cerimônia para impressão: dados do evento e participantes em ordem de chamada.
+ * @param {HTMLElement} container - O elemento de destino (o conteúdo é substituído).
+ * @param {object} event - O evento.
+ */
+export function renderCeremonyList(container, event) {
+    const sheet = element('div', 'ceremony-list');
+    sheet.append(
+        element('h1', null, event.title),
+        element('p', null, `${EVENT_TYPES[event.type]} · ${formatEventDate(event)}`),
+        element('p', null, event.location)
+    );
+    if (event.mestres.length) {
+        sheet.appendChild(element('p', null, t('events.visitingMestres', { names: event.mestres.join(', ') })));
+    }
+
+    const isBatizado = event.type === 'batizado';
+    const headers = ['#', ...(isBatizado
+        ? ['name', 'group', 'currentCord', 'nextCord', 'playedWith']
+        : ['name', 'group', 'cordel', 'presence']).map(column => t(`events.print.${column}`))];
+    const table = element('table');
+    const headRow = element('tr');
+    headers.forEach(header => headRow.appendChild(element('th', null, header)));
+    table.appendChild(element('thead')).appendChild(headRow);
+
+    const body = element('tbody');
+    event.participants.forEach((participant, index) => {
+        const row = element('tr');
+        const cells = isBatizado
+            ? [index + 1, participant.name, participant.group, participant.cordel, participant.nextCordel, '']
+            : [index + 1, participant.name, participant.group, participant.cordel, ''];
+        cells.forEach(value => row.appendChild(element('td', null, String(value))));
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    sheet.appendChild(event.participants.length ? table : element('p', null, t('events.print.noParticipants')));
+    container.replaceChildren(sheet);
+}
+
+/**
+ * Desenha um certificado por participante (um por página ao imprimir).
+ * @param {HTMLElement} container - O elemento de destino (o conteúdo é substituído).
+ * @param {object} event - O evento (batizado e troca de cordas).
+ * @param {function(string): Array<object>} levelsFor - Sistema de cordas do grupo de cada participante.
+ */
+export function renderCertificates(container, event, levelsFor) {
+    const date = formatDate(event.date, { day: 'numeric', month: 'long', year: 'numeric' });
+    container.replaceChildren(...event.participants.map(participant => {
+        const level = levelsFor(participant.group).find(item => item.name === participant.nextCordel);
+        const certificate = element('div', 'certificate');
+        certificate.append(
+            element('p', 'certificate-kicker', participant.group),
+            element('h1', null, t('events.certificate.title')),
+            element('p', null, t('events.certificate.intro')),
+            element('p', 'certificate-name', participant.name)
+        );
+
+        const cordText = level?.title ? `${participant.nextCordel} (${level.title})` : participant.nextCordel;
+        certificate.appendChild(element('p', null, t('events.certificate.body', { cord: cordText, event: event.title, date, location: event.location })));
+
+        if (level) {
+            const cord = element('div', 'cord-bar');
+            cord.style.background = cordBackground(level);
+            certificate.appendChild(cord);
+        }
+
+        const signatures = element('div', 'certificate-signatures');
+        [...event.mestres, t('events.certificate.academy')].forEach(name => {
+            signatures.appendChild(element('p', null, name));
+        });
+        certificate.appendChild(signatures);
+        return certificate;
+    }));
+}
@@ -0,0 +1,248 @@
+// Finanças da academia: inventário (instrumentos e uniformes) e mensalidades
+// Item do inventário: name, category, quantity, unitCost e date (data da compra, AAAA-MM-DD).
+// Mensalidade: studentId, studentName, month (AAAA-MM), amount, date (vencimento, AAAA-MM-DD) e paidAt (data do pagamento ou '').
+// Os dois usam o campo `date` para ficarem em ordem nos stores de js/dated-store.js.
+
+import { toIsoDate } from './attendance.js';
+import { formatNumber, t, translatedLabels } from './i18n.js';
+
+export const INVENTORY_CATEGORIES = translatedLabels('finance.category', ['instrumento', 'uniforme', 'outro']);
+
+export const FEE_STATUS = translatedLabels('finance.status', ['pago', 'aberto', 'atrasado']);
+
+// Valores sugeridos ao gerar as mensalidades do mês (editáveis na tela).
+export const DEFAULT_FEE_SETTINGS = { amount: 100, dueDay: 10 };
+
+const FEE_SETTINGS_KEY = 'feeSettings';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Formata um valor em reais no idioma atual (ex: "R$ 1.250,00" em pt-BR, "R$1,250.00" em inglês).
+ * @param {number} value - O valor.
+ * @returns {string}
+ */
+export function formatMoney(value) {
+    return formatNumber(value || 0, { style: 'currency', currency: 'BRL' });
+}
+
+/**
+ * Lê um valor em reais digitado (ex: "150", "80,50", "R$ 1.250,00").
+ * @param {string|number} value - O valor digitado.
+ * @returns {number|null} null se não for um valor válido.
+ */
+export function parseMoney(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    let text = String(value ?? '').replace(/R\$|\s/g, '');
+    if (!text) return null;
+    // Com vírgula (ou em grupos de três dígitos), o ponto é separador de milhar (formato brasileiro).
+    if (text.includes(',') || /^\d{1,3}(\.\d{3})+$/.test(text)) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    }
+    if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+    return Number(text);
+}
+
+function isValidDate(date) {
+    return DATE_PATTERN.test(date) && !Number.isNaN(new Date(`${date}T00:00:00`).getTime());
+}
+
+/**
+ * Valida e normaliza um item do inventário.
+ * @param {object} input - Os valores brutos (name, category, quantity, unitCost, date).
+ * @returns {{values: object, errors: object}} Valores normalizados e mensagens de erro por campo.
+ */
+export function validateInventoryItem(input) {
+    const errors = {};
+    const quantity = Number(input.quantity);
+    const values = {
+        name: String(input.name ?? '').trim().replace(/\s+/g, ' '),
+        category: String(input.category ?? ''),
+        quantity,
+        unitCost: parseMoney(input.unitCost),
+        date: String(input.date ?? '').trim()
+    };
+
+    if (values.name.length < 2) {
+        errors.name = t('finance.error.name');
+    }
+    if (!INVENTORY_CATEGORIES[values.category]) {
+        errors.category = t('finance.error.category');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.quantity = t('finance.error.quantity');
+    }
+    if (values.unitCost === null) {
+        errors.unitCost = t('finance.error.unitCost');
+    }
+    if (!isValidDate(values.date)) {
+        errors.date = t('finance.error.purchaseDate');
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Valida e normaliza uma mensalidade.
+ * @param {object} input - Os valores brutos (studentId, studentName, month, amount, date, paidAt).
+ * @returns {{values: object, errors: object}} Valores normalizados e mensagens de erro por campo.
+ */
+export function validateFee(input) {
+    const errors = {};
+    const values = {
+        studentId: String(input.studentId ?? ''),
+        studentName: String(input.studentName ?? '').trim(),
+        month: String(input.month ?? '').trim(),
+        amount: parseMoney(input.amount),
+        date: String(input.date ?? '').trim(),
+        paidAt: String(input.paidAt ?? '').trim()
+    };
+
+    if (!values.studentId) {
+        errors.studentId = t('finance.error.student');
+    }
+    if (!MONTH_PATTERN.test(values.month)) {
+        errors.month = t('finance.error.month');
+    }
+    if (values.amount === null || values.amount <= 0) {
+        errors.amount = t('finance.error.amount');
+    }
+    if (!isValidDate(values.date)) {
+        errors.date = t('finance.error.dueDate');
+    }
+    if (values.paidAt && !isValidDate(values.paidAt)) {
+        errors.paidAt = t('finance.error.paidAt');
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Situação de uma mensalidade: paga, em aberto (ainda no prazo) ou atrasada.
+ * @param {object} fee - A mensalidade.
+ * @param {Date} [today] - Data de referência.
+ * @returns {'pago'|'aberto'|'atrasado'}
+ */
+export function feeStatus(fee, today = new Date()) {
+    if (fee.paidAt) return 'pago';
+    return fee.date < toIsoDate(today) ? 'atrasado' : 'aberto';
+}
+
+/**
+ * Mensalidades a criar para um mês: uma por aluno que ainda não tem a do mês.
+ * @param {Array<object>} students - Os alunos (id, name).
+ * @param {Array<object>} fees - As mensalidades já lançadas.
+ * @param {object} options
+ * @param {string} options.month - Mês de referência (AAAA-MM).
+ * @param {number} options.amount - Valor.
+ * @param {number} options.dueDay - Dia do vencimento (ajustado ao último dia em meses mais curtos).
+ * @returns {Array<object>}
+ */
+export function feesToGenerate(students, fees, { month, amount, dueDay }) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const lastDay = new Date(year, monthIndex, 0).getDate();
+    const date = `${month}-${String(Math.min(dueDay, lastDay)).padStart(2, '0')}`;
+    const billed = new Set(fees.filter(fee => fee.month === month).map(fee => fee.studentId));
+    return students
+        .filter(student => !billed.has(student.id))
+        .map(student => ({ studentId: student.id, studentName: student.name, month, amount, date, paidAt: '' }));
+}
+
+/**
+ * Lê o valor e o vencimento salvos no navegador. Valores ausentes ou inválidos voltam ao padrão.
+ * @returns {{amount: number, dueDay: number}}
+ */
+export function loadFeeSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(FEE_SETTINGS_KEY)) || {};
+    } catch (error) {
+        console.error('Erro ao ler as configurações das mensalidades:', error);
+    }
+    const { amount, dueDay } = saved;
+    return {
+        amount: Number.isFinite(amount) && amount > 0 ? amount : DEFAULT_FEE_SETTINGS.amount,
+        dueDay: Number.isInteger(dueDay) && dueDay >= 1 && dueDay <= 31 ? dueDay : DEFAULT_FEE_SETTINGS.dueDay
+    };
+}
+
+/**
+ * Salva o valor e o vencimento usados ao gerar as mensalidades.
+ * @param {{amount: number, dueDay: number}} settings - As configurações.
+ */
+export function saveFeeSettings({ amount, dueDay }) {
+    try {
+        localStorage.setItem(FEE_SETTINGS_KEY, JSON.stringify({ amount, dueDay }));
+    } catch (error) {
+        console.error('Erro ao salvar as configurações das mensalidades:', error);
+    }
+}
+
+/**
+ * Valor total de um item do inventário.
+ * @param {object} item - O item.
+ * @returns {number}
+ */
+export function itemTotal(item) {
+    return item.quantity * item.unitCost;
+}
+
+/**
+ * Valor do inventário por categoria.
+ * @param {Array<object>} items - O inventário.
+ * @returns {Array<{category: string, value: number}>} Só as categorias com itens.
+ */
+export function inventoryValue(items) {
+    return Object.keys(INVENTORY_CATEGORIES)
+        .map(category => ({
+            category,
+            value: items.filter(item => item.category === category).reduce((sum, item) => sum + itemTotal(item), 0)
+        }))
+        .filter(entry => entry.value > 0);
+}
+
+/**
+ * Os últimos `count` meses até `today`, do mais antigo ao mais recente.
+ * @param {Date} today - Data de referência.
+ * @param {number} count - Quantidade de meses.
+ * @returns {Array<string>} Meses (AAAA-MM).
+ */
+export function recentMonths(today, count) {
+    return Array.from({ length: count }, (_, index) => {
+        const date = new Date(today.getFullYear(), today.getMonth() - (count - 1 - index), 1);
+        return toIsoDate(date).slice(0, 7);
+    });
+}
+
+/**
+ * Receitas (mensalidades pagas, pelo mês do pagamento) e despesas (compras do inventário) por mês.
+ * @param {Array<object>} fees - As mensalidades.
+ * @param {Array<object>} items - O inventário.
+ * @param {Array<string>} months - Os meses (AAAA-MM).
+ * @returns {Array<{month: string, income: number, expenses: number}>}
+ */
+export function monthlyCashFlow(fees, items, months) {
+    return months.map(month => ({
+        month,
+        income: fees.filter(fee => fee.paidAt.startsWith(month)).reduce((sum, fee) => sum + fee.amount, 0),
+        expenses: items.filter(item => item.date.startsWith(month)).reduce((sum, item) => sum + itemTotal(item), 0)
+    }));
+}
+
+/**
+ * Totais de mensalidades por situação em cada mês de referência.
+ * @param {Array<object>} fees - As mensalidades.
+ * @param {Array<string>} months - Os meses (AAAA-MM).
+ * @param {Date} [today] - Data de referência.
+ * @returns {Array<{month: string, pago: number, aberto: number, atrasado: number}>}
+ */
+export function feeStatusByMonth(fees, months, today = new Date()) {
+    return months.map(month => {
+        const totals = { month, pago: 0, aberto: 0, atrasado: 0 };
+        fees.filter(fee => fee.month === month).forEach(fee => {
+            totals[feeStatus(fee, today)] += fee.amount;
+        });
+        return totals;
+    });
+}
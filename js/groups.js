@@ -0,0 +1,94 @@
+// Diretório de grupos de capoeira
+// Os dados ficam em data/grupos.json. Cada grupo tem: id (usado na URL), name, logo, color (cor no mapa), founded,
+// estilos, masters ({name, role}), headquarters e branches ({city, state, country, lat, lng}),
+// cordSystem (sistema de cordas, ver js/cord-systems.js) e contact ({phone, website, email}).
+
+import { normalizeCordSystem } from './cord-systems.js';
+
+/**
+ * Remove acentos e padroniza para busca.
+ * @param {string} text - O texto original.
+ * @returns {string}
+ */
+function fold(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Carrega o diretório de grupos, validando o sistema de cordas de cada um.
+ * @param {string} [url] - Caminho do arquivo de dados.
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadGroups(url = 'data/grupos.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Erro ao carregar grupos: ${response.status}`);
+    }
+    const groups = await response.json();
+    return groups.map(group => {
+        try {
+            return { ...group, cordSystem: normalizeCordSystem(group.cordSystem) };
+        } catch (error) {
+            throw new Error(`Sistema de cordas inválido em "${group.name}": ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Sede e filiais de um grupo, com a sede primeiro.
+ * @param {object} group - O grupo.
+ * @returns {Array<object>} Locais com `headquarters: true` na sede.
+ */
+export function groupLocations(group) {
+    return [{ ...group.headquarters, headquarters: true }, ...group.branches];
+}
+
+/**
+ * Filtra o diretório combinando busca (nome, mestres ou cidade), país e estilo.
+ * @param {Array<object>} groups - O diretório.
+ * @param {object} filters
+ * @param {string} [filters.query] - Texto buscado.
+ * @param {string} [filters.country] - País da sede ou de alguma filial ('' para todos).
+ * @param {string} [filters.estilo] - Estilo ('' para todos).
+ * @returns {Array<object>}
+ */
+export function filterGroups(groups, { query = '', country = '', estilo = '' } = {}) {
+    const needle = fold(query);
+    return groups.filter(group => {
+        const locations = groupLocations(group);
+        const searchable = [group.name, ...group.masters.map(master => master.name), ...locations.map(location => location.city)];
+        return (!needle || searchable.some(text => fold(text).includes(needle))) &&
+            (!country || locations.some(location => location.country === country)) &&
+            (!estilo || group.estilos.includes(estilo));
+    });
+}
+
+/**
+ * Países presentes no diretório, em ordem alfabética.
+ * @param {Array<object>} groups - O diretório.
+ * @returns {Array<string>}
+ */
+export function groupCountries(groups) {
+    const countries = groups.flatMap(group => groupLocations(group).map(location => location.country));
+    return [...new Set(countries)].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+}
+
+/**
+ * Encontra um grupo pelo id ou nome (ignorando acentos e maiúsculas).
+ * @param {Array<object>} groups - O diretório.
+ * @param {string} reference - Id ou nome.
+ * @returns {object|undefined}
+ */
+export function findGroup(groups, reference) {
+    return groups.find(group => group.id === reference) ||
+        groups.find(group => fold(group.name) === fold(reference));
+}
+
+/**
+ * Descreve um local para exibição (ex: "Salvador, BA, Brasil").
+ * @param {object} location - O local.
+ * @returns {string}
+ */
+export function formatLocation(location) {
+    return [location.city, location.state, location.country].filter(Boolean).join(', ');
+}
@@ -0,0 +1,148 @@
+// Internacionalização: catálogos de tradução, idioma escolhido e formatação de datas e números
+// O português (pt-BR) é o idioma de referência: o texto original do index.html e as chaves que faltarem em um
+// catálogo caem nele. Elementos com data-i18n (texto), data-i18n-placeholder, data-i18n-aria-label,
+// data-i18n-title ou data-i18n-alt recebem a tradução da chave indicada.
+
+import ptBR from './locales/pt-BR.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+
+const LANGUAGE_STORAGE_KEY = 'language';
+const DEFAULT_LANGUAGE = 'pt-BR';
+
+// `aiName` é o nome do idioma usado no pedido à IA (que é escrito em português).
+export const LANGUAGES = {
+    'pt-BR': { label: 'Português', aiName: 'português do Brasil', catalog: ptBR },
+    en: { label: 'English', aiName: 'inglês', catalog: en },
+    es: { label: 'Español', aiName: 'espanhol', catalog: es },
+    fr: { label: 'Français', aiName: 'francês', catalog: fr }
+};
+
+const ATTRIBUTES = [
+    ['i18nPlaceholder', 'placeholder'],
+    ['i18nAriaLabel', 'aria-label'],
+    ['i18nTitle', 'title'],
+    ['i18nAlt', 'alt']
+];
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Escolhe o idioma inicial: o salvo no navegador, senão o primeiro idioma do navegador que o guia oferece.
+ * @param {string|null} stored - O idioma salvo (localStorage).
+ * @param {Array<string>} [preferred] - Os idiomas do navegador (navigator.languages).
+ * @returns {string} Chave de `LANGUAGES`.
+ */
+export function detectLanguage(stored, preferred = []) {
+    if (LANGUAGES[stored]) return stored;
+    for (const tag of preferred) {
+        const base = String(tag).split('-')[0].toLowerCase();
+        if (base === 'pt') return 'pt-BR';
+        if (LANGUAGES[base]) return base;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * O idioma atual.
+ * @returns {string}
+ */
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Troca o idioma atual e o salva no localStorage.
+ * @param {string} language - Chave de `LANGUAGES` (idiomas desconhecidos viram pt-BR).
+ */
+export function setLanguage(language) {
+    currentLanguage = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, currentLanguage);
+    document.documentElement.lang = currentLanguage;
+}
+
+/**
+ * Lê o idioma salvo (ou o do navegador) e o torna o idioma atual.
+ * @returns {string}
+ */
+export function initLanguage() {
+    setLanguage(detectLanguage(localStorage.getItem(LANGUAGE_STORAGE_KEY), navigator.languages ?? [navigator.language]));
+    return currentLanguage;
+}
+
+/**
+ * Traduz uma chave no idioma atual, preenchendo os parâmetros (ex: "{count} alunos").
+ * @param {string} key - A chave (ex: "students.saved").
+ * @param {object} [params] - Valores para os marcadores {nome}.
+ * @returns {string} A tradução, o texto em pt-BR ou, em último caso, a própria chave.
+ */
+export function t(key, params = {}) {
+    const text = LANGUAGES[currentLanguage].catalog[key] ?? ptBR[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Objeto de rótulos traduzidos (ex: os tipos de evento): cada propriedade devolve `t('<prefixo>.<chave>')` no
+ * idioma da hora em que é lida, então `Object.entries` e `labels[chave]` continuam funcionando como num objeto comum.
+ * @param {string} prefix - O começo das chaves no catálogo (ex: "events.type").
+ * @param {Array<string>} keys - As chaves, na ordem de exibição.
+ * @returns {object}
+ */
+export function translatedLabels(prefix, keys) {
+    const labels = {};
+    keys.forEach(key => {
+        Object.defineProperty(labels, key, { enumerable: true, get: () => t(`${prefix}.${key}`) });
+    });
+    return Object.freeze(labels);
+}
+
+/**
+ * Aplica as traduções aos elementos marcados com data-i18n*.
+ * @param {ParentNode} [root] - Onde procurar (a página inteira por padrão).
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ATTRIBUTES.forEach(([dataKey, attribute]) => {
+        const selector = `[data-${dataKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}]`;
+        root.querySelectorAll(selector).forEach(element => {
+            element.setAttribute(attribute, t(element.dataset[dataKey]));
+        });
+    });
+}
+
+/**
+ * Formata uma data no idioma atual.
+ * @param {string|Date} value - AAAA-MM-DD ou Date.
+ * @param {Intl.DateTimeFormatOptions} [options] - Opções do Intl (padrão: data curta).
+ * @returns {string} '' para datas vazias ou inválidas.
+ */
+export function formatDate(value, options) {
+    if (!value) return '';
+    const date = value instanceof Date ? value : new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString(currentLanguage, options);
+}
+
+/**
+ * Formata um número no idioma atual (ex: 1.234 em pt-BR, 1,234 em inglês).
+ * @param {number} value - O número.
+ * @param {Intl.NumberFormatOptions} [options] - Opções do Intl.
+ * @returns {string}
+ */
+export function formatNumber(value, options) {
+    return new Intl.NumberFormat(currentLanguage, options).format(value);
+}
+
+/**
+ * Instrução acrescentada aos pedidos à IA: responder no idioma atual, mantendo os termos da capoeira
+ * em português e o formato pedido (marcadores e chaves JSON) sem tradução.
+ * @returns {string} '' em pt-BR.
+ */
+export function aiLanguageInstruction() {
+    if (currentLanguage === DEFAULT_LANGUAGE) return '';
+    return `Responda em ${LANGUAGES[currentLanguage].aiName}. Mantenha em português os termos da capoeira ` +
+        '(ex: ginga, roda, berimbau, axé, os nomes dos golpes e dos toques) e não traduza os marcadores de formato ' +
+        'nem as chaves JSON pedidos.';
+}
@@ -0,0 +1,704 @@
+// Catálogo de tradução: English
+
+export default {
+    'app.title': 'Capoeira: A Complete Visual Guide',
+    'app.brand': 'Capoeira Guide',
+
+    'language.label': 'Language',
+
+    'theme.toggle': 'Toggle light/dark mode',
+
+    'nav.estilos': 'Styles',
+    'nav.movimentos': 'Movements',
+    'nav.musica': 'Music',
+    'nav.historia': 'History',
+    'nav.academia': 'Academy',
+    'nav.grupos': 'Groups',
+
+    'estilos.title': 'Capoeira Standards and Styles',
+    'estilos.intro': 'Capoeira is a diverse art, divided mainly into three great branches. Each style has its own rhythm, movements and philosophy of the game. Explore below to understand the differences and discover the graduation system that marks a capoeirista\'s journey.',
+
+    'graduacao.title': 'Graduation System',
+    'graduacao.intro': 'Graduation in capoeira, symbolised by coloured cords, recognises the practitioner\'s progress. Although the sequence of colours may vary between groups, it always represents the stages of learning, from initiation to mastery.',
+
+    'movimentos.title': 'Kicks and Movements',
+    'movimentos.intro': 'Capoeira is a continuous bodily dialogue. Its movements combine fluid attacks, agile defences and acrobatic displacements. Use the filters below to explore a capoeirista\'s repertoire, from the basic kicks to the most complex ones.',
+    'movimentos.search': 'Search movement (name or nickname)...',
+
+    'musica.title': 'The Heart of the Roda: Music',
+    'musica.intro': 'Music is the soul of capoeira. It sets the rhythm, the energy and the style of the game. The orchestra, called the "bateria", leads the roda with traditional instruments, while the cantigas tell stories and keep the energy alive.',
+
+    'historia.title': 'Roots and Legacy',
+    'historia.intro': 'The history of capoeira is a journey of resistance, marginalisation and, finally, global recognition. Born from the struggle for freedom, it has become a symbol of Brazilian culture and an Intangible Cultural Heritage of Humanity.',
+
+    'academia.title': 'Academy Management and Logistics',
+    'academia.intro': 'Running a capoeira academy goes beyond teaching. It involves managing students, keeping the group\'s visual identity and acquiring the essential materials to create a safe and authentic environment for practice.',
+
+    'grupos.title': 'Capoeira Groups',
+    'grupos.intro': 'Capoeira is practised in communities and groups all over the world. Each group has its own identity, lineage of mestres and style of game. Explore below some examples of existing groups and their information.',
+    'grupos.search': 'Search by group, mestre or city...',
+
+    'ai.stop': 'Stop',
+
+    'ai.offline': 'You are offline. The AI tools need an internet connection; the rest of the guide is still available offline.',
+
+    'ai.empty': 'Could not generate content. Try a different phrase.',
+
+    'ai.interrupted': '(Answer interrupted.)',
+
+    'ai.stopped': 'Generation stopped.',
+
+    'ai.timeout': 'The server took too long to answer. Please try again later.',
+
+    'ai.error': 'Error: {message}',
+    'aiGuard.tooLong': 'The text is over the {max}-character limit. Please shorten your request.',
+    'aiGuard.injection': 'The request tries to change the tool\'s instructions and was not sent.',
+    'aiGuard.unsafe': 'This request cannot be answered. The guide\'s tools only deal with capoeira.',
+    'aiGuard.offTopic': 'This tool only answers about capoeira. Rephrase your request around capoeira, your group or your classes.',
+    'aiGuard.answer': 'The answer went off the topic of capoeira and was discarded. Try rephrasing your request.',
+
+    'ai.style.title': 'Style Finder ✨',
+    'ai.style.description': 'Describe your capoeira practice or what you like most about it to discover which style suits you best.',
+    'ai.style.placeholder': 'E.g.: I like slow, strategic games, where malandragem and the \'conversation\' between bodies matter most.',
+    'ai.style.button': 'Find My Style ✨',
+    'ai.style.output': 'Your Style:',
+
+    'ai.cantiga.title': 'Cantiga Generator ✨',
+    'ai.cantiga.description': 'Choose the type and structure and describe the theme: the artificial intelligence composes a complete cantiga, with solo and chorus. Review the text and save it to the songbook.',
+    'ai.cantiga.placeholder': 'Theme of the cantiga (e.g.: missing the mestre, the sea of Bahia)...',
+    'ai.cantiga.button': 'Compose Cantiga ✨',
+    'ai.cantiga.output': 'Your New Cantiga:',
+
+    'ai.guide.title': 'Detailed Movement Guide ✨',
+    'ai.guide.description': 'Get a concise step-by-step guide to performing the named capoeira movement.',
+    'ai.guide.placeholder': 'Type the name of the movement (e.g.: Ginga, Armada)...',
+    'ai.guide.button': 'Generate Detailed Guide ✨',
+    'ai.guide.output': 'Tutorial:',
+
+    'ai.training.title': 'Training Generator ✨',
+    'ai.training.description': 'Create a personalised training plan. Describe the focus (e.g.: "agility", "endurance", "training for beginners") and get a sequence of exercises.',
+    'ai.training.placeholder': 'E.g.: A half-hour session to improve my base and ginga.',
+    'ai.training.button': 'Generate Training Plan ✨',
+    'ai.training.output': 'Your Training Plan:',
+
+    'ai.abada.title': 'Abadá Idea Generator ✨',
+    'ai.abada.description': 'Describe your group\'s identity to get ideas for logos and uniforms.',
+    'ai.abada.placeholder': 'E.g.: A group focused on fast, acrobatic movements.',
+    'ai.abada.button': 'Generate Ideas ✨',
+    'ai.abada.output': 'Generated Ideas:',
+
+    'ai.chat.title': 'Talk with a Mestre ✨',
+    'ai.chat.description': 'Talk with the wisdom of a capoeira mestre. Ask about the philosophy of the art, its history or the movements. The mestre remembers what was said, and your conversations are saved in this browser.',
+    'ai.chat.placeholder': 'Ask the mestre a question...',
+    'ai.chat.button': 'Send',
+
+    'ai.contact.title': 'Group Contact Writer ✨',
+    'ai.contact.description': 'Draft a formal email or message to contact a capoeira group (to visit, join or ask about classes).',
+    'ai.contact.placeholder': 'E.g.: I am an intermediate student and would like to know about classes at your São Paulo branch and the monthly fees.',
+    'ai.contact.button': 'Generate Contact Draft ✨',
+    'ai.contact.output': 'Suggested Draft:',
+
+    'ai.toque.title': 'Berimbau Toque Generator ✨',
+    'ai.toque.description': 'Describe the feeling or style of game you want so the AI can suggest the right berimbau toque and its context.',
+    'ai.toque.placeholder': 'E.g.: A toque for a slow, strategic floor game.',
+    'ai.toque.button': 'Suggest Toque ✨',
+    'ai.toque.output': 'Suggested Toque:',
+
+    'students.title': 'Student Database',
+    'students.description': 'This form shows how a real-time registration system can work to manage student information. For this example the data is saved in a simulated database.',
+    'students.name': 'Full Name',
+    'students.group': 'Group you belong to',
+    'students.style': 'Capoeira style',
+    'students.stylePrompt': 'Capoeira style you practise',
+    'students.cordelPrompt': 'Graduation (cord)',
+    'students.batizado': 'Batizado Date',
+    'students.batizadoLabel': 'Batizado Date',
+    'students.email': 'Contact email',
+    'students.phone': 'Contact phone (e.g.: (71) 98765-4321)',
+    'students.submit': 'Save Student',
+    'students.listTitle': 'Registered Students',
+    'students.exportCsv': 'Export CSV',
+    'students.exportJson': 'Export JSON',
+    'students.search': 'Search by name or group...',
+    'students.allCordels': 'All graduations',
+    'students.loading': 'Loading students...',
+
+    'students.column.name': 'Name',
+    'students.column.group': 'Group',
+    'students.column.style': 'Style',
+    'students.column.cordel': 'Graduation',
+    'students.column.batizado': 'Batizado',
+    'students.column.email': 'Email',
+    'students.column.phone': 'Phone',
+    'students.column.actions': 'Actions',
+
+    'students.awaitingAuth': 'Waiting for database authentication...',
+    'students.fixFields': 'Please fix the highlighted fields.',
+    'students.saved': 'Student registered successfully!',
+    'students.saveError': 'Error saving: {message}',
+    'students.queued': 'Offline: registration stored on this device ({count} pending). It will be sent when the connection is back.',
+    'students.queueError': 'Offline, and the registration could not be stored on this device.',
+    'students.syncing': 'Syncing {count} registration(s) made offline...',
+    'students.syncPartial': '{synced} registration(s) synced; {remaining} still pending: {message}',
+    'students.synced': '{count} offline registration(s) synced successfully!',
+    'students.syncError': 'Could not sync the pending registrations.',
+    'students.reconnected': 'Connection restored. Reload the page to send {count} pending registration(s).',
+    'students.offline': 'Offline: new registrations will be stored on this device until the connection is back.',
+    'students.pending': '{count} registration(s) waiting for a connection to sync.',
+    'students.loadError': 'Error loading students: {message}',
+    'students.empty': 'No students registered yet.',
+    'students.noMatch': 'No students match these filters.',
+    'students.noAcademy': 'Create an academy or join one with an invite code to see the students.',
+    'students.count': '{visible} of {total} students.',
+    'students.confirmDelete': 'Delete the student "{name}"? This cannot be undone.',
+    'students.deleteError': 'Error deleting: {message}',
+    'students.action.save': 'Save',
+    'students.action.cancel': 'Cancel',
+    'students.action.edit': 'Edit',
+    'students.action.delete': 'Delete',
+
+    'validation.name.required': 'Enter the full name.',
+    'validation.name.digits': 'The name cannot contain numbers.',
+    'validation.group.required': 'Enter the group.',
+    'validation.style.required': 'Choose a style: {styles}.',
+    'validation.cordel.required': 'Choose a graduation from the group\'s cord system.',
+    'validation.batizado.required': 'Enter the batizado date.',
+    'validation.batizado.future': 'The batizado date cannot be in the future.',
+    'validation.batizado.invalid': 'Invalid batizado date.',
+    'validation.email.invalid': 'Enter a valid email (e.g.: name@example.com).',
+    'validation.email.duplicate': 'A student with this email already exists in this academy.',
+    'validation.phone.required': 'Enter the phone number.',
+    'validation.phone.invalid': 'Invalid phone number. Use area code + number (e.g.: (71) 98765-4321) or the country code (e.g.: +33 6 12 34 56 78).',
+
+    'movements.category.ataque': 'Attack',
+    'movements.category.defesa': 'Defence',
+    'movements.category.movimentacao': 'Movement',
+    'movements.difficulty.iniciante': 'Beginner',
+    'movements.difficulty.intermediario': 'Intermediate',
+    'movements.difficulty.avancado': 'Advanced',
+
+    'studentIo.error.jsonList': 'The JSON must contain a list of students.',
+    'studentIo.error.duplicateEmail': 'E-mail repeated in the file (line {line}).',
+    'studentIo.error.existingStudent': 'Student already registered (same name and phone).',
+    'studentIo.error.duplicateStudent': 'Student repeated in the file (line {line}).',
+    'studentIo.report.line': 'Line',
+    'studentIo.report.field': 'Field',
+    'studentIo.report.error': 'Error',
+    'studentIo.skipColumn': '(do not import)',
+    'studentIo.column': 'Column {number}',
+    'studentIo.rowOk': 'OK',
+    'studentIo.summary': '{valid} valid row(s), {invalid} with errors.',
+    'studentIo.confirm': 'Import {count} student(s)',
+    'studentIo.progress': 'Importing... {done} of {total}',
+    'studentIo.imported': '{count} student(s) imported.',
+    'studentIo.error.empty': 'The file has no student rows.',
+    'studentIo.error.read': 'Error reading the file: {message}',
+    'studentIo.error.import': 'Error importing after {count} student(s): {message}',
+
+    'cantigas.structure.resposta': 'Call and response (chorus after every line)',
+    'cantigas.structure.refrao': 'Verses with a chorus refrain',
+    'cantigas.structure.solo': 'Soloist only (no chorus)',
+    'cantigas.error.title': 'Enter the song title.',
+    'cantigas.error.type': 'Choose the song type.',
+    'cantigas.error.toque': 'Unknown toque.',
+    'cantigas.error.solo': 'Write the soloist\'s lines.',
+    'cantigas.error.coro': '{type} has chorus responses: mark them with "Coro:".',
+
+    'training.block.aquecimento': 'Warm-up',
+    'training.block.sequencia': 'Movement sequence',
+    'training.block.aprimoramento': 'Skill drills',
+    'training.block.alongamento': 'Cool-down/Stretching',
+    'training.field.sets': 'sets',
+    'training.field.reps': 'repetitions',
+    'training.field.duration': 'duration',
+    'training.field.rest': 'rest',
+    'training.error.title': 'The plan has no title.',
+    'training.error.emptyBlock': 'The "{block}" block has no exercises.',
+    'training.error.position': '{block}, exercise {number}',
+    'training.error.name': '{position}: the name is missing.',
+    'training.error.invalid': '{position} ({name}): invalid {field}.',
+    'training.error.belowMin': '{position} ({name}): {field} below the minimum ({min}).',
+    'training.error.load': '{position} ({name}): give the repetitions or the duration.',
+    'training.error.noJson': 'The answer did not include the plan in the expected format.',
+    'training.error.badJson': 'The answer contained a malformed plan.',
+    'training.reps': '{count} reps',
+    'training.rest': 'rest {duration}',
+    'training.restStep': 'Rest',
+    'training.goal': 'Goal: {goal}',
+    'training.timed': 'Timed work: {duration}',
+    'training.print.exercise': 'Exercise',
+    'training.print.load': 'Load',
+    'training.print.notes': 'Notes',
+
+    'events.type.batizado': 'Batizado and cord ceremony',
+    'events.type.roda': 'Roda',
+    'events.error.type': 'Choose the event type.',
+    'events.error.title': 'Enter the event name.',
+    'events.error.date': 'Enter the event date.',
+    'events.error.timeFormat': 'Use the HH:MM format.',
+    'events.error.startMissing': 'Enter the start time too.',
+    'events.error.endBeforeStart': 'The end must be after the start.',
+    'events.error.location': 'Enter the location.',
+    'events.error.participants': 'Choose the students who will receive a cord.',
+    'events.error.nextCordel': 'Choose the new cord for every participant.',
+    'events.dateTimeRange': '{date}, {start} to {end}',
+    'events.visitingMestres': 'Visiting mestres: {names}',
+    'events.receivingCord': '{count} student(s) receiving a cord',
+    'events.confirmed': '{count} student(s) confirmed',
+    'events.print.name': 'Name',
+    'events.print.group': 'Group',
+    'events.print.currentCord': 'Current cord',
+    'events.print.nextCord': 'New cord',
+    'events.print.playedWith': 'Played with',
+    'events.print.cordel': 'Grade',
+    'events.print.presence': 'Attendance',
+    'events.print.noParticipants': 'No students signed up.',
+    'events.certificate.title': 'Graduation Certificate',
+    'events.certificate.intro': 'This certifies that',
+    'events.certificate.body': 'received the {cord} cord at “{event}”, held on {date} at {location}.',
+    'events.certificate.academy': 'Academy head',
+
+    'attendance.error.date': 'Enter the class date.',
+    'attendance.error.future': 'Attendance can only be recorded for classes that already took place.',
+    'attendance.error.turma': 'Enter the class group.',
+    'attendance.error.instructor': 'Enter the instructor.',
+    'attendance.error.present': 'Mark at least one student as present.',
+
+    'finance.category.instrumento': 'Instrument',
+    'finance.category.uniforme': 'Uniform',
+    'finance.category.outro': 'Other',
+    'finance.status.pago': 'Paid',
+    'finance.status.aberto': 'Open',
+    'finance.status.atrasado': 'Overdue',
+    'finance.error.name': 'Enter the item.',
+    'finance.error.category': 'Choose the category.',
+    'finance.error.quantity': 'The quantity must be a whole number greater than zero.',
+    'finance.error.unitCost': 'Enter the unit cost (e.g. 150.00).',
+    'finance.error.purchaseDate': 'Enter the purchase date.',
+    'finance.error.student': 'Choose the student.',
+    'finance.error.month': 'Enter the billing month.',
+    'finance.error.amount': 'Enter the fee amount.',
+    'finance.error.dueDate': 'Enter the due date.',
+    'finance.error.paidAt': 'Invalid payment date.',
+
+    'cords.year': '{count} year',
+    'cords.years': '{count} years',
+    'cords.month': '{count} month',
+    'cords.months': '{count} months',
+    'cords.and': ' and ',
+    'cords.noMinTime': 'no minimum time',
+    'cords.minTimeTitle': 'at least {time} at the previous level',
+    'cords.minTime': 'min. {time}',
+    'academies.role.mestre': 'Mestre / administration',
+    'academies.role.professor': 'Professor / instructor',
+    'academies.role.aluno': 'Student',
+    'academies.invite.notFound': 'Invite not found. Check the code.',
+    'academies.invite.used': 'This invite has already been used.',
+    'academies.invite.expired': 'This invite has expired. Ask your mestre or professor for a new one.',
+    'chat.persona.sabio': 'Wise mestre',
+    'chat.persona.angola': 'Angoleiro mestre',
+    'chat.persona.regional': 'Regional mestre',
+    'chat.newSession': 'New conversation',
+    'chat.export.title': 'Dialogue with a Mestre — {persona}',
+    'chat.export.you': 'You',
+    'chat.export.mestre': 'Mestre',
+    'chat.start': 'Start the conversation...',
+    'chat.confirmDelete': 'Delete this conversation?',
+    'chat.confirmClear': 'Delete all saved conversations?',
+
+    'movements.imageAlt': 'Picture of the {name} movement',
+    'movements.noMatch': 'No movement matches these filters.',
+    'movements.aliases': 'Also known as: {aliases}',
+    'movements.linkCopied': 'Link copied!',
+    'movements.copyLink': 'Copy link',
+    'movements.loadError': 'Could not load the movements.',
+    'toques.play': '▶ Play',
+    'toques.stop': '■ Stop',
+    'toques.audioError': 'Your browser could not play the audio.',
+    'toques.loadError': 'Could not load the toques.',
+    'toques.listen': '▶ Hear {name}',
+
+    'common.edit': 'Edit',
+    'common.delete': 'Delete',
+    'common.cancel': 'Cancel',
+    'common.open': 'Open',
+    'common.awaitingAuth': 'Waiting for database authentication...',
+    'common.fixFields': 'Fix the highlighted fields.',
+    'common.saveError': 'Error saving: {message}',
+    'common.deleteError': 'Error deleting: {message}',
+    'cantigas.favorite': 'Add "{title}" to favourites',
+    'cantigas.unfavorite': 'Remove "{title}" from favourites',
+    'cantigas.toque': 'Toque: {name}',
+    'cantigas.coro': 'Coro',
+    'cantigas.action.listen': '▶ Hear the toque',
+    'cantigas.noMatch': 'No cantiga matches these filters.',
+    'cantigas.confirmDelete': 'Delete the cantiga "{title}" from the songbook?',
+    'cantigas.loadError': 'Could not load the traditional cantigas.',
+    'cantigas.noToque': 'No toque set',
+    'cantigas.myComposition': 'My composition',
+    'cantigas.saved': 'Cantiga saved to the songbook.',
+    'cantigas.saveError': 'Could not save the cantiga in this browser.',
+
+    'training.timer.done': 'Workout complete. Axé!',
+    'training.timer.next': 'Next: {label}',
+    'training.timer.pause': '❚❚ Pause',
+    'training.timer.start': '▶ Start',
+    'training.exerciseDone': 'Done: {name}',
+    'training.fallbackTitle': 'Your Training Plan:',
+    'training.checklistError': 'Could not build the checklist: {error}',
+    'training.progress': '{done} of {total} exercises done',
+    'training.libraryEmpty': 'No saved plans. Generate a plan and save it here.',
+    'training.saved': 'Plan saved to your library.',
+    'training.saveError': 'Could not save the plan in this browser.',
+    'training.confirmDelete': 'Delete the plan "{title}"?',
+
+    'finance.chart.value': 'Value',
+    'finance.chart.income': 'Income',
+    'finance.chart.expenses': 'Expenses',
+    'finance.summary.income': 'Income this month',
+    'finance.summary.expenses': 'Expenses this month',
+    'finance.summary.open': 'Open fees',
+    'finance.summary.late': 'Late fees',
+    'finance.summary.inventory': 'Inventory value',
+    'finance.paidOn': '{status} on {date}',
+    'finance.action.pay': 'Record payment',
+    'finance.action.unpay': 'Undo',
+    'finance.fees.empty': 'No fees for this month.',
+    'finance.fees.summary': '{paid} received of {total} ({count} fee(s)).',
+    'finance.fees.monthRequired': 'Choose the month.',
+    'finance.fees.amountRequired': 'Enter the fee amount (e.g. 100,00).',
+    'finance.fees.dueDayInvalid': 'The due day must be between 1 and 31.',
+    'finance.fees.noStudents': 'Register students to generate the fees.',
+    'finance.fees.allGenerated': 'Every student already has the fee for {month}.',
+    'finance.fees.generated': '{count} fee(s) generated for {month}.',
+    'finance.fees.generateError': 'Error generating fees: {message}',
+    'finance.fees.confirmDelete': 'Delete the fee for {name} ({month})?',
+    'finance.fees.loadError': 'Error loading fees: {message}',
+    'finance.inventory.empty': 'No items in the inventory. E.g. berimbau (R$ 150), pandeiro (R$ 80), atabaque (R$ 250).',
+    'finance.inventory.count': '{count} item(s).',
+    'finance.inventory.add': 'Add to Inventory',
+    'finance.inventory.saveItem': 'Save Item',
+    'finance.inventory.confirmDelete': 'Delete "{name}" from the inventory?',
+    'finance.inventory.loadError': 'Error loading the inventory: {message}',
+
+    'common.noStudentMatch': 'No student found.',
+    'events.loadError': 'Error loading events: {message}',
+    'events.include': 'Include {name}',
+    'events.lowAttendance': 'Attendance below the minimum: {rate}% (min. {threshold}%)',
+    'events.nextCordel': 'New cord for {name}',
+    'events.noStudents': 'Register students to add them to the event.',
+    'events.form.new': 'New event',
+    'events.form.edit': 'Edit: {title}',
+    'events.saved': 'Event saved!',
+    'events.past': '{title} (past)',
+    'events.receivingCount': '{count} student(s) receiving a cord',
+    'events.studentCount': '{count} student(s)',
+    'events.lowAttendanceCount': '{count} student(s) below the minimum attendance of {threshold}%.',
+    'events.action.printList': 'Ceremony list',
+    'events.action.ics': 'Calendar (.ics)',
+    'events.action.certificates': 'Certificates',
+    'events.empty': 'No events yet.',
+    'events.count': '{count} event(s).',
+    'events.confirmDelete': 'Delete the event "{title}"? This cannot be undone.',
+    'events.nothingToExport': 'No events to export.',
+
+    'attendance.chart.checkins': 'Check-ins',
+    'attendance.chart.average': 'Average per class',
+    'attendance.chart.averageAxis': 'Average',
+    'attendance.loadError': 'Error loading classes: {message}',
+    'attendance.noStudents': 'Register students to take the roll.',
+    'attendance.presentCount': '{count} present',
+    'attendance.form.new': 'Record class',
+    'attendance.form.edit': 'Edit class of {date}',
+    'attendance.saved': 'Attendance saved: {count} student(s).',
+    'attendance.confirmDelete': 'Delete the {turma} class on {date}?',
+    'attendance.empty': 'No classes recorded yet.',
+    'attendance.count': '{count} class(es) recorded.',
+    'attendance.history.none': 'No attendance recorded.',
+    'attendance.history.summary': '{attended} of {total} classes ({rate}%)',
+    'attendance.history.present': 'Present',
+    'attendance.history.absent': 'Absent',
+    'attendance.flagged.rate': '{name}: {rate}% ({attended} of {total} classes)',
+    'attendance.flagged.none': '{name}: no attendance in the period',
+    'attendance.flagged.noSessions': 'Record classes to track attendance.',
+    'attendance.flagged.allAbove': 'Every student is above the minimum.',
+
+    'auth.memoryMode': 'Local mode: the data stays on this page only.',
+    'auth.offline': 'Offline: records will be kept on this device and sent when the connection returns.',
+    'auth.firebaseMissing': 'Startup error: Firebase did not load.',
+    'auth.signedIn': 'Signed in. User ID: {id}',
+    'auth.error': 'Authentication error: {message}',
+    'auth.initError': 'Error starting Firebase. Check the configuration.',
+    'account.error.credentials': 'Wrong e-mail or password.',
+    'account.error.email': 'Enter a valid e-mail.',
+    'account.error.emailInUse': 'An account with this e-mail already exists. Use "Sign in".',
+    'account.error.password': 'The password must have at least 6 characters.',
+    'account.error.tooManyRequests': 'Too many attempts. Try again in a few minutes.',
+    'account.error.generic': 'Error: {message}',
+    'account.connected': 'Signed-in account',
+    'account.invitesLoadError': 'Error loading invites: {message}',
+    'account.membersLoadError': 'Error loading members: {message}',
+    'account.academyLoadError': 'Error loading the academy: {message}',
+    'account.hasAccess': '{name} (already has access)',
+    'account.noInvites': 'No pending invites.',
+    'account.inviteExpired': 'expired',
+    'account.inviteValidUntil': 'valid until {date}',
+    'account.action.copy': 'Copy',
+    'account.action.revoke': 'Revoke',
+    'account.action.remove': 'Remove',
+    'account.copied': 'Copied!',
+    'account.you': '{role} (you)',
+    'account.roleOf': 'Role of {name}',
+    'account.created': 'Account created. Use the same e-mail and password to sign in on other devices.',
+    'account.signOutError': 'Error signing out: {message}',
+    'account.academyNameRequired': 'Enter the academy name.',
+    'account.academyCreated': 'Academy "{name}" created. Invite the teachers and students below.',
+    'account.academyCreateError': 'Error creating the academy: {message}',
+    'account.invalidCode': 'Invalid code: use the XXXX-XXXX format.',
+    'account.joined': 'You joined {name} as {role}.',
+    'account.roleChanged': 'Your role in the academy changed to {role}.',
+    'account.removedFromAcademy': 'You are no longer a member of {name}.',
+    'account.joinError': 'Could not join the academy: {message}',
+    'account.inviteStudentRequired': 'Choose the invited student\'s record.',
+    'account.inviteCreated': 'Invite {code} created. Send the code to the invited person.',
+    'account.inviteCreateError': 'Error creating the invite: {message}',
+    'account.confirmRevoke': 'Revoke invite {code}?',
+    'account.revokeError': 'Error revoking the invite: {message}',
+    'account.roleError': 'Error changing the role: {message}',
+    'account.confirmRemove': 'Remove {name} from the academy?',
+    'account.removeError': 'Error removing the member: {message}',
+
+    'groups.headquartersMark': '{location} (headquarters)',
+    'groups.logoAlt': 'Logo of Grupo {name}',
+    'groups.info.masters': 'Mestres',
+    'groups.info.headquarters': 'Headquarters',
+    'groups.info.branches': 'Branches',
+    'groups.info.estilos': 'Styles',
+    'groups.info.address': 'Address',
+    'groups.info.phone': 'Phone',
+    'groups.info.website': 'Website',
+    'groups.info.email': 'E-mail',
+    'groups.noMatch': 'No group matches these filters.',
+    'groups.founded': 'Founded in {year}',
+    'groups.loadError': 'Could not load the groups.',
+
+    'estilos.visual': 'Visual space to tell the Capoeira styles apart',
+    'estilos.angola': 'Known for its slowness, malandragem and low movements. Its players move close to the ground, using the ginga in a deceptive way. The music is slower and more measured, and the roda usually lacks the speed of Regional. The focus is on strategy, body play and the dialogue between bodies.',
+    'estilos.regional': 'Created by Mestre Bimba, Capoeira Regional is faster and more direct, with straighter, more acrobatic movements. Mestre Bimba codified it and made it a respected martial art. The music is quicker, and the game is dynamic and combat-focused. Its roda rituals, such as the "Bimba sequence", are standardised.',
+    'estilos.contemporanea': 'It blends the two previous styles, mixing the cunning of Angola with the agility of Regional. It is the most widely practised today and varies a lot between groups. Most of the cord grading systems we know today were set up by groups that identify with this style.',
+    'graduacao.groupSelect': 'Group cord system',
+    'graduacao.reference': 'Reference system',
+    'movimentos.filter.all': 'All',
+    'common.filterEstilo': 'Filter by style',
+    'common.allEstilos': 'All styles',
+    'movimentos.filterDifficulty': 'Filter by difficulty',
+    'movimentos.allDifficulties': 'All difficulties',
+    'movimentos.loading': 'Loading movements...',
+    'common.close': 'Close',
+    'movimentos.prerequisites': 'Prerequisites',
+    'movimentos.counters': 'How to respond',
+    'movimentos.guide': 'Detailed Guide ✨',
+
+    'training.timer.skip': 'Skip',
+    'training.timer.reset': 'Restart',
+    'training.save': 'Save to my library',
+    'training.printButton': 'Print',
+    'training.library': 'My training plans',
+    'musica.berimbau': 'The main instrument. It sets the rhythm (toque) and the kind of game. There are three types: Gunga (low), Médio and Viola (high).',
+    'musica.pandeiro': 'It keeps the beat alongside the berimbau. It is the most versatile percussion instrument in the roda.',
+    'musica.atabaque': 'A leather drum that gives the main beat, the "heart" of the bateria, holding the rhythmic base.',
+    'musica.types': 'Types of Cantigas',
+    'musica.ladainhas': 'Sung at the start of the roda, usually by a mestre. They tell stories and help the players warm up and focus.',
+    'musica.corridos': 'Short, fast songs with a refrain answered in chorus by everyone, following the course of the game.',
+    'musica.quadras': 'Four-line songs about everyday life, history or important figures of capoeira.',
+    'musica.louvacoes': 'They follow the ladainha: the soloist salutes God, the mestre and capoeira ("Iê, viva meu Deus") and the chorus repeats, adding "camará".',
+    'musica.cancioneiro.title': 'Songbook',
+    'musica.cancioneiro.intro': 'Traditional cantigas and the ones you save. The soloist\'s lines and the chorus responses are shown apart; press "Hear the toque" to play along on the berimbau.',
+    'cantigas.search': 'Search by title or line...',
+    'cantigas.filterType': 'Filter by type',
+    'cantigas.allTypes': 'All types',
+    'cantigas.favoritesOnly': 'Favourites only',
+    'cantigas.type': 'Cantiga type',
+    'cantigas.structureLabel': 'Structure',
+    'cantigas.size': 'Length',
+    'cantigas.verses4': 'About 4 lines',
+    'cantigas.verses8': 'About 8 lines',
+    'cantigas.verses12': 'About 12 lines',
+    'cantigas.toqueLabel': 'Toque',
+    'cantigas.title': 'Title',
+    'cantigas.lines': 'Lines',
+    'cantigas.linesHelp': 'One line per row. Start the chorus responses with "Coro:" and the soloist\'s lines with "Solo:".',
+    'cantigas.save': 'Save to the songbook',
+    'cantigas.new': 'New cantiga',
+    'musica.toques.title': 'Berimbau Toques',
+    'musica.toques.intro': 'Choose a toque to hear a synthesised version. The notation is simplified for study:',
+    'musica.toques.dom': 'open string',
+    'musica.toques.dim': 'stone on the string',
+    'musica.toques.chi': 'buzz',
+    'musica.toques.and': 'and',
+    'musica.toques.tempo': 'Tempo',
+    'musica.toques.loop': 'Loop',
+
+    'historia.origens.title': 'Roots in Slavery',
+    'historia.origens.text': 'It arose in colonial Brazil as a form of self-defence and cultural resistance by enslaved Africans, disguised as a dance so it would not be suppressed. The movements were practised in secret to fool the plantation owners, who saw them not as a form of combat but as a folk tradition.',
+    'historia.marginalizacao.title': 'Marginalisation',
+    'historia.marginalizacao.text': 'After the abolition of slavery, capoeira was linked to vagrancy and crime. In 1890 the Penal Code of the Republic banned it outright, driving its practice underground. Capoeira lived on in alleys and suburbs, kept alive by practitioners who defied the law to preserve the art.',
+    'historia.legalizacao.title': 'Legalisation and Formalisation',
+    'historia.legalizacao.text': 'Capoeira Regional, created by Mestre Bimba, was key to its legalisation. By presenting the art to then-president Getúlio Vargas in 1937, Mestre Bimba won official recognition of capoeira as a Brazilian martial art. Its formalisation in academies and a structured teaching method helped change public perception.',
+    'historia.reconhecimento.title': 'Worldwide Recognition',
+    'historia.reconhecimento.text': 'Recognition by UNESCO in 2014 crowned a long journey. The capoeira roda, with its songs, instruments and movements, was declared Intangible Cultural Heritage of Humanity. The title cemented capoeira as a symbol of Brazilian culture and identity, furthering its preservation and spread around the world.',
+    'historia.mestres.title': 'Great Mestres',
+    'historia.bimba.alt': 'Photo of Mestre Bimba, creator of Capoeira Regional.',
+    'historia.bimba.text': 'Manoel dos Reis Machado, the father of Capoeira Regional. He created the first teaching method, with sequences and rituals, turning capoeira into a respected, structured martial art.',
+    'historia.pastinha.alt': 'Photo of Mestre Pastinha, guardian of Capoeira Angola.',
+    'historia.pastinha.text': 'Vicente Ferreira Pastinha, the great guardian of Capoeira Angola. He defended capoeira in its essence, valuing tradition, cunning, music and the philosophy of the game as a cultural expression.',
+    'chat.personaSelect': 'Mestre persona',
+    'chat.sessions': 'Saved conversations',
+    'chat.action.new': 'New',
+    'chat.action.export': 'Export',
+    'chat.action.delete': 'Delete',
+    'chat.action.clear': 'Delete all',
+
+    'account.title': 'Account and Academy',
+    'auth.waiting': 'Waiting for authentication...',
+    'account.hint': 'Sign in with e-mail and password to reach your academy on any device.',
+    'account.email': 'E-mail',
+    'account.password': 'Password (at least 6 characters)',
+    'account.signIn': 'Sign in',
+    'account.signUp': 'Create account',
+    'account.signOut': 'Sign out',
+    'account.createTitle': 'Create an academy',
+    'account.createHint': 'You will be the mestre (administration) and can invite professores and students.',
+    'account.academyName': 'Academy name',
+    'account.create': 'Create',
+    'account.joinTitle': 'Join with an invite',
+    'account.inviteCode': 'Invite code (e.g. K7QM-2XPA)',
+    'account.join': 'Join the academy',
+    'account.invites': 'Invites',
+    'account.invitesHint': 'Each code works for one person, for 7 days. Student invites only give access to the chosen record.',
+    'account.inviteRole': 'Invitee role',
+    'account.inviteStudent': 'Student record',
+    'account.inviteStudentPrompt': 'Choose the student record',
+    'account.createInvite': 'Create invite',
+    'account.members': 'Members',
+    'students.cordel': 'Grade',
+    'students.import': 'Import CSV/JSON',
+    'studentIo.title': 'Import students',
+    'studentIo.hint': 'Check which file column matches each field. Only the valid rows will be saved.',
+    'studentIo.preview.row': 'Row',
+    'studentIo.preview.status': 'Status',
+    'studentIo.confirmButton': 'Import',
+    'studentIo.reportButton': 'Download error report',
+    'students.filterCordel': 'Filter by grade',
+
+    'events.title': 'Events: Batizados and Rodas',
+    'events.exportAll': 'Export calendar (.ics)',
+    'events.typeLabel': 'Event type',
+    'events.date': 'Event date',
+    'events.name': 'Event name (e.g. Batizado 2026)',
+    'events.start': 'Start',
+    'events.end': 'End',
+    'events.location': 'Place',
+    'events.mestres': 'Visiting mestres, separated by commas',
+    'events.students': 'Students',
+    'common.searchStudent': 'Search student...',
+    'events.column.joins': 'Takes part',
+    'events.column.cordel': 'Current cord',
+    'events.column.nextCordel': 'New cord',
+    'events.save': 'Save Event',
+    'events.listTitle': 'Upcoming and past',
+    'events.loading': 'Loading events...',
+    'attendance.title': 'Attendance and Classes',
+    'attendance.date': 'Class date',
+    'attendance.turma': 'Class group (e.g. Adults evening)',
+    'attendance.instructor': 'Instructor',
+    'attendance.rollCall': 'Roll call',
+    'attendance.checkAll': 'Mark all',
+    'attendance.clear': 'Clear',
+    'attendance.save': 'Save Attendance',
+    'attendance.listTitle': 'Latest classes',
+    'attendance.loading': 'Loading classes...',
+    'attendance.byMonth': 'Attendance by month',
+    'attendance.filterTurma': 'Filter by class group',
+    'attendance.allTurmas': 'All class groups',
+    'attendance.byTurma': 'By class group',
+    'attendance.filterMonth': 'Filter by month',
+    'attendance.allMonths': 'Whole period',
+    'attendance.column.turma': 'Class group',
+    'attendance.column.sessions': 'Classes',
+    'attendance.column.average': 'Average present',
+    'attendance.column.instructors': 'Instructors',
+    'attendance.history.title': 'Student history',
+    'attendance.chooseStudent': 'Choose a student',
+    'attendance.threshold.title': 'Minimum attendance for the batizado',
+    'attendance.threshold.before': 'At least',
+    'attendance.threshold.after': '% of classes in the last',
+    'attendance.period.1': '1 month',
+    'attendance.period.3': '3 months',
+    'attendance.period.6': '6 months',
+    'attendance.period.12': '12 months',
+
+    'finance.title': 'Academy Finances',
+    'finance.flowTitle': 'Income vs Expenses (last 12 months)',
+    'finance.statusTitle': 'Fees by status',
+    'finance.feesTitle': 'Monthly fees',
+    'finance.fees.month': 'Month',
+    'finance.fees.amount': 'Amount (R$)',
+    'finance.fees.dueDay': 'Due day',
+    'finance.fees.generate': 'Generate this month\'s fees',
+    'finance.fees.filterStatus': 'Filter by status',
+    'finance.fees.allStatuses': 'All statuses',
+    'finance.fees.column.student': 'Student',
+    'finance.fees.column.amount': 'Amount',
+    'finance.fees.column.due': 'Due',
+    'finance.fees.column.status': 'Status',
+    'finance.inventory.title': 'Inventory',
+    'finance.inventory.name': 'Item (e.g. Berimbau gunga)',
+    'finance.inventory.category': 'Category',
+    'finance.inventory.date': 'Purchase date',
+    'finance.inventory.quantity': 'Quantity',
+    'finance.inventory.unitCost': 'Unit cost (R$)',
+    'finance.inventory.column.item': 'Item',
+    'finance.inventory.column.quantity': 'Qty',
+    'finance.inventory.column.unitCost': 'Unit cost',
+    'finance.inventory.column.total': 'Total',
+    'finance.inventory.column.date': 'Purchased',
+    'finance.inventory.loading': 'Loading inventory...',
+    'academia.fundamentos.title': 'Fundamentos and Batizados',
+    'academia.fundamentos.alt': 'Picture of a capoeira batizado ceremony.',
+    'academia.fundamentos.batizadoBefore': 'The',
+    'academia.fundamentos.batizado': 'is the ceremony where a student officially enters capoeira, playing with a mestre or professor and receiving their first cord.',
+    'academia.fundamentos.fundamentosBefore': 'The',
+    'academia.fundamentos.fundamentos': 'are the body of theoretical and practical knowledge that underpins the art.',
+    'academia.abadas.title': 'Clothing (Abadás)',
+    'academia.abadas.altMan': 'Picture of a man wearing an abadá and cordel.',
+    'academia.abadas.altWoman': 'Picture of a woman wearing an abadá and cordel.',
+    'academia.abadas.text': 'The standard uniform is the abadá: white trousers and a t-shirt with the group symbol. It is worn in training, and the full uniform is required at ceremonies such as the batizado.',
+    'academia.materiais.title': 'Essential Equipment',
+    'academia.materiais.altBerimbau': 'Picture of a berimbau.',
+    'academia.materiais.altPandeiro': 'Picture of a pandeiro.',
+    'academia.materiais.altAtabaque': 'Picture of an atabaque.',
+    'academia.materiais.instrumentsLabel': 'Instruments:',
+    'academia.materiais.instruments': 'Berimbaus (gunga, médio, viola), pandeiros and an atabaque.',
+    'academia.materiais.clothingLabel': 'Clothing:',
+    'academia.materiais.clothing': 'Abadás for students and teachers.',
+    'academia.materiais.safetyLabel': 'Safety:',
+    'academia.materiais.safety': 'Mats for acrobatics training.',
+    'academia.materiais.supportLabel': 'Support:',
+    'academia.materiais.support': 'Sound system and whiteboard for theory classes.',
+    'academia.materiais.inventoryValue': 'Inventory Value',
+    'academia.materiais.inventoryEmpty': 'Add instruments and uniforms in "Academy Finances" to see the inventory value.',
+    'grupos.filterCountry': 'Filter by country',
+    'grupos.allCountries': 'All countries',
+    'grupos.map.title': 'Map of headquarters and branches',
+    'grupos.map.view': 'Map framing',
+    'grupos.map.world': 'World',
+    'grupos.map.brazil': 'Brazil',
+    'grupos.map.label': 'Map with the groups\' headquarters and branches',
+    'grupos.loading': 'Loading groups...',
+    'grupos.back': '← Back to groups',
+    'grupos.page.contact': 'Contact',
+    'grupos.page.locations': 'Headquarters and branches',
+    'grupos.page.cords': 'Cord system',
+    'grupos.page.map': 'Map with the group\'s headquarters and branches'
+};
@@ -0,0 +1,704 @@
+// Catálogo de tradução: Español
+
+export default {
+    'app.title': 'Capoeira: Guía Completa y Visual',
+    'app.brand': 'Guía de la Capoeira',
+
+    'language.label': 'Idioma',
+
+    'theme.toggle': 'Cambiar modo día/noche',
+
+    'nav.estilos': 'Estilos',
+    'nav.movimentos': 'Movimientos',
+    'nav.musica': 'Música',
+    'nav.historia': 'Historia',
+    'nav.academia': 'Academia',
+    'nav.grupos': 'Grupos',
+
+    'estilos.title': 'Patrón y Estilos de la Capoeira',
+    'estilos.intro': 'La capoeira es un arte diverso, dividido principalmente en tres grandes vertientes. Cada estilo tiene características propias en el ritmo, los movimientos y la filosofía del juego. Explora abajo para entender las diferencias y descubrir el sistema de graduación que marca el camino del capoeirista.',
+
+    'graduacao.title': 'Sistema de Graduación',
+    'graduacao.intro': 'La graduación en la capoeira, simbolizada por cuerdas de colores, reconoce la evolución del practicante. Aunque la secuencia de colores puede variar entre los grupos, siempre representa las etapas del aprendizaje, desde la iniciación hasta la maestría.',
+
+    'movimentos.title': 'Golpes y Movimientos',
+    'movimentos.intro': 'La capoeira es un diálogo corporal continuo. Sus movimientos combinan ataques fluidos, defensas ágiles y desplazamientos acrobáticos. Usa los filtros de abajo para explorar el repertorio de un capoeirista, desde los golpes básicos hasta los más complejos.',
+    'movimentos.search': 'Buscar movimiento (nombre o apodo)...',
+
+    'musica.title': 'El Corazón de la Roda: la Música',
+    'musica.intro': 'La música es el alma de la capoeira. Ella marca el ritmo, la energía y el estilo del juego. La orquesta, llamada "bateria", conduce la roda con instrumentos tradicionales, mientras las cantigas cuentan historias y mantienen viva la energía.',
+
+    'historia.title': 'Raíces y Legado',
+    'historia.intro': 'La historia de la capoeira es un camino de resistencia, marginación y, finalmente, reconocimiento mundial. Nacida de la lucha por la libertad, se convirtió en un símbolo de la cultura brasileña y en Patrimonio de la Humanidad.',
+
+    'academia.title': 'Gestión y Logística de la Academia',
+    'academia.intro': 'Organizar una academia de capoeira va más allá de la enseñanza. Incluye la gestión de los alumnos, el cuidado de la identidad visual del grupo y la compra de los materiales esenciales para crear un ambiente seguro y auténtico para la práctica.',
+
+    'grupos.title': 'Grupos de Capoeira',
+    'grupos.intro': 'La capoeira se practica en comunidades y grupos de todo el mundo. Cada grupo tiene su propia identidad, linaje de mestres y estilo de juego. Explora abajo algunos ejemplos de grupos existentes y su información.',
+    'grupos.search': 'Buscar por grupo, mestre o ciudad...',
+
+    'ai.stop': 'Detener',
+
+    'ai.offline': 'Estás sin conexión. Las herramientas de IA necesitan internet; el resto de la guía sigue disponible sin conexión.',
+
+    'ai.empty': 'No se pudo generar contenido. Prueba con otra frase.',
+
+    'ai.interrupted': '(Respuesta interrumpida.)',
+
+    'ai.stopped': 'Generación interrumpida.',
+
+    'ai.timeout': 'El servidor tardó demasiado en responder. Inténtalo de nuevo más tarde.',
+
+    'ai.error': 'Error: {message}',
+    'aiGuard.tooLong': 'El texto supera el límite de {max} caracteres. Resume tu pedido.',
+    'aiGuard.injection': 'El pedido intenta cambiar las instrucciones de la herramienta y no se envió.',
+    'aiGuard.unsafe': 'Este pedido no puede atenderse. Las herramientas de la guía solo tratan de capoeira.',
+    'aiGuard.offTopic': 'Esta herramienta solo responde sobre capoeira. Reformula el pedido hablando de la capoeira, del grupo o de las clases.',
+    'aiGuard.answer': 'La respuesta se salió del tema de la capoeira y fue descartada. Intenta reformular el pedido.',
+
+    'ai.style.title': 'Identificador de Estilo ✨',
+    'ai.style.description': 'Describe tu práctica de capoeira o lo que más te gusta de ella para descubrir qué estilo va más contigo.',
+    'ai.style.placeholder': 'Ej.: Me gustan los juegos lentos y estratégicos, donde la malandragem y la \'conversación\' entre los cuerpos es lo más importante.',
+    'ai.style.button': 'Identificar Estilo ✨',
+    'ai.style.output': 'Tu Estilo:',
+
+    'ai.cantiga.title': 'Generador de Cantigas ✨',
+    'ai.cantiga.description': 'Elige el tipo y la estructura y describe el tema: la inteligencia artificial compone una cantiga completa, con solo y coro. Revisa el texto y guárdalo en el cancionero.',
+    'ai.cantiga.placeholder': 'Tema de la cantiga (ej.: la nostalgia del mestre, el mar de Bahía)...',
+    'ai.cantiga.button': 'Componer Cantiga ✨',
+    'ai.cantiga.output': 'Tu Nueva Cantiga:',
+
+    'ai.guide.title': 'Guía Detallada de Movimientos ✨',
+    'ai.guide.description': 'Obtén una guía paso a paso concisa para ejecutar el movimiento de capoeira indicado.',
+    'ai.guide.placeholder': 'Escribe el nombre del movimiento (ej.: Ginga, Armada)...',
+    'ai.guide.button': 'Generar Guía Detallada ✨',
+    'ai.guide.output': 'Tutorial:',
+
+    'ai.training.title': 'Generador de Entrenamiento ✨',
+    'ai.training.description': 'Crea un plan de entrenamiento personalizado. Describe el enfoque (ej.: "agilidad", "resistencia", "entrenamiento para principiantes") y recibe una secuencia de ejercicios.',
+    'ai.training.placeholder': 'Ej.: Un entrenamiento de media hora para mejorar la base y la ginga.',
+    'ai.training.button': 'Generar Plan de Entrenamiento ✨',
+    'ai.training.output': 'Tu Plan de Entrenamiento:',
+
+    'ai.abada.title': 'Generador de Ideas para Abadás ✨',
+    'ai.abada.description': 'Describe la identidad de tu grupo para recibir ideas de logotipos y uniformes.',
+    'ai.abada.placeholder': 'Ej.: Un grupo enfocado en movimientos acrobáticos y rápidos.',
+    'ai.abada.button': 'Generar Ideas ✨',
+    'ai.abada.output': 'Ideas Generadas:',
+
+    'ai.chat.title': 'Diálogo con un Mestre ✨',
+    'ai.chat.description': 'Conversa con la sabiduría de un mestre de capoeira. Pregunta sobre la filosofía de la lucha, la historia o los movimientos. El mestre recuerda lo que se dijo, y tus conversaciones quedan guardadas en este navegador.',
+    'ai.chat.placeholder': 'Hazle una pregunta al mestre...',
+    'ai.chat.button': 'Enviar',
+
+    'ai.contact.title': 'Redactor de Contacto con Grupos ✨',
+    'ai.contact.description': 'Crea un borrador de correo o mensaje formal para contactar a un grupo de capoeira (para visitar, unirte o preguntar por las clases).',
+    'ai.contact.placeholder': 'Ej.: Soy alumno intermedio y me gustaría saber sobre las clases en su filial de São Paulo y el precio de las mensualidades.',
+    'ai.contact.button': 'Generar Borrador de Contacto ✨',
+    'ai.contact.output': 'Borrador Sugerido:',
+
+    'ai.toque.title': 'Generador de Toques de Berimbau ✨',
+    'ai.toque.description': 'Describe el sentimiento o el estilo de juego deseado para que la IA sugiera el toque de berimbau adecuado y su contexto.',
+    'ai.toque.placeholder': 'Ej.: Un toque para un juego lento, estratégico y de suelo.',
+    'ai.toque.button': 'Sugerir Toque ✨',
+    'ai.toque.output': 'Toque Sugerido:',
+
+    'students.title': 'Base de Datos de Alumnos',
+    'students.description': 'Este formulario muestra cómo puede funcionar un sistema de registro en tiempo real para gestionar la información de los alumnos. En este ejemplo los datos se guardan en una base de datos simulada.',
+    'students.name': 'Nombre Completo',
+    'students.group': 'Grupo al que perteneces',
+    'students.style': 'Estilo de capoeira',
+    'students.stylePrompt': 'Estilo de capoeira que practicas',
+    'students.cordelPrompt': 'Graduación (cuerda)',
+    'students.batizado': 'Fecha del Batizado',
+    'students.batizadoLabel': 'Fecha del Batizado',
+    'students.email': 'Correo de contacto',
+    'students.phone': 'Teléfono de contacto (ej.: (71) 98765-4321)',
+    'students.submit': 'Guardar Alumno',
+    'students.listTitle': 'Alumnos Registrados',
+    'students.exportCsv': 'Exportar CSV',
+    'students.exportJson': 'Exportar JSON',
+    'students.search': 'Buscar por nombre o grupo...',
+    'students.allCordels': 'Todas las graduaciones',
+    'students.loading': 'Cargando alumnos...',
+
+    'students.column.name': 'Nombre',
+    'students.column.group': 'Grupo',
+    'students.column.style': 'Estilo',
+    'students.column.cordel': 'Graduación',
+    'students.column.batizado': 'Batizado',
+    'students.column.email': 'Correo',
+    'students.column.phone': 'Teléfono',
+    'students.column.actions': 'Acciones',
+
+    'students.awaitingAuth': 'Esperando la autenticación de la base de datos...',
+    'students.fixFields': 'Corrige los campos destacados.',
+    'students.saved': '¡Alumno registrado con éxito!',
+    'students.saveError': 'Error al guardar: {message}',
+    'students.queued': 'Sin conexión: registro guardado en este dispositivo ({count} pendiente(s)). Se enviará cuando vuelva internet.',
+    'students.queueError': 'Sin conexión, y no se pudo guardar el registro en este dispositivo.',
+    'students.syncing': 'Sincronizando {count} registro(s) hecho(s) sin conexión...',
+    'students.syncPartial': '{synced} registro(s) sincronizado(s); {remaining} sigue(n) pendiente(s): {message}',
+    'students.synced': '¡{count} registro(s) hecho(s) sin conexión sincronizado(s) con éxito!',
+    'students.syncError': 'No se pudieron sincronizar los registros pendientes.',
+    'students.reconnected': 'Conexión restablecida. Recarga la página para enviar {count} registro(s) pendiente(s).',
+    'students.offline': 'Sin conexión: los nuevos registros se guardarán en este dispositivo hasta que vuelva internet.',
+    'students.pending': '{count} registro(s) esperando conexión para sincronizar.',
+    'students.loadError': 'Error al cargar los alumnos: {message}',
+    'students.empty': 'Todavía no hay alumnos registrados.',
+    'students.noMatch': 'Ningún alumno coincide con estos filtros.',
+    'students.noAcademy': 'Crea una academia o entra con una invitación para ver a los alumnos.',
+    'students.count': '{visible} de {total} alumnos.',
+    'students.confirmDelete': '¿Eliminar al alumno "{name}"? Esta acción no se puede deshacer.',
+    'students.deleteError': 'Error al eliminar: {message}',
+    'students.action.save': 'Guardar',
+    'students.action.cancel': 'Cancelar',
+    'students.action.edit': 'Editar',
+    'students.action.delete': 'Eliminar',
+
+    'validation.name.required': 'Escribe el nombre completo.',
+    'validation.name.digits': 'El nombre no puede contener números.',
+    'validation.group.required': 'Escribe el grupo.',
+    'validation.style.required': 'Elige un estilo: {styles}.',
+    'validation.cordel.required': 'Elige una graduación del sistema de cuerdas del grupo.',
+    'validation.batizado.required': 'Indica la fecha del batizado.',
+    'validation.batizado.future': 'La fecha del batizado no puede estar en el futuro.',
+    'validation.batizado.invalid': 'Fecha del batizado no válida.',
+    'validation.email.invalid': 'Escribe un correo válido (ej.: nombre@ejemplo.com).',
+    'validation.email.duplicate': 'Ya existe un alumno con este correo en esta academia.',
+    'validation.phone.required': 'Escribe el teléfono.',
+    'validation.phone.invalid': 'Teléfono no válido. Usa el código de área + número (ej.: (71) 98765-4321) o el código del país (ej.: +33 6 12 34 56 78).',
+
+    'movements.category.ataque': 'Ataque',
+    'movements.category.defesa': 'Defensa',
+    'movements.category.movimentacao': 'Desplazamiento',
+    'movements.difficulty.iniciante': 'Principiante',
+    'movements.difficulty.intermediario': 'Intermedio',
+    'movements.difficulty.avancado': 'Avanzado',
+
+    'studentIo.error.jsonList': 'El JSON debe contener una lista de alumnos.',
+    'studentIo.error.duplicateEmail': 'Correo repetido en el archivo (línea {line}).',
+    'studentIo.error.existingStudent': 'Alumno ya registrado (mismo nombre y teléfono).',
+    'studentIo.error.duplicateStudent': 'Alumno repetido en el archivo (línea {line}).',
+    'studentIo.report.line': 'Línea',
+    'studentIo.report.field': 'Campo',
+    'studentIo.report.error': 'Error',
+    'studentIo.skipColumn': '(no importar)',
+    'studentIo.column': 'Columna {number}',
+    'studentIo.rowOk': 'OK',
+    'studentIo.summary': '{valid} fila(s) válida(s), {invalid} con error.',
+    'studentIo.confirm': 'Importar {count} alumno(s)',
+    'studentIo.progress': 'Importando... {done} de {total}',
+    'studentIo.imported': '{count} alumno(s) importado(s).',
+    'studentIo.error.empty': 'El archivo no tiene filas de alumnos.',
+    'studentIo.error.read': 'Error al leer el archivo: {message}',
+    'studentIo.error.import': 'Error al importar después de {count} alumno(s): {message}',
+
+    'cantigas.structure.resposta': 'Llamada y respuesta (coro en cada verso)',
+    'cantigas.structure.refrao': 'Estrofas con estribillo del coro',
+    'cantigas.structure.solo': 'Solo el solista (sin coro)',
+    'cantigas.error.title': 'Indica el título de la cantiga.',
+    'cantigas.error.type': 'Elige el tipo de cantiga.',
+    'cantigas.error.toque': 'Toque desconocido.',
+    'cantigas.error.solo': 'Escribe los versos del solista.',
+    'cantigas.error.coro': '{type} tiene respuestas del coro: márcalas con "Coro:".',
+
+    'training.block.aquecimento': 'Calentamiento',
+    'training.block.sequencia': 'Secuencia de movimientos',
+    'training.block.aprimoramento': 'Ejercicios de perfeccionamiento',
+    'training.block.alongamento': 'Cierre/Estiramiento',
+    'training.field.sets': 'series',
+    'training.field.reps': 'repeticiones',
+    'training.field.duration': 'duración',
+    'training.field.rest': 'descanso',
+    'training.error.title': 'El plan no tiene título.',
+    'training.error.emptyBlock': 'El bloque "{block}" no tiene ejercicios.',
+    'training.error.position': '{block}, ejercicio {number}',
+    'training.error.name': '{position}: falta el nombre.',
+    'training.error.invalid': '{position} ({name}): valor no válido en {field}.',
+    'training.error.belowMin': '{position} ({name}): {field} por debajo del mínimo ({min}).',
+    'training.error.load': '{position} ({name}): indica las repeticiones o la duración.',
+    'training.error.noJson': 'La respuesta no trajo el plan en el formato esperado.',
+    'training.error.badJson': 'La respuesta trajo un plan mal formado.',
+    'training.reps': '{count} repeticiones',
+    'training.rest': 'descanso {duration}',
+    'training.restStep': 'Descanso',
+    'training.goal': 'Objetivo: {goal}',
+    'training.timed': 'Tiempo cronometrado: {duration}',
+    'training.print.exercise': 'Ejercicio',
+    'training.print.load': 'Carga',
+    'training.print.notes': 'Observaciones',
+
+    'events.type.batizado': 'Batizado y cambio de cuerdas',
+    'events.type.roda': 'Roda',
+    'events.error.type': 'Elige el tipo de evento.',
+    'events.error.title': 'Indica el nombre del evento.',
+    'events.error.date': 'Indica la fecha del evento.',
+    'events.error.timeFormat': 'Usa el formato HH:MM.',
+    'events.error.startMissing': 'Indica también la hora de inicio.',
+    'events.error.endBeforeStart': 'El final debe ser posterior al inicio.',
+    'events.error.location': 'Indica el lugar.',
+    'events.error.participants': 'Elige los alumnos que recibirán cuerda.',
+    'events.error.nextCordel': 'Elige la nueva cuerda de todos los participantes.',
+    'events.dateTimeRange': '{date}, de {start} a {end}',
+    'events.visitingMestres': 'Mestres invitados: {names}',
+    'events.receivingCord': '{count} alumno(s) recibiendo cuerda',
+    'events.confirmed': '{count} alumno(s) confirmados',
+    'events.print.name': 'Nombre',
+    'events.print.group': 'Grupo',
+    'events.print.currentCord': 'Cuerda actual',
+    'events.print.nextCord': 'Nueva cuerda',
+    'events.print.playedWith': 'Jugó con',
+    'events.print.cordel': 'Graduación',
+    'events.print.presence': 'Asistencia',
+    'events.print.noParticipants': 'Ningún alumno inscrito.',
+    'events.certificate.title': 'Certificado de Graduación',
+    'events.certificate.intro': 'Certificamos que',
+    'events.certificate.body': 'recibió la cuerda {cord} en el evento “{event}”, realizado el {date} en {location}.',
+    'events.certificate.academy': 'Responsable de la academia',
+
+    'attendance.error.date': 'Indica la fecha de la clase.',
+    'attendance.error.future': 'La asistencia solo puede registrarse en clases que ya ocurrieron.',
+    'attendance.error.turma': 'Indica el grupo.',
+    'attendance.error.instructor': 'Indica el instructor.',
+    'attendance.error.present': 'Marca al menos un alumno presente.',
+
+    'finance.category.instrumento': 'Instrumento',
+    'finance.category.uniforme': 'Uniforme',
+    'finance.category.outro': 'Otro',
+    'finance.status.pago': 'Pagado',
+    'finance.status.aberto': 'Pendiente',
+    'finance.status.atrasado': 'Atrasado',
+    'finance.error.name': 'Indica el artículo.',
+    'finance.error.category': 'Elige la categoría.',
+    'finance.error.quantity': 'La cantidad debe ser un número entero mayor que cero.',
+    'finance.error.unitCost': 'Indica el costo unitario (ej.: 150,00).',
+    'finance.error.purchaseDate': 'Indica la fecha de compra.',
+    'finance.error.student': 'Elige el alumno.',
+    'finance.error.month': 'Indica el mes de referencia.',
+    'finance.error.amount': 'Indica el valor de la mensualidad.',
+    'finance.error.dueDate': 'Indica el vencimiento.',
+    'finance.error.paidAt': 'Fecha de pago no válida.',
+
+    'cords.year': '{count} año',
+    'cords.years': '{count} años',
+    'cords.month': '{count} mes',
+    'cords.months': '{count} meses',
+    'cords.and': ' y ',
+    'cords.noMinTime': 'sin tiempo mínimo',
+    'cords.minTimeTitle': 'mínimo de {time} en el nivel anterior',
+    'cords.minTime': 'mín. {time}',
+    'academies.role.mestre': 'Mestre / administración',
+    'academies.role.professor': 'Professor / instructor',
+    'academies.role.aluno': 'Alumno',
+    'academies.invite.notFound': 'Invitación no encontrada. Revisa el código.',
+    'academies.invite.used': 'Esta invitación ya fue usada.',
+    'academies.invite.expired': 'Esta invitación expiró. Pide una nueva a tu mestre o profesor.',
+    'chat.persona.sabio': 'Mestre sabio',
+    'chat.persona.angola': 'Mestre angoleiro',
+    'chat.persona.regional': 'Mestre de la Regional',
+    'chat.newSession': 'Nueva conversación',
+    'chat.export.title': 'Diálogo con un Mestre — {persona}',
+    'chat.export.you': 'Tú',
+    'chat.export.mestre': 'Mestre',
+    'chat.start': 'Empieza la conversación...',
+    'chat.confirmDelete': '¿Borrar esta conversación?',
+    'chat.confirmClear': '¿Borrar todas las conversaciones guardadas?',
+
+    'movements.imageAlt': 'Imagen del movimiento {name}',
+    'movements.noMatch': 'Ningún movimiento coincide con estos filtros.',
+    'movements.aliases': 'También conocido como: {aliases}',
+    'movements.linkCopied': '¡Enlace copiado!',
+    'movements.copyLink': 'Copiar enlace',
+    'movements.loadError': 'No se pudieron cargar los movimientos.',
+    'toques.play': '▶ Tocar',
+    'toques.stop': '■ Parar',
+    'toques.audioError': 'Tu navegador no pudo reproducir el audio.',
+    'toques.loadError': 'No se pudieron cargar los toques.',
+    'toques.listen': '▶ Escuchar {name}',
+
+    'common.edit': 'Editar',
+    'common.delete': 'Eliminar',
+    'common.cancel': 'Cancelar',
+    'common.open': 'Abrir',
+    'common.awaitingAuth': 'Esperando la autenticación de la base de datos...',
+    'common.fixFields': 'Corrige los campos resaltados.',
+    'common.saveError': 'Error al guardar: {message}',
+    'common.deleteError': 'Error al eliminar: {message}',
+    'cantigas.favorite': 'Marcar "{title}" como favorita',
+    'cantigas.unfavorite': 'Quitar "{title}" de las favoritas',
+    'cantigas.toque': 'Toque: {name}',
+    'cantigas.coro': 'Coro',
+    'cantigas.action.listen': '▶ Escuchar el toque',
+    'cantigas.noMatch': 'Ninguna cantiga coincide con estos filtros.',
+    'cantigas.confirmDelete': '¿Eliminar la cantiga "{title}" del cancionero?',
+    'cantigas.loadError': 'No se pudieron cargar las cantigas tradicionales.',
+    'cantigas.noToque': 'Sin toque definido',
+    'cantigas.myComposition': 'Mi composición',
+    'cantigas.saved': 'Cantiga guardada en el cancionero.',
+    'cantigas.saveError': 'No se pudo guardar la cantiga en este navegador.',
+
+    'training.timer.done': 'Entrenamiento terminado. ¡Axé!',
+    'training.timer.next': 'A continuación: {label}',
+    'training.timer.pause': '❚❚ Pausar',
+    'training.timer.start': '▶ Iniciar',
+    'training.exerciseDone': 'Hecho: {name}',
+    'training.fallbackTitle': 'Tu plan de entrenamiento:',
+    'training.checklistError': 'No se pudo armar la lista: {error}',
+    'training.progress': '{done} de {total} ejercicios hechos',
+    'training.libraryEmpty': 'Ningún plan guardado. Genera un plan y guárdalo aquí.',
+    'training.saved': 'Plan guardado en tu biblioteca.',
+    'training.saveError': 'No se pudo guardar el plan en este navegador.',
+    'training.confirmDelete': '¿Eliminar el plan "{title}"?',
+
+    'finance.chart.value': 'Valor',
+    'finance.chart.income': 'Ingresos',
+    'finance.chart.expenses': 'Gastos',
+    'finance.summary.income': 'Ingresos del mes',
+    'finance.summary.expenses': 'Gastos del mes',
+    'finance.summary.open': 'Cuotas pendientes',
+    'finance.summary.late': 'Cuotas atrasadas',
+    'finance.summary.inventory': 'Valor del inventario',
+    'finance.paidOn': '{status} el {date}',
+    'finance.action.pay': 'Registrar pago',
+    'finance.action.unpay': 'Deshacer',
+    'finance.fees.empty': 'Ninguna cuota registrada para este mes.',
+    'finance.fees.summary': '{paid} recibidos de {total} ({count} cuota(s)).',
+    'finance.fees.monthRequired': 'Elige el mes.',
+    'finance.fees.amountRequired': 'Indica el valor de la cuota (ej: 100,00).',
+    'finance.fees.dueDayInvalid': 'El vencimiento debe ser un día entre 1 y 31.',
+    'finance.fees.noStudents': 'Registra alumnos para generar las cuotas.',
+    'finance.fees.allGenerated': 'Todos los alumnos ya tienen la cuota de {month}.',
+    'finance.fees.generated': '{count} cuota(s) generada(s) para {month}.',
+    'finance.fees.generateError': 'Error al generar las cuotas: {message}',
+    'finance.fees.confirmDelete': '¿Eliminar la cuota de {name} ({month})?',
+    'finance.fees.loadError': 'Error al cargar las cuotas: {message}',
+    'finance.inventory.empty': 'Ningún artículo en el inventario. Ej: berimbau (R$ 150), pandeiro (R$ 80), atabaque (R$ 250).',
+    'finance.inventory.count': '{count} artículo(s).',
+    'finance.inventory.add': 'Añadir al inventario',
+    'finance.inventory.saveItem': 'Guardar artículo',
+    'finance.inventory.confirmDelete': '¿Eliminar "{name}" del inventario?',
+    'finance.inventory.loadError': 'Error al cargar el inventario: {message}',
+
+    'common.noStudentMatch': 'Ningún alumno encontrado.',
+    'events.loadError': 'Error al cargar los eventos: {message}',
+    'events.include': 'Incluir a {name}',
+    'events.lowAttendance': 'Asistencia por debajo del mínimo: {rate}% (mín. {threshold}%)',
+    'events.nextCordel': 'Nueva cuerda de {name}',
+    'events.noStudents': 'Registra alumnos para incluirlos en el evento.',
+    'events.form.new': 'Nuevo evento',
+    'events.form.edit': 'Editar: {title}',
+    'events.saved': '¡Evento guardado!',
+    'events.past': '{title} (realizado)',
+    'events.receivingCount': '{count} alumno(s) recibiendo cuerda',
+    'events.studentCount': '{count} alumno(s)',
+    'events.lowAttendanceCount': '{count} alumno(s) por debajo de la asistencia mínima de {threshold}%.',
+    'events.action.printList': 'Lista de la ceremonia',
+    'events.action.ics': 'Calendario (.ics)',
+    'events.action.certificates': 'Certificados',
+    'events.empty': 'Aún no hay eventos.',
+    'events.count': '{count} evento(s).',
+    'events.confirmDelete': '¿Eliminar el evento "{title}"? Esta acción no se puede deshacer.',
+    'events.nothingToExport': 'No hay eventos para exportar.',
+
+    'attendance.chart.checkins': 'Asistencias',
+    'attendance.chart.average': 'Promedio por clase',
+    'attendance.chart.averageAxis': 'Promedio',
+    'attendance.loadError': 'Error al cargar las clases: {message}',
+    'attendance.noStudents': 'Registra alumnos para pasar lista.',
+    'attendance.presentCount': '{count} presente(s)',
+    'attendance.form.new': 'Registrar clase',
+    'attendance.form.edit': 'Editar clase del {date}',
+    'attendance.saved': 'Asistencia guardada: {count} alumno(s).',
+    'attendance.confirmDelete': '¿Eliminar la clase de {turma} del {date}?',
+    'attendance.empty': 'Aún no hay clases registradas.',
+    'attendance.count': '{count} clase(s) registrada(s).',
+    'attendance.history.none': 'Ninguna asistencia registrada.',
+    'attendance.history.summary': '{attended} de {total} clases ({rate}%)',
+    'attendance.history.present': 'Presente',
+    'attendance.history.absent': 'Ausente',
+    'attendance.flagged.rate': '{name}: {rate}% ({attended} de {total} clases)',
+    'attendance.flagged.none': '{name}: ninguna asistencia en el período',
+    'attendance.flagged.noSessions': 'Registra clases para seguir la asistencia.',
+    'attendance.flagged.allAbove': 'Todos los alumnos están por encima del mínimo.',
+
+    'auth.memoryMode': 'Modo local: los datos quedan solo en esta página.',
+    'auth.offline': 'Sin conexión: los registros se guardarán en este dispositivo y se enviarán cuando vuelva internet.',
+    'auth.firebaseMissing': 'Error de inicio: Firebase no se cargó.',
+    'auth.signedIn': 'Autenticado. ID de usuario: {id}',
+    'auth.error': 'Error de autenticación: {message}',
+    'auth.initError': 'Error al iniciar Firebase. Revisa la configuración.',
+    'account.error.credentials': 'Correo o contraseña incorrectos.',
+    'account.error.email': 'Indica un correo válido.',
+    'account.error.emailInUse': 'Ya existe una cuenta con este correo. Usa "Entrar".',
+    'account.error.password': 'La contraseña debe tener al menos 6 caracteres.',
+    'account.error.tooManyRequests': 'Demasiados intentos. Vuelve a intentarlo en unos minutos.',
+    'account.error.generic': 'Error: {message}',
+    'account.connected': 'Cuenta conectada',
+    'account.invitesLoadError': 'Error al cargar las invitaciones: {message}',
+    'account.membersLoadError': 'Error al cargar los miembros: {message}',
+    'account.academyLoadError': 'Error al cargar la academia: {message}',
+    'account.hasAccess': '{name} (ya tiene acceso)',
+    'account.noInvites': 'Ninguna invitación pendiente.',
+    'account.inviteExpired': 'expirada',
+    'account.inviteValidUntil': 'válida hasta el {date}',
+    'account.action.copy': 'Copiar',
+    'account.action.revoke': 'Revocar',
+    'account.action.remove': 'Quitar',
+    'account.copied': '¡Copiado!',
+    'account.you': '{role} (tú)',
+    'account.roleOf': 'Rol de {name}',
+    'account.created': 'Cuenta creada. Usa el mismo correo y contraseña para entrar en otros dispositivos.',
+    'account.signOutError': 'Error al salir: {message}',
+    'account.academyNameRequired': 'Indica el nombre de la academia.',
+    'account.academyCreated': 'Academia "{name}" creada. Invita a los profesores y alumnos abajo.',
+    'account.academyCreateError': 'Error al crear la academia: {message}',
+    'account.invalidCode': 'Código inválido: usa el formato XXXX-XXXX.',
+    'account.joined': 'Entraste en {name} como {role}.',
+    'account.roleChanged': 'Tu rol en la academia cambió a {role}.',
+    'account.removedFromAcademy': 'Ya no formas parte de {name}.',
+    'account.joinError': 'No se pudo entrar en la academia: {message}',
+    'account.inviteStudentRequired': 'Elige el registro del alumno invitado.',
+    'account.inviteCreated': 'Invitación {code} creada. Envía el código a la persona invitada.',
+    'account.inviteCreateError': 'Error al crear la invitación: {message}',
+    'account.confirmRevoke': '¿Revocar la invitación {code}?',
+    'account.revokeError': 'Error al revocar la invitación: {message}',
+    'account.roleError': 'Error al cambiar el rol: {message}',
+    'account.confirmRemove': '¿Quitar a {name} de la academia?',
+    'account.removeError': 'Error al quitar al miembro: {message}',
+
+    'groups.headquartersMark': '{location} (sede)',
+    'groups.logoAlt': 'Logotipo del Grupo {name}',
+    'groups.info.masters': 'Mestres',
+    'groups.info.headquarters': 'Sede',
+    'groups.info.branches': 'Filiales',
+    'groups.info.estilos': 'Estilos',
+    'groups.info.address': 'Dirección',
+    'groups.info.phone': 'Teléfono',
+    'groups.info.website': 'Sitio web',
+    'groups.info.email': 'Correo',
+    'groups.noMatch': 'Ningún grupo coincide con estos filtros.',
+    'groups.founded': 'Fundado en {year}',
+    'groups.loadError': 'No se pudieron cargar los grupos.',
+
+    'estilos.visual': 'Espacio visual para diferenciar los estilos de Capoeira',
+    'estilos.angola': 'Se caracteriza por la lentitud, la malandragem y los movimientos bajos. Sus practicantes se mueven cerca del suelo, usando la ginga de forma disimulada. La música es más lenta y cadenciada, y la roda, por lo general, no tiene la agilidad de la Regional. El foco está en la estrategia, el juego de cuerpo y el diálogo corporal.',
+    'estilos.regional': 'Creada por Mestre Bimba, la Capoeira Regional es más rápida y objetiva, con movimientos más rectos y acrobáticos. Mestre Bimba la codificó y la convirtió en un arte marcial respetado. La música es más acelerada, y el juego es dinámico y centrado en el combate. Sus rituales de roda, como la "secuencia de Bimba", están estandarizados.',
+    'estilos.contemporanea': 'Surge de la fusión de los dos anteriores, mezclando la malicia de la Angola con la agilidad de la Regional. Es la más practicada hoy y varía mucho entre los grupos. La mayoría de los sistemas de graduación por cuerdas que conocemos hoy fueron creados por grupos que se identifican con este estilo.',
+    'graduacao.groupSelect': 'Sistema de cuerdas del grupo',
+    'graduacao.reference': 'Sistema de referencia',
+    'movimentos.filter.all': 'Todos',
+    'common.filterEstilo': 'Filtrar por estilo',
+    'common.allEstilos': 'Todos los estilos',
+    'movimentos.filterDifficulty': 'Filtrar por dificultad',
+    'movimentos.allDifficulties': 'Todas las dificultades',
+    'movimentos.loading': 'Cargando movimientos...',
+    'common.close': 'Cerrar',
+    'movimentos.prerequisites': 'Requisitos previos',
+    'movimentos.counters': 'Cómo responder',
+    'movimentos.guide': 'Guía detallada ✨',
+
+    'training.timer.skip': 'Saltar',
+    'training.timer.reset': 'Reiniciar',
+    'training.save': 'Guardar en mi biblioteca',
+    'training.printButton': 'Imprimir',
+    'training.library': 'Mis planes de entrenamiento',
+    'musica.berimbau': 'El instrumento principal. Marca el ritmo (toque) y el tipo de juego. Hay tres tipos: Gunga (grave), Médio y Viola (agudo).',
+    'musica.pandeiro': 'Marca el ritmo y complementa al berimbau. Es el instrumento de percusión más versátil de la roda.',
+    'musica.atabaque': 'Un tambor de cuero que da el golpe principal, el "corazón" de la bateria, y mantiene la base rítmica.',
+    'musica.types': 'Tipos de cantigas',
+    'musica.ladainhas': 'Se cantan al inicio de la roda, generalmente por un mestre. Cuentan historias y sirven para calentar y concentrar a los jugadores.',
+    'musica.corridos': 'Canciones rápidas y cortas, con un estribillo que los participantes responden a coro, que acompañan el desarrollo del juego.',
+    'musica.quadras': 'Canciones de cuatro versos sobre la vida cotidiana, la historia o figuras importantes de la capoeira.',
+    'musica.louvacoes': 'Vienen justo después de la ladainha: el solista saluda a Dios, al mestre y a la capoeira ("Iê, viva meu Deus") y el coro repite, añadiendo "camará".',
+    'musica.cancioneiro.title': 'Cancionero',
+    'musica.cancioneiro.intro': 'Cantigas tradicionales y las que guardes. Los versos del solista y las respuestas del coro aparecen separados; pulsa "Escuchar el toque" para acompañar con el berimbau.',
+    'cantigas.search': 'Buscar por título o verso...',
+    'cantigas.filterType': 'Filtrar por tipo',
+    'cantigas.allTypes': 'Todos los tipos',
+    'cantigas.favoritesOnly': 'Solo favoritas',
+    'cantigas.type': 'Tipo de cantiga',
+    'cantigas.structureLabel': 'Estructura',
+    'cantigas.size': 'Extensión',
+    'cantigas.verses4': 'Unos 4 versos',
+    'cantigas.verses8': 'Unos 8 versos',
+    'cantigas.verses12': 'Unos 12 versos',
+    'cantigas.toqueLabel': 'Toque',
+    'cantigas.title': 'Título',
+    'cantigas.lines': 'Versos',
+    'cantigas.linesHelp': 'Un verso por línea. Empieza las respuestas del coro con "Coro:" y los versos del solista con "Solo:".',
+    'cantigas.save': 'Guardar en el cancionero',
+    'cantigas.new': 'Nueva cantiga',
+    'musica.toques.title': 'Toques del berimbau',
+    'musica.toques.intro': 'Elige un toque para escuchar una versión sintetizada. La notación está simplificada para el estudio:',
+    'musica.toques.dom': 'cuerda suelta',
+    'musica.toques.dim': 'piedra en la cuerda',
+    'musica.toques.chi': 'zumbido',
+    'musica.toques.and': 'y',
+    'musica.toques.tempo': 'Tempo',
+    'musica.toques.loop': 'Repetir',
+
+    'historia.origens.title': 'Orígenes en la esclavitud',
+    'historia.origens.text': 'Surgió en el Brasil colonial como forma de autodefensa y resistencia cultural de los africanos esclavizados, disfrazada de danza para no ser reprimida. Los movimientos se practicaban en secreto para engañar a los señores de los ingenios, que no los veían como una forma de combate, sino como una manifestación folclórica.',
+    'historia.marginalizacao.title': 'Marginación',
+    'historia.marginalizacao.text': 'Tras la abolición de la esclavitud, la capoeira se asoció a la vagancia y la delincuencia. En 1890, el Código Penal de la República la prohibió explícitamente y su práctica pasó a la clandestinidad. La capoeira siguió existiendo en callejones y suburbios, mantenida viva por practicantes que desafiaban las leyes para preservar el arte.',
+    'historia.legalizacao.title': 'Legalización y formalización',
+    'historia.legalizacao.text': 'La Capoeira Regional, creada por Mestre Bimba, fue fundamental para su legalización. Al presentar el arte al entonces presidente Getúlio Vargas, en 1937, Mestre Bimba logró el reconocimiento oficial de la capoeira como arte marcial brasileño. Su formalización en academias y la creación de un método de enseñanza estructurado ayudaron a cambiar la percepción pública.',
+    'historia.reconhecimento.title': 'Reconocimiento mundial',
+    'historia.reconhecimento.text': 'El reconocimiento de la UNESCO en 2014 fue la culminación de un largo camino. La roda de capoeira, con sus cantos, instrumentos y movimientos, fue declarada Patrimonio Cultural Inmaterial de la Humanidad. Este título consolidó a la capoeira como símbolo de la cultura y la identidad brasileñas, promoviendo su preservación y difusión en todo el mundo.',
+    'historia.mestres.title': 'Grandes mestres',
+    'historia.bimba.alt': 'Foto de Mestre Bimba, creador de la Capoeira Regional.',
+    'historia.bimba.text': 'Manoel dos Reis Machado, el padre de la Capoeira Regional. Creó el primer método de enseñanza, con secuencias y rituales, y convirtió la capoeira en un arte marcial respetado y estructurado.',
+    'historia.pastinha.alt': 'Foto de Mestre Pastinha, guardián de la Capoeira Angola.',
+    'historia.pastinha.text': 'Vicente Ferreira Pastinha, el gran guardián de la Capoeira Angola. Defendía la capoeira en su esencia y valoraba la tradición, la malicia, la música y la filosofía del juego como manifestación cultural.',
+    'chat.personaSelect': 'Personaje del mestre',
+    'chat.sessions': 'Conversaciones guardadas',
+    'chat.action.new': 'Nueva',
+    'chat.action.export': 'Exportar',
+    'chat.action.delete': 'Borrar',
+    'chat.action.clear': 'Borrar todas',
+
+    'account.title': 'Cuenta y academia',
+    'auth.waiting': 'Esperando la autenticación...',
+    'account.hint': 'Entra con correo y contraseña para acceder a tu academia desde cualquier dispositivo.',
+    'account.email': 'Correo electrónico',
+    'account.password': 'Contraseña (mínimo 6 caracteres)',
+    'account.signIn': 'Entrar',
+    'account.signUp': 'Crear cuenta',
+    'account.signOut': 'Salir',
+    'account.createTitle': 'Crear una academia',
+    'account.createHint': 'Serás el mestre (administración) y podrás invitar a professores y alumnos.',
+    'account.academyName': 'Nombre de la academia',
+    'account.create': 'Crear',
+    'account.joinTitle': 'Entrar con una invitación',
+    'account.inviteCode': 'Código de invitación (ej: K7QM-2XPA)',
+    'account.join': 'Entrar en la academia',
+    'account.invites': 'Invitaciones',
+    'account.invitesHint': 'Cada código sirve para una persona, durante 7 días. Las invitaciones de alumno solo dan acceso a la ficha elegida.',
+    'account.inviteRole': 'Rol del invitado',
+    'account.inviteStudent': 'Ficha del alumno',
+    'account.inviteStudentPrompt': 'Elige la ficha del alumno',
+    'account.createInvite': 'Generar invitación',
+    'account.members': 'Miembros',
+    'students.cordel': 'Graduación',
+    'students.import': 'Importar CSV/JSON',
+    'studentIo.title': 'Importar alumnos',
+    'studentIo.hint': 'Comprueba qué columna del archivo corresponde a cada campo. Solo se guardarán las filas válidas.',
+    'studentIo.preview.row': 'Fila',
+    'studentIo.preview.status': 'Estado',
+    'studentIo.confirmButton': 'Importar',
+    'studentIo.reportButton': 'Descargar informe de errores',
+    'students.filterCordel': 'Filtrar por graduación',
+
+    'events.title': 'Eventos: batizados y rodas',
+    'events.exportAll': 'Exportar agenda (.ics)',
+    'events.typeLabel': 'Tipo de evento',
+    'events.date': 'Fecha del evento',
+    'events.name': 'Nombre del evento (ej: Batizado 2026)',
+    'events.start': 'Inicio',
+    'events.end': 'Fin',
+    'events.location': 'Lugar',
+    'events.mestres': 'Mestres invitados, separados por comas',
+    'events.students': 'Alumnos',
+    'common.searchStudent': 'Buscar alumno...',
+    'events.column.joins': 'Participa',
+    'events.column.cordel': 'Cuerda actual',
+    'events.column.nextCordel': 'Cuerda nueva',
+    'events.save': 'Guardar evento',
+    'events.listTitle': 'Próximos y anteriores',
+    'events.loading': 'Cargando eventos...',
+    'attendance.title': 'Asistencia y clases',
+    'attendance.date': 'Fecha de la clase',
+    'attendance.turma': 'Grupo (ej: Adultos noche)',
+    'attendance.instructor': 'Instructor',
+    'attendance.rollCall': 'Lista',
+    'attendance.checkAll': 'Marcar todos',
+    'attendance.clear': 'Limpiar',
+    'attendance.save': 'Guardar asistencia',
+    'attendance.listTitle': 'Últimas clases',
+    'attendance.loading': 'Cargando clases...',
+    'attendance.byMonth': 'Asistencias por mes',
+    'attendance.filterTurma': 'Filtrar por grupo',
+    'attendance.allTurmas': 'Todos los grupos',
+    'attendance.byTurma': 'Por grupo',
+    'attendance.filterMonth': 'Filtrar por mes',
+    'attendance.allMonths': 'Todo el período',
+    'attendance.column.turma': 'Grupo',
+    'attendance.column.sessions': 'Clases',
+    'attendance.column.average': 'Promedio de presentes',
+    'attendance.column.instructors': 'Instructores',
+    'attendance.history.title': 'Historial del alumno',
+    'attendance.chooseStudent': 'Elige un alumno',
+    'attendance.threshold.title': 'Asistencia mínima para el batizado',
+    'attendance.threshold.before': 'Mínimo de',
+    'attendance.threshold.after': '% de las clases en los últimos',
+    'attendance.period.1': '1 mes',
+    'attendance.period.3': '3 meses',
+    'attendance.period.6': '6 meses',
+    'attendance.period.12': '12 meses',
+
+    'finance.title': 'Finanzas de la academia',
+    'finance.flowTitle': 'Ingresos vs gastos (últimos 12 meses)',
+    'finance.statusTitle': 'Cuotas por estado',
+    'finance.feesTitle': 'Cuotas mensuales',
+    'finance.fees.month': 'Mes',
+    'finance.fees.amount': 'Importe (R$)',
+    'finance.fees.dueDay': 'Vencimiento (día)',
+    'finance.fees.generate': 'Generar las cuotas del mes',
+    'finance.fees.filterStatus': 'Filtrar por estado',
+    'finance.fees.allStatuses': 'Todos los estados',
+    'finance.fees.column.student': 'Alumno',
+    'finance.fees.column.amount': 'Importe',
+    'finance.fees.column.due': 'Vencimiento',
+    'finance.fees.column.status': 'Estado',
+    'finance.inventory.title': 'Inventario',
+    'finance.inventory.name': 'Artículo (ej: Berimbau gunga)',
+    'finance.inventory.category': 'Categoría',
+    'finance.inventory.date': 'Fecha de compra',
+    'finance.inventory.quantity': 'Cantidad',
+    'finance.inventory.unitCost': 'Costo unitario (R$)',
+    'finance.inventory.column.item': 'Artículo',
+    'finance.inventory.column.quantity': 'Cant.',
+    'finance.inventory.column.unitCost': 'Costo unit.',
+    'finance.inventory.column.total': 'Total',
+    'finance.inventory.column.date': 'Compra',
+    'finance.inventory.loading': 'Cargando inventario...',
+    'academia.fundamentos.title': 'Fundamentos y batizados',
+    'academia.fundamentos.alt': 'Imagen de una ceremonia de batizado de capoeira.',
+    'academia.fundamentos.batizadoBefore': 'El',
+    'academia.fundamentos.batizado': 'es la ceremonia de entrada oficial del alumno en la capoeira, en la que juega con un mestre o professor y recibe su primera cuerda.',
+    'academia.fundamentos.fundamentosBefore': 'Los',
+    'academia.fundamentos.fundamentos': 'son el conjunto de conocimientos teóricos y prácticos que sostienen el arte.',
+    'academia.abadas.title': 'Vestimenta (abadás)',
+    'academia.abadas.altMan': 'Imagen de un hombre con abadá y cordel.',
+    'academia.abadas.altWoman': 'Imagen de una mujer con abadá y cordel.',
+    'academia.abadas.text': 'El uniforme estándar es el abadá, compuesto por pantalón blanco y camiseta con el símbolo del grupo. Se usa en los entrenamientos, y el uniforme completo es obligatorio en ceremonias como el batizado.',
+    'academia.materiais.title': 'Materiales esenciales',
+    'academia.materiais.altBerimbau': 'Imagen de un berimbau.',
+    'academia.materiais.altPandeiro': 'Imagen de un pandeiro.',
+    'academia.materiais.altAtabaque': 'Imagen de un atabaque.',
+    'academia.materiais.instrumentsLabel': 'Instrumentos:',
+    'academia.materiais.instruments': 'Berimbaus (gunga, médio, viola), pandeiros y atabaque.',
+    'academia.materiais.clothingLabel': 'Vestimenta:',
+    'academia.materiais.clothing': 'Abadás para alumnos y professores.',
+    'academia.materiais.safetyLabel': 'Seguridad:',
+    'academia.materiais.safety': 'Colchonetas para entrenar acrobacias.',
+    'academia.materiais.supportLabel': 'Apoyo:',
+    'academia.materiais.support': 'Equipo de sonido y pizarra blanca para las clases teóricas.',
+    'academia.materiais.inventoryValue': 'Valor del inventario',
+    'academia.materiais.inventoryEmpty': 'Registra instrumentos y uniformes en "Finanzas de la academia" para ver el valor del inventario.',
+    'grupos.filterCountry': 'Filtrar por país',
+    'grupos.allCountries': 'Todos los países',
+    'grupos.map.title': 'Mapa de sedes y filiales',
+    'grupos.map.view': 'Encuadre del mapa',
+    'grupos.map.world': 'Mundo',
+    'grupos.map.brazil': 'Brasil',
+    'grupos.map.label': 'Mapa con las sedes y filiales de los grupos',
+    'grupos.loading': 'Cargando grupos...',
+    'grupos.back': '← Volver a los grupos',
+    'grupos.page.contact': 'Contacto',
+    'grupos.page.locations': 'Sede y filiales',
+    'grupos.page.cords': 'Sistema de cuerdas',
+    'grupos.page.map': 'Mapa con la sede y las filiales del grupo'
+};
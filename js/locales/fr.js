@@ -0,0 +1,704 @@
+// Catálogo de tradução: Français
+
+export default {
+    'app.title': 'Capoeira : Guide Complet et Visuel',
+    'app.brand': 'Guide de la Capoeira',
+
+    'language.label': 'Langue',
+
+    'theme.toggle': 'Basculer le mode jour/nuit',
+
+    'nav.estilos': 'Styles',
+    'nav.movimentos': 'Mouvements',
+    'nav.musica': 'Musique',
+    'nav.historia': 'Histoire',
+    'nav.academia': 'Académie',
+    'nav.grupos': 'Groupes',
+
+    'estilos.title': 'Standard et Styles de la Capoeira',
+    'estilos.intro': 'La capoeira est un art varié, divisé principalement en trois grands courants. Chaque style a ses propres caractéristiques de rythme, de mouvements et de philosophie du jeu. Explorez ci-dessous pour comprendre les différences et découvrir le système de graduation qui marque le parcours du capoeiriste.',
+
+    'graduacao.title': 'Système de Graduation',
+    'graduacao.intro': 'La graduation en capoeira, symbolisée par des cordes de couleur, reconnaît la progression du pratiquant. Même si l\'ordre des couleurs peut varier d\'un groupe à l\'autre, il représente toujours les étapes de l\'apprentissage, de l\'initiation à la maîtrise.',
+
+    'movimentos.title': 'Coups et Mouvements',
+    'movimentos.intro': 'La capoeira est un dialogue corporel continu. Ses mouvements associent des attaques fluides, des défenses agiles et des déplacements acrobatiques. Utilisez les filtres ci-dessous pour explorer le répertoire d\'un capoeiriste, des coups de base aux plus complexes.',
+    'movimentos.search': 'Rechercher un mouvement (nom ou surnom)...',
+
+    'musica.title': 'Le Cœur de la Roda : la Musique',
+    'musica.intro': 'La musique est l\'âme de la capoeira. C\'est elle qui donne le rythme, l\'énergie et le style du jeu. L\'orchestre, appelé « bateria », mène la roda avec des instruments traditionnels, tandis que les cantigas racontent des histoires et entretiennent l\'énergie.',
+
+    'historia.title': 'Racines et Héritage',
+    'historia.intro': 'L\'histoire de la capoeira est un parcours de résistance, de marginalisation et, enfin, de reconnaissance mondiale. Née de la lutte pour la liberté, elle est devenue un symbole de la culture brésilienne et un Patrimoine de l\'Humanité.',
+
+    'academia.title': 'Gestion et Logistique de l\'Académie',
+    'academia.intro': 'Organiser une académie de capoeira va au-delà de l\'enseignement. Il faut gérer les élèves, préserver l\'identité visuelle du groupe et acquérir le matériel essentiel pour offrir un cadre sûr et authentique à la pratique.',
+
+    'grupos.title': 'Groupes de Capoeira',
+    'grupos.intro': 'La capoeira est pratiquée dans des communautés et des groupes du monde entier. Chaque groupe a sa propre identité, sa lignée de mestres et son style de jeu. Explorez ci-dessous quelques exemples de groupes existants et leurs informations.',
+    'grupos.search': 'Rechercher par groupe, mestre ou ville...',
+
+    'ai.stop': 'Arrêter',
+
+    'ai.offline': 'Vous êtes hors ligne. Les outils d\'IA ont besoin d\'internet ; le reste du guide reste disponible hors ligne.',
+
+    'ai.empty': 'Impossible de générer du contenu. Essayez une autre formulation.',
+
+    'ai.interrupted': '(Réponse interrompue.)',
+
+    'ai.stopped': 'Génération interrompue.',
+
+    'ai.timeout': 'Le serveur a mis trop de temps à répondre. Réessayez plus tard.',
+
+    'ai.error': 'Erreur : {message}',
+    'aiGuard.tooLong': 'Le texte dépasse la limite de {max} caractères. Résumez votre demande.',
+    'aiGuard.injection': 'La demande tente de modifier les instructions de l\'outil et n\'a pas été envoyée.',
+    'aiGuard.unsafe': 'Cette demande ne peut pas être traitée. Les outils du guide ne traitent que de capoeira.',
+    'aiGuard.offTopic': 'Cet outil ne répond qu\'à propos de la capoeira. Reformulez votre demande autour de la capoeira, du groupe ou des cours.',
+    'aiGuard.answer': 'La réponse s\'est éloignée de la capoeira et a été écartée. Essayez de reformuler votre demande.',
+
+    'ai.style.title': 'Identificateur de Style ✨',
+    'ai.style.description': 'Décrivez votre pratique de la capoeira ou ce que vous y aimez le plus pour découvrir le style qui vous correspond le mieux.',
+    'ai.style.placeholder': 'Ex. : J\'aime les jeux lents et stratégiques, où la malandragem et la « conversation » entre les corps comptent le plus.',
+    'ai.style.button': 'Identifier mon Style ✨',
+    'ai.style.output': 'Votre Style :',
+
+    'ai.cantiga.title': 'Générateur de Cantigas ✨',
+    'ai.cantiga.description': 'Choisissez le type et la structure, puis décrivez le thème : l\'intelligence artificielle compose une cantiga complète, avec solo et chœur. Relisez le texte et enregistrez-le dans le recueil.',
+    'ai.cantiga.placeholder': 'Thème de la cantiga (ex. : la nostalgie du mestre, la mer de Bahia)...',
+    'ai.cantiga.button': 'Composer une Cantiga ✨',
+    'ai.cantiga.output': 'Votre Nouvelle Cantiga :',
+
+    'ai.guide.title': 'Guide Détaillé des Mouvements ✨',
+    'ai.guide.description': 'Obtenez un guide pas à pas concis pour exécuter le mouvement de capoeira indiqué.',
+    'ai.guide.placeholder': 'Tapez le nom du mouvement (ex. : Ginga, Armada)...',
+    'ai.guide.button': 'Générer le Guide Détaillé ✨',
+    'ai.guide.output': 'Tutoriel :',
+
+    'ai.training.title': 'Générateur d\'Entraînement ✨',
+    'ai.training.description': 'Créez un plan d\'entraînement personnalisé. Décrivez l\'objectif (ex. : « agilité », « endurance », « entraînement pour débutants ») et recevez une séquence d\'exercices.',
+    'ai.training.placeholder': 'Ex. : Une séance d\'une demi-heure pour améliorer la base et la ginga.',
+    'ai.training.button': 'Générer le Plan d\'Entraînement ✨',
+    'ai.training.output': 'Votre Plan d\'Entraînement :',
+
+    'ai.abada.title': 'Générateur d\'Idées d\'Abadás ✨',
+    'ai.abada.description': 'Décrivez l\'identité de votre groupe pour recevoir des idées de logos et d\'uniformes.',
+    'ai.abada.placeholder': 'Ex. : Un groupe axé sur des mouvements acrobatiques et rapides.',
+    'ai.abada.button': 'Générer des Idées ✨',
+    'ai.abada.output': 'Idées Générées :',
+
+    'ai.chat.title': 'Dialogue avec un Mestre ✨',
+    'ai.chat.description': 'Conversez avec la sagesse d\'un mestre de capoeira. Posez des questions sur la philosophie de la lutte, l\'histoire ou les mouvements. Le mestre se souvient de ce qui a été dit, et vos conversations sont enregistrées dans ce navigateur.',
+    'ai.chat.placeholder': 'Posez une question au mestre...',
+    'ai.chat.button': 'Envoyer',
+
+    'ai.contact.title': 'Rédacteur de Contact avec un Groupe ✨',
+    'ai.contact.description': 'Rédigez un brouillon d\'e-mail ou de message formel pour contacter un groupe de capoeira (pour visiter, rejoindre le groupe ou vous renseigner sur les cours).',
+    'ai.contact.placeholder': 'Ex. : Je suis élève de niveau intermédiaire et j\'aimerais me renseigner sur les cours de votre antenne de São Paulo et le prix des mensualités.',
+    'ai.contact.button': 'Générer un Brouillon ✨',
+    'ai.contact.output': 'Brouillon Suggéré :',
+
+    'ai.toque.title': 'Générateur de Toques de Berimbau ✨',
+    'ai.toque.description': 'Décrivez le sentiment ou le style de jeu souhaité pour que l\'IA suggère le toque de berimbau approprié et son contexte.',
+    'ai.toque.placeholder': 'Ex. : Un toque pour un jeu lent, stratégique et au sol.',
+    'ai.toque.button': 'Suggérer un Toque ✨',
+    'ai.toque.output': 'Toque Suggéré :',
+
+    'students.title': 'Base de Données des Élèves',
+    'students.description': 'Ce formulaire montre comment un système d\'inscription en temps réel peut servir à gérer les informations des élèves. Dans cet exemple, les données sont enregistrées dans une base de données simulée.',
+    'students.name': 'Nom Complet',
+    'students.group': 'Groupe dont vous faites partie',
+    'students.style': 'Style de capoeira',
+    'students.stylePrompt': 'Style de capoeira pratiqué',
+    'students.cordelPrompt': 'Graduation (corde)',
+    'students.batizado': 'Date du Batizado',
+    'students.batizadoLabel': 'Date du Batizado',
+    'students.email': 'E-mail de contact',
+    'students.phone': 'Téléphone de contact (ex. : (71) 98765-4321)',
+    'students.submit': 'Enregistrer l\'Élève',
+    'students.listTitle': 'Élèves Inscrits',
+    'students.exportCsv': 'Exporter en CSV',
+    'students.exportJson': 'Exporter en JSON',
+    'students.search': 'Rechercher par nom ou groupe...',
+    'students.allCordels': 'Toutes les graduations',
+    'students.loading': 'Chargement des élèves...',
+
+    'students.column.name': 'Nom',
+    'students.column.group': 'Groupe',
+    'students.column.style': 'Style',
+    'students.column.cordel': 'Graduation',
+    'students.column.batizado': 'Batizado',
+    'students.column.email': 'E-mail',
+    'students.column.phone': 'Téléphone',
+    'students.column.actions': 'Actions',
+
+    'students.awaitingAuth': 'En attente de l\'authentification de la base de données...',
+    'students.fixFields': 'Corrigez les champs en surbrillance.',
+    'students.saved': 'Élève inscrit avec succès !',
+    'students.saveError': 'Erreur lors de l\'enregistrement : {message}',
+    'students.queued': 'Hors ligne : inscription gardée sur cet appareil ({count} en attente). Elle sera envoyée au retour de la connexion.',
+    'students.queueError': 'Hors ligne, et l\'inscription n\'a pas pu être gardée sur cet appareil.',
+    'students.syncing': 'Synchronisation de {count} inscription(s) faite(s) hors ligne...',
+    'students.syncPartial': '{synced} inscription(s) synchronisée(s) ; {remaining} toujours en attente : {message}',
+    'students.synced': '{count} inscription(s) faite(s) hors ligne synchronisée(s) avec succès !',
+    'students.syncError': 'Impossible de synchroniser les inscriptions en attente.',
+    'students.reconnected': 'Connexion rétablie. Rechargez la page pour envoyer {count} inscription(s) en attente.',
+    'students.offline': 'Hors ligne : les nouvelles inscriptions seront gardées sur cet appareil jusqu\'au retour de la connexion.',
+    'students.pending': '{count} inscription(s) en attente de connexion pour être synchronisée(s).',
+    'students.loadError': 'Erreur lors du chargement des élèves : {message}',
+    'students.empty': 'Aucun élève inscrit pour l\'instant.',
+    'students.noMatch': 'Aucun élève ne correspond à ces filtres.',
+    'students.noAcademy': 'Créez une académie ou rejoignez-en une avec une invitation pour voir les élèves.',
+    'students.count': '{visible} sur {total} élèves.',
+    'students.confirmDelete': 'Supprimer l\'élève « {name} » ? Cette action est irréversible.',
+    'students.deleteError': 'Erreur lors de la suppression : {message}',
+    'students.action.save': 'Enregistrer',
+    'students.action.cancel': 'Annuler',
+    'students.action.edit': 'Modifier',
+    'students.action.delete': 'Supprimer',
+
+    'validation.name.required': 'Indiquez le nom complet.',
+    'validation.name.digits': 'Le nom ne peut pas contenir de chiffres.',
+    'validation.group.required': 'Indiquez le groupe.',
+    'validation.style.required': 'Choisissez un style : {styles}.',
+    'validation.cordel.required': 'Choisissez une graduation du système de cordes du groupe.',
+    'validation.batizado.required': 'Indiquez la date du batizado.',
+    'validation.batizado.future': 'La date du batizado ne peut pas être dans le futur.',
+    'validation.batizado.invalid': 'Date du batizado invalide.',
+    'validation.email.invalid': 'Indiquez un e-mail valide (ex. : nom@exemple.com).',
+    'validation.email.duplicate': 'Un élève avec cet e-mail existe déjà dans cette académie.',
+    'validation.phone.required': 'Indiquez le téléphone.',
+    'validation.phone.invalid': 'Téléphone invalide. Utilisez l\'indicatif régional + le numéro (ex. : (71) 98765-4321) ou l\'indicatif du pays (ex. : +33 6 12 34 56 78).',
+
+    'movements.category.ataque': 'Attaque',
+    'movements.category.defesa': 'Défense',
+    'movements.category.movimentacao': 'Déplacement',
+    'movements.difficulty.iniciante': 'Débutant',
+    'movements.difficulty.intermediario': 'Intermédiaire',
+    'movements.difficulty.avancado': 'Avancé',
+
+    'studentIo.error.jsonList': 'Le JSON doit contenir une liste d\'élèves.',
+    'studentIo.error.duplicateEmail': 'E-mail en double dans le fichier (ligne {line}).',
+    'studentIo.error.existingStudent': 'Élève déjà inscrit (même nom et même téléphone).',
+    'studentIo.error.duplicateStudent': 'Élève en double dans le fichier (ligne {line}).',
+    'studentIo.report.line': 'Ligne',
+    'studentIo.report.field': 'Champ',
+    'studentIo.report.error': 'Erreur',
+    'studentIo.skipColumn': '(ne pas importer)',
+    'studentIo.column': 'Colonne {number}',
+    'studentIo.rowOk': 'OK',
+    'studentIo.summary': '{valid} ligne(s) valide(s), {invalid} avec erreur.',
+    'studentIo.confirm': 'Importer {count} élève(s)',
+    'studentIo.progress': 'Importation... {done} sur {total}',
+    'studentIo.imported': '{count} élève(s) importé(s).',
+    'studentIo.error.empty': 'Le fichier ne contient aucune ligne d\'élève.',
+    'studentIo.error.read': 'Erreur de lecture du fichier : {message}',
+    'studentIo.error.import': 'Erreur d\'importation après {count} élève(s) : {message}',
+
+    'cantigas.structure.resposta': 'Appel et réponse (chœur à chaque vers)',
+    'cantigas.structure.refrao': 'Couplets avec refrain du chœur',
+    'cantigas.structure.solo': 'Soliste seul (sans chœur)',
+    'cantigas.error.title': 'Indiquez le titre de la cantiga.',
+    'cantigas.error.type': 'Choisissez le type de cantiga.',
+    'cantigas.error.toque': 'Toque inconnu.',
+    'cantigas.error.solo': 'Écrivez les vers du soliste.',
+    'cantigas.error.coro': '{type} a des réponses du chœur : marquez-les avec « Coro: ».',
+
+    'training.block.aquecimento': 'Échauffement',
+    'training.block.sequencia': 'Enchaînement de mouvements',
+    'training.block.aprimoramento': 'Exercices de perfectionnement',
+    'training.block.alongamento': 'Retour au calme/Étirements',
+    'training.field.sets': 'séries',
+    'training.field.reps': 'répétitions',
+    'training.field.duration': 'durée',
+    'training.field.rest': 'repos',
+    'training.error.title': 'Le plan n\'a pas de titre.',
+    'training.error.emptyBlock': 'Le bloc « {block} » n\'a aucun exercice.',
+    'training.error.position': '{block}, exercice {number}',
+    'training.error.name': '{position} : le nom manque.',
+    'training.error.invalid': '{position} ({name}) : valeur invalide pour {field}.',
+    'training.error.belowMin': '{position} ({name}) : {field} en dessous du minimum ({min}).',
+    'training.error.load': '{position} ({name}) : indiquez les répétitions ou la durée.',
+    'training.error.noJson': 'La réponse ne contenait pas le plan au format attendu.',
+    'training.error.badJson': 'La réponse contenait un plan mal formé.',
+    'training.reps': '{count} répétitions',
+    'training.rest': 'repos {duration}',
+    'training.restStep': 'Repos',
+    'training.goal': 'Objectif : {goal}',
+    'training.timed': 'Temps chronométré : {duration}',
+    'training.print.exercise': 'Exercice',
+    'training.print.load': 'Charge',
+    'training.print.notes': 'Remarques',
+
+    'events.type.batizado': 'Batizado et passage de cordes',
+    'events.type.roda': 'Roda',
+    'events.error.type': 'Choisissez le type d\'événement.',
+    'events.error.title': 'Indiquez le nom de l\'événement.',
+    'events.error.date': 'Indiquez la date de l\'événement.',
+    'events.error.timeFormat': 'Utilisez le format HH:MM.',
+    'events.error.startMissing': 'Indiquez aussi l\'heure de début.',
+    'events.error.endBeforeStart': 'La fin doit être après le début.',
+    'events.error.location': 'Indiquez le lieu.',
+    'events.error.participants': 'Choisissez les élèves qui vont recevoir une corde.',
+    'events.error.nextCordel': 'Choisissez la nouvelle corde de tous les participants.',
+    'events.dateTimeRange': '{date}, de {start} à {end}',
+    'events.visitingMestres': 'Mestres invités : {names}',
+    'events.receivingCord': '{count} élève(s) recevant une corde',
+    'events.confirmed': '{count} élève(s) confirmé(s)',
+    'events.print.name': 'Nom',
+    'events.print.group': 'Groupe',
+    'events.print.currentCord': 'Corde actuelle',
+    'events.print.nextCord': 'Nouvelle corde',
+    'events.print.playedWith': 'A joué avec',
+    'events.print.cordel': 'Grade',
+    'events.print.presence': 'Présence',
+    'events.print.noParticipants': 'Aucun élève inscrit.',
+    'events.certificate.title': 'Certificat de Graduation',
+    'events.certificate.intro': 'Nous certifions que',
+    'events.certificate.body': 'a reçu la corde {cord} lors de l’événement « {event} », le {date}, à {location}.',
+    'events.certificate.academy': 'Responsable de l\'académie',
+
+    'attendance.error.date': 'Indiquez la date du cours.',
+    'attendance.error.future': 'La présence ne peut être enregistrée que pour des cours déjà passés.',
+    'attendance.error.turma': 'Indiquez le groupe.',
+    'attendance.error.instructor': 'Indiquez l\'instructeur.',
+    'attendance.error.present': 'Cochez au moins un élève présent.',
+
+    'finance.category.instrumento': 'Instrument',
+    'finance.category.uniforme': 'Uniforme',
+    'finance.category.outro': 'Autre',
+    'finance.status.pago': 'Payé',
+    'finance.status.aberto': 'En attente',
+    'finance.status.atrasado': 'En retard',
+    'finance.error.name': 'Indiquez l\'article.',
+    'finance.error.category': 'Choisissez la catégorie.',
+    'finance.error.quantity': 'La quantité doit être un nombre entier supérieur à zéro.',
+    'finance.error.unitCost': 'Indiquez le coût unitaire (ex. : 150,00).',
+    'finance.error.purchaseDate': 'Indiquez la date d\'achat.',
+    'finance.error.student': 'Choisissez l\'élève.',
+    'finance.error.month': 'Indiquez le mois de référence.',
+    'finance.error.amount': 'Indiquez le montant de la cotisation.',
+    'finance.error.dueDate': 'Indiquez l\'échéance.',
+    'finance.error.paidAt': 'Date de paiement invalide.',
+
+    'cords.year': '{count} an',
+    'cords.years': '{count} ans',
+    'cords.month': '{count} mois',
+    'cords.months': '{count} mois',
+    'cords.and': ' et ',
+    'cords.noMinTime': 'sans durée minimale',
+    'cords.minTimeTitle': 'au moins {time} au niveau précédent',
+    'cords.minTime': 'min. {time}',
+    'academies.role.mestre': 'Mestre / administration',
+    'academies.role.professor': 'Professor / instructeur',
+    'academies.role.aluno': 'Élève',
+    'academies.invite.notFound': 'Invitation introuvable. Vérifiez le code.',
+    'academies.invite.used': 'Cette invitation a déjà été utilisée.',
+    'academies.invite.expired': 'Cette invitation a expiré. Demandez-en une nouvelle à votre mestre ou professeur.',
+    'chat.persona.sabio': 'Mestre sage',
+    'chat.persona.angola': 'Mestre angoleiro',
+    'chat.persona.regional': 'Mestre de la Regional',
+    'chat.newSession': 'Nouvelle conversation',
+    'chat.export.title': 'Dialogue avec un Mestre — {persona}',
+    'chat.export.you': 'Vous',
+    'chat.export.mestre': 'Mestre',
+    'chat.start': 'Commencez la conversation...',
+    'chat.confirmDelete': 'Supprimer cette conversation ?',
+    'chat.confirmClear': 'Supprimer toutes les conversations enregistrées ?',
+
+    'movements.imageAlt': 'Image du mouvement {name}',
+    'movements.noMatch': 'Aucun mouvement ne correspond à ces filtres.',
+    'movements.aliases': 'Aussi appelé : {aliases}',
+    'movements.linkCopied': 'Lien copié !',
+    'movements.copyLink': 'Copier le lien',
+    'movements.loadError': 'Impossible de charger les mouvements.',
+    'toques.play': '▶ Jouer',
+    'toques.stop': '■ Arrêter',
+    'toques.audioError': 'Votre navigateur n\'a pas pu lire l\'audio.',
+    'toques.loadError': 'Impossible de charger les toques.',
+    'toques.listen': '▶ Écouter {name}',
+
+    'common.edit': 'Modifier',
+    'common.delete': 'Supprimer',
+    'common.cancel': 'Annuler',
+    'common.open': 'Ouvrir',
+    'common.awaitingAuth': 'En attente de l\'authentification de la base de données...',
+    'common.fixFields': 'Corrigez les champs en surbrillance.',
+    'common.saveError': 'Erreur lors de l\'enregistrement : {message}',
+    'common.deleteError': 'Erreur lors de la suppression : {message}',
+    'cantigas.favorite': 'Ajouter « {title} » aux favoris',
+    'cantigas.unfavorite': 'Retirer « {title} » des favoris',
+    'cantigas.toque': 'Toque : {name}',
+    'cantigas.coro': 'Coro',
+    'cantigas.action.listen': '▶ Écouter le toque',
+    'cantigas.noMatch': 'Aucune cantiga ne correspond à ces filtres.',
+    'cantigas.confirmDelete': 'Supprimer la cantiga « {title} » du recueil ?',
+    'cantigas.loadError': 'Impossible de charger les cantigas traditionnelles.',
+    'cantigas.noToque': 'Sans toque défini',
+    'cantigas.myComposition': 'Ma composition',
+    'cantigas.saved': 'Cantiga enregistrée dans le recueil.',
+    'cantigas.saveError': 'Impossible d\'enregistrer la cantiga dans ce navigateur.',
+
+    'training.timer.done': 'Entraînement terminé. Axé !',
+    'training.timer.next': 'Ensuite : {label}',
+    'training.timer.pause': '❚❚ Pause',
+    'training.timer.start': '▶ Démarrer',
+    'training.exerciseDone': 'Fait : {name}',
+    'training.fallbackTitle': 'Votre plan d\'entraînement :',
+    'training.checklistError': 'Impossible de construire la liste : {error}',
+    'training.progress': '{done} exercices faits sur {total}',
+    'training.libraryEmpty': 'Aucun plan enregistré. Générez un plan et enregistrez-le ici.',
+    'training.saved': 'Plan enregistré dans votre bibliothèque.',
+    'training.saveError': 'Impossible d\'enregistrer le plan dans ce navigateur.',
+    'training.confirmDelete': 'Supprimer le plan « {title} » ?',
+
+    'finance.chart.value': 'Valeur',
+    'finance.chart.income': 'Recettes',
+    'finance.chart.expenses': 'Dépenses',
+    'finance.summary.income': 'Recettes du mois',
+    'finance.summary.expenses': 'Dépenses du mois',
+    'finance.summary.open': 'Cotisations en attente',
+    'finance.summary.late': 'Cotisations en retard',
+    'finance.summary.inventory': 'Valeur de l\'inventaire',
+    'finance.paidOn': '{status} le {date}',
+    'finance.action.pay': 'Enregistrer le paiement',
+    'finance.action.unpay': 'Annuler',
+    'finance.fees.empty': 'Aucune cotisation pour ce mois.',
+    'finance.fees.summary': '{paid} reçus sur {total} ({count} cotisation(s)).',
+    'finance.fees.monthRequired': 'Choisissez le mois.',
+    'finance.fees.amountRequired': 'Indiquez le montant de la cotisation (ex : 100,00).',
+    'finance.fees.dueDayInvalid': 'L\'échéance doit être un jour entre 1 et 31.',
+    'finance.fees.noStudents': 'Inscrivez des élèves pour générer les cotisations.',
+    'finance.fees.allGenerated': 'Tous les élèves ont déjà la cotisation de {month}.',
+    'finance.fees.generated': '{count} cotisation(s) générée(s) pour {month}.',
+    'finance.fees.generateError': 'Erreur lors de la génération des cotisations : {message}',
+    'finance.fees.confirmDelete': 'Supprimer la cotisation de {name} ({month}) ?',
+    'finance.fees.loadError': 'Erreur lors du chargement des cotisations : {message}',
+    'finance.inventory.empty': 'Aucun article dans l\'inventaire. Ex : berimbau (R$ 150), pandeiro (R$ 80), atabaque (R$ 250).',
+    'finance.inventory.count': '{count} article(s).',
+    'finance.inventory.add': 'Ajouter à l\'inventaire',
+    'finance.inventory.saveItem': 'Enregistrer l\'article',
+    'finance.inventory.confirmDelete': 'Supprimer « {name} » de l\'inventaire ?',
+    'finance.inventory.loadError': 'Erreur lors du chargement de l\'inventaire : {message}',
+
+    'common.noStudentMatch': 'Aucun élève trouvé.',
+    'events.loadError': 'Erreur lors du chargement des événements : {message}',
+    'events.include': 'Inclure {name}',
+    'events.lowAttendance': 'Assiduité sous le minimum : {rate} % (min. {threshold} %)',
+    'events.nextCordel': 'Nouvelle corde de {name}',
+    'events.noStudents': 'Inscrivez des élèves pour les ajouter à l\'événement.',
+    'events.form.new': 'Nouvel événement',
+    'events.form.edit': 'Modifier : {title}',
+    'events.saved': 'Événement enregistré !',
+    'events.past': '{title} (passé)',
+    'events.receivingCount': '{count} élève(s) recevant une corde',
+    'events.studentCount': '{count} élève(s)',
+    'events.lowAttendanceCount': '{count} élève(s) sous l\'assiduité minimale de {threshold} %.',
+    'events.action.printList': 'Liste de la cérémonie',
+    'events.action.ics': 'Calendrier (.ics)',
+    'events.action.certificates': 'Certificats',
+    'events.empty': 'Aucun événement pour l\'instant.',
+    'events.count': '{count} événement(s).',
+    'events.confirmDelete': 'Supprimer l\'événement « {title} » ? Cette action est irréversible.',
+    'events.nothingToExport': 'Aucun événement à exporter.',
+
+    'attendance.chart.checkins': 'Présences',
+    'attendance.chart.average': 'Moyenne par cours',
+    'attendance.chart.averageAxis': 'Moyenne',
+    'attendance.loadError': 'Erreur lors du chargement des cours : {message}',
+    'attendance.noStudents': 'Inscrivez des élèves pour faire l\'appel.',
+    'attendance.presentCount': '{count} présent(s)',
+    'attendance.form.new': 'Enregistrer un cours',
+    'attendance.form.edit': 'Modifier le cours du {date}',
+    'attendance.saved': 'Présences enregistrées : {count} élève(s).',
+    'attendance.confirmDelete': 'Supprimer le cours de {turma} du {date} ?',
+    'attendance.empty': 'Aucun cours enregistré pour l\'instant.',
+    'attendance.count': '{count} cours enregistré(s).',
+    'attendance.history.none': 'Aucune présence enregistrée.',
+    'attendance.history.summary': '{attended} cours sur {total} ({rate} %)',
+    'attendance.history.present': 'Présent',
+    'attendance.history.absent': 'Absent',
+    'attendance.flagged.rate': '{name} : {rate} % ({attended} cours sur {total})',
+    'attendance.flagged.none': '{name} : aucune présence sur la période',
+    'attendance.flagged.noSessions': 'Enregistrez des cours pour suivre l\'assiduité.',
+    'attendance.flagged.allAbove': 'Tous les élèves sont au-dessus du minimum.',
+
+    'auth.memoryMode': 'Mode local : les données restent uniquement sur cette page.',
+    'auth.offline': 'Hors ligne : les fiches seront gardées sur cet appareil et envoyées au retour de la connexion.',
+    'auth.firebaseMissing': 'Erreur de démarrage : Firebase n\'a pas été chargé.',
+    'auth.signedIn': 'Connecté. ID utilisateur : {id}',
+    'auth.error': 'Erreur d\'authentification : {message}',
+    'auth.initError': 'Erreur au démarrage de Firebase. Vérifiez la configuration.',
+    'account.error.credentials': 'E-mail ou mot de passe incorrect.',
+    'account.error.email': 'Indiquez un e-mail valide.',
+    'account.error.emailInUse': 'Un compte existe déjà avec cet e-mail. Utilisez « Se connecter ».',
+    'account.error.password': 'Le mot de passe doit contenir au moins 6 caractères.',
+    'account.error.tooManyRequests': 'Trop de tentatives. Réessayez dans quelques minutes.',
+    'account.error.generic': 'Erreur : {message}',
+    'account.connected': 'Compte connecté',
+    'account.invitesLoadError': 'Erreur lors du chargement des invitations : {message}',
+    'account.membersLoadError': 'Erreur lors du chargement des membres : {message}',
+    'account.academyLoadError': 'Erreur lors du chargement de l\'académie : {message}',
+    'account.hasAccess': '{name} (a déjà accès)',
+    'account.noInvites': 'Aucune invitation en attente.',
+    'account.inviteExpired': 'expirée',
+    'account.inviteValidUntil': 'valable jusqu\'au {date}',
+    'account.action.copy': 'Copier',
+    'account.action.revoke': 'Révoquer',
+    'account.action.remove': 'Retirer',
+    'account.copied': 'Copié !',
+    'account.you': '{role} (vous)',
+    'account.roleOf': 'Rôle de {name}',
+    'account.created': 'Compte créé. Utilisez le même e-mail et mot de passe pour vous connecter sur d\'autres appareils.',
+    'account.signOutError': 'Erreur lors de la déconnexion : {message}',
+    'account.academyNameRequired': 'Indiquez le nom de l\'académie.',
+    'account.academyCreated': 'Académie « {name} » créée. Invitez les professeurs et les élèves ci-dessous.',
+    'account.academyCreateError': 'Erreur lors de la création de l\'académie : {message}',
+    'account.invalidCode': 'Code invalide : utilisez le format XXXX-XXXX.',
+    'account.joined': 'Vous avez rejoint {name} en tant que {role}.',
+    'account.roleChanged': 'Votre rôle dans l\'académie est maintenant {role}.',
+    'account.removedFromAcademy': 'Vous ne faites plus partie de {name}.',
+    'account.joinError': 'Impossible de rejoindre l\'académie : {message}',
+    'account.inviteStudentRequired': 'Choisissez la fiche de l\'élève invité.',
+    'account.inviteCreated': 'Invitation {code} créée. Envoyez le code à la personne invitée.',
+    'account.inviteCreateError': 'Erreur lors de la création de l\'invitation : {message}',
+    'account.confirmRevoke': 'Révoquer l\'invitation {code} ?',
+    'account.revokeError': 'Erreur lors de la révocation de l\'invitation : {message}',
+    'account.roleError': 'Erreur lors du changement de rôle : {message}',
+    'account.confirmRemove': 'Retirer {name} de l\'académie ?',
+    'account.removeError': 'Erreur lors du retrait du membre : {message}',
+
+    'groups.headquartersMark': '{location} (siège)',
+    'groups.logoAlt': 'Logo du Grupo {name}',
+    'groups.info.masters': 'Mestres',
+    'groups.info.headquarters': 'Siège',
+    'groups.info.branches': 'Antennes',
+    'groups.info.estilos': 'Styles',
+    'groups.info.address': 'Adresse',
+    'groups.info.phone': 'Téléphone',
+    'groups.info.website': 'Site web',
+    'groups.info.email': 'E-mail',
+    'groups.noMatch': 'Aucun groupe ne correspond à ces filtres.',
+    'groups.founded': 'Fondé en {year}',
+    'groups.loadError': 'Impossible de charger les groupes.',
+
+    'estilos.visual': 'Espace visuel pour distinguer les styles de Capoeira',
+    'estilos.angola': 'Caractérisée par la lenteur, la malandragem et des mouvements près du sol. Ses pratiquants évoluent au ras du sol, en utilisant la ginga de façon dissimulée. La musique est plus lente et cadencée, et la roda n\'a généralement pas la vivacité de la Regional. L\'accent est mis sur la stratégie, le jeu de corps et le dialogue corporel.',
+    'estilos.regional': 'Créée par Mestre Bimba, la Capoeira Regional est plus rapide et directe, avec des mouvements plus droits et acrobatiques. Mestre Bimba l\'a codifiée et en a fait un art martial respecté. La musique est plus rapide, et le jeu est dynamique et tourné vers le combat. Ses rituels de roda, comme la « séquence de Bimba », sont standardisés.',
+    'estilos.contemporanea': 'Elle naît de la fusion des deux précédentes, mêlant la malice de l\'Angola à l\'agilité de la Regional. C\'est la plus pratiquée aujourd\'hui et elle varie beaucoup selon les groupes. La plupart des systèmes de grades par cordes que nous connaissons ont été établis par des groupes qui se reconnaissent dans ce style.',
+    'graduacao.groupSelect': 'Système de cordes du groupe',
+    'graduacao.reference': 'Système de référence',
+    'movimentos.filter.all': 'Tous',
+    'common.filterEstilo': 'Filtrer par style',
+    'common.allEstilos': 'Tous les styles',
+    'movimentos.filterDifficulty': 'Filtrer par difficulté',
+    'movimentos.allDifficulties': 'Toutes les difficultés',
+    'movimentos.loading': 'Chargement des mouvements...',
+    'common.close': 'Fermer',
+    'movimentos.prerequisites': 'Prérequis',
+    'movimentos.counters': 'Comment répondre',
+    'movimentos.guide': 'Guide détaillé ✨',
+
+    'training.timer.skip': 'Passer',
+    'training.timer.reset': 'Recommencer',
+    'training.save': 'Enregistrer dans ma bibliothèque',
+    'training.printButton': 'Imprimer',
+    'training.library': 'Mes plans d\'entraînement',
+    'musica.berimbau': 'L\'instrument principal. Il donne le rythme (toque) et le type de jeu. Il en existe trois : Gunga (grave), Médio et Viola (aigu).',
+    'musica.pandeiro': 'Il marque le rythme en complément du berimbau. C\'est l\'instrument de percussion le plus polyvalent de la roda.',
+    'musica.atabaque': 'Un tambour en peau qui donne la frappe principale, le « cœur » de la bateria, et maintient la base rythmique.',
+    'musica.types': 'Types de cantigas',
+    'musica.ladainhas': 'Chantées au début de la roda, généralement par un mestre. Elles racontent des histoires et servent à échauffer et concentrer les joueurs.',
+    'musica.corridos': 'Chants courts et rapides, avec un refrain repris en chœur par les participants, qui accompagnent le déroulement du jeu.',
+    'musica.quadras': 'Chants de quatre vers sur la vie quotidienne, l\'histoire ou des figures importantes de la capoeira.',
+    'musica.louvacoes': 'Elles suivent la ladainha : le soliste salue Dieu, le mestre et la capoeira (« Iê, viva meu Deus ») et le chœur répète en ajoutant « camará ».',
+    'musica.cancioneiro.title': 'Recueil de chants',
+    'musica.cancioneiro.intro': 'Les cantigas traditionnelles et celles que vous enregistrez. Les vers du soliste et les réponses du chœur sont séparés ; appuyez sur « Écouter le toque » pour accompagner au berimbau.',
+    'cantigas.search': 'Rechercher par titre ou vers...',
+    'cantigas.filterType': 'Filtrer par type',
+    'cantigas.allTypes': 'Tous les types',
+    'cantigas.favoritesOnly': 'Favorites uniquement',
+    'cantigas.type': 'Type de cantiga',
+    'cantigas.structureLabel': 'Structure',
+    'cantigas.size': 'Longueur',
+    'cantigas.verses4': 'Environ 4 vers',
+    'cantigas.verses8': 'Environ 8 vers',
+    'cantigas.verses12': 'Environ 12 vers',
+    'cantigas.toqueLabel': 'Toque',
+    'cantigas.title': 'Titre',
+    'cantigas.lines': 'Vers',
+    'cantigas.linesHelp': 'Un vers par ligne. Commencez les réponses du chœur par « Coro: » et les vers du soliste par « Solo: ».',
+    'cantigas.save': 'Enregistrer dans le recueil',
+    'cantigas.new': 'Nouvelle cantiga',
+    'musica.toques.title': 'Toques du berimbau',
+    'musica.toques.intro': 'Choisissez un toque pour en écouter une version synthétisée. La notation est simplifiée pour l\'étude :',
+    'musica.toques.dom': 'corde à vide',
+    'musica.toques.dim': 'pierre sur la corde',
+    'musica.toques.chi': 'grésillement',
+    'musica.toques.and': 'et',
+    'musica.toques.tempo': 'Tempo',
+    'musica.toques.loop': 'Répéter',
+
+    'historia.origens.title': 'Origines dans l\'esclavage',
+    'historia.origens.text': 'Elle est née dans le Brésil colonial comme forme d\'autodéfense et de résistance culturelle des Africains réduits en esclavage, déguisée en danse pour ne pas être réprimée. Les mouvements étaient pratiqués en secret pour tromper les maîtres des plantations, qui n\'y voyaient pas une forme de combat mais une manifestation folklorique.',
+    'historia.marginalizacao.title': 'Marginalisation',
+    'historia.marginalizacao.text': 'Après l\'abolition de l\'esclavage, la capoeira a été associée au vagabondage et à la criminalité. En 1890, le Code pénal de la République l\'a explicitement interdite, rendant sa pratique clandestine. La capoeira a continué d\'exister dans les ruelles et les faubourgs, maintenue en vie par des pratiquants qui défiaient la loi pour préserver cet art.',
+    'historia.legalizacao.title': 'Légalisation et formalisation',
+    'historia.legalizacao.text': 'La Capoeira Regional, créée par Mestre Bimba, a été décisive pour sa légalisation. En présentant cet art au président de l\'époque, Getúlio Vargas, en 1937, Mestre Bimba a obtenu la reconnaissance officielle de la capoeira comme art martial brésilien. Sa formalisation dans des académies et la création d\'une méthode d\'enseignement structurée ont aidé à changer le regard du public.',
+    'historia.reconhecimento.title': 'Reconnaissance mondiale',
+    'historia.reconhecimento.text': 'La reconnaissance par l\'UNESCO en 2014 a couronné un long parcours. La roda de capoeira, avec ses chants, ses instruments et ses mouvements, a été déclarée Patrimoine culturel immatériel de l\'humanité. Ce titre a consolidé la capoeira comme symbole de la culture et de l\'identité brésiliennes, favorisant sa préservation et sa diffusion dans le monde entier.',
+    'historia.mestres.title': 'Grands mestres',
+    'historia.bimba.alt': 'Photo de Mestre Bimba, créateur de la Capoeira Regional.',
+    'historia.bimba.text': 'Manoel dos Reis Machado, le père de la Capoeira Regional. Il a créé la première méthode d\'enseignement, avec des séquences et des rituels, faisant de la capoeira un art martial respecté et structuré.',
+    'historia.pastinha.alt': 'Photo de Mestre Pastinha, gardien de la Capoeira Angola.',
+    'historia.pastinha.text': 'Vicente Ferreira Pastinha, le grand gardien de la Capoeira Angola. Il défendait la capoeira dans son essence, en valorisant la tradition, la malice, la musique et la philosophie du jeu comme expression culturelle.',
+    'chat.personaSelect': 'Personnage du mestre',
+    'chat.sessions': 'Conversations enregistrées',
+    'chat.action.new': 'Nouvelle',
+    'chat.action.export': 'Exporter',
+    'chat.action.delete': 'Supprimer',
+    'chat.action.clear': 'Tout supprimer',
+
+    'account.title': 'Compte et académie',
+    'auth.waiting': 'En attente d\'authentification...',
+    'account.hint': 'Connectez-vous avec e-mail et mot de passe pour accéder à votre académie depuis n\'importe quel appareil.',
+    'account.email': 'E-mail',
+    'account.password': 'Mot de passe (6 caractères minimum)',
+    'account.signIn': 'Se connecter',
+    'account.signUp': 'Créer un compte',
+    'account.signOut': 'Se déconnecter',
+    'account.createTitle': 'Créer une académie',
+    'account.createHint': 'Vous serez le mestre (administration) et pourrez inviter des professores et des élèves.',
+    'account.academyName': 'Nom de l\'académie',
+    'account.create': 'Créer',
+    'account.joinTitle': 'Rejoindre avec une invitation',
+    'account.inviteCode': 'Code d\'invitation (ex : K7QM-2XPA)',
+    'account.join': 'Rejoindre l\'académie',
+    'account.invites': 'Invitations',
+    'account.invitesHint': 'Chaque code vaut pour une personne, pendant 7 jours. Les invitations d\'élève ne donnent accès qu\'à la fiche choisie.',
+    'account.inviteRole': 'Rôle de l\'invité',
+    'account.inviteStudent': 'Fiche de l\'élève',
+    'account.inviteStudentPrompt': 'Choisissez la fiche de l\'élève',
+    'account.createInvite': 'Générer une invitation',
+    'account.members': 'Membres',
+    'students.cordel': 'Grade',
+    'students.import': 'Importer CSV/JSON',
+    'studentIo.title': 'Importer des élèves',
+    'studentIo.hint': 'Vérifiez quelle colonne du fichier correspond à chaque champ. Seules les lignes valides seront enregistrées.',
+    'studentIo.preview.row': 'Ligne',
+    'studentIo.preview.status': 'Statut',
+    'studentIo.confirmButton': 'Importer',
+    'studentIo.reportButton': 'Télécharger le rapport d\'erreurs',
+    'students.filterCordel': 'Filtrer par grade',
+
+    'events.title': 'Événements : batizados et rodas',
+    'events.exportAll': 'Exporter l\'agenda (.ics)',
+    'events.typeLabel': 'Type d\'événement',
+    'events.date': 'Date de l\'événement',
+    'events.name': 'Nom de l\'événement (ex : Batizado 2026)',
+    'events.start': 'Début',
+    'events.end': 'Fin',
+    'events.location': 'Lieu',
+    'events.mestres': 'Mestres invités, séparés par des virgules',
+    'events.students': 'Élèves',
+    'common.searchStudent': 'Rechercher un élève...',
+    'events.column.joins': 'Participe',
+    'events.column.cordel': 'Corde actuelle',
+    'events.column.nextCordel': 'Nouvelle corde',
+    'events.save': 'Enregistrer l\'événement',
+    'events.listTitle': 'À venir et passés',
+    'events.loading': 'Chargement des événements...',
+    'attendance.title': 'Présences et cours',
+    'attendance.date': 'Date du cours',
+    'attendance.turma': 'Groupe (ex : Adultes soir)',
+    'attendance.instructor': 'Instructeur',
+    'attendance.rollCall': 'Appel',
+    'attendance.checkAll': 'Tout cocher',
+    'attendance.clear': 'Effacer',
+    'attendance.save': 'Enregistrer les présences',
+    'attendance.listTitle': 'Derniers cours',
+    'attendance.loading': 'Chargement des cours...',
+    'attendance.byMonth': 'Présences par mois',
+    'attendance.filterTurma': 'Filtrer par groupe',
+    'attendance.allTurmas': 'Tous les groupes',
+    'attendance.byTurma': 'Par groupe',
+    'attendance.filterMonth': 'Filtrer par mois',
+    'attendance.allMonths': 'Toute la période',
+    'attendance.column.turma': 'Groupe',
+    'attendance.column.sessions': 'Cours',
+    'attendance.column.average': 'Moyenne de présents',
+    'attendance.column.instructors': 'Instructeurs',
+    'attendance.history.title': 'Historique de l\'élève',
+    'attendance.chooseStudent': 'Choisissez un élève',
+    'attendance.threshold.title': 'Assiduité minimale pour le batizado',
+    'attendance.threshold.before': 'Au moins',
+    'attendance.threshold.after': '% des cours sur les derniers',
+    'attendance.period.1': '1 mois',
+    'attendance.period.3': '3 mois',
+    'attendance.period.6': '6 mois',
+    'attendance.period.12': '12 mois',
+
+    'finance.title': 'Finances de l\'académie',
+    'finance.flowTitle': 'Recettes vs dépenses (12 derniers mois)',
+    'finance.statusTitle': 'Cotisations par statut',
+    'finance.feesTitle': 'Cotisations mensuelles',
+    'finance.fees.month': 'Mois',
+    'finance.fees.amount': 'Montant (R$)',
+    'finance.fees.dueDay': 'Échéance (jour)',
+    'finance.fees.generate': 'Générer les cotisations du mois',
+    'finance.fees.filterStatus': 'Filtrer par statut',
+    'finance.fees.allStatuses': 'Tous les statuts',
+    'finance.fees.column.student': 'Élève',
+    'finance.fees.column.amount': 'Montant',
+    'finance.fees.column.due': 'Échéance',
+    'finance.fees.column.status': 'Statut',
+    'finance.inventory.title': 'Inventaire',
+    'finance.inventory.name': 'Article (ex : Berimbau gunga)',
+    'finance.inventory.category': 'Catégorie',
+    'finance.inventory.date': 'Date d\'achat',
+    'finance.inventory.quantity': 'Quantité',
+    'finance.inventory.unitCost': 'Coût unitaire (R$)',
+    'finance.inventory.column.item': 'Article',
+    'finance.inventory.column.quantity': 'Qté',
+    'finance.inventory.column.unitCost': 'Coût unit.',
+    'finance.inventory.column.total': 'Total',
+    'finance.inventory.column.date': 'Achat',
+    'finance.inventory.loading': 'Chargement de l\'inventaire...',
+    'academia.fundamentos.title': 'Fundamentos et batizados',
+    'academia.fundamentos.alt': 'Image d\'une cérémonie de batizado de capoeira.',
+    'academia.fundamentos.batizadoBefore': 'Le',
+    'academia.fundamentos.batizado': 'est la cérémonie d\'entrée officielle de l\'élève dans la capoeira, où il joue avec un mestre ou un professor et reçoit sa première corde.',
+    'academia.fundamentos.fundamentosBefore': 'Les',
+    'academia.fundamentos.fundamentos': 'sont l\'ensemble des connaissances théoriques et pratiques qui fondent cet art.',
+    'academia.abadas.title': 'Tenues (abadás)',
+    'academia.abadas.altMan': 'Image d\'un homme portant un abadá et un cordel.',
+    'academia.abadas.altWoman': 'Image d\'une femme portant un abadá et un cordel.',
+    'academia.abadas.text': 'L\'uniforme standard est l\'abadá, composé d\'un pantalon blanc et d\'un t-shirt au symbole du groupe. Il se porte à l\'entraînement, et l\'uniforme complet est obligatoire lors des cérémonies comme le batizado.',
+    'academia.materiais.title': 'Matériel essentiel',
+    'academia.materiais.altBerimbau': 'Image d\'un berimbau.',
+    'academia.materiais.altPandeiro': 'Image d\'un pandeiro.',
+    'academia.materiais.altAtabaque': 'Image d\'un atabaque.',
+    'academia.materiais.instrumentsLabel': 'Instruments :',
+    'academia.materiais.instruments': 'Berimbaus (gunga, médio, viola), pandeiros et atabaque.',
+    'academia.materiais.clothingLabel': 'Tenues :',
+    'academia.materiais.clothing': 'Abadás pour les élèves et les professores.',
+    'academia.materiais.safetyLabel': 'Sécurité :',
+    'academia.materiais.safety': 'Tapis pour l\'entraînement aux acrobaties.',
+    'academia.materiais.supportLabel': 'Soutien :',
+    'academia.materiais.support': 'Sonorisation et tableau blanc pour les cours théoriques.',
+    'academia.materiais.inventoryValue': 'Valeur de l\'inventaire',
+    'academia.materiais.inventoryEmpty': 'Ajoutez des instruments et des uniformes dans « Finances de l\'académie » pour voir la valeur de l\'inventaire.',
+    'grupos.filterCountry': 'Filtrer par pays',
+    'grupos.allCountries': 'Tous les pays',
+    'grupos.map.title': 'Carte des sièges et antennes',
+    'grupos.map.view': 'Cadrage de la carte',
+    'grupos.map.world': 'Monde',
+    'grupos.map.brazil': 'Brésil',
+    'grupos.map.label': 'Carte des sièges et antennes des groupes',
+    'grupos.loading': 'Chargement des groupes...',
+    'grupos.back': '← Retour aux groupes',
+    'grupos.page.contact': 'Contact',
+    'grupos.page.locations': 'Siège et antennes',
+    'grupos.page.cords': 'Système de cordes',
+    'grupos.page.map': 'Carte du siège et des antennes du groupe'
+};
@@ -0,0 +1,704 @@
+// Catálogo de tradução: Português (Brasil): idioma de referência. Todas as chaves precisam existir aqui.
+
+export default {
+    'app.title': 'Capoeira: Guia Completo e Visual',
+    'app.brand': 'Guia da Capoeira',
+
+    'language.label': 'Idioma',
+
+    'theme.toggle': 'Alternar modo dia/noite',
+
+    'nav.estilos': 'Estilos',
+    'nav.movimentos': 'Movimentos',
+    'nav.musica': 'Música',
+    'nav.historia': 'História',
+    'nav.academia': 'Academia',
+    'nav.grupos': 'Grupos',
+
+    'estilos.title': 'Padrão e Estilos da Capoeira',
+    'estilos.intro': 'A capoeira é uma arte diversa, dividida principalmente em três grandes vertentes. Cada estilo possui características únicas no ritmo, nos movimentos e na filosofia do jogo. Explore abaixo para entender as diferenças e descobrir o sistema de graduação que marca a jornada do capoeirista.',
+
+    'graduacao.title': 'Sistema de Graduação',
+    'graduacao.intro': 'A graduação na capoeira, simbolizada por cordas coloridas, reconhece a evolução do praticante. Embora a sequência de cores possa variar entre os grupos, ela sempre representa as etapas de aprendizado, da iniciação à maestria.',
+
+    'movimentos.title': 'Golpes e Movimentos',
+    'movimentos.intro': 'A capoeira é um diálogo corporal contínuo. Seus movimentos combinam ataques fluidos, defesas ágeis e deslocamentos acrobáticos. Utilize os filtros abaixo para explorar o arsenal de um capoeirista, desde os golpes básicos até os mais complexos.',
+    'movimentos.search': 'Buscar movimento (nome ou apelido)...',
+
+    'musica.title': 'O Coração da Roda: Música',
+    'musica.intro': 'A música é a alma da capoeira. É ela que dita o ritmo, a energia e o estilo do jogo. A orquestra, chamada de "bateria", conduz a roda com instrumentos tradicionais, enquanto as cantigas contam histórias e mantêm a energia vibrante.',
+
+    'historia.title': 'Raízes e Legado',
+    'historia.intro': 'A história da capoeira é uma jornada de resistência, marginalização e, finalmente, reconhecimento global. Nascida da luta pela liberdade, ela evoluiu para se tornar um símbolo da cultura brasileira e Patrimônio da Humanidade.',
+
+    'academia.title': 'Gestão e Logística da Academia',
+    'academia.intro': 'Organizar uma academia de capoeira vai além do ensino. Envolve a gestão de alunos, a manutenção da identidade visual do grupo e a aquisição dos materiais essenciais para criar um ambiente seguro e autêntico para a prática.',
+
+    'grupos.title': 'Grupos de Capoeira',
+    'grupos.intro': 'A capoeira é praticada em comunidades e grupos espalhados pelo mundo. Cada grupo possui sua própria identidade, linhagem de mestres e estilo de jogo. Explore abaixo alguns exemplos de grupos existentes e suas informações.',
+    'grupos.search': 'Buscar por grupo, mestre ou cidade...',
+
+    'ai.stop': 'Parar',
+
+    'ai.offline': 'Você está sem conexão. As ferramentas de IA precisam de internet; o restante do guia continua disponível offline.',
+
+    'ai.empty': 'Não foi possível gerar conteúdo. Tente uma frase diferente.',
+
+    'ai.interrupted': '(Resposta interrompida.)',
+
+    'ai.stopped': 'Geração interrompida.',
+
+    'ai.timeout': 'O servidor demorou muito para responder. Tente novamente mais tarde.',
+
+    'ai.error': 'Erro: {message}',
+    'aiGuard.tooLong': 'O texto passou do limite de {max} caracteres. Resuma o pedido.',
+    'aiGuard.injection': 'O pedido tenta mudar as instruções da ferramenta e não foi enviado.',
+    'aiGuard.unsafe': 'Este pedido não pode ser atendido. As ferramentas do guia só tratam de capoeira.',
+    'aiGuard.offTopic': 'Esta ferramenta só responde sobre capoeira. Reformule o pedido falando da capoeira, do grupo ou das aulas.',
+    'aiGuard.answer': 'A resposta saiu do tema da capoeira e foi descartada. Tente reformular o pedido.',
+
+    'ai.style.title': 'Identificador de Estilo ✨',
+    'ai.style.description': 'Descreva sua prática de capoeira ou o que você mais gosta nela para descobrir qual estilo mais se alinha com você.',
+    'ai.style.placeholder': 'Ex: Gosto de jogos lentos e estratégicos, onde a malandragem e a \'conversa\' entre os corpos são o mais importante.',
+    'ai.style.button': 'Identificar Estilo ✨',
+    'ai.style.output': 'Seu Estilo:',
+
+    'ai.cantiga.title': 'Gerador de Cantigas ✨',
+    'ai.cantiga.description': 'Escolha o tipo e a estrutura e descreva o tema: a inteligência artificial compõe uma cantiga completa, com solo e coro. Revise o texto e salve no cancioneiro.',
+    'ai.cantiga.placeholder': 'Tema da cantiga (ex: a saudade do mestre, o mar da Bahia)...',
+    'ai.cantiga.button': 'Compor Cantiga ✨',
+    'ai.cantiga.output': 'Sua Nova Cantiga:',
+
+    'ai.guide.title': 'Guia Detalhado de Movimentos ✨',
+    'ai.guide.description': 'Obtenha um guia passo a passo conciso para executar o movimento de capoeira chamado.',
+    'ai.guide.placeholder': 'Digite o nome do movimento (ex: Ginga, Armada)...',
+    'ai.guide.button': 'Gerar Guia Detalhado ✨',
+    'ai.guide.output': 'Tutorial:',
+
+    'ai.training.title': 'Gerador de Treino ✨',
+    'ai.training.description': 'Crie um plano de treino personalizado. Descreva o foco (ex: "agilidade", "resistência", "treino para iniciantes") e receba uma sequência de exercícios.',
+    'ai.training.placeholder': 'Ex: Um treino de meia hora para melhorar a base e a ginga.',
+    'ai.training.button': 'Gerar Plano de Treino ✨',
+    'ai.training.output': 'Seu Plano de Treino:',
+
+    'ai.abada.title': 'Gerador de Ideias para Abadás ✨',
+    'ai.abada.description': 'Descreva a identidade do seu grupo para receber ideias de logomarcas e uniformes.',
+    'ai.abada.placeholder': 'Ex: Um grupo com foco em movimentos acrobáticos e rápidos.',
+    'ai.abada.button': 'Gerar Ideias ✨',
+    'ai.abada.output': 'Ideias Geradas:',
+
+    'ai.chat.title': 'Diálogo com um Mestre ✨',
+    'ai.chat.description': 'Converse com a sabedoria de um mestre de capoeira. Pergunte sobre a filosofia da luta, a história ou os movimentos. O mestre lembra do que foi dito, e suas conversas ficam salvas neste navegador.',
+    'ai.chat.placeholder': 'Faça uma pergunta ao mestre...',
+    'ai.chat.button': 'Enviar',
+
+    'ai.contact.title': 'Redator de Contato com Grupo ✨',
+    'ai.contact.description': 'Crie um rascunho de e-mail ou mensagem formal para entrar em contato com um grupo de capoeira (para visitar, ingressar ou perguntar sobre aulas).',
+    'ai.contact.placeholder': 'Ex: Sou estudante intermediário e gostaria de saber sobre as aulas em sua filial em São Paulo e o custo das mensalidades.',
+    'ai.contact.button': 'Gerar Rascunho de Contato ✨',
+    'ai.contact.output': 'Rascunho Sugerido:',
+
+    'ai.toque.title': 'Gerador de Toques do Berimbau ✨',
+    'ai.toque.description': 'Descreva o sentimento ou o estilo de jogo desejado para que a IA sugira o toque de berimbau apropriado e seu contexto.',
+    'ai.toque.placeholder': 'Ex: Um toque para um jogo lento, estratégico e de chão.',
+    'ai.toque.button': 'Sugerir Toque ✨',
+    'ai.toque.output': 'Toque Sugerido:',
+
+    'students.title': 'Base de Dados de Alunos',
+    'students.description': 'Este formulário demonstra como um sistema de cadastro em tempo real pode funcionar para gerenciar informações dos alunos. Os dados são salvos em uma base de dados simulada para este exemplo.',
+    'students.name': 'Nome Completo',
+    'students.group': 'Grupo que faz parte',
+    'students.style': 'Estilo de capoeira',
+    'students.stylePrompt': 'Estilo de capoeira que pertence',
+    'students.cordelPrompt': 'Graduação (corda)',
+    'students.batizado': 'Data do Batizado',
+    'students.batizadoLabel': 'Data do Batizado',
+    'students.email': 'Email para contato',
+    'students.phone': 'Telefone para contato (ex: (71) 98765-4321)',
+    'students.submit': 'Salvar Aluno',
+    'students.listTitle': 'Alunos Cadastrados',
+    'students.exportCsv': 'Exportar CSV',
+    'students.exportJson': 'Exportar JSON',
+    'students.search': 'Buscar por nome ou grupo...',
+    'students.allCordels': 'Todas as graduações',
+    'students.loading': 'Carregando alunos...',
+
+    'students.column.name': 'Nome',
+    'students.column.group': 'Grupo',
+    'students.column.style': 'Estilo',
+    'students.column.cordel': 'Graduação',
+    'students.column.batizado': 'Batizado',
+    'students.column.email': 'E-mail',
+    'students.column.phone': 'Telefone',
+    'students.column.actions': 'Ações',
+
+    'students.awaitingAuth': 'Aguardando autenticação do banco de dados...',
+    'students.fixFields': 'Corrija os campos destacados.',
+    'students.saved': 'Aluno cadastrado com sucesso!',
+    'students.saveError': 'Erro ao salvar: {message}',
+    'students.queued': 'Sem conexão: cadastro guardado neste aparelho ({count} pendente(s)). Ele será enviado quando a internet voltar.',
+    'students.queueError': 'Sem conexão, e não foi possível guardar o cadastro neste aparelho.',
+    'students.syncing': 'Sincronizando {count} cadastro(s) feito(s) sem conexão...',
+    'students.syncPartial': '{synced} cadastro(s) sincronizado(s); {remaining} continua(m) pendente(s): {message}',
+    'students.synced': '{count} cadastro(s) feito(s) sem conexão sincronizado(s) com sucesso!',
+    'students.syncError': 'Não foi possível sincronizar os cadastros pendentes.',
+    'students.reconnected': 'Conexão restabelecida. Recarregue a página para enviar {count} cadastro(s) pendente(s).',
+    'students.offline': 'Sem conexão: novos cadastros serão guardados neste aparelho até a internet voltar.',
+    'students.pending': '{count} cadastro(s) aguardando conexão para sincronizar.',
+    'students.loadError': 'Erro ao carregar alunos: {message}',
+    'students.empty': 'Nenhum aluno cadastrado ainda.',
+    'students.noMatch': 'Nenhum aluno encontrado com esses filtros.',
+    'students.noAcademy': 'Crie uma academia ou entre com um convite para ver os alunos.',
+    'students.count': '{visible} de {total} alunos.',
+    'students.confirmDelete': 'Excluir o aluno "{name}"? Esta ação não pode ser desfeita.',
+    'students.deleteError': 'Erro ao excluir: {message}',
+    'students.action.save': 'Salvar',
+    'students.action.cancel': 'Cancelar',
+    'students.action.edit': 'Editar',
+    'students.action.delete': 'Excluir',
+
+    'validation.name.required': 'Informe o nome completo.',
+    'validation.name.digits': 'O nome não pode conter números.',
+    'validation.group.required': 'Informe o grupo.',
+    'validation.style.required': 'Escolha um estilo: {styles}.',
+    'validation.cordel.required': 'Escolha uma graduação do sistema de cordas do grupo.',
+    'validation.batizado.required': 'Informe a data do batizado.',
+    'validation.batizado.future': 'A data do batizado não pode estar no futuro.',
+    'validation.batizado.invalid': 'Data do batizado inválida.',
+    'validation.email.invalid': 'Informe um e-mail válido (ex: nome@exemplo.com).',
+    'validation.email.duplicate': 'Já existe um aluno com este e-mail nesta academia.',
+    'validation.phone.required': 'Informe o telefone.',
+    'validation.phone.invalid': 'Telefone inválido. Use DDD + número (ex: (71) 98765-4321) ou o código do país (ex: +33 6 12 34 56 78).',
+
+    'movements.category.ataque': 'Ataque',
+    'movements.category.defesa': 'Defesa',
+    'movements.category.movimentacao': 'Movimentação',
+    'movements.difficulty.iniciante': 'Iniciante',
+    'movements.difficulty.intermediario': 'Intermediário',
+    'movements.difficulty.avancado': 'Avançado',
+
+    'studentIo.error.jsonList': 'O JSON deve conter uma lista de alunos.',
+    'studentIo.error.duplicateEmail': 'E-mail repetido no arquivo (linha {line}).',
+    'studentIo.error.existingStudent': 'Aluno já cadastrado (mesmo nome e telefone).',
+    'studentIo.error.duplicateStudent': 'Aluno repetido no arquivo (linha {line}).',
+    'studentIo.report.line': 'Linha',
+    'studentIo.report.field': 'Campo',
+    'studentIo.report.error': 'Erro',
+    'studentIo.skipColumn': '(não importar)',
+    'studentIo.column': 'Coluna {number}',
+    'studentIo.rowOk': 'OK',
+    'studentIo.summary': '{valid} linha(s) válida(s), {invalid} com erro.',
+    'studentIo.confirm': 'Importar {count} aluno(s)',
+    'studentIo.progress': 'Importando... {done} de {total}',
+    'studentIo.imported': '{count} aluno(s) importado(s) com sucesso.',
+    'studentIo.error.empty': 'O arquivo não tem linhas de alunos.',
+    'studentIo.error.read': 'Erro ao ler o arquivo: {message}',
+    'studentIo.error.import': 'Erro ao importar após {count} aluno(s): {message}',
+
+    'cantigas.structure.resposta': 'Chamada e resposta (coro a cada verso)',
+    'cantigas.structure.refrao': 'Estrofes com refrão do coro',
+    'cantigas.structure.solo': 'Só o solista (sem coro)',
+    'cantigas.error.title': 'Informe o título da cantiga.',
+    'cantigas.error.type': 'Escolha o tipo de cantiga.',
+    'cantigas.error.toque': 'Toque desconhecido.',
+    'cantigas.error.solo': 'Escreva os versos do solista.',
+    'cantigas.error.coro': '{type} tem respostas do coro: marque-as com "Coro:".',
+
+    'training.block.aquecimento': 'Aquecimento',
+    'training.block.sequencia': 'Sequência de movimentos',
+    'training.block.aprimoramento': 'Exercícios de aprimoramento',
+    'training.block.alongamento': 'Finalização/Alongamento',
+    'training.field.sets': 'séries',
+    'training.field.reps': 'repetições',
+    'training.field.duration': 'duração',
+    'training.field.rest': 'descanso',
+    'training.error.title': 'O plano não tem título.',
+    'training.error.emptyBlock': 'O bloco "{block}" não tem exercícios.',
+    'training.error.position': '{block}, exercício {number}',
+    'training.error.name': '{position}: informe o nome.',
+    'training.error.invalid': '{position} ({name}): valor inválido em {field}.',
+    'training.error.belowMin': '{position} ({name}): {field} abaixo do mínimo ({min}).',
+    'training.error.load': '{position} ({name}): informe as repetições ou a duração.',
+    'training.error.noJson': 'A resposta não trouxe o plano no formato esperado.',
+    'training.error.badJson': 'A resposta trouxe um plano malformado.',
+    'training.reps': '{count} repetições',
+    'training.rest': 'descanso {duration}',
+    'training.restStep': 'Descanso',
+    'training.goal': 'Objetivo: {goal}',
+    'training.timed': 'Tempo cronometrado: {duration}',
+    'training.print.exercise': 'Exercício',
+    'training.print.load': 'Carga',
+    'training.print.notes': 'Observações',
+
+    'events.type.batizado': 'Batizado e troca de cordas',
+    'events.type.roda': 'Roda',
+    'events.error.type': 'Escolha o tipo de evento.',
+    'events.error.title': 'Informe o nome do evento.',
+    'events.error.date': 'Informe a data do evento.',
+    'events.error.timeFormat': 'Use o formato HH:MM.',
+    'events.error.startMissing': 'Informe também o horário de início.',
+    'events.error.endBeforeStart': 'O término deve ser depois do início.',
+    'events.error.location': 'Informe o local.',
+    'events.error.participants': 'Escolha os alunos que vão receber corda.',
+    'events.error.nextCordel': 'Escolha a nova corda de todos os participantes.',
+    'events.dateTimeRange': '{date}, {start} às {end}',
+    'events.visitingMestres': 'Mestres visitantes: {names}',
+    'events.receivingCord': '{count} aluno(s) recebendo corda',
+    'events.confirmed': '{count} aluno(s) confirmados',
+    'events.print.name': 'Nome',
+    'events.print.group': 'Grupo',
+    'events.print.currentCord': 'Corda atual',
+    'events.print.nextCord': 'Nova corda',
+    'events.print.playedWith': 'Jogou com',
+    'events.print.cordel': 'Graduação',
+    'events.print.presence': 'Presença',
+    'events.print.noParticipants': 'Nenhum aluno inscrito.',
+    'events.certificate.title': 'Certificado de Graduação',
+    'events.certificate.intro': 'Certificamos que',
+    'events.certificate.body': 'recebeu a corda {cord} no evento “{event}”, realizado em {date}, em {location}.',
+    'events.certificate.academy': 'Responsável pela academia',
+
+    'attendance.error.date': 'Informe a data da aula.',
+    'attendance.error.future': 'A presença só pode ser registrada em aulas que já aconteceram.',
+    'attendance.error.turma': 'Informe a turma.',
+    'attendance.error.instructor': 'Informe o instrutor.',
+    'attendance.error.present': 'Marque pelo menos um aluno presente.',
+
+    'finance.category.instrumento': 'Instrumento',
+    'finance.category.uniforme': 'Uniforme',
+    'finance.category.outro': 'Outro',
+    'finance.status.pago': 'Pago',
+    'finance.status.aberto': 'Em aberto',
+    'finance.status.atrasado': 'Atrasado',
+    'finance.error.name': 'Informe o item.',
+    'finance.error.category': 'Escolha a categoria.',
+    'finance.error.quantity': 'A quantidade deve ser um número inteiro maior que zero.',
+    'finance.error.unitCost': 'Informe o custo unitário (ex: 150,00).',
+    'finance.error.purchaseDate': 'Informe a data da compra.',
+    'finance.error.student': 'Escolha o aluno.',
+    'finance.error.month': 'Informe o mês de referência.',
+    'finance.error.amount': 'Informe o valor da mensalidade.',
+    'finance.error.dueDate': 'Informe o vencimento.',
+    'finance.error.paidAt': 'Data de pagamento inválida.',
+
+    'cords.year': '{count} ano',
+    'cords.years': '{count} anos',
+    'cords.month': '{count} mês',
+    'cords.months': '{count} meses',
+    'cords.and': ' e ',
+    'cords.noMinTime': 'sem tempo mínimo',
+    'cords.minTimeTitle': 'mínimo de {time} no nível anterior',
+    'cords.minTime': 'mín. {time}',
+    'academies.role.mestre': 'Mestre / administração',
+    'academies.role.professor': 'Professor / instrutor',
+    'academies.role.aluno': 'Aluno',
+    'academies.invite.notFound': 'Convite não encontrado. Confira o código.',
+    'academies.invite.used': 'Este convite já foi usado.',
+    'academies.invite.expired': 'Este convite expirou. Peça um novo ao seu mestre ou professor.',
+    'chat.persona.sabio': 'Mestre sábio',
+    'chat.persona.angola': 'Mestre angoleiro',
+    'chat.persona.regional': 'Mestre da Regional',
+    'chat.newSession': 'Nova conversa',
+    'chat.export.title': 'Diálogo com um Mestre — {persona}',
+    'chat.export.you': 'Você',
+    'chat.export.mestre': 'Mestre',
+    'chat.start': 'Inicie a conversa...',
+    'chat.confirmDelete': 'Apagar esta conversa?',
+    'chat.confirmClear': 'Apagar todas as conversas salvas?',
+
+    'movements.imageAlt': 'Imagem do movimento {name}',
+    'movements.noMatch': 'Nenhum movimento encontrado com esses filtros.',
+    'movements.aliases': 'Também conhecido como: {aliases}',
+    'movements.linkCopied': 'Link copiado!',
+    'movements.copyLink': 'Copiar link',
+    'movements.loadError': 'Não foi possível carregar os movimentos.',
+    'toques.play': '▶ Tocar',
+    'toques.stop': '■ Parar',
+    'toques.audioError': 'Seu navegador não conseguiu tocar o áudio.',
+    'toques.loadError': 'Não foi possível carregar os toques.',
+    'toques.listen': '▶ Ouvir {name}',
+
+    'common.edit': 'Editar',
+    'common.delete': 'Excluir',
+    'common.cancel': 'Cancelar',
+    'common.open': 'Abrir',
+    'common.awaitingAuth': 'Aguardando autenticação do banco de dados...',
+    'common.fixFields': 'Corrija os campos destacados.',
+    'common.saveError': 'Erro ao salvar: {message}',
+    'common.deleteError': 'Erro ao excluir: {message}',
+    'cantigas.favorite': 'Favoritar "{title}"',
+    'cantigas.unfavorite': 'Tirar "{title}" das favoritas',
+    'cantigas.toque': 'Toque: {name}',
+    'cantigas.coro': 'Coro',
+    'cantigas.action.listen': '▶ Ouvir toque',
+    'cantigas.noMatch': 'Nenhuma cantiga encontrada com esses filtros.',
+    'cantigas.confirmDelete': 'Excluir a cantiga "{title}" do cancioneiro?',
+    'cantigas.loadError': 'Não foi possível carregar as cantigas tradicionais.',
+    'cantigas.noToque': 'Sem toque definido',
+    'cantigas.myComposition': 'Minha composição',
+    'cantigas.saved': 'Cantiga salva no cancioneiro.',
+    'cantigas.saveError': 'Não foi possível salvar a cantiga neste navegador.',
+
+    'training.timer.done': 'Treino concluído. Axé!',
+    'training.timer.next': 'A seguir: {label}',
+    'training.timer.pause': '❚❚ Pausar',
+    'training.timer.start': '▶ Iniciar',
+    'training.exerciseDone': 'Feito: {name}',
+    'training.fallbackTitle': 'Seu Plano de Treino:',
+    'training.checklistError': 'Não foi possível montar o checklist: {error}',
+    'training.progress': '{done} de {total} exercícios feitos',
+    'training.libraryEmpty': 'Nenhum plano salvo. Gere um plano e salve-o aqui.',
+    'training.saved': 'Plano salvo na sua biblioteca.',
+    'training.saveError': 'Não foi possível salvar o plano neste navegador.',
+    'training.confirmDelete': 'Excluir o plano "{title}"?',
+
+    'finance.chart.value': 'Valor',
+    'finance.chart.income': 'Receitas',
+    'finance.chart.expenses': 'Despesas',
+    'finance.summary.income': 'Receitas do mês',
+    'finance.summary.expenses': 'Despesas do mês',
+    'finance.summary.open': 'Mensalidades em aberto',
+    'finance.summary.late': 'Mensalidades atrasadas',
+    'finance.summary.inventory': 'Valor do inventário',
+    'finance.paidOn': '{status} em {date}',
+    'finance.action.pay': 'Registrar pagamento',
+    'finance.action.unpay': 'Desfazer',
+    'finance.fees.empty': 'Nenhuma mensalidade lançada para este mês.',
+    'finance.fees.summary': '{paid} recebidos de {total} ({count} mensalidade(s)).',
+    'finance.fees.monthRequired': 'Escolha o mês.',
+    'finance.fees.amountRequired': 'Informe o valor da mensalidade (ex: 100,00).',
+    'finance.fees.dueDayInvalid': 'O vencimento deve ser um dia entre 1 e 31.',
+    'finance.fees.noStudents': 'Cadastre alunos para gerar as mensalidades.',
+    'finance.fees.allGenerated': 'Todos os alunos já têm a mensalidade de {month}.',
+    'finance.fees.generated': '{count} mensalidade(s) gerada(s) para {month}.',
+    'finance.fees.generateError': 'Erro ao gerar mensalidades: {message}',
+    'finance.fees.confirmDelete': 'Excluir a mensalidade de {name} ({month})?',
+    'finance.fees.loadError': 'Erro ao carregar mensalidades: {message}',
+    'finance.inventory.empty': 'Nenhum item no inventário. Ex: berimbau (R$ 150), pandeiro (R$ 80), atabaque (R$ 250).',
+    'finance.inventory.count': '{count} item(ns).',
+    'finance.inventory.add': 'Adicionar ao Inventário',
+    'finance.inventory.saveItem': 'Salvar Item',
+    'finance.inventory.confirmDelete': 'Excluir "{name}" do inventário?',
+    'finance.inventory.loadError': 'Erro ao carregar inventário: {message}',
+
+    'common.noStudentMatch': 'Nenhum aluno encontrado.',
+    'events.loadError': 'Erro ao carregar eventos: {message}',
+    'events.include': 'Incluir {name}',
+    'events.lowAttendance': 'Frequência abaixo do mínimo: {rate}% (mín. {threshold}%)',
+    'events.nextCordel': 'Nova corda de {name}',
+    'events.noStudents': 'Cadastre alunos para incluí-los no evento.',
+    'events.form.new': 'Novo evento',
+    'events.form.edit': 'Editar: {title}',
+    'events.saved': 'Evento salvo com sucesso!',
+    'events.past': '{title} (realizado)',
+    'events.receivingCount': '{count} aluno(s) recebendo corda',
+    'events.studentCount': '{count} aluno(s)',
+    'events.lowAttendanceCount': '{count} aluno(s) abaixo da frequência mínima de {threshold}%.',
+    'events.action.printList': 'Lista da cerimônia',
+    'events.action.ics': 'Calendário (.ics)',
+    'events.action.certificates': 'Certificados',
+    'events.empty': 'Nenhum evento cadastrado ainda.',
+    'events.count': '{count} evento(s).',
+    'events.confirmDelete': 'Excluir o evento "{title}"? Esta ação não pode ser desfeita.',
+    'events.nothingToExport': 'Nenhum evento para exportar.',
+
+    'attendance.chart.checkins': 'Presenças',
+    'attendance.chart.average': 'Média por aula',
+    'attendance.chart.averageAxis': 'Média',
+    'attendance.loadError': 'Erro ao carregar aulas: {message}',
+    'attendance.noStudents': 'Cadastre alunos para fazer a chamada.',
+    'attendance.presentCount': '{count} presente(s)',
+    'attendance.form.new': 'Registrar aula',
+    'attendance.form.edit': 'Editar aula de {date}',
+    'attendance.saved': 'Presença salva: {count} aluno(s).',
+    'attendance.confirmDelete': 'Excluir a aula de {turma} em {date}?',
+    'attendance.empty': 'Nenhuma aula registrada ainda.',
+    'attendance.count': '{count} aula(s) registrada(s).',
+    'attendance.history.none': 'Nenhuma presença registrada.',
+    'attendance.history.summary': '{attended} de {total} aulas ({rate}%)',
+    'attendance.history.present': 'Presente',
+    'attendance.history.absent': 'Falta',
+    'attendance.flagged.rate': '{name}: {rate}% ({attended} de {total} aulas)',
+    'attendance.flagged.none': '{name}: nenhuma presença no período',
+    'attendance.flagged.noSessions': 'Registre aulas para acompanhar a frequência.',
+    'attendance.flagged.allAbove': 'Todos os alunos estão acima do mínimo.',
+
+    'auth.memoryMode': 'Modo local: os dados ficam apenas nesta página.',
+    'auth.offline': 'Sem conexão: os cadastros serão guardados neste aparelho e enviados quando a internet voltar.',
+    'auth.firebaseMissing': 'Erro de inicialização: Firebase não carregado.',
+    'auth.signedIn': 'Autenticado. ID do usuário: {id}',
+    'auth.error': 'Erro de autenticação: {message}',
+    'auth.initError': 'Erro ao inicializar o Firebase. Verifique a configuração.',
+    'account.error.credentials': 'E-mail ou senha incorretos.',
+    'account.error.email': 'Informe um e-mail válido.',
+    'account.error.emailInUse': 'Já existe uma conta com este e-mail. Use "Entrar".',
+    'account.error.password': 'A senha precisa ter pelo menos 6 caracteres.',
+    'account.error.tooManyRequests': 'Muitas tentativas. Tente de novo em alguns minutos.',
+    'account.error.generic': 'Erro: {message}',
+    'account.connected': 'Conta conectada',
+    'account.invitesLoadError': 'Erro ao carregar convites: {message}',
+    'account.membersLoadError': 'Erro ao carregar membros: {message}',
+    'account.academyLoadError': 'Erro ao carregar a academia: {message}',
+    'account.hasAccess': '{name} (já tem acesso)',
+    'account.noInvites': 'Nenhum convite pendente.',
+    'account.inviteExpired': 'expirado',
+    'account.inviteValidUntil': 'vale até {date}',
+    'account.action.copy': 'Copiar',
+    'account.action.revoke': 'Revogar',
+    'account.action.remove': 'Remover',
+    'account.copied': 'Copiado!',
+    'account.you': '{role} (você)',
+    'account.roleOf': 'Papel de {name}',
+    'account.created': 'Conta criada. Use o mesmo e-mail e senha para entrar em outros aparelhos.',
+    'account.signOutError': 'Erro ao sair: {message}',
+    'account.academyNameRequired': 'Informe o nome da academia.',
+    'account.academyCreated': 'Academia "{name}" criada. Convide os professores e alunos abaixo.',
+    'account.academyCreateError': 'Erro ao criar a academia: {message}',
+    'account.invalidCode': 'Código inválido: use o formato XXXX-XXXX.',
+    'account.joined': 'Você entrou em {name} como {role}.',
+    'account.roleChanged': 'Seu papel na academia mudou para {role}.',
+    'account.removedFromAcademy': 'Você não faz mais parte de {name}.',
+    'account.joinError': 'Não foi possível entrar na academia: {message}',
+    'account.inviteStudentRequired': 'Escolha o cadastro do aluno convidado.',
+    'account.inviteCreated': 'Convite {code} criado. Envie o código para a pessoa convidada.',
+    'account.inviteCreateError': 'Erro ao criar o convite: {message}',
+    'account.confirmRevoke': 'Revogar o convite {code}?',
+    'account.revokeError': 'Erro ao revogar o convite: {message}',
+    'account.roleError': 'Erro ao mudar o papel: {message}',
+    'account.confirmRemove': 'Remover {name} da academia?',
+    'account.removeError': 'Erro ao remover o membro: {message}',
+
+    'groups.headquartersMark': '{location} (sede)',
+    'groups.logoAlt': 'Logomarca do Grupo {name}',
+    'groups.info.masters': 'Mestres',
+    'groups.info.headquarters': 'Sede',
+    'groups.info.branches': 'Filiais',
+    'groups.info.estilos': 'Estilos',
+    'groups.info.address': 'Endereço',
+    'groups.info.phone': 'Telefone',
+    'groups.info.website': 'Website',
+    'groups.info.email': 'E-mail',
+    'groups.noMatch': 'Nenhum grupo encontrado com esses filtros.',
+    'groups.founded': 'Fundado em {year}',
+    'groups.loadError': 'Não foi possível carregar os grupos.',
+
+    'estilos.visual': 'Espaço Visual para Diferenciação dos Estilos de Capoeira',
+    'estilos.angola': 'Caracterizada pela lentidão, malandragem e movimentos de baixa altura. Seus praticantes se movem próximos ao solo, explorando a ginga de forma dissimulada. A musicalidade é mais lenta e cadenciada, e a roda, geralmente, não tem a mesma agilidade da Regional. O foco está na estratégia, no jogo de corpo e no diálogo corporal.',
+    'estilos.regional': 'Criada pelo Mestre Bimba, a Capoeira Regional é mais rápida, objetiva e com movimentos mais retos e acrobáticos. Mestre Bimba a codificou e a tornou uma arte marcial respeitável. A musicalidade é mais acelerada, e o jogo é dinâmico e focado no combate. Seus rituais de roda, como a "sequência de Bimba", são padronizados.',
+    'estilos.contemporanea': 'Surge da fusão das duas anteriores, misturando a malícia da Angola com a agilidade da Regional. É a mais praticada hoje em dia e varia muito entre os grupos. A maioria dos sistemas de graduação por cordas que conhecemos hoje foi estabelecida por grupos que se identificam com este estilo.',
+    'graduacao.groupSelect': 'Sistema de cordas do grupo',
+    'graduacao.reference': 'Sistema de referência',
+    'movimentos.filter.all': 'Todos',
+    'common.filterEstilo': 'Filtrar por estilo',
+    'common.allEstilos': 'Todos os estilos',
+    'movimentos.filterDifficulty': 'Filtrar por dificuldade',
+    'movimentos.allDifficulties': 'Todas as dificuldades',
+    'movimentos.loading': 'Carregando movimentos...',
+    'common.close': 'Fechar',
+    'movimentos.prerequisites': 'Pré-requisitos',
+    'movimentos.counters': 'Como responder',
+    'movimentos.guide': 'Guia Detalhado ✨',
+
+    'training.timer.skip': 'Pular',
+    'training.timer.reset': 'Recomeçar',
+    'training.save': 'Salvar na minha biblioteca',
+    'training.printButton': 'Imprimir',
+    'training.library': 'Meus planos de treino',
+    'musica.berimbau': 'O instrumento principal. Dita o ritmo (toque) e o tipo de jogo. Existem três tipos: Gunga (grave), Médio e Viola (agudo).',
+    'musica.pandeiro': 'Marca o ritmo, complementando o berimbau. É o instrumento de percussão mais versátil da roda.',
+    'musica.atabaque': 'Um tambor de couro que fornece a batida principal, o "coração" da bateria, mantendo a base rítmica.',
+    'musica.types': 'Tipos de Cantigas',
+    'musica.ladainhas': 'Cantadas no início da roda, geralmente por um mestre. Contam histórias e servem para aquecer e concentrar os jogadores.',
+    'musica.corridos': 'Músicas rápidas e curtas, com um refrão respondido em coro pelos participantes, que acompanham o desenrolar do jogo.',
+    'musica.quadras': 'Canções de quatro versos que falam de temas do cotidiano, história ou figuras importantes da capoeira.',
+    'musica.louvacoes': 'Vêm logo depois da ladainha: o solista saúda Deus, o mestre e a capoeira ("Iê, viva meu Deus") e o coro repete, acrescentando "camará".',
+    'musica.cancioneiro.title': 'Cancioneiro',
+    'musica.cancioneiro.intro': 'Cantigas tradicionais e as que você salvar. Os versos do solista e as respostas do coro aparecem separados; toque em "Ouvir toque" para acompanhar no berimbau.',
+    'cantigas.search': 'Buscar por título ou verso...',
+    'cantigas.filterType': 'Filtrar por tipo',
+    'cantigas.allTypes': 'Todos os tipos',
+    'cantigas.favoritesOnly': 'Só favoritas',
+    'cantigas.type': 'Tipo de cantiga',
+    'cantigas.structureLabel': 'Estrutura',
+    'cantigas.size': 'Tamanho',
+    'cantigas.verses4': 'Cerca de 4 versos',
+    'cantigas.verses8': 'Cerca de 8 versos',
+    'cantigas.verses12': 'Cerca de 12 versos',
+    'cantigas.toqueLabel': 'Toque',
+    'cantigas.title': 'Título',
+    'cantigas.lines': 'Versos',
+    'cantigas.linesHelp': 'Um verso por linha. Comece as respostas do coro com "Coro:" e os versos do solista com "Solo:".',
+    'cantigas.save': 'Salvar no cancioneiro',
+    'cantigas.new': 'Nova cantiga',
+    'musica.toques.title': 'Toques do Berimbau',
+    'musica.toques.intro': 'Escolha um toque para ouvir uma versão sintetizada. A notação é simplificada para estudo:',
+    'musica.toques.dom': 'corda solta',
+    'musica.toques.dim': 'pedra na corda',
+    'musica.toques.chi': 'chiado',
+    'musica.toques.and': 'e',
+    'musica.toques.tempo': 'Andamento',
+    'musica.toques.loop': 'Repetir',
+
+    'historia.origens.title': 'Origens na Escravidão',
+    'historia.origens.text': 'Surgimento no Brasil colonial como forma de autodefesa e resistência cultural dos africanos escravizados, disfarçada de dança para não ser reprimida. Os movimentos eram praticados secretamente para enganar os senhores de engenho, que não os viam como uma forma de combate, mas como uma manifestação folclórica.',
+    'historia.marginalizacao.title': 'Marginalização',
+    'historia.marginalizacao.text': 'Após a abolição da escravatura, a capoeira foi associada à vadiagem e à criminalidade. Em 1890, o Código Penal da República a proibiu explicitamente, tornando sua prática clandestina. A capoeira continuou a existir em becos e subúrbios, mantida viva por praticantes que desafiavam as leis para preservar a arte.',
+    'historia.legalizacao.title': 'Legalização e Formalização',
+    'historia.legalizacao.text': 'A Capoeira Regional, criada por Mestre Bimba, foi fundamental para sua legalização. Ao apresentar a arte ao então presidente Getúlio Vargas, em 1937, Mestre Bimba conseguiu o reconhecimento oficial da capoeira como uma arte marcial brasileira. Sua formalização em academias e a criação de um método de ensino estruturado ajudaram a mudar a percepção pública.',
+    'historia.reconhecimento.title': 'Reconhecimento Mundial',
+    'historia.reconhecimento.text': 'O reconhecimento pela UNESCO em 2014 foi o ápice de uma longa jornada. A roda de capoeira, com seus cânticos, instrumentos e movimentos, foi declarada Patrimônio Cultural Imaterial da Humanidade. Este título solidificou o status da capoeira como um símbolo da cultura e identidade brasileiras, promovendo sua preservação e disseminação globalmente.',
+    'historia.mestres.title': 'Grandes Mestres',
+    'historia.bimba.alt': 'Foto de Mestre Bimba, criador da Capoeira Regional.',
+    'historia.bimba.text': 'Manoel dos Reis Machado, o pai da Capoeira Regional. Criou o primeiro método de ensino, com sequências e rituais, transformando a capoeira em uma arte marcial respeitada e estruturada.',
+    'historia.pastinha.alt': 'Foto de Mestre Pastinha, guardião da Capoeira Angola.',
+    'historia.pastinha.text': 'Vicente Ferreira Pastinha, o grande guardião da Capoeira Angola. Defendia a capoeira em sua essência, valorizando a tradição, a malícia, a música e a filosofia do jogo como manifestação cultural.',
+    'chat.personaSelect': 'Persona do mestre',
+    'chat.sessions': 'Conversas salvas',
+    'chat.action.new': 'Nova',
+    'chat.action.export': 'Exportar',
+    'chat.action.delete': 'Apagar',
+    'chat.action.clear': 'Apagar todas',
+
+    'account.title': 'Conta e Academia',
+    'auth.waiting': 'Aguardando autenticação...',
+    'account.hint': 'Entre com e-mail e senha para acessar a sua academia em qualquer aparelho.',
+    'account.email': 'E-mail',
+    'account.password': 'Senha (mínimo de 6 caracteres)',
+    'account.signIn': 'Entrar',
+    'account.signUp': 'Criar conta',
+    'account.signOut': 'Sair',
+    'account.createTitle': 'Criar uma academia',
+    'account.createHint': 'Você será o mestre (administração) e poderá convidar professores e alunos.',
+    'account.academyName': 'Nome da academia',
+    'account.create': 'Criar',
+    'account.joinTitle': 'Entrar com um convite',
+    'account.inviteCode': 'Código do convite (ex: K7QM-2XPA)',
+    'account.join': 'Entrar na academia',
+    'account.invites': 'Convites',
+    'account.invitesHint': 'Cada código vale para uma pessoa, por 7 dias. Convites de aluno dão acesso apenas ao cadastro escolhido.',
+    'account.inviteRole': 'Papel do convidado',
+    'account.inviteStudent': 'Cadastro do aluno',
+    'account.inviteStudentPrompt': 'Escolha o cadastro do aluno',
+    'account.createInvite': 'Gerar convite',
+    'account.members': 'Membros',
+    'students.cordel': 'Graduação',
+    'students.import': 'Importar CSV/JSON',
+    'studentIo.title': 'Importar alunos',
+    'studentIo.hint': 'Confira a qual coluna do arquivo corresponde cada campo. Apenas as linhas válidas serão gravadas.',
+    'studentIo.preview.row': 'Linha',
+    'studentIo.preview.status': 'Situação',
+    'studentIo.confirmButton': 'Importar',
+    'studentIo.reportButton': 'Baixar relatório de erros',
+    'students.filterCordel': 'Filtrar por graduação',
+
+    'events.title': 'Eventos: Batizados e Rodas',
+    'events.exportAll': 'Exportar agenda (.ics)',
+    'events.typeLabel': 'Tipo de evento',
+    'events.date': 'Data do evento',
+    'events.name': 'Nome do evento (ex: Batizado 2026)',
+    'events.start': 'Início',
+    'events.end': 'Término',
+    'events.location': 'Local',
+    'events.mestres': 'Mestres visitantes, separados por vírgula',
+    'events.students': 'Alunos',
+    'common.searchStudent': 'Buscar aluno...',
+    'events.column.joins': 'Participa',
+    'events.column.cordel': 'Corda atual',
+    'events.column.nextCordel': 'Nova corda',
+    'events.save': 'Salvar Evento',
+    'events.listTitle': 'Próximos e anteriores',
+    'events.loading': 'Carregando eventos...',
+    'attendance.title': 'Frequência e Aulas',
+    'attendance.date': 'Data da aula',
+    'attendance.turma': 'Turma (ex: Adulto noite)',
+    'attendance.instructor': 'Instrutor',
+    'attendance.rollCall': 'Chamada',
+    'attendance.checkAll': 'Marcar todos',
+    'attendance.clear': 'Limpar',
+    'attendance.save': 'Salvar Presença',
+    'attendance.listTitle': 'Últimas aulas',
+    'attendance.loading': 'Carregando aulas...',
+    'attendance.byMonth': 'Presenças por mês',
+    'attendance.filterTurma': 'Filtrar por turma',
+    'attendance.allTurmas': 'Todas as turmas',
+    'attendance.byTurma': 'Por turma',
+    'attendance.filterMonth': 'Filtrar por mês',
+    'attendance.allMonths': 'Todo o período',
+    'attendance.column.turma': 'Turma',
+    'attendance.column.sessions': 'Aulas',
+    'attendance.column.average': 'Média de presentes',
+    'attendance.column.instructors': 'Instrutores',
+    'attendance.history.title': 'Histórico do aluno',
+    'attendance.chooseStudent': 'Escolha um aluno',
+    'attendance.threshold.title': 'Frequência mínima para batizado',
+    'attendance.threshold.before': 'Mínimo de',
+    'attendance.threshold.after': '% das aulas nos últimos',
+    'attendance.period.1': '1 mês',
+    'attendance.period.3': '3 meses',
+    'attendance.period.6': '6 meses',
+    'attendance.period.12': '12 meses',
+
+    'finance.title': 'Finanças da Academia',
+    'finance.flowTitle': 'Receitas x Despesas (últimos 12 meses)',
+    'finance.statusTitle': 'Mensalidades por situação',
+    'finance.feesTitle': 'Mensalidades',
+    'finance.fees.month': 'Mês',
+    'finance.fees.amount': 'Valor (R$)',
+    'finance.fees.dueDay': 'Vencimento (dia)',
+    'finance.fees.generate': 'Gerar mensalidades do mês',
+    'finance.fees.filterStatus': 'Filtrar por situação',
+    'finance.fees.allStatuses': 'Todas as situações',
+    'finance.fees.column.student': 'Aluno',
+    'finance.fees.column.amount': 'Valor',
+    'finance.fees.column.due': 'Vencimento',
+    'finance.fees.column.status': 'Situação',
+    'finance.inventory.title': 'Inventário',
+    'finance.inventory.name': 'Item (ex: Berimbau gunga)',
+    'finance.inventory.category': 'Categoria',
+    'finance.inventory.date': 'Data da compra',
+    'finance.inventory.quantity': 'Quantidade',
+    'finance.inventory.unitCost': 'Custo unitário (R$)',
+    'finance.inventory.column.item': 'Item',
+    'finance.inventory.column.quantity': 'Qtd.',
+    'finance.inventory.column.unitCost': 'Custo unit.',
+    'finance.inventory.column.total': 'Total',
+    'finance.inventory.column.date': 'Compra',
+    'finance.inventory.loading': 'Carregando inventário...',
+    'academia.fundamentos.title': 'Fundamentos e Batizados',
+    'academia.fundamentos.alt': 'Imagem de uma cerimônia de batizado de capoeira.',
+    'academia.fundamentos.batizadoBefore': 'O',
+    'academia.fundamentos.batizado': 'é a cerimônia de entrada oficial do aluno na capoeira, onde ele joga com um mestre ou professor e recebe sua primeira corda.',
+    'academia.fundamentos.fundamentosBefore': 'Os',
+    'academia.fundamentos.fundamentos': 'são o conjunto de conhecimentos teóricos e práticos que sustentam a arte.',
+    'academia.abadas.title': 'Vestimentas (Abadás)',
+    'academia.abadas.altMan': 'Imagem de um homem usando abadá e cordel.',
+    'academia.abadas.altWoman': 'Imagem de uma mulher usando abadá e cordel.',
+    'academia.abadas.text': 'O uniforme padrão é o abadá, composto por calça branca e camiseta com o símbolo do grupo. É usado em treinos, e o uniforme completo é obrigatório em cerimônias como o batizado.',
+    'academia.materiais.title': 'Materiais Essenciais',
+    'academia.materiais.altBerimbau': 'Imagem de um berimbau.',
+    'academia.materiais.altPandeiro': 'Imagem de um pandeiro.',
+    'academia.materiais.altAtabaque': 'Imagem de um atabaque.',
+    'academia.materiais.instrumentsLabel': 'Instrumentos:',
+    'academia.materiais.instruments': 'Berimbaus (gunga, médio, viola), pandeiros e atabaque.',
+    'academia.materiais.clothingLabel': 'Vestuário:',
+    'academia.materiais.clothing': 'Abadás para alunos e professores.',
+    'academia.materiais.safetyLabel': 'Segurança:',
+    'academia.materiais.safety': 'Colchonetes para treinos de acrobacias.',
+    'academia.materiais.supportLabel': 'Apoio:',
+    'academia.materiais.support': 'Sistema de som e quadro branco para aulas teóricas.',
+    'academia.materiais.inventoryValue': 'Valor do Inventário',
+    'academia.materiais.inventoryEmpty': 'Cadastre instrumentos e uniformes em "Finanças da Academia" para ver o valor do inventário.',
+    'grupos.filterCountry': 'Filtrar por país',
+    'grupos.allCountries': 'Todos os países',
+    'grupos.map.title': 'Mapa de sedes e filiais',
+    'grupos.map.view': 'Enquadramento do mapa',
+    'grupos.map.world': 'Mundo',
+    'grupos.map.brazil': 'Brasil',
+    'grupos.map.label': 'Mapa com as sedes e filiais dos grupos',
+    'grupos.loading': 'Carregando grupos...',
+    'grupos.back': '← Voltar aos grupos',
+    'grupos.page.contact': 'Contato',
+    'grupos.page.locations': 'Sede e filiais',
+    'grupos.page.cords': 'Sistema de cordas',
+    'grupos.page.map': 'Mapa com a sede e as filiais do grupo'
+};
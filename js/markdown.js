@@ -0,0 +1,120 @@
+// Renderizador de Markdown seguro para as respostas da IA
+// O texto é escapado antes de qualquer transformação, então HTML vindo da IA nunca é interpretado:
+// blocos <script>/<style> são removidos, as demais tags aparecem como texto e só links http(s)/mailto viram <a>.
+// Suporta títulos, negrito, itálico, código inline, listas (com marcador, numeradas ou com •) e quebras de linha.
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+/**
+ * Escapa os caracteres especiais de HTML.
+ * @param {string} text - O texto bruto.
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Aplica a formatação inline a uma linha já escapada.
+ * @param {string} line - Linha com HTML escapado.
+ * @returns {string}
+ */
+function renderInline(line) {
+    // Código e links viram marcadores antes da ênfase, para que `_` e `*` dentro deles fiquem intactos.
+    const tokens = [];
+    const keep = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    return line
+        .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            // A URL já está escapada; decodificamos só as entidades para validar o protocolo.
+            const decoded = url.replace(/&amp;/g, '&').replace(/&#39;/g, "'").replace(/&quot;/g, '"');
+            if (!SAFE_URL.test(decoded.trim())) return label;
+            return keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+        })
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a ?? b}</strong>`)
+        .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)|(^|\W)_(?!\s)(.+?)_(?!\w)/g, (match, pa, a, pb, b) => `${pa ?? pb}<em>${a ?? b}</em>`)
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+/**
+ * Converte Markdown em HTML seguro.
+ * @param {string} markdown - O texto da IA.
+ * @returns {string} HTML pronto para `innerHTML`.
+ */
+export function renderMarkdown(markdown) {
+    const source = String(markdown ?? '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\u0000/g, '')
+        .replace(/<(script|style)\b[\s\S]*?(<\/\1\s*>|$)/gi, '');
+    const lines = escapeHtml(source).split('\n');
+
+    const html = [];
+    let list = null;
+    let paragraph = [];
+
+    const closeParagraph = () => {
+        if (paragraph.length) {
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeList = () => {
+        if (list) {
+            html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+
+    lines.forEach(line => {
+        const trimmed = line.trim();
+        const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+        const bullet = trimmed.match(/^[-*+]\s+(.*)$/) || trimmed.match(/^•\s*(.*)$/);
+        const numbered = trimmed.match(/^\d+[.)]\s+(.*)$/);
+
+        if (trimmed === '') {
+            closeParagraph();
+            closeList();
+        } else if (heading) {
+            closeParagraph();
+            closeList();
+            // h1/h2 da IA viram h4/h5 para não competir com os títulos da página.
+            const level = Math.min(heading[1].length + 3, 6);
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+            closeParagraph();
+            closeList();
+            html.push('<hr>');
+        } else if (bullet || numbered) {
+            closeParagraph();
+            const tag = numbered ? 'ol' : 'ul';
+            if (list && list.tag !== tag) closeList();
+            list ??= { tag, items: [] };
+            list.items.push((numbered || bullet)[1]);
+        } else if (list && /^\s{2,}/.test(line)) {
+            // Linha indentada continua o item anterior.
+            list.items[list.items.length - 1] += `<br>${trimmed}`;
+        } else {
+            closeList();
+            paragraph.push(trimmed);
+        }
+    });
+    closeParagraph();
+    closeList();
+    return html.join('');
+}
+
+/**
+ * Renderiza Markdown dentro de um elemento.
+ * @param {HTMLElement} element - O elemento de destino.
+ * @param {string} markdown - O texto da IA.
+ */
+export function setMarkdown(element, markdown) {
+    element.classList.add('markdown-content');
+    element.innerHTML = renderMarkdown(markdown);
+}
@@ -0,0 +1,72 @@
+// Catálogo de golpes e movimentos
+// Os dados ficam em data/movimentos.json. Cada movimento tem: id (usado na URL), name, aliases, category
+// (ataque/defesa/movimentacao), estilos, difficulty, description, prerequisites e counters (ids de outros movimentos).
+
+import { translatedLabels } from './i18n.js';
+
+export const MOVEMENT_CATEGORIES = translatedLabels('movements.category', ['ataque', 'defesa', 'movimentacao']);
+
+export const MOVEMENT_DIFFICULTIES = translatedLabels('movements.difficulty', ['iniciante', 'intermediario', 'avancado']);
+
+/**
+ * Remove acentos e padroniza para busca.
+ * @param {string} text - O texto original.
+ * @returns {string}
+ */
+function fold(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Carrega o catálogo de movimentos.
+ * @param {string} [url] - Caminho do arquivo de dados.
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadMovements(url = 'data/movimentos.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Erro ao carregar movimentos: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Filtra o catálogo combinando busca (nome, apelidos e descrição), categoria, estilo e dificuldade.
+ * @param {Array<object>} movements - O catálogo.
+ * @param {object} filters
+ * @param {string} [filters.query] - Texto buscado.
+ * @param {string} [filters.category] - Categoria ('all' ou '' para todas).
+ * @param {string} [filters.estilo] - Estilo ('' para todos).
+ * @param {string} [filters.difficulty] - Dificuldade ('' para todas).
+ * @returns {Array<object>}
+ */
+export function filterMovements(movements, { query = '', category = 'all', estilo = '', difficulty = '' } = {}) {
+    const needle = fold(query);
+    return movements.filter(movement =>
+        (!needle || [movement.name, ...movement.aliases, movement.description].some(text => fold(text).includes(needle))) &&
+        (!category || category === 'all' || movement.category === category) &&
+        (!estilo || movement.estilos.includes(estilo)) &&
+        (!difficulty || movement.difficulty === difficulty)
+    );
+}
+
+/**
+ * Encontra um movimento pelo id, nome ou apelido (ignorando acentos e maiúsculas).
+ * @param {Array<object>} movements - O catálogo.
+ * @param {string} reference - Id, nome ou apelido.
+ * @returns {object|undefined}
+ */
+export function findMovement(movements, reference) {
+    const folded = fold(reference);
+    return movements.find(movement => movement.id === reference) ||
+        movements.find(movement => [movement.name, ...movement.aliases].some(name => fold(name) === folded));
+}
+
+/**
+ * URL da imagem ilustrativa de um movimento.
+ * @param {object} movement - O movimento.
+ * @returns {string}
+ */
+export function movementImageUrl(movement) {
+    return movement.image || `https://placehold.co/600x400/292524/e7e5e4?text=${encodeURIComponent(movement.name).replace(/%20/g, '+')}`;
+}
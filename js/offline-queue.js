@@ -0,0 +1,81 @@
+// Fila de cadastros feitos sem conexão (IndexedDB)
+// O aluno já validado fica guardado no aparelho e é enviado ao store quando a internet volta.
+// Cada item é { id, values, queuedAt }.
+
+/**
+ * Converte uma requisição do IndexedDB em Promise.
+ * @param {IDBRequest} request - A requisição.
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Cria a fila de cadastros pendentes.
+ * @param {object} [options]
+ * @param {string} [options.dbName] - Nome do banco IndexedDB.
+ * @param {string} [options.storeName] - Nome do object store.
+ * @param {IDBFactory} [options.indexedDB] - Implementação do IndexedDB (o padrão é a do navegador).
+ */
+export function createOfflineQueue({ dbName = 'guiaDaCapoeira', storeName = 'cadastrosPendentes', indexedDB = window.indexedDB } = {}) {
+    let dbPromise = null;
+
+    function open() {
+        dbPromise ??= new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+        return dbPromise;
+    }
+
+    async function run(mode, operation) {
+        const db = await open();
+        return promisify(operation(db.transaction(storeName, mode).objectStore(storeName)));
+    }
+
+    return {
+        /** Guarda um cadastro e devolve o id dele na fila. */
+        add(values) {
+            return run('readwrite', store => store.add({ values, queuedAt: new Date().toISOString() }));
+        },
+        /** Lista os cadastros pendentes, do mais antigo para o mais novo. */
+        list() {
+            return run('readonly', store => store.getAll());
+        },
+        remove(id) {
+            return run('readwrite', store => store.delete(id));
+        }
+    };
+}
+
+/**
+ * Envia os cadastros pendentes, em ordem. Para no primeiro erro; o que não foi enviado continua na fila.
+ * @param {object} queue - A fila (`createOfflineQueue`).
+ * @param {function(object): Promise} send - Grava um aluno (ex: `studentStore.add`).
+ * @returns {Promise<{synced: number, remaining: number, error: Error|null}>}
+ */
+export async function flushOfflineQueue(queue, send) {
+    const entries = await queue.list();
+    let synced = 0;
+    for (const entry of entries) {
+        try {
+            await send(entry.values);
+        } catch (error) {
+            return { synced, remaining: entries.length - synced, error };
+        }
+        await queue.remove(entry.id);
+        synced++;
+    }
+    return { synced, remaining: 0, error: null };
+}
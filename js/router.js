@@ -0,0 +1,83 @@
+// Roteamento por hash
+// Rotas no formato `#secao` ou `#secao/parametro` (ex: `#estilos/regional`, `#movimentos/armada`).
+// O roteador só cuida da URL e do histórico; quem aplica a rota na página é o `onChange`.
+
+/**
+ * Lê uma rota a partir de um hash.
+ * @param {string} hash - O hash da URL (ex: '#estilos/regional').
+ * @returns {{section: string, param: string}}
+ */
+export function parseRoute(hash) {
+    let path = String(hash).replace(/^#/, '');
+    try {
+        path = decodeURIComponent(path);
+    } catch (error) {
+        // Hash com escape inválido: usa o texto como está.
+    }
+    const [section = '', ...rest] = path.split('/');
+    return { section, param: rest.join('/') };
+}
+
+/**
+ * Monta o hash de uma rota.
+ * @param {{section: string, param?: string}} route - A rota.
+ * @returns {string}
+ */
+export function formatRoute({ section, param }) {
+    return param ? `#${section}/${encodeURIComponent(param)}` : `#${section}`;
+}
+
+/**
+ * Cria o roteador.
+ * @param {object} options
+ * @param {Array<string>} options.sections - Seções válidas.
+ * @param {string} options.defaultSection - Seção usada quando o hash está vazio ou é inválido.
+ * @param {function({section: string, param: string}): void} options.onChange - Aplica a rota na página.
+ */
+export function createHashRouter({ sections, defaultSection, onChange }) {
+    let currentHash = null;
+
+    const normalize = (route) => (sections.includes(route.section) ? route : { section: defaultSection, param: '' });
+
+    function apply(route) {
+        currentHash = formatRoute(route);
+        onChange(route);
+    }
+
+    /**
+     * Navega para uma rota, criando (ou substituindo) uma entrada no histórico.
+     * @param {{section: string, param?: string}} route - A rota de destino.
+     * @param {object} [options]
+     * @param {boolean} [options.replace] - Substitui a entrada atual em vez de criar uma nova.
+     */
+    function navigate(route, { replace = false } = {}) {
+        const target = normalize({ section: route.section, param: route.param || '' });
+        const hash = formatRoute(target);
+        if (hash !== location.hash) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+        apply(target);
+    }
+
+    // Voltar/avançar disparam popstate; links comuns e edição manual da URL disparam hashchange.
+    function handleLocationChange() {
+        if (location.hash === currentHash) return;
+        const route = normalize(parseRoute(location.hash));
+        if (location.hash && formatRoute(route) !== location.hash) {
+            history.replaceState(null, '', formatRoute(route));
+        }
+        apply(route);
+    }
+
+    return {
+        navigate,
+        get current() {
+            return normalize(parseRoute(currentHash || location.hash));
+        },
+        start() {
+            window.addEventListener('popstate', handleLocationChange);
+            window.addEventListener('hashchange', handleLocationChange);
+            handleLocationChange();
+        }
+    };
+}
@@ -0,0 +1,234 @@
+// Importação e exportação da base de alunos (CSV e JSON)
+// A importação acontece em etapas: leitura do arquivo em tabela (cabeçalhos + linhas), mapeamento das colunas
+// para os campos do aluno e pré-visualização validada linha a linha. Só depois disso algo é gravado.
+
+import { t } from './i18n.js';
+import { emailKey, validateStudent } from './student-validation.js';
+
+// `label` é o cabeçalho do CSV exportado: fica em português em qualquer idioma, para o arquivo ter sempre o mesmo formato.
+export const STUDENT_IO_FIELDS = [
+    { key: 'name', label: 'Nome', aliases: ['nome', 'nome completo', 'aluno', 'name'] },
+    { key: 'group', label: 'Grupo', aliases: ['grupo', 'group', 'academia'] },
+    { key: 'style', label: 'Estilo', aliases: ['estilo', 'style', 'vertente'] },
+    { key: 'cordel', label: 'Graduação', aliases: ['graduacao', 'corda', 'cordel', 'cordao', 'graduation'] },
+    { key: 'batizado', label: 'Batizado', aliases: ['batizado', 'data do batizado', 'data batizado', 'baptism'] },
+    { key: 'email', label: 'E-mail', aliases: ['e-mail', 'email', 'mail'] },
+    { key: 'phone', label: 'Telefone', aliases: ['telefone', 'celular', 'fone', 'whatsapp', 'phone'] }
+];
+
+/**
+ * Remove acentos e padroniza para comparação (cabeçalhos e nomes).
+ * @param {string} text - O texto original.
+ * @returns {string}
+ */
+function fold(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Identifica um aluno pelo nome e pelo telefone, para reconhecer a mesma pessoa ao reimportar um arquivo.
+ * @param {object} student - O aluno (name e phone em E.164).
+ * @returns {string|null} null se faltar o nome ou o telefone.
+ */
+function studentKey(student) {
+    const name = fold(student.name);
+    return name && student.phone ? `${name}|${student.phone}` : null;
+}
+
+/**
+ * Lê um CSV (RFC 4180, com aspas). O separador é detectado na primeira linha: vírgula ou ponto e vírgula,
+ * este último comum em planilhas exportadas no Brasil.
+ * @param {string} text - O conteúdo do arquivo.
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}}
+ */
+export function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const table = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            table.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        table.push(row);
+    }
+
+    const nonEmpty = table.filter(cells => cells.some(cell => cell.trim() !== ''));
+    const [headers = [], ...rows] = nonEmpty;
+    return { headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Lê um JSON de alunos: uma lista de objetos ou um objeto com a lista em `alunos`/`students`.
+ * @param {string} text - O conteúdo do arquivo.
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>}}
+ */
+export function parseJsonStudents(text) {
+    const data = JSON.parse(text);
+    const records = Array.isArray(data) ? data : data?.alunos || data?.students;
+    if (!Array.isArray(records)) {
+        throw new Error(t('studentIo.error.jsonList'));
+    }
+    const objects = records.filter(record => record && typeof record === 'object');
+    const headers = [...new Set(objects.flatMap(record => Object.keys(record)))];
+    const rows = objects.map(record => headers.map(header => record[header] == null ? '' : String(record[header])));
+    return { headers, rows };
+}
+
+/**
+ * Sugere o mapeamento das colunas do arquivo para os campos do aluno.
+ * @param {Array<string>} headers - Os cabeçalhos do arquivo.
+ * @returns {object} Campo → índice da coluna (-1 quando não encontrado).
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(fold);
+    return Object.fromEntries(STUDENT_IO_FIELDS.map(field => {
+        const aliases = [field.key, fold(field.label), ...field.aliases];
+        return [field.key, normalized.findIndex(header => aliases.includes(header))];
+    }));
+}
+
+// Começos de célula que as planilhas interpretam como fórmula.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Tira o apóstrofo que `csvCell` coloca antes de valores que parecem fórmula, para reimportar o CSV exportado.
+ * @param {string} value - O valor da célula.
+ * @returns {string}
+ */
+function unescapeFormula(value) {
+    const text = String(value ?? '');
+    return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Converte uma data do arquivo para o formato do formulário (AAAA-MM-DD). Aceita também DD/MM/AAAA.
+ * @param {string} value - A data no arquivo.
+ * @returns {string}
+ */
+function normalizeImportedDate(value) {
+    const match = String(value).trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    return match ? `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}` : String(value).trim();
+}
+
+/**
+ * Aplica o mapeamento e valida cada linha, incluindo e-mails repetidos dentro do próprio arquivo. Linhas com o nome
+ * e o telefone de um aluno já cadastrado (ou de outra linha) também são recusadas, para que repetir uma importação
+ * interrompida não duplique quem já foi gravado.
+ * @param {Array<Array<string>>} rows - As linhas do arquivo.
+ * @param {object} mapping - Campo → índice da coluna.
+ * @param {Array<object>} existingStudents - Alunos já cadastrados.
+ * @param {function(string): Array<string>} [cordLevelsFor] - Graduações aceitas para o grupo de cada linha.
+ * @returns {Array<{line: number, values: object, errors: object}>} `line` é a linha no arquivo (o cabeçalho é a 1).
+ */
+export function buildImportPreview(rows, mapping, existingStudents, cordLevelsFor = () => undefined) {
+    const seenEmails = new Map();
+    const seenStudents = new Map();
+    const existingKeys = new Set(existingStudents.map(studentKey).filter(Boolean));
+    return rows.map((cells, index) => {
+        const input = Object.fromEntries(STUDENT_IO_FIELDS.map(field => [field.key, mapping[field.key] >= 0 ? unescapeFormula(cells[mapping[field.key]]) : '']));
+        input.batizado = normalizeImportedDate(input.batizado);
+        const { values, errors } = validateStudent(input, { existingStudents, cordLevels: cordLevelsFor(input.group) });
+        const line = index + 2;
+        const email = emailKey(values.email);
+        if (!errors.email && seenEmails.has(email)) {
+            errors.email = t('studentIo.error.duplicateEmail', { line: seenEmails.get(email) });
+        }
+        if (email && !seenEmails.has(email)) {
+            seenEmails.set(email, line);
+        }
+        const key = studentKey(values);
+        if (key && !errors.name && existingKeys.has(key)) {
+            errors.name = t('studentIo.error.existingStudent');
+        } else if (key && !errors.name && seenStudents.has(key)) {
+            errors.name = t('studentIo.error.duplicateStudent', { line: seenStudents.get(key) });
+        }
+        if (key && !seenStudents.has(key)) {
+            seenStudents.set(key, line);
+        }
+        return { line, values, errors };
+    });
+}
+
+/**
+ * Escapa uma célula de CSV. Valores que o Excel ou o Sheets leriam como fórmula (=, +, -, @, tab ou CR no início)
+ * ganham um apóstrofo na frente, o que também evita que os telefones +55… virem números.
+ * @param {string} value - O valor da célula.
+ * @returns {string}
+ */
+function csvCell(value) {
+    const raw = String(value ?? '');
+    const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Gera um CSV a partir de cabeçalhos e linhas, com BOM para abrir corretamente no Excel.
+ * @param {Array<string>} headers - Os cabeçalhos.
+ * @param {Array<Array<string>>} rows - As linhas.
+ * @returns {string}
+ */
+export function toCsv(headers, rows) {
+    return '\uFEFF' + [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+/**
+ * Exporta alunos em CSV, com os mesmos cabeçalhos aceitos pela importação.
+ * @param {Array<object>} students - Os alunos a exportar.
+ * @returns {string}
+ */
+export function studentsToCsv(students) {
+    return toCsv(
+        STUDENT_IO_FIELDS.map(field => field.label),
+        students.map(student => STUDENT_IO_FIELDS.map(field => student[field.key]))
+    );
+}
+
+/**
+ * Exporta alunos em JSON, apenas com os campos de cadastro.
+ * @param {Array<object>} students - Os alunos a exportar.
+ * @returns {string}
+ */
+export function studentsToJson(students) {
+    const alunos = students.map(student => Object.fromEntries(STUDENT_IO_FIELDS.map(field => [field.key, student[field.key] ?? ''])));
+    return JSON.stringify({ exportadoEm: new Date().toISOString(), alunos }, null, 2);
+}
+
+/**
+ * Gera o relatório de erros da pré-visualização em CSV.
+ * @param {Array<object>} preview - Resultado de `buildImportPreview`.
+ * @returns {string}
+ */
+export function importErrorsToCsv(preview) {
+    const rows = preview.flatMap(row => Object.entries(row.errors).map(([field, message]) => [row.line, t(`students.column.${field}`), message]));
+    return toCsv([t('studentIo.report.line'), t('studentIo.report.field'), t('studentIo.report.error')], rows);
+}
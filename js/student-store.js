@@ -0,0 +1,52 @@
+// Acesso a dados da coleção "alunos", ordenada por nome
+// Mesma interface dos demais stores (ver js/collection-store.js). Aqui fica também a busca e os filtros da lista.
+
+import { createFirestoreStore, createMemoryStore } from './collection-store.js';
+
+/**
+ * Ordena os alunos por nome, ignorando acentos e maiúsculas.
+ * @param {Array<object>} students - A lista de alunos.
+ * @returns {Array<object>}
+ */
+function sortByName(students) {
+    return students.sort((a, b) => (a.name || '').localeCompare(b.name || '', 'pt-BR', { sensitivity: 'base' }));
+}
+
+/**
+ * Store sobre o Firestore.
+ * @param {object} options
+ * @param {object} options.firebase - As funções do SDK do Firebase.
+ * @param {object} options.db - A instância do Firestore.
+ * @param {string} options.collectionPath - Caminho da coleção (ex: `/artifacts/${appId}/academies/${academyId}/alunos`).
+ * @param {string} [options.studentId] - Acompanha só este aluno (o próprio cadastro, para quem entrou como aluno).
+ */
+export function createFirestoreStudentStore({ firebase, db, collectionPath, studentId }) {
+    return createFirestoreStore({ firebase, db, collectionPath, sort: sortByName, docId: studentId });
+}
+
+/**
+ * Store em memória, com a mesma interface do store do Firestore.
+ * @param {Array<object>} [initialStudents] - Alunos iniciais.
+ */
+export function createMemoryStudentStore(initialStudents = []) {
+    return createMemoryStore(initialStudents, sortByName);
+}
+
+/**
+ * Filtra alunos pela busca (nome ou grupo) e pelos filtros de graduação e estilo.
+ * @param {Array<object>} students - A lista de alunos.
+ * @param {object} filters
+ * @param {string} [filters.query] - Texto buscado no nome ou no grupo.
+ * @param {string} [filters.cordel] - Graduação exata ('' para todas).
+ * @param {string} [filters.style] - Estilo exato ('' para todos).
+ * @returns {Array<object>}
+ */
+export function filterStudents(students, { query = '', cordel = '', style = '' } = {}) {
+    const normalize = (text) => (text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const needle = normalize(query.trim());
+    return students.filter(student =>
+        (!needle || normalize(student.name).includes(needle) || normalize(student.group).includes(needle)) &&
+        (!cordel || student.cordel === cordel) &&
+        (!style || student.style === style)
+    );
+}
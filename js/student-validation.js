@@ -0,0 +1,147 @@
+// Validação e normalização dos dados de alunos
+// Usada pelo formulário de cadastro e pela edição na lista. As mensagens de erro são exibidas ao usuário, no idioma atual.
+
+import { DEFAULT_CORD_SYSTEM } from './cord-systems.js';
+import { t } from './i18n.js';
+
+export const ESTILOS = ['Angola', 'Regional', 'Contemporânea'];
+
+// Graduações do sistema de referência, usadas quando o grupo do aluno não está no diretório.
+export const GRADUACOES = DEFAULT_CORD_SYSTEM.map(level => level.name);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+
+/**
+ * Remove acentos e padroniza para comparação.
+ * @param {string} text - O texto original.
+ * @returns {string}
+ */
+function fold(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Chave usada para comparar e-mails: sem acentos, sem espaços nas pontas e em minúsculas.
+ * @param {string} email - O e-mail.
+ * @returns {string}
+ */
+export function emailKey(email) {
+    return fold(email);
+}
+
+/**
+ * Encontra o valor canônico de uma lista, ignorando acentos e maiúsculas (ex: "contemporanea" → "Contemporânea").
+ * @param {string} value - O valor digitado.
+ * @param {Array<string>} options - Os valores aceitos.
+ * @returns {string|null}
+ */
+export function matchOption(value, options) {
+    const folded = fold(value);
+    return options.find(option => fold(option) === folded) ?? null;
+}
+
+/**
+ * Normaliza um telefone brasileiro ou internacional para E.164 (ex: "+5571987654321").
+ * Números sem código de país são tratados como brasileiros (DDD + número, com ou sem o 0 da operadora).
+ * @param {string} raw - O telefone digitado.
+ * @returns {string|null} O número em E.164, ou null se for inválido.
+ */
+export function normalizePhone(raw) {
+    const text = String(raw ?? '').trim();
+    let digits = text.replace(/\D/g, '');
+    const international = text.startsWith('+') || digits.startsWith('00');
+
+    if (international) {
+        digits = digits.replace(/^00/, '');
+        if (!digits.startsWith('55')) {
+            return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+        }
+        digits = digits.slice(2);
+    } else if (/^0\d{11,12}$/.test(digits)) {
+        // Remove o 0 de discagem nacional (ex: 0 71 98765-4321). Códigos de operadora não são suportados.
+        digits = digits.slice(1);
+    } else if (/^55\d{10,11}$/.test(digits)) {
+        digits = digits.slice(2);
+    }
+
+    // DDD (11 a 99) + celular com 9 dígitos começando por 9, ou fixo com 8 dígitos começando de 2 a 5.
+    if (/^[1-9][1-9](9\d{8}|[2-5]\d{7})$/.test(digits)) {
+        return `+55${digits}`;
+    }
+    return null;
+}
+
+/**
+ * Formata um número E.164 para exibição. Números brasileiros ficam como "+55 (71) 98765-4321".
+ * @param {string} phone - O número em E.164.
+ * @returns {string}
+ */
+export function formatPhone(phone) {
+    const match = String(phone ?? '').match(/^\+55(\d{2})(\d{4,5})(\d{4})$/);
+    return match ? `+55 (${match[1]}) ${match[2]}-${match[3]}` : (phone || '');
+}
+
+/**
+ * Valida e normaliza os dados de um aluno.
+ * @param {object} input - Os valores brutos (name, group, style, cordel, batizado, email, phone).
+ * @param {object} [options]
+ * @param {Array<object>} [options.existingStudents] - Alunos já cadastrados na academia, para detectar e-mails repetidos.
+ * @param {string} [options.editingId] - ID do aluno em edição, que não conta como duplicado.
+ * @param {Date} [options.today] - Data de referência para o batizado.
+ * @param {Array<string>} [options.cordLevels] - Graduações aceitas (as do sistema de cordas do grupo do aluno).
+ * @returns {{values: object, errors: object}} Valores normalizados e mensagens de erro por campo.
+ */
+export function validateStudent(input, { existingStudents = [], editingId = null, today = new Date(), cordLevels = GRADUACOES } = {}) {
+    const errors = {};
+    const values = {
+        name: String(input.name ?? '').trim().replace(/\s+/g, ' '),
+        group: String(input.group ?? '').trim().replace(/\s+/g, ' '),
+        style: matchOption(input.style, ESTILOS),
+        cordel: matchOption(input.cordel, cordLevels),
+        batizado: String(input.batizado ?? '').trim(),
+        email: String(input.email ?? '').trim().toLowerCase(),
+        phone: normalizePhone(input.phone)
+    };
+
+    if (values.name.length < 3) {
+        errors.name = t('validation.name.required');
+    } else if (/\d/.test(values.name)) {
+        errors.name = t('validation.name.digits');
+    }
+
+    if (values.group.length < 2) {
+        errors.group = t('validation.group.required');
+    }
+
+    if (!values.style) {
+        errors.style = t('validation.style.required', { styles: ESTILOS.join(', ') });
+    }
+
+    if (!values.cordel) {
+        errors.cordel = t('validation.cordel.required');
+    }
+
+    const batizadoDate = new Date(`${values.batizado}T00:00:00`);
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values.batizado) || Number.isNaN(batizadoDate.getTime())) {
+        errors.batizado = t('validation.batizado.required');
+    } else if (batizadoDate > todayStart) {
+        errors.batizado = t('validation.batizado.future');
+    } else if (batizadoDate.getFullYear() < 1930) {
+        errors.batizado = t('validation.batizado.invalid');
+    }
+
+    if (!EMAIL_PATTERN.test(values.email)) {
+        errors.email = t('validation.email.invalid');
+    } else if (existingStudents.some(student => student.id !== editingId && emailKey(student.email) === emailKey(values.email))) {
+        errors.email = t('validation.email.duplicate');
+    }
+
+    if (!String(input.phone ?? '').trim()) {
+        errors.phone = t('validation.phone.required');
+    } else if (!values.phone) {
+        errors.phone = t('validation.phone.invalid');
+    }
+
+    return { values, errors };
+}
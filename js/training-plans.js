@@ -0,0 +1,406 @@
+// Planos de treino do "Gerador de Treino" (5.4)
+// A IA devolve o plano em JSON, validado aqui antes de virar um checklist. Um plano tem: title, goal e blocks,
+// com uma lista de exercícios para cada bloco de TRAINING_BLOCKS. Cada exercício tem: name, movementId (id em
+// data/movimentos.json, ou '' se não for um movimento do catálogo), sets, reps, duration e rest (em segundos) e notes.
+// Os planos salvos ficam no localStorage, com os exercícios já feitos em `done`.
+
+import { findMovement } from './movements.js';
+import { t, translatedLabels } from './i18n.js';
+import { delimitUserInput } from './prompt-guard.js';
+
+const PLANS_STORAGE_KEY = 'planosDeTreino';
+
+export const TRAINING_BLOCKS = translatedLabels('training.block', ['aquecimento', 'sequencia', 'aprimoramento', 'alongamento']);
+
+// Limites aceitos em cada exercício (o que passar disso é tratado como resposta inválida da IA).
+// O nome de cada campo nas mensagens é `training.field.<campo>`.
+const LIMITS = {
+    sets: { min: 1, max: 20 },
+    reps: { min: 1, max: 500 },
+    duration: { min: 5, max: 3600 },
+    rest: { min: 0, max: 600 }
+};
+
+/**
+ * Monta o pedido à IA para um plano estruturado, em JSON. O objetivo vai delimitado (ver `delimitUserInput`).
+ * @param {string} goal - O objetivo descrito pelo usuário.
+ * @param {Array<object>} [movements] - O catálogo, para a IA usar os nomes conhecidos.
+ * @returns {string}
+ */
+export function buildTrainingPrompt(goal, movements = []) {
+    // Só as chaves: os nomes exibidos dos blocos mudam com o idioma, e o pedido é escrito em português.
+    const blocks = Object.keys(TRAINING_BLOCKS).map(key => `"${key}"`).join(', ');
+    const names = movements.map(movement => movement.name).join(', ');
+    return [
+        `Você é um instrutor de capoeira experiente. Crie um plano de treino detalhado e estruturado com base no objetivo descrito pelo usuário:\n${delimitUserInput(goal)}\n`,
+        `O plano deve ter os blocos ${blocks}, nessa ordem, cada um com pelo menos um exercício.`,
+        names ? `Nos movimentos de capoeira, use os nomes do catálogo da academia: ${names}.` : '',
+        'Responda somente com um objeto JSON, sem markdown, no formato:',
+        '{"title": "...", "blocks": {"aquecimento": [{"name": "...", "sets": 3, "reps": 10, "duration": 0, "rest": 30, "notes": "..."}], "sequencia": [], "aprimoramento": [], "alongamento": []}}.',
+        'Use "reps" para exercícios contados e "duration" (em segundos) para exercícios cronometrados; "sets" é o número de séries e "rest" o descanso entre elas, em segundos. Use 0 nos campos que não se aplicam.'
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Remove acentos e padroniza para busca.
+ * @param {string} text - O texto original.
+ * @returns {string}
+ */
+function fold(text) {
+    return String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+// O movimento do catálogo citado pelo exercício: o informado pela IA, o nome exato ou o nome mais longo contido
+// no nome do exercício (ex: "Ginga leve" → Ginga).
+function linkedMovement(movements, exercise, name) {
+    const exact = findMovement(movements, exercise.movement || name);
+    if (exact) return exact;
+    const folded = fold(name);
+    return [...movements]
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(movement => {
+            const escaped = fold(movement.name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(folded);
+        });
+}
+
+function toCount(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    return typeof value === 'number' ? value : Number(String(value).trim());
+}
+
+/**
+ * Valida e normaliza um plano de treino, ligando os exercícios aos movimentos do catálogo.
+ * @param {object} input - O plano bruto (title, goal, blocks).
+ * @param {Array<object>} [movements] - O catálogo de movimentos.
+ * @returns {{values: object, errors: object}} Valores normalizados e mensagens de erro (por bloco).
+ */
+export function validateTrainingPlan(input, movements = []) {
+    const errors = {};
+    const values = {
+        title: String(input?.title ?? '').trim().replace(/\s+/g, ' '),
+        goal: String(input?.goal ?? '').trim(),
+        blocks: {}
+    };
+
+    if (values.title.length < 3) {
+        errors.title = t('training.error.title');
+    }
+
+    Object.entries(TRAINING_BLOCKS).forEach(([block, label]) => {
+        const exercises = input?.blocks?.[block];
+        if (!Array.isArray(exercises) || exercises.length === 0) {
+            errors[block] = t('training.error.emptyBlock', { block: label });
+            values.blocks[block] = [];
+            return;
+        }
+        values.blocks[block] = exercises.map((exercise, index) => {
+            const position = t('training.error.position', { block: label, number: index + 1 });
+            const name = String(exercise?.name ?? '').trim().replace(/\s+/g, ' ');
+            const normalized = { name, movementId: '', sets: 0, reps: 0, duration: 0, rest: 0, notes: String(exercise?.notes ?? '').trim() };
+            if (!name) {
+                errors[block] ??= t('training.error.name', { position });
+                return normalized;
+            }
+            Object.entries(LIMITS).forEach(([field, { min, max }]) => {
+                const count = toCount(exercise[field]);
+                const fieldLabel = t(`training.field.${field}`);
+                if (!Number.isInteger(count) || count < 0 || count > max) {
+                    errors[block] ??= t('training.error.invalid', { position, name, field: fieldLabel });
+                } else if (count > 0 && count < min) {
+                    errors[block] ??= t('training.error.belowMin', { position, name, field: fieldLabel, min });
+                } else {
+                    normalized[field] = count;
+                }
+            });
+            if (!normalized.reps && !normalized.duration) {
+                errors[block] ??= t('training.error.load', { position, name });
+            }
+            normalized.sets ||= 1;
+            normalized.movementId = linkedMovement(movements, exercise, name)?.id ?? '';
+            return normalized;
+        });
+    });
+
+    return { values, errors };
+}
+
+/**
+ * Separa o JSON de uma resposta da IA (que às vezes vem entre ``` ou com texto em volta).
+ * @param {string} text - A resposta.
+ * @returns {string|null}
+ */
+function extractJson(text) {
+    const source = String(text ?? '').replace(/```(?:json)?/gi, '');
+    const start = source.indexOf('{');
+    const end = source.lastIndexOf('}');
+    return start >= 0 && end > start ? source.slice(start, end + 1) : null;
+}
+
+/**
+ * Lê o plano devolvido pela IA.
+ * @param {string} text - A resposta da IA.
+ * @param {object} [options]
+ * @param {string} [options.goal] - O objetivo pedido (guardado no plano).
+ * @param {Array<object>} [options.movements] - O catálogo de movimentos.
+ * @returns {{plan: object|null, error: string}} `plan` é null quando a resposta não segue o formato.
+ */
+export function parseTrainingPlan(text, { goal = '', movements = [] } = {}) {
+    const json = extractJson(text);
+    if (!json) {
+        return { plan: null, error: t('training.error.noJson') };
+    }
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        return { plan: null, error: t('training.error.badJson') };
+    }
+    const { values, errors } = validateTrainingPlan({ ...data, goal: data.goal || goal }, movements);
+    const messages = Object.values(errors);
+    return messages.length ? { plan: null, error: messages.join(' ') } : { plan: values, error: '' };
+}
+
+/**
+ * Chave de um exercício no plano (usada no checklist e em `done`).
+ * @param {string} block - Chave de `TRAINING_BLOCKS`.
+ * @param {number} index - Posição do exercício no bloco.
+ * @returns {string}
+ */
+export function exerciseKey(block, index) {
+    return `${block}-${index}`;
+}
+
+/**
+ * Descreve um tempo em segundos (ex: "1 min 30 s").
+ * @param {number} seconds - Segundos.
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return [minutes ? `${minutes} min` : '', rest || !minutes ? `${rest} s` : ''].filter(Boolean).join(' ');
+}
+
+/**
+ * Resumo da carga de um exercício (ex: "3 × 10 repetições · descanso 30 s").
+ * @param {object} exercise - O exercício.
+ * @returns {string}
+ */
+export function exerciseSummary(exercise) {
+    const load = exercise.duration ? formatDuration(exercise.duration) : t('training.reps', { count: exercise.reps });
+    const parts = [exercise.sets > 1 ? `${exercise.sets} × ${load}` : load];
+    if (exercise.rest && exercise.sets > 1) {
+        parts.push(t('training.rest', { duration: formatDuration(exercise.rest) }));
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Etapas do cronômetro: cada série dos exercícios com duração, com os descansos entre as séries.
+ * Exercícios contados por repetições ficam só no checklist.
+ * @param {object} plan - O plano.
+ * @returns {Array<{key: string, label: string, seconds: number, rest: boolean, last: boolean}>}
+ *   `last` marca a última série do exercício.
+ */
+export function planTimerSteps(plan) {
+    const steps = [];
+    Object.keys(TRAINING_BLOCKS).forEach(block => {
+        plan.blocks[block].forEach((exercise, index) => {
+            if (!exercise.duration) return;
+            const key = exerciseKey(block, index);
+            for (let set = 1; set <= exercise.sets; set++) {
+                const label = exercise.sets > 1 ? `${exercise.name} (${set}/${exercise.sets})` : exercise.name;
+                steps.push({ key, label, seconds: exercise.duration, rest: false, last: set === exercise.sets });
+                if (set < exercise.sets && exercise.rest) {
+                    steps.push({ key, label: t('training.restStep'), seconds: exercise.rest, rest: true, last: false });
+                }
+            }
+        });
+    });
+    return steps;
+}
+
+/**
+ * Cria o cronômetro de intervalos do plano.
+ * @param {object} [options]
+ * @param {function(object): void} [options.onUpdate] - Recebe {step, index, total, secondsLeft, running} a cada mudança.
+ * @param {function(object): void} [options.onStepEnd] - Chamado quando uma etapa termina (não ao pular).
+ * @param {function(): void} [options.onEnd] - Chamado ao fim da última etapa.
+ * @param {function(): number} [options.now] - Relógio em milissegundos.
+ */
+export function createIntervalTimer({ onUpdate = () => {}, onStepEnd = () => {}, onEnd = () => {}, now = () => Date.now() } = {}) {
+    let steps = [];
+    let index = 0;
+    let remaining = 0;
+    let startedAt = 0;
+    let interval = null;
+
+    const timeLeft = () => interval ? remaining - (now() - startedAt) : remaining;
+
+    function notify() {
+        onUpdate({
+            step: steps[index] ?? null,
+            index,
+            total: steps.length,
+            secondsLeft: Math.max(0, Math.ceil(timeLeft() / 1000)),
+            running: interval !== null
+        });
+    }
+
+    function halt() {
+        if (interval === null) return;
+        remaining = timeLeft();
+        clearInterval(interval);
+        interval = null;
+    }
+
+    function goTo(nextIndex) {
+        index = nextIndex;
+        remaining = (steps[index]?.seconds ?? 0) * 1000;
+        startedAt = now();
+    }
+
+    function tick() {
+        if (timeLeft() > 0) {
+            notify();
+            return;
+        }
+        onStepEnd(steps[index]);
+        if (index + 1 >= steps.length) {
+            halt();
+            goTo(steps.length);
+            notify();
+            onEnd();
+            return;
+        }
+        goTo(index + 1);
+        notify();
+    }
+
+    return {
+        get running() {
+            return interval !== null;
+        },
+        load(newSteps) {
+            halt();
+            steps = newSteps;
+            goTo(0);
+            notify();
+        },
+        start() {
+            if (interval !== null || index >= steps.length) return;
+            startedAt = now();
+            interval = setInterval(tick, 250);
+            notify();
+        },
+        pause() {
+            halt();
+            notify();
+        },
+        skip() {
+            if (index >= steps.length) return;
+            const running = interval !== null;
+            goTo(index + 1);
+            if (index >= steps.length) halt();
+            notify();
+            if (running && index >= steps.length) onEnd();
+        },
+        reset() {
+            halt();
+            goTo(0);
+            notify();
+        }
+    };
+}
+
+/**
+ * Lê os planos salvos, do mais recente para o mais antigo.
+ * @returns {Array<object>}
+ */
+export function loadTrainingPlans() {
+    try {
+        const plans = JSON.parse(localStorage.getItem(PLANS_STORAGE_KEY)) || [];
+        return plans.sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (error) {
+        console.error('Erro ao ler os planos de treino salvos:', error);
+        return [];
+    }
+}
+
+/**
+ * Grava (ou substitui) um plano na biblioteca. Sem `id`, cria um novo.
+ * @param {object} plan - O plano (já validado).
+ * @returns {object} O plano salvo, com `id`, `done` e `updatedAt`.
+ */
+export function saveTrainingPlan(plan) {
+    const now = Date.now();
+    const saved = {
+        ...plan,
+        id: plan.id || `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        done: plan.done ?? [],
+        updatedAt: now
+    };
+    const plans = loadTrainingPlans().filter(item => item.id !== saved.id);
+    localStorage.setItem(PLANS_STORAGE_KEY, JSON.stringify([saved, ...plans]));
+    return saved;
+}
+
+/**
+ * Remove um plano da biblioteca.
+ * @param {string} planId - O ID do plano.
+ */
+export function deleteTrainingPlan(planId) {
+    const plans = loadTrainingPlans().filter(item => item.id !== planId);
+    localStorage.setItem(PLANS_STORAGE_KEY, JSON.stringify(plans));
+}
+
+// --- Impressão ---
+
+function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+/**
+ * Desenha o plano para impressão, com uma caixa para marcar cada exercício.
+ * @param {HTMLElement} container - O elemento de destino (o conteúdo é substituído).
+ * @param {object} plan - O plano.
+ * @param {Array<object>} [movements] - O catálogo (para o nome dos movimentos ligados).
+ */
+export function renderTrainingSheet(container, plan, movements = []) {
+    const sheet = element('div', 'training-sheet');
+    sheet.appendChild(element('h1', null, plan.title));
+    if (plan.goal) {
+        sheet.appendChild(element('p', null, t('training.goal', { goal: plan.goal })));
+    }
+    const timed = planTimerSteps(plan).reduce((sum, step) => sum + step.seconds, 0);
+    if (timed) {
+        sheet.appendChild(element('p', null, t('training.timed', { duration: formatDuration(timed) })));
+    }
+
+    Object.entries(TRAINING_BLOCKS).forEach(([block, label]) => {
+        sheet.appendChild(element('h2', null, label));
+        const table = element('table');
+        const headRow = element('tr');
+        ['', t('training.print.exercise'), t('training.print.load'), t('training.print.notes')].forEach(header => headRow.appendChild(element('th', null, header)));
+        table.appendChild(element('thead')).appendChild(headRow);
+        const body = element('tbody');
+        plan.blocks[block].forEach((exercise, index) => {
+            const row = element('tr');
+            const movement = movements.find(item => item.id === exercise.movementId);
+            const name = movement && movement.name !== exercise.name ? `${exercise.name} (${movement.name})` : exercise.name;
+            const done = plan.done?.includes(exerciseKey(block, index));
+            [done ? '☑' : '☐', name, exerciseSummary(exercise), exercise.notes].forEach(value => {
+                row.appendChild(element('td', null, value));
+            });
+            body.appendChild(row);
+        });
+        table.appendChild(body);
+        sheet.appendChild(table);
+    });
+
+    container.replaceChildren(sheet);
+}
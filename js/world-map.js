@@ -0,0 +1,111 @@
+// Mapa-múndi em SVG, sem servidor de mapas (funciona offline)
+// Projeção equirretangular: 1 unidade do SVG = 1 grau (x = longitude + 180, y = 90 - latitude).
+// Os contornos dos continentes são simplificados, só para dar referência aos marcadores.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Contornos em [longitude, latitude].
+const WORLD_OUTLINES = [
+    // América do Sul
+    [[-80, 9], [-77, 8], [-72, 12], [-62, 10.5], [-52, 5], [-50, 0], [-44, -2.5], [-35, -5], [-35, -9], [-39, -13], [-40, -20], [-48, -26], [-53, -34], [-58, -38], [-62, -39], [-65, -45], [-68, -50], [-69, -55], [-74, -52], [-73, -45], [-72, -36], [-71, -28], [-70, -18], [-76, -14], [-81, -6], [-80, -1], [-78, 2], [-77, 7]],
+    // América do Norte e Central
+    [[-168, 66], [-162, 70], [-140, 70], [-125, 70], [-95, 72], [-80, 73], [-65, 60], [-55, 52], [-66, 45], [-70, 42], [-76, 35], [-80, 31], [-81, 25], [-84, 30], [-90, 29], [-97, 26], [-97, 21], [-92, 18], [-88, 21], [-87, 15], [-83, 10], [-80, 8], [-86, 12], [-92, 15], [-98, 16], [-105, 20], [-110, 24], [-113, 31], [-117, 33], [-121, 36], [-124, 41], [-124, 48], [-132, 55], [-140, 60], [-150, 60], [-158, 57], [-165, 60], [-166, 64]],
+    // Groenlândia
+    [[-55, 60], [-44, 60], [-20, 70], [-20, 80], [-40, 83], [-60, 82], [-72, 78], [-58, 70]],
+    // Eurásia
+    [[-9, 37], [-9, 43], [-1, 44], [-4.5, 48.5], [1.5, 50.5], [4.5, 52.5], [8, 54], [8.5, 57], [10.5, 57.5], [10.5, 54], [14, 54], [20, 54.5], [21, 57], [24, 59.5], [29, 60], [22, 60.5], [21, 63], [25, 65.5], [21, 65], [17, 62], [19, 60], [16, 56], [12, 56], [10.5, 59], [5, 58], [5, 62], [12, 66], [16, 69], [25, 71], [33, 70], [41, 67], [44, 68.5], [55, 68.5], [60, 70], [70, 73], [80, 73], [95, 76], [105, 78], [115, 74], [130, 72], [140, 72], [160, 70], [170, 70], [180, 66], [170, 60], [163, 60], [156, 51], [156, 57], [143, 59], [135, 55], [140, 48], [133, 43], [128, 39], [127, 35], [122, 37], [122, 40], [118, 38], [121, 31], [121, 28], [117, 23], [110, 21], [108, 16], [109, 12], [105, 9], [104, 12], [100, 13], [101, 7], [104, 1.5], [100, 4], [98, 9], [98, 16], [94, 17], [92, 22], [87, 21], [80, 15], [78, 8], [73, 16], [72, 22], [67, 25], [58, 25], [57, 23], [59, 22], [55, 17], [52, 16], [44, 13], [43, 16], [39, 21], [35, 28], [34, 31], [36, 36], [30, 36], [27, 37], [26, 40], [29, 41], [41, 41.5], [36, 45], [30, 46], [28, 44], [26, 41], [23, 40], [24, 38], [22, 37], [21, 40], [19, 42], [13.5, 45.5], [12, 44.5], [16, 41], [18, 40], [16, 38], [12, 38], [14, 41], [10.5, 43], [8.5, 44.5], [3, 43], [3, 42], [0, 39], [-2, 37], [-5.5, 36]],
+    // Grã-Bretanha
+    [[-5, 50], [1.5, 51], [1.5, 53], [-2, 56], [-1.5, 57.5], [-3, 58.6], [-5, 58.6], [-6, 56], [-5, 55], [-3, 54.5], [-4.5, 53], [-5, 52]],
+    // África
+    [[-17, 21], [-16, 25], [-10, 30], [-6, 35.8], [10, 37], [11, 33], [20, 31], [25, 32], [32, 31.5], [34, 28], [39, 18], [43, 12], [51, 11.5], [44, 0], [40, -4], [40, -10], [41, -15], [35, -24], [33, -28], [27, -34], [20, -35], [18, -32], [15, -27], [12, -18], [13, -10], [9, -1], [9, 4], [5, 6], [-2, 5], [-8, 4.5], [-13, 8], [-17, 14]],
+    // Madagascar
+    [[44, -25], [47, -25], [50, -16], [49, -12], [44, -17]],
+    // Japão
+    [[130, 31], [131, 34], [135, 34], [140, 35], [141, 38], [142, 41], [140, 41], [139, 38], [137, 37], [133, 35.5], [130, 33.5]],
+    // Sumatra e Bornéu
+    [[95, 5.5], [98, 4], [106, -6], [103, -5], [96, 3]],
+    [[109, 1.5], [116, 7], [119, 5], [117, 0], [116, -4], [110, -3]],
+    // Austrália
+    [[114, -22], [114, -34], [118, -35], [124, -33], [131, -31.5], [138, -35], [141, -38], [147, -38], [150, -37], [153, -28], [153, -25], [146, -19], [142, -11], [141, -17], [136, -12], [130, -12], [126, -14], [122, -18]]
+];
+
+// Enquadramentos disponíveis (viewBox) e o raio dos marcadores em cada um.
+export const MAP_VIEWS = {
+    mundo: { label: 'Mundo', viewBox: [0, 10, 360, 150], markerRadius: 2.2 },
+    brasil: { label: 'Brasil', viewBox: [103, 82, 44, 42], markerRadius: 0.7 }
+};
+
+/**
+ * Converte longitude/latitude para coordenadas do SVG.
+ * @param {number} lng - Longitude.
+ * @param {number} lat - Latitude.
+ * @returns {{x: number, y: number}}
+ */
+export function projectPoint(lng, lat) {
+    return { x: lng + 180, y: 90 - lat };
+}
+
+function svgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+/**
+ * Desenha o mapa com marcadores dentro de um elemento <svg>.
+ * @param {SVGSVGElement} svg - O elemento de destino (o conteúdo é substituído).
+ * @param {Array<object>} markers - Marcadores: {lng, lat, color, label, id, primary}.
+ * @param {object} [options]
+ * @param {string} [options.view] - Enquadramento (chave de MAP_VIEWS).
+ * @param {function(object): void} [options.onSelect] - Chamado ao clicar em um marcador.
+ */
+export function renderWorldMap(svg, markers, { view = 'mundo', onSelect } = {}) {
+    const { viewBox, markerRadius } = MAP_VIEWS[view] || MAP_VIEWS.mundo;
+    svg.setAttribute('viewBox', viewBox.join(' '));
+    svg.replaceChildren();
+
+    svg.appendChild(svgElement('rect', { x: 0, y: 0, width: 360, height: 180, class: 'map-ocean' }));
+    WORLD_OUTLINES.forEach(outline => {
+        const points = outline.map(([lng, lat]) => {
+            const { x, y } = projectPoint(lng, lat);
+            return `${x},${y}`;
+        });
+        svg.appendChild(svgElement('polygon', { points: points.join(' '), class: 'map-land', 'vector-effect': 'non-scaling-stroke' }));
+    });
+
+    // Marcadores no mesmo ponto (ex: vários grupos no Rio) são levemente deslocados em círculo.
+    const seen = new Map();
+    markers.forEach(marker => {
+        const { x, y } = projectPoint(marker.lng, marker.lat);
+        const key = `${x},${y}`;
+        const index = seen.get(key) || 0;
+        seen.set(key, index + 1);
+        const offset = index === 0 ? 0 : markerRadius * 1.2;
+        const angle = index * 2.4;
+
+        const circle = svgElement('circle', {
+            cx: x + offset * Math.cos(angle),
+            cy: y + offset * Math.sin(angle),
+            r: marker.primary ? markerRadius * 1.3 : markerRadius,
+            fill: marker.color,
+            class: marker.primary ? 'map-marker primary' : 'map-marker',
+            'vector-effect': 'non-scaling-stroke',
+            tabindex: onSelect ? 0 : -1,
+            role: onSelect ? 'button' : 'img',
+            'aria-label': marker.label
+        });
+        const title = svgElement('title');
+        title.textContent = marker.label;
+        circle.appendChild(title);
+        if (onSelect) {
+            circle.addEventListener('click', () => onSelect(marker));
+            circle.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onSelect(marker);
+                }
+            });
+        }
+        svg.appendChild(circle);
+    });
+}
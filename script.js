@@ -1,55 +1,211 @@
+import { createAiProvider, resolveAiConfig } from './js/ai-providers.js';
+import { setMarkdown } from './js/markdown.js';
+import { createFirestoreStudentStore, createMemoryStudentStore, filterStudents } from './js/student-store.js';
+import { createHashRouter, formatRoute, parseRoute } from './js/router.js';
+import { createToquePlayer, findToqueInText, loadToques } from './js/berimbau.js';
+import { MOVEMENT_CATEGORIES, MOVEMENT_DIFFICULTIES, filterMovements, findMovement, loadMovements, movementImageUrl } from './js/movements.js';
+import { ESTILOS, formatPhone, validateStudent } from './js/student-validation.js';
+import {
+    STUDENT_IO_FIELDS,
+    buildImportPreview,
+    guessColumnMapping,
+    importErrorsToCsv,
+    parseCsv,
+    parseJsonStudents,
+    studentsToCsv,
+    studentsToJson
+} from './js/student-io.js';
+import {
+    MESTRE_PERSONAS,
+    addChatMessage,
+    buildChatRequest,
+    compactChatSession,
+    createChatSession,
+    deleteChatSessions,
+    exportChatSession,
+    loadChatSessions,
+    saveChatSession
+} from './js/mestre-chat.js';
+import { createOfflineQueue, flushOfflineQueue } from './js/offline-queue.js';
+import {
+    CANTIGA_STRUCTURES,
+    CANTIGA_TYPES,
+    buildCompositionPrompt,
+    deleteSavedCantiga,
+    filterCantigas,
+    formatCantigaText,
+    loadCantigas,
+    loadFavoriteCantigas,
+    loadSavedCantigas,
+    parseCantigaText,
+    saveCantiga,
+    structuresForType,
+    toggleFavoriteCantiga,
+    validateCantiga
+} from './js/cantigas.js';
+import {
+    TRAINING_BLOCKS,
+    buildTrainingPrompt,
+    createIntervalTimer,
+    deleteTrainingPlan,
+    exerciseKey,
+    exerciseSummary,
+    loadTrainingPlans,
+    parseTrainingPlan,
+    planTimerSteps,
+    renderTrainingSheet,
+    saveTrainingPlan
+} from './js/training-plans.js';
+import { createFirestoreDatedStore, createMemoryDatedStore } from './js/dated-store.js';
+import {
+    ROLES,
+    STUDENT_SELF_FIELDS,
+    academyCollectionPath,
+    assignableRoles,
+    can,
+    canRevokeInvite,
+    createAcademyService,
+    invitableRoles,
+    normalizeInviteCode
+} from './js/academies.js';
+import {
+    formatMonth,
+    loadAttendanceRule,
+    lowAttendance,
+    monthlyAttendance,
+    saveAttendanceRule,
+    studentAttendance,
+    studentHistory,
+    toIsoDate,
+    turmaAttendance,
+    validateSession
+} from './js/attendance.js';
+import {
+    FEE_STATUS,
+    INVENTORY_CATEGORIES,
+    feeStatus,
+    feeStatusByMonth,
+    feesToGenerate,
+    formatMoney,
+    inventoryValue,
+    itemTotal,
+    loadFeeSettings,
+    monthlyCashFlow,
+    parseMoney,
+    recentMonths,
+    saveFeeSettings,
+    validateFee,
+    validateInventoryItem
+} from './js/finance.js';
+import { EVENT_TYPES, eventParticipant, eventsToIcs, formatEventDate, renderCeremonyList, renderCertificates, validateEvent } from './js/events.js';
+import { filterGroups, findGroup, formatLocation, groupCountries, groupLocations, loadGroups } from './js/groups.js';
+import { renderWorldMap } from './js/world-map.js';
+import { DEFAULT_CORD_SYSTEM, cordBackground, renderCordStrip } from './js/cord-systems.js';
+import { AI_TOOLS, GUARD_INSTRUCTION, buildToolPrompt, checkAiAnswer, checkUserInput } from './js/prompt-guard.js';
+import { requestAiAnswer } from './js/ai-request.js';
+import { LANGUAGES, aiLanguageInstruction, formatDate, formatNumber, initLanguage, setLanguage, t, translatePage } from './js/i18n.js';
+
 // Definições de API
-const GEMINI_API_KEY = '';
-const GEMINI_API_URL_BASE = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${GEMINI_API_KEY}`;
+// A chave nunca fica no cliente: configure um proxy (`__ai_config.endpoint`) ou use o provedor local (`?ai=mock`).
+const aiProvider = createAiProvider(resolveAiConfig());
+
+/**
+ * Indica se a IA está inacessível por falta de conexão (o provedor local funciona offline).
+ * @returns {boolean}
+ */
+function isAiOffline() {
+    return aiProvider.name !== 'mock' && !navigator.onLine;
+}
+
+// Service worker (sw.js): guarda o guia no aparelho para uso sem conexão.
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error("Erro ao registrar o service worker:", error);
+        });
+    });
+}
 
 /**
- * Função utilitária para chamar a API Gemini com retry (backoff).
- * @param {string} prompt - O prompt de entrada para a IA.
+ * Função utilitária para chamar a IA (via provedor configurado) em streaming, com retry (backoff).
+ * O spinner fica visível enquanto a resposta chega; a área de saída aparece no primeiro trecho.
+ * Fora do português, a instrução de sistema pede a resposta no idioma escolhido (ver `aiLanguageInstruction`).
+ * Com `tool`, a instrução de sistema leva as regras de js/prompt-guard.js e a resposta é conferida antes de aparecer
+ * (ver `requestAiAnswer`): se a IA recusar o pedido ou sair da capoeira, volta a mensagem de recusa no lugar do texto.
+ * @param {string|Array<object>} prompt - O prompt de entrada para a IA, ou o histórico `contents` completo (multi-turno).
  * @param {HTMLElement} loadingElement - O elemento do spinner de carregamento.
- * @param {HTMLElement} outputElement - O elemento de saída para mostrar/esconder.
- * @param {number} maxRetries - Número máximo de tentativas de retry.
+ * @param {HTMLElement|null} outputElement - O elemento de saída para mostrar/esconder (null para não alterar).
+ * @param {object} [options]
+ * @param {string} [options.systemInstruction] - Instrução de sistema (persona) enviada à parte do histórico.
+ * @param {string} [options.tool] - Chave de `AI_TOOLS` da ferramenta que faz o pedido.
+ * @param {Array<string>} [options.topicTerms] - Outros termos que contam como capoeira na resposta (ex: nomes dos movimentos).
+ * @param {function(string): void} [options.onChunk] - Recebe o texto acumulado a cada novo trecho.
+ * @param {AbortSignal} [options.signal] - Sinal de cancelamento (botão "Parar").
+ * @param {number} [options.maxRetries] - Número máximo de tentativas de retry.
  */
-async function callGeminiApi(prompt, loadingElement, outputElement, maxRetries = 3) {
-    outputElement.classList.add('hidden');
+async function callGeminiApi(prompt, loadingElement, outputElement, { onChunk, signal, systemInstruction, tool, topicTerms, maxRetries = 3 } = {}) {
+    outputElement?.classList.add('hidden');
     loadingElement.classList.remove('hidden');
     
     const payload = {
-        contents: [{ parts: [{ text: prompt }] }],
+        contents: typeof prompt === 'string' ? [{ role: 'user', parts: [{ text: prompt }] }] : prompt,
     };
-    
-    for (let i = 0; i < maxRetries; i++) {
-        try {
-            const response = await fetch(GEMINI_API_URL_BASE, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                if (response.status === 429 && i < maxRetries - 1) {
-                    const delay = Math.pow(2, i) * 1000;
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    continue;
-                }
-                throw new Error(`Erro de resposta da API: ${response.status}`);
+    const instruction = [systemInstruction, tool && GUARD_INSTRUCTION, aiLanguageInstruction()].filter(Boolean).join('\n\n');
+    if (instruction) {
+        payload.systemInstruction = { parts: [{ text: instruction }] };
+    }
+    try {
+        return await requestAiAnswer(aiProvider, payload, {
+            tool,
+            topicTerms,
+            signal,
+            maxRetries,
+            isOffline: isAiOffline,
+            onChunk: (text) => {
+                outputElement?.classList.remove('hidden');
+                onChunk?.(text);
             }
+        });
+    } finally {
+        loadingElement.classList.add('hidden');
+    }
+}
 
-            const result = await response.json();
-            const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+/**
+ * Faz o download de um conteúdo gerado no navegador.
+ * @param {string} filename - Nome do arquivo.
+ * @param {string} content - O conteúdo do arquivo.
+ * @param {string} type - O tipo MIME.
+ */
+function downloadFile(filename, content, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
 
-            loadingElement.classList.add('hidden');
-            if (text) {
-                return text;
-            } else {
-                return 'Não foi possível gerar conteúdo. Tente uma frase diferente.';
-            }
-        } catch (error) {
-            loadingElement.classList.add('hidden');
-            console.error('Erro na chamada da API Gemini:', error);
-            return `Erro: ${error.message}`;
+/**
+ * Liga um botão de ferramenta de IA ao botão "Parar" do seu spinner e impede chamadas duplicadas.
+ * @param {HTMLButtonElement} triggerButton - O botão que dispara a geração.
+ * @param {HTMLElement} loadingElement - O spinner, que contém o botão `.stop-btn`.
+ * @returns {function(function(AbortSignal): Promise): Promise} Executa a tarefa se nenhuma outra estiver em andamento.
+ */
+function createAiRequestGuard(triggerButton, loadingElement) {
+    let controller = null;
+    loadingElement.querySelector('.stop-btn').addEventListener('click', () => controller?.abort());
+
+    return async function run(task) {
+        if (controller) return;
+        controller = new AbortController();
+        triggerButton.disabled = true;
+        try {
+            await task(controller.signal);
+        } finally {
+            controller = null;
+            triggerButton.disabled = false;
         }
-    }
-    return 'O servidor demorou muito para responder. Tente novamente mais tarde.';
+    };
 }
 
 document.addEventListener('DOMContentLoaded', function () {
@@ -64,7 +220,6 @@ document.addEventListener('DOMContentLoaded', function () {
     const tabButtons = document.querySelectorAll('.tab-btn');
     const tabPanes = document.querySelectorAll('[data-tab-content]');
     const filterButtons = document.querySelectorAll('.filter-btn');
-    const movimentoCards = document.querySelectorAll('.movimento-card');
     const groupsContainer = document.getElementById('groups-container');
 
 
@@ -94,9 +249,35 @@ document.addEventListener('DOMContentLoaded', function () {
         isDarkMode = !isDarkMode;
         applyTheme(isDarkMode);
     });
+
+    // --- 1.1 Idioma ---
+    // Como o tema, a escolha fica no localStorage. Os textos marcados com data-i18n no index.html são trocados
+    // na hora; os textos montados pelo script usam `t()` e são refeitos ao trocar o idioma.
+    const languageSelect = document.getElementById('language-select');
+    Object.entries(LANGUAGES).forEach(([code, language]) => languageSelect.add(new Option(language.label, code)));
+    languageSelect.value = initLanguage();
+    translatePage();
+
+    languageSelect.addEventListener('change', () => {
+        setLanguage(languageSelect.value);
+        translatePage();
+        // Antes da lista chegar, mantém o "Carregando alunos..." (já traduzido).
+        if (studentStore) {
+            renderStudentTable();
+        }
+        renderTranslatedSections();
+        applyRoute(router.current);
+    });
     
     // --- 2. Lógica de Navegação Principal e Tabs ---
+    // A seção e a aba ficam no hash (ex: #estilos/regional, #movimentos/armada), então links diretos,
+    // o botão voltar e o recarregamento da página levam ao mesmo lugar.
+    const sections = Array.from(navLinks, link => link.getAttribute('href').slice(1));
+
     function switchSection(targetId) {
+        const target = document.querySelector(targetId);
+        const changed = !target.classList.contains('active');
+
         contentSections.forEach(section => {
             if ('#' + section.id === targetId) {
                 section.classList.add('active');
@@ -108,8 +289,10 @@ document.addEventListener('DOMContentLoaded', function () {
         navLinks.forEach(link => {
             if (link.getAttribute('href') === targetId) {
                 link.classList.add('active');
+                link.setAttribute('aria-current', 'page');
             } else {
                 link.classList.remove('active');
+                link.removeAttribute('aria-current');
             }
         });
         
@@ -117,59 +300,259 @@ document.addEventListener('DOMContentLoaded', function () {
             mobileNav.value = targetId;
         }
 
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+        if (changed) {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+    }
+
+    function switchTab(targetTab) {
+        const button = Array.from(tabButtons).find(btn => btn.dataset.tab === targetTab) || tabButtons[0];
+
+        tabButtons.forEach(btn => btn.classList.remove('active'));
+        button.classList.add('active');
+        
+        tabPanes.forEach(pane => {
+            if (pane.dataset.tabContent === button.dataset.tab) {
+                pane.classList.remove('hidden');
+                pane.classList.add('active');
+            } else {
+                pane.classList.add('hidden');
+                pane.classList.remove('active');
+            }
+        });
+        return button.textContent.trim();
+    }
+
+    function applyRoute({ section, param }) {
+        switchSection('#' + section);
+
+        const titleParts = [t(`nav.${section}`)];
+        if (section === 'estilos') {
+            titleParts.unshift(switchTab(param));
+        } else if (section === 'movimentos') {
+            const movement = param ? showMovementDetail(param) : null;
+            if (movement) {
+                titleParts.unshift(movement.name);
+            } else {
+                closeMovementDetail();
+            }
+        } else if (section === 'grupos') {
+            const group = param ? showGroupPage(param) : null;
+            if (group) {
+                titleParts.unshift(group.name);
+            } else {
+                showGroupDirectory();
+            }
+        }
+        document.title = `${titleParts.join(' · ')} | ${t('app.title')}`;
     }
 
+    const router = createHashRouter({
+        sections,
+        defaultSection: 'estilos',
+        onChange: applyRoute
+    });
+
     navLinks.forEach(link => {
         link.addEventListener('click', (e) => {
             e.preventDefault();
-            const targetId = link.getAttribute('href');
-            switchSection(targetId);
+            router.navigate(parseRoute(link.getAttribute('href')));
         });
     });
 
     mobileNav.addEventListener('change', (e) => {
-        const targetId = e.target.value;
-        switchSection(targetId);
+        router.navigate(parseRoute(e.target.value));
     });
     
     tabButtons.forEach(button => {
         button.addEventListener('click', () => {
-            const targetTab = button.dataset.tab;
-            
-            tabButtons.forEach(btn => btn.classList.remove('active'));
-            button.classList.add('active');
-            
-            tabPanes.forEach(pane => {
-                if (pane.dataset.tabContent === targetTab) {
-                    pane.classList.remove('hidden');
-                    pane.classList.add('active');
-                } else {
-                    pane.classList.add('hidden');
-                    pane.classList.remove('active');
-                }
-            });
+            router.navigate({ section: 'estilos', param: button.dataset.tab });
         });
     });
     
-    // --- 3. Filtro de Movimentos ---
+    // --- 3. Catálogo de Movimentos (filtros e página de detalhe) ---
+    const movimentosGrid = document.getElementById('movimentos-grid');
+    const movimentosStatus = document.getElementById('movimentos-status');
+    const movementSearch = document.getElementById('movement-search');
+    const movementFilterEstilo = document.getElementById('movement-filter-estilo');
+    const movementFilterDifficulty = document.getElementById('movement-filter-difficulty');
+    const movementDetail = document.getElementById('movement-detail');
+
+    let movements = [];
+    let movementCategory = 'all';
+
+    function renderMovements() {
+        const visible = filterMovements(movements, {
+            query: movementSearch.value,
+            category: movementCategory,
+            estilo: movementFilterEstilo.value,
+            difficulty: movementFilterDifficulty.value
+        });
+
+        movimentosGrid.innerHTML = '';
+        visible.forEach(movement => {
+            const card = document.createElement('a');
+            card.href = `#movimentos/${movement.id}`;
+            card.dataset.movementId = movement.id;
+            card.className = 'movimento-card block bg-white rounded-lg shadow-lg overflow-hidden hover:ring-2 hover:ring-blue-500 transition';
+
+            const image = document.createElement('img');
+            image.src = movementImageUrl(movement);
+            image.alt = t('movements.imageAlt', { name: movement.name });
+            image.loading = 'lazy';
+            image.className = 'w-full h-48 object-cover';
+
+            const info = document.createElement('div');
+            info.className = 'p-4';
+            const title = document.createElement('h3');
+            title.className = 'font-bold text-lg';
+            title.textContent = movement.name;
+            const meta = document.createElement('p');
+            meta.className = 'text-sm text-stone-600';
+            meta.textContent = `${MOVEMENT_CATEGORIES[movement.category]} · ${MOVEMENT_DIFFICULTIES[movement.difficulty]}`;
+            info.append(title, meta);
+
+            card.append(image, info);
+            movimentosGrid.appendChild(card);
+        });
+
+        movimentosStatus.textContent = visible.length === 0 ? t('movements.noMatch') : '';
+    }
+
+    function renderMovementLinks(list, ids) {
+        list.innerHTML = '';
+        const related = ids.map(id => findMovement(movements, id)).filter(Boolean);
+        if (related.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'text-stone-500';
+            item.textContent = '—';
+            list.appendChild(item);
+            return;
+        }
+        related.forEach(movement => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#movimentos/${movement.id}`;
+            link.dataset.movementId = movement.id;
+            link.className = 'text-blue-600 hover:underline';
+            link.textContent = movement.name;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+    }
+
+    function showMovementDetail(id) {
+        const movement = findMovement(movements, id);
+        if (!movement) return null;
+
+        movementDetail.dataset.movementId = movement.id;
+        document.getElementById('movement-detail-image').src = movementImageUrl(movement);
+        document.getElementById('movement-detail-image').alt = t('movements.imageAlt', { name: movement.name });
+        document.getElementById('movement-detail-name').textContent = movement.name;
+        document.getElementById('movement-detail-aliases').textContent = movement.aliases.length ? t('movements.aliases', { aliases: movement.aliases.join(', ') }) : '';
+        document.getElementById('movement-detail-description').textContent = movement.description;
+
+        const tags = document.getElementById('movement-detail-tags');
+        tags.innerHTML = '';
+        [MOVEMENT_CATEGORIES[movement.category], MOVEMENT_DIFFICULTIES[movement.difficulty], ...movement.estilos].forEach(label => {
+            const tag = document.createElement('span');
+            tag.className = 'py-1 px-2 rounded-full bg-stone-100 text-stone-700';
+            tag.textContent = label;
+            tags.appendChild(tag);
+        });
+
+        renderMovementLinks(document.getElementById('movement-detail-prerequisites'), movement.prerequisites);
+        renderMovementLinks(document.getElementById('movement-detail-counters'), movement.counters);
+
+        if (!movementDetail.open) {
+            movementDetail.showModal();
+        }
+        return movement;
+    }
+
+    function openMovement(id) {
+        router.navigate({ section: 'movimentos', param: id });
+    }
+
+    function closeMovementDetail() {
+        if (movementDetail.open) {
+            movementDetail.close();
+        }
+    }
+
+    // Volta a URL para a seção quando o detalhe é fechado (botão, Esc ou clique fora).
+    movementDetail.addEventListener('close', () => {
+        const { section, param } = router.current;
+        if (section === 'movimentos' && param) {
+            router.navigate({ section: 'movimentos' }, { replace: true });
+        }
+    });
+
+    movementDetail.addEventListener('click', (e) => {
+        const link = e.target.closest('a[data-movement-id]');
+        if (link) {
+            e.preventDefault();
+            openMovement(link.dataset.movementId);
+        } else if (e.target === movementDetail) {
+            closeMovementDetail();
+        }
+    });
+
+    document.getElementById('movement-detail-close').addEventListener('click', closeMovementDetail);
+
+    document.getElementById('movement-detail-share').addEventListener('click', async (e) => {
+        const url = `${location.origin}${location.pathname}${formatRoute({ section: 'movimentos', param: movementDetail.dataset.movementId })}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            e.target.textContent = t('movements.linkCopied');
+        } catch (error) {
+            e.target.textContent = url;
+        }
+        setTimeout(() => { e.target.textContent = t('movements.copyLink'); }, 2000);
+    });
+
+    document.getElementById('movement-detail-guide').addEventListener('click', () => {
+        const movement = findMovement(movements, movementDetail.dataset.movementId);
+        closeMovementDetail();
+        document.getElementById('move-input').value = movement.name;
+        document.getElementById('guide-btn').click();
+        document.getElementById('guide-btn').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    movimentosGrid.addEventListener('click', (e) => {
+        const card = e.target.closest('a[data-movement-id]');
+        if (!card) return;
+        e.preventDefault();
+        openMovement(card.dataset.movementId);
+    });
+
     filterButtons.forEach(button => {
         button.addEventListener('click', () => {
-            const filter = button.dataset.filter;
+            movementCategory = button.dataset.filter;
             
             filterButtons.forEach(btn => btn.classList.remove('active'));
             button.classList.add('active');
             
-            movimentoCards.forEach(card => {
-                if (filter === 'all' || card.dataset.category === filter) {
-                    card.style.display = 'block';
-                } else {
-                    card.style.display = 'none';
-                }
-            });
+            renderMovements();
         });
     });
 
+    [movementSearch, movementFilterEstilo, movementFilterDifficulty].forEach(control => {
+        control.addEventListener('input', renderMovements);
+    });
+
+    loadMovements()
+        .then(data => {
+            movements = data;
+            renderMovements();
+            // Um link direto para um movimento (#movimentos/<id>) só pode ser aberto depois do carregamento.
+            applyRoute(router.current);
+        })
+        .catch(error => {
+            console.error("Erro ao carregar o catálogo de movimentos:", error);
+            movimentosStatus.textContent = t('movements.loadError');
+        });
+
     // --- 4. Collapsible (História) ---
     collapsibleHeaders.forEach(header => {
         header.addEventListener('click', () => {
@@ -180,223 +563,1076 @@ document.addEventListener('DOMContentLoaded', function () {
         });
     });
 
+    // --- 4.1 Tocador de Toques do Berimbau (Web Audio) ---
+    const toqueSelect = document.getElementById('toque-select');
+    const toqueTempo = document.getElementById('toque-tempo');
+    const toqueTempoValue = document.getElementById('toque-tempo-value');
+    const toqueLoop = document.getElementById('toque-loop');
+    const toqueSteps = document.getElementById('toque-steps');
+    const toqueDescription = document.getElementById('toque-description');
+    const toquePlayBtn = document.getElementById('toque-play-btn');
+    const toqueStatus = document.getElementById('toque-status');
+
+    let toques = [];
+
+    const toquePlayer = createToquePlayer({
+        onStep: (step) => {
+            if (!toquePlayer.playing) return;
+            toqueSteps.querySelectorAll('.toque-step').forEach((cell, index) => {
+                cell.classList.toggle('current', index === step);
+            });
+        },
+        onEnd: () => {
+            toquePlayBtn.textContent = t('toques.play');
+            toqueSteps.querySelectorAll('.toque-step').forEach(cell => cell.classList.remove('current'));
+        }
+    });
+
+    function selectedToque() {
+        return toques.find(toque => toque.id === toqueSelect.value);
+    }
+
+    function setToqueTempo(bpm) {
+        toqueTempo.value = bpm;
+        toqueTempoValue.textContent = `${toqueTempo.value} bpm`;
+        toquePlayer.setTempo(toqueTempo.value);
+    }
+
+    function showToque(toque) {
+        toquePlayer.stop();
+        toqueSelect.value = toque.id;
+        toqueDescription.textContent = toque.description;
+        setToqueTempo(toque.bpm);
+
+        toqueSteps.innerHTML = '';
+        toque.steps.forEach(sound => {
+            const cell = document.createElement('span');
+            cell.className = sound ? 'toque-step' : 'toque-step rest';
+            cell.textContent = sound || '·';
+            toqueSteps.appendChild(cell);
+        });
+    }
+
+    function playToque(toque) {
+        if (selectedToque() !== toque) {
+            showToque(toque);
+        }
+        try {
+            toquePlayer.play(toque);
+            toquePlayBtn.textContent = t('toques.stop');
+            toqueStatus.textContent = '';
+        } catch (error) {
+            console.error("Erro ao tocar o toque:", error);
+            toqueStatus.textContent = t('toques.audioError');
+        }
+    }
+
+    toqueSelect.addEventListener('change', () => showToque(selectedToque()));
+    toqueTempo.addEventListener('input', () => setToqueTempo(toqueTempo.value));
+    toqueLoop.addEventListener('change', () => toquePlayer.setLoop(toqueLoop.checked));
+    document.querySelectorAll('#toque-player [data-layer]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => toquePlayer.setLayer(checkbox.dataset.layer, checkbox.checked));
+    });
+
+    toquePlayBtn.addEventListener('click', () => {
+        if (toquePlayer.playing) {
+            toquePlayer.stop();
+        } else {
+            playToque(selectedToque());
+        }
+    });
+
+    loadToques()
+        .then(data => {
+            toques = data;
+            toques.forEach(toque => {
+                const option = document.createElement('option');
+                option.value = toque.id;
+                option.textContent = toque.name;
+                toqueSelect.appendChild(option);
+            });
+            showToque(toques[0]);
+            toquePlayBtn.disabled = false;
+            fillSongToqueOptions();
+            renderCantigas();
+        })
+        .catch(error => {
+            console.error("Erro ao carregar os toques:", error);
+            toqueStatus.textContent = t('toques.loadError');
+        });
+
+    // --- 4.2 Cancioneiro ---
+    const cantigaSearch = document.getElementById('cantiga-search');
+    const cantigaFilterType = document.getElementById('cantiga-filter-type');
+    const cantigaFavoritesOnly = document.getElementById('cantiga-favorites-only');
+    const cantigaList = document.getElementById('cantiga-list');
+    const cantigaStatus = document.getElementById('cantiga-status');
+
+    // As salvas pelo usuário aparecem antes das tradicionais.
+    let traditionalCantigas = [];
+    let savedCantigas = loadSavedCantigas();
+    let favoriteCantigas = loadFavoriteCantigas();
+
+    Object.entries(CANTIGA_TYPES).forEach(([value, label]) => {
+        cantigaFilterType.appendChild(new Option(label, value));
+    });
+
+    function renderCantigaCard(cantiga) {
+        const toque = toques.find(item => item.id === cantiga.toque);
+        const card = document.createElement('article');
+        card.className = 'bg-white rounded-lg shadow-md p-4';
+        card.dataset.cantigaId = cantiga.id;
+
+        const header = document.createElement('div');
+        header.className = 'flex justify-between items-start gap-2';
+        const title = document.createElement('h4');
+        title.className = 'font-bold text-lg';
+        title.textContent = cantiga.title;
+        const isFavorite = favoriteCantigas.has(cantiga.id);
+        const favoriteBtn = createActionButton(isFavorite ? '★' : '☆', 'favorite', cantiga.id, 'text-amber-500 text-xl leading-none');
+        favoriteBtn.setAttribute('aria-pressed', String(isFavorite));
+        favoriteBtn.setAttribute('aria-label', t(isFavorite ? 'cantigas.unfavorite' : 'cantigas.favorite', { title: cantiga.title }));
+        header.append(title, favoriteBtn);
+
+        const meta = document.createElement('p');
+        meta.className = 'text-sm text-stone-600';
+        meta.textContent = [CANTIGA_TYPES[cantiga.type], toque ? t('cantigas.toque', { name: toque.name }) : '', cantiga.author].filter(Boolean).join(' · ');
+
+        const lines = document.createElement('ol');
+        lines.className = 'cantiga-lines mt-3';
+        cantiga.lines.forEach(line => {
+            const item = document.createElement('li');
+            item.className = `cantiga-${line.part}`;
+            if (line.part === 'coro') {
+                const label = document.createElement('span');
+                label.className = 'cantiga-part';
+                label.textContent = t('cantigas.coro');
+                item.append(label, ' ');
+            }
+            item.append(line.text);
+            lines.appendChild(item);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'flex flex-wrap gap-x-4 gap-y-1 mt-3 text-sm';
+        if (toque) {
+            actions.appendChild(createActionButton(t('cantigas.action.listen'), 'listen', cantiga.id, 'text-red-700'));
+        }
+        if (cantiga.custom) {
+            actions.append(
+                createActionButton(t('common.edit'), 'edit', cantiga.id, 'text-blue-600'),
+                createActionButton(t('common.delete'), 'delete', cantiga.id, 'text-red-600')
+            );
+        }
+
+        card.append(header, meta, lines, actions);
+        return card;
+    }
+
+    function renderCantigas() {
+        const visible = filterCantigas([...savedCantigas, ...traditionalCantigas], {
+            query: cantigaSearch.value,
+            type: cantigaFilterType.value,
+            favorites: favoriteCantigas,
+            favoritesOnly: cantigaFavoritesOnly.checked
+        });
+        cantigaList.replaceChildren(...visible.map(renderCantigaCard));
+        cantigaStatus.textContent = visible.length === 0 ? t('cantigas.noMatch') : '';
+    }
+
+    cantigaSearch.addEventListener('input', renderCantigas);
+    cantigaFilterType.addEventListener('change', renderCantigas);
+    cantigaFavoritesOnly.addEventListener('change', renderCantigas);
+
+    cantigaList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        const cantiga = [...savedCantigas, ...traditionalCantigas].find(item => item.id === id);
+        if (!cantiga) return;
+        if (action === 'favorite') {
+            favoriteCantigas = toggleFavoriteCantiga(id);
+            renderCantigas();
+        } else if (action === 'listen') {
+            playToque(toques.find(item => item.id === cantiga.toque));
+            document.getElementById('toque-player').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else if (action === 'edit') {
+            editCantiga(cantiga);
+        } else if (action === 'delete' && confirm(t('cantigas.confirmDelete', { title: cantiga.title }))) {
+            deleteSavedCantiga(id);
+            savedCantigas = loadSavedCantigas();
+            favoriteCantigas = loadFavoriteCantigas();
+            renderCantigas();
+        }
+    });
+
+    loadCantigas()
+        .then(data => {
+            traditionalCantigas = data;
+            renderCantigas();
+        })
+        .catch(error => {
+            console.error("Erro ao carregar o cancioneiro:", error);
+            cantigaStatus.textContent = t('cantigas.loadError');
+            renderCantigas();
+        });
+
     // --- 5. Funcionalidades da API Gemini ---
 
+    /**
+     * Lê e confere o texto de uma ferramenta ✨ (js/prompt-guard.js), mostrando abaixo do campo o motivo
+     * de uma recusa local; nesse caso a IA não é chamada.
+     * @param {string} tool - Chave de `AI_TOOLS`.
+     * @param {HTMLInputElement|HTMLTextAreaElement} input - O campo (com um parágrafo de erro `#<id>-error`).
+     * @returns {string|null} O texto limpo, ou null se o pedido não deve ir para a IA.
+     */
+    function readAiInput(tool, input) {
+        const errorElement = document.getElementById(`${input.id}-error`);
+        const check = checkUserInput(tool, input.value);
+        const message = check.ok || check.reason === 'empty'
+            ? ''
+            : t(`aiGuard.${check.reason}`, { max: formatNumber(check.maxLength) });
+        errorElement.textContent = message;
+        errorElement.classList.toggle('hidden', !message);
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        return check.ok ? check.value : null;
+    }
+
     // 5.1 Identificador de Estilo
     const styleIdentifyBtn = document.getElementById('style-identify-btn');
     const styleInput = document.getElementById('style-input');
+    styleInput.maxLength = AI_TOOLS.style.maxLength;
     const identifiedStyle = document.getElementById('identified-style');
     const styleOutputArea = document.getElementById('style-output-area');
     const styleLoadingSpinner = document.getElementById('style-loading-spinner');
 
-    styleIdentifyBtn.addEventListener('click', async () => {
-        const userInput = styleInput.value.trim();
-        if (userInput === '') return;
-        
-        const prompt = `Você é um especialista em capoeira. Analise a seguinte descrição de prática e determine se ela se alinha mais com Capoeira Angola, Regional ou Contemporânea. Forneça o nome do estilo em negrito e uma breve justificativa. A descrição é: "${userInput}".`;
-        const analysis = await callGeminiApi(prompt, styleLoadingSpinner, styleOutputArea);
+    const styleGuard = createAiRequestGuard(styleIdentifyBtn, styleLoadingSpinner);
+
+    styleIdentifyBtn.addEventListener('click', () => styleGuard(async (signal) => {
+        const userInput = readAiInput('style', styleInput);
+        if (userInput === null) return;
 
-        identifiedStyle.textContent = analysis;
+        const prompt = buildToolPrompt({
+            task: 'Você é um especialista em capoeira. Analise a descrição de prática feita pelo usuário, abaixo, e determine se ela se alinha mais com Capoeira Angola, Regional ou Contemporânea.',
+            input: userInput,
+            format: 'Forneça o nome do estilo em negrito e uma breve justificativa.'
+        });
+        const analysis = await callGeminiApi(prompt, styleLoadingSpinner, styleOutputArea, {
+            signal,
+            tool: 'style',
+            onChunk: (text) => { setMarkdown(identifiedStyle, text); }
+        });
+
+        setMarkdown(identifiedStyle, analysis);
         styleOutputArea.classList.remove('hidden');
-    });
+    }));
 
-    // 5.2 Gerador de Cantigas
+    // 5.2 Gerador de Cantigas (composição com a IA, revisão e gravação no cancioneiro)
     const generateBtn = document.getElementById('generate-btn');
     const songInput = document.getElementById('song-input');
-    const generatedText = document.getElementById('generated-text');
+    songInput.maxLength = AI_TOOLS.cantiga.maxLength;
+    const songType = document.getElementById('song-type');
+    const songStructure = document.getElementById('song-structure');
+    const songVerses = document.getElementById('song-verses');
+    const songToque = document.getElementById('song-toque');
+    const songTitle = document.getElementById('song-title');
+    const songLines = document.getElementById('song-lines');
+    const songSaveStatus = document.getElementById('song-save-status');
     const outputArea = document.getElementById('output-area');
     const loadingSpinner = document.getElementById('loading-spinner');
 
-    generateBtn.addEventListener('click', async () => {
-        const userInput = songInput.value.trim();
-        if (userInput === '') return;
+    const SONG_FORM_FIELDS = ['title', 'lines'];
+
+    // Cantiga do cancioneiro aberta para edição (null ao compor uma nova).
+    let editingCantigaId = null;
+
+    Object.entries(CANTIGA_TYPES).forEach(([value, label]) => {
+        songType.appendChild(new Option(label, value));
+    });
+    songType.value = 'corrido';
+
+    function fillSongStructures() {
+        const current = songStructure.value;
+        const structures = structuresForType(songType.value);
+        songStructure.replaceChildren(...structures.map(key => new Option(t(`cantigas.structure.${key}`), key)));
+        songStructure.value = structures.includes(current) ? current : structures[0];
+    }
+
+    function fillSongToqueOptions() {
+        const current = songToque.value;
+        songToque.replaceChildren(new Option(t('cantigas.noToque'), ''), ...toques.map(toque => new Option(toque.name, toque.id)));
+        songToque.value = current;
+    }
+
+    function showSongErrors(errors) {
+        SONG_FORM_FIELDS.forEach(field => {
+            const errorElement = document.getElementById(`song-${field}-error`);
+            const message = errors[field] || '';
+            errorElement.textContent = message;
+            errorElement.classList.toggle('hidden', !message);
+            const input = document.getElementById(`song-${field}`);
+            input.classList.toggle('border-red-500', Boolean(message));
+            input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        });
+    }
+
+    function editCantiga(cantiga) {
+        editingCantigaId = cantiga.id;
+        songType.value = cantiga.type;
+        fillSongStructures();
+        songToque.value = cantiga.toque;
+        songTitle.value = cantiga.title;
+        songLines.value = formatCantigaText(cantiga);
+        songSaveStatus.textContent = '';
+        showSongErrors({});
+        outputArea.classList.remove('hidden');
+        outputArea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    function resetSongEditor() {
+        editingCantigaId = null;
+        songTitle.value = '';
+        songLines.value = '';
+        songSaveStatus.textContent = '';
+        showSongErrors({});
+        outputArea.classList.add('hidden');
+    }
+
+    songType.addEventListener('change', fillSongStructures);
+    fillSongStructures();
 
-        const prompt = `Você é um mestre de capoeira experiente. Crie uma linha de cantiga de capoeira que rime com a seguinte frase: "${userInput}". A resposta deve ser apenas a nova linha que rima.`;
-        const newRhyme = await callGeminiApi(prompt, loadingSpinner, outputArea);
+    const songGuard = createAiRequestGuard(generateBtn, loadingSpinner);
 
-        generatedText.textContent = newRhyme;
+    generateBtn.addEventListener('click', () => songGuard(async (signal) => {
+        const userInput = readAiInput('cantiga', songInput);
+        if (userInput === null) return;
+
+        const toque = toques.find(item => item.id === songToque.value);
+        const prompt = buildCompositionPrompt({
+            theme: userInput,
+            type: songType.value,
+            structure: songStructure.value,
+            verses: Number(songVerses.value),
+            toqueName: toque?.name
+        });
+
+        // Uma composição nova não substitui a cantiga que estava sendo editada.
+        editingCantigaId = null;
+        songTitle.value = '';
+        songSaveStatus.textContent = '';
+        showSongErrors({});
+        const song = await callGeminiApi(prompt, loadingSpinner, outputArea, {
+            signal,
+            tool: 'cantiga',
+            onChunk: (text) => { songLines.value = text; }
+        });
+
+        const { title, lines } = parseCantigaText(song);
+        songTitle.value = title;
+        // Sem o "Título:" a resposta não veio no formato pedido (ex: IA offline): o texto fica como está.
+        songLines.value = title ? formatCantigaText({ lines }) : song;
         outputArea.classList.remove('hidden');
+    }));
+
+    document.getElementById('song-save-btn').addEventListener('click', () => {
+        const { title, lines } = parseCantigaText(songLines.value);
+        const { values, errors } = validateCantiga({
+            title: songTitle.value || title,
+            type: songType.value,
+            toque: songToque.value,
+            author: t('cantigas.myComposition'),
+            lines
+        }, { toqueIds: toques.map(toque => toque.id) });
+        showSongErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            songSaveStatus.textContent = '';
+            return;
+        }
+
+        try {
+            const saved = saveCantiga({ ...values, id: editingCantigaId });
+            editingCantigaId = saved.id;
+            songTitle.value = saved.title;
+            songLines.value = formatCantigaText(saved);
+            savedCantigas = loadSavedCantigas();
+            renderCantigas();
+            songSaveStatus.textContent = t('cantigas.saved');
+            songSaveStatus.style.color = '#16a34a';
+        } catch (error) {
+            console.error("Erro ao salvar a cantiga:", error);
+            songSaveStatus.textContent = t('cantigas.saveError');
+            songSaveStatus.style.color = '#dc2626';
+        }
     });
 
+    document.getElementById('song-new-btn').addEventListener('click', resetSongEditor);
+
     // 5.3 Guia Detalhado de Movimentos
     const guideBtn = document.getElementById('guide-btn');
     const moveInput = document.getElementById('move-input');
+    moveInput.maxLength = AI_TOOLS.guide.maxLength;
     const generatedGuide = document.getElementById('generated-guide');
     const guideOutputArea = document.getElementById('guide-output-area');
     const guideLoadingSpinner = document.getElementById('guide-loading-spinner');
 
-    guideBtn.addEventListener('click', async () => {
-        const userInput = moveInput.value.trim();
-        if (userInput === '') return;
-        
-        const prompt = `Você é um instrutor de capoeira experiente. Forneça um guia passo a passo conciso para executar o movimento de capoeira chamado "${userInput}". Formate a resposta como uma lista de passos, usando um emoji de ponto para cada passo.`;
-        const newGuide = await callGeminiApi(prompt, guideLoadingSpinner, guideOutputArea);
+    const guideGuard = createAiRequestGuard(guideBtn, guideLoadingSpinner);
+
+    guideBtn.addEventListener('click', () => guideGuard(async (signal) => {
+        const userInput = readAiInput('guide', moveInput);
+        if (userInput === null) return;
+
+        const prompt = buildToolPrompt({
+            task: 'Você é um instrutor de capoeira experiente. Forneça um guia passo a passo conciso para executar o movimento de capoeira cujo nome o usuário informou abaixo.',
+            input: userInput,
+            format: 'Formate a resposta como uma lista de passos, usando um emoji de ponto para cada passo.'
+        });
+        const newGuide = await callGeminiApi(prompt, guideLoadingSpinner, guideOutputArea, {
+            signal,
+            tool: 'guide',
+            topicTerms: movements.map(movement => movement.name),
+            onChunk: (text) => { setMarkdown(generatedGuide, text); }
+        });
 
-        generatedGuide.textContent = newGuide;
+        setMarkdown(generatedGuide, newGuide);
         guideOutputArea.classList.remove('hidden');
-    });
+    }));
 
-    // 5.4 Gerador de Treino
+    // 5.4 Gerador de Treino (plano estruturado, checklist com cronômetro e biblioteca pessoal)
     const trainingBtn = document.getElementById('training-btn');
     const trainingInput = document.getElementById('training-input');
+    trainingInput.maxLength = AI_TOOLS.training.maxLength;
     const generatedTraining = document.getElementById('generated-training');
     const trainingOutputArea = document.getElementById('training-output-area');
     const trainingLoadingSpinner = document.getElementById('training-loading-spinner');
-    
-    trainingBtn.addEventListener('click', async () => {
-        const userInput = trainingInput.value.trim();
-        if (userInput === '') return;
+    const trainingPlanTitle = document.getElementById('training-plan-title');
+    const trainingPlanError = document.getElementById('training-plan-error');
+    const trainingPlanArea = document.getElementById('training-plan');
+    const trainingChecklist = document.getElementById('training-checklist');
+    const trainingStatus = document.getElementById('training-status');
+    const trainingTimerPanel = document.getElementById('training-timer');
+    const trainingTimerLabel = document.getElementById('training-timer-label');
+    const trainingTimerClock = document.getElementById('training-timer-clock');
+    const trainingTimerNext = document.getElementById('training-timer-next');
+    const trainingTimerBtn = document.getElementById('training-timer-btn');
+    const trainingLibrary = document.getElementById('training-library');
+    const trainingLibraryStatus = document.getElementById('training-library-status');
 
-        const prompt = `Você é um instrutor de capoeira experiente. Crie um plano de treino detalhado e estruturado com base no seguinte objetivo: "${userInput}". O plano deve incluir: 1. Aquecimento, 2. Sequência de movimentos, 3. Exercícios de aprimoramento, 4. Finalização/Alongamento. Formate a resposta usando títulos, subtítulos e listas, tornando-a fácil de seguir e usando quebras de linha.`;
-        
-        const trainingPlan = await callGeminiApi(prompt, trainingLoadingSpinner, trainingOutputArea);
+    // Plano exibido no checklist (com `id` quando já está na biblioteca).
+    let currentPlan = null;
+    let trainingSteps = [];
 
-        generatedTraining.innerHTML = trainingPlan.replace(/\n/g, '<br>');
-        trainingOutputArea.classList.remove('hidden');
+    function formatClock(seconds) {
+        return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    const trainingTimer = createIntervalTimer({
+        onUpdate: ({ step, index, secondsLeft, running }) => {
+            trainingTimerLabel.textContent = step ? step.label : t('training.timer.done');
+            trainingTimerClock.textContent = formatClock(secondsLeft);
+            const next = trainingSteps[index + 1];
+            trainingTimerNext.textContent = next ? t('training.timer.next', { label: next.label }) : '';
+            trainingTimerBtn.textContent = t(running ? 'training.timer.pause' : 'training.timer.start');
+            trainingTimerBtn.disabled = !step;
+            trainingChecklist.querySelectorAll('.training-exercise').forEach(item => {
+                item.classList.toggle('current', Boolean(step) && !step.rest && item.dataset.key === step.key);
+            });
+        },
+        onStepEnd: (step) => {
+            if (step.last) setExerciseDone(step.key, true);
+        }
     });
 
-    // 5.5 Gerador de Ideias para Abadás
-    const abadacBtn = document.getElementById('abadac-btn');
-    const abadacInput = document.getElementById('abadac-input');
-    const generatedAbadac = document.getElementById('generated-abadac');
-    const abadacOutputArea = document.getElementById('abadac-output-area');
-    const abadacLoadingSpinner = document.getElementById('abadac-loading-spinner');
+    function setExerciseDone(key, done) {
+        if (!currentPlan) return;
+        const keys = new Set(currentPlan.done);
+        if (done) keys.add(key); else keys.delete(key);
+        currentPlan.done = [...keys];
+        const item = trainingChecklist.querySelector(`.training-exercise[data-key="${key}"]`);
+        item?.classList.toggle('done', done);
+        if (item) item.querySelector('input[type="checkbox"]').checked = done;
+        // Nos planos da biblioteca, o progresso é salvo a cada exercício marcado.
+        if (currentPlan.id) {
+            currentPlan = saveTrainingPlan(currentPlan);
+            renderTrainingLibrary();
+        }
+    }
 
-    abadacBtn.addEventListener('click', async () => {
-        const userInput = abadacInput.value.trim();
-        if (userInput === '') return;
+    function renderTrainingChecklist() {
+        trainingChecklist.replaceChildren(...Object.entries(TRAINING_BLOCKS).map(([block, label]) => {
+            const section = document.createElement('div');
+            const heading = document.createElement('h5');
+            heading.className = 'font-bold';
+            heading.textContent = label;
+            const list = document.createElement('ul');
+            list.className = 'mt-1 space-y-1';
 
-        const prompt = `Você é um designer de moda e logotipos especializado em capoeira. Com base na seguinte descrição, gere três ideias criativas para a logomarca e o uniforme de um grupo de capoeira. A descrição é: "${userInput}". Para cada ideia, forneça uma breve descrição do conceito, as cores sugeridas e a simbologia. Formate a resposta como uma lista numerada.`;
-        const newIdeas = await callGeminiApi(prompt, abadacLoadingSpinner, abadacOutputArea);
+            currentPlan.blocks[block].forEach((exercise, index) => {
+                const key = exerciseKey(block, index);
+                const done = currentPlan.done.includes(key);
+                const item = document.createElement('li');
+                item.className = `training-exercise flex items-start gap-3 rounded-md p-2${done ? ' done' : ''}`;
+                item.dataset.key = key;
 
-        generatedAbadac.textContent = newIdeas;
-        abadacOutputArea.classList.remove('hidden');
-    });
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'mt-1';
+                checkbox.checked = done;
+                checkbox.setAttribute('aria-label', t('training.exerciseDone', { name: exercise.name }));
+                checkbox.addEventListener('change', () => setExerciseDone(key, checkbox.checked));
 
-    // 5.6 Diálogo com Mestre (Chat)
-    const chatContainer = document.getElementById('chat-container');
-    const chatInput = document.getElementById('chat-input');
-    const sendBtn = document.getElementById('send-btn');
-    const chatLoadingSpinner = document.getElementById('chat-loading-spinner');
+                const info = document.createElement('div');
+                const name = document.createElement(exercise.movementId ? 'a' : 'span');
+                name.className = 'training-exercise-name font-semibold';
+                name.textContent = exercise.name;
+                if (exercise.movementId) {
+                    name.href = `#movimentos/${exercise.movementId}`;
+                    name.dataset.movementId = exercise.movementId;
+                    name.classList.add('text-blue-600', 'hover:underline');
+                }
+                const summary = document.createElement('p');
+                summary.className = 'text-sm text-stone-600';
+                summary.textContent = exerciseSummary(exercise);
+                info.append(name, summary);
+                if (exercise.notes) {
+                    const notes = document.createElement('p');
+                    notes.className = 'text-xs text-stone-500';
+                    notes.textContent = exercise.notes;
+                    info.appendChild(notes);
+                }
 
-    function addMessage(text, isUser) {
-        const messageDiv = document.createElement('div');
-        messageDiv.classList.add('p-3', 'rounded-lg', 'max-w-[80%]', 'break-words');
-        messageDiv.classList.add(isUser ? 'bg-blue-600 text-white ml-auto' : 'bg-stone-200 text-stone-800 mr-auto');
-        messageDiv.textContent = text;
-        chatContainer.appendChild(messageDiv);
-        chatContainer.scrollTop = chatContainer.scrollHeight;
+                item.append(checkbox, info);
+                list.appendChild(item);
+            });
+
+            section.append(heading, list);
+            return section;
+        }));
     }
 
-    sendBtn.addEventListener('click', async () => {
-        const userInput = chatInput.value.trim();
-        if (userInput === '') return;
+    function showTrainingPlan(plan) {
+        currentPlan = { ...plan, done: [...(plan.done ?? [])] };
+        trainingPlanTitle.textContent = currentPlan.title;
+        trainingPlanError.classList.add('hidden');
+        generatedTraining.replaceChildren();
+        trainingStatus.textContent = '';
+        renderTrainingChecklist();
+        trainingSteps = planTimerSteps(currentPlan);
+        trainingTimerPanel.classList.toggle('hidden', trainingSteps.length === 0);
+        trainingTimer.load(trainingSteps);
+        trainingPlanArea.classList.remove('hidden');
+        trainingOutputArea.classList.remove('hidden');
+    }
 
-        addMessage(userInput, true);
-        chatInput.value = '';
-        chatLoadingSpinner.classList.remove('hidden');
-        
-        const prompt = `Você é um sábio e experiente Mestre de Capoeira. Responda à seguinte pergunta sobre capoeira, história, filosofia ou movimentos de forma concisa e inspiradora, como se estivesse na roda. A pergunta é: "${userInput}".`;
-        const mestreResponse = await callGeminiApi(prompt, chatLoadingSpinner, chatContainer);
+    // Quando a resposta não segue o formato, o plano aparece como texto (sem checklist).
+    function showTrainingFallback(text, error) {
+        currentPlan = null;
+        trainingSteps = [];
+        trainingTimer.load([]);
+        trainingPlanTitle.textContent = t('training.fallbackTitle');
+        trainingPlanError.textContent = t('training.checklistError', { error });
+        trainingPlanError.classList.remove('hidden');
+        trainingPlanArea.classList.add('hidden');
+        setMarkdown(generatedTraining, text);
+        trainingOutputArea.classList.remove('hidden');
+    }
 
-        addMessage(mestreResponse, false);
-        chatLoadingSpinner.classList.add('hidden');
-    });
+    function renderTrainingLibrary() {
+        const plans = loadTrainingPlans();
+        trainingLibrary.replaceChildren(...plans.map(plan => {
+            const total = Object.values(plan.blocks).reduce((sum, exercises) => sum + exercises.length, 0);
+            const item = document.createElement('li');
+            item.className = 'py-2 flex justify-between items-start gap-4';
+            const info = document.createElement('div');
+            const title = document.createElement('p');
+            title.className = 'font-semibold';
+            title.textContent = plan.title;
+            const meta = document.createElement('p');
+            meta.className = 'text-xs text-stone-500';
+            meta.textContent = [plan.goal, t('training.progress', { done: formatNumber(plan.done.length), total: formatNumber(total) }), formatDate(new Date(plan.updatedAt))]
+                .filter(Boolean).join(' · ');
+            info.append(title, meta);
 
-    chatInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            sendBtn.click();
-        }
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-3 text-sm whitespace-nowrap';
+            actions.append(
+                createActionButton(t('common.open'), 'open', plan.id, 'text-blue-600'),
+                createActionButton(t('common.delete'), 'delete', plan.id, 'text-red-600')
+            );
+            item.append(info, actions);
+            return item;
+        }));
+        trainingLibraryStatus.textContent = plans.length === 0 ? t('training.libraryEmpty') : '';
+    }
+
+    const trainingGuard = createAiRequestGuard(trainingBtn, trainingLoadingSpinner);
+
+    trainingBtn.addEventListener('click', () => trainingGuard(async (signal) => {
+        const userInput = readAiInput('training', trainingInput);
+        if (userInput === null) return;
+
+        const prompt = buildTrainingPrompt(userInput, movements);
+        const response = await callGeminiApi(prompt, trainingLoadingSpinner, null, { signal, tool: 'training' });
+
+        const { plan, error } = parseTrainingPlan(response, { goal: userInput, movements });
+        if (plan) {
+            showTrainingPlan(plan);
+        } else {
+            showTrainingFallback(response, error);
+        }
+    }));
+
+    trainingTimerBtn.addEventListener('click', () => {
+        if (trainingTimer.running) {
+            trainingTimer.pause();
+        } else {
+            trainingTimer.start();
+        }
+    });
+    document.getElementById('training-timer-skip').addEventListener('click', () => trainingTimer.skip());
+    document.getElementById('training-timer-reset').addEventListener('click', () => trainingTimer.reset());
+
+    document.getElementById('training-save-btn').addEventListener('click', () => {
+        if (!currentPlan) return;
+        try {
+            currentPlan = saveTrainingPlan(currentPlan);
+            renderTrainingLibrary();
+            trainingStatus.textContent = t('training.saved');
+            trainingStatus.style.color = '#16a34a';
+        } catch (error) {
+            console.error("Erro ao salvar o plano de treino:", error);
+            trainingStatus.textContent = t('training.saveError');
+            trainingStatus.style.color = '#dc2626';
+        }
+    });
+
+    document.getElementById('training-print-btn').addEventListener('click', () => {
+        if (currentPlan) {
+            printSheet(container => renderTrainingSheet(container, currentPlan, movements));
+        }
+    });
+
+    trainingLibrary.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        const plan = loadTrainingPlans().find(item => item.id === id);
+        if (!plan) return;
+        if (action === 'open') {
+            showTrainingPlan(plan);
+            trainingOutputArea.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } else if (action === 'delete' && confirm(t('training.confirmDelete', { title: plan.title }))) {
+            deleteTrainingPlan(id);
+            if (currentPlan?.id === id) {
+                // O plano continua na tela, mas volta a ser um plano não salvo.
+                currentPlan = { ...currentPlan, id: undefined };
+            }
+            renderTrainingLibrary();
+        }
+    });
+
+    renderTrainingLibrary();
+
+    // 5.5 Gerador de Ideias para Abadás
+    const abadacBtn = document.getElementById('abadac-btn');
+    const abadacInput = document.getElementById('abadac-input');
+    abadacInput.maxLength = AI_TOOLS.abada.maxLength;
+    const generatedAbadac = document.getElementById('generated-abadac');
+    const abadacOutputArea = document.getElementById('abadac-output-area');
+    const abadacLoadingSpinner = document.getElementById('abadac-loading-spinner');
+
+    const abadacGuard = createAiRequestGuard(abadacBtn, abadacLoadingSpinner);
+
+    abadacBtn.addEventListener('click', () => abadacGuard(async (signal) => {
+        const userInput = readAiInput('abada', abadacInput);
+        if (userInput === null) return;
+
+        const prompt = buildToolPrompt({
+            task: 'Você é um designer de moda e logotipos especializado em capoeira. Com base na descrição do grupo feita pelo usuário, abaixo, gere três ideias criativas para a logomarca e o uniforme de um grupo de capoeira.',
+            input: userInput,
+            format: 'Para cada ideia, forneça uma breve descrição do conceito, as cores sugeridas e a simbologia. Formate a resposta como uma lista numerada.'
+        });
+        const newIdeas = await callGeminiApi(prompt, abadacLoadingSpinner, abadacOutputArea, {
+            signal,
+            tool: 'abada',
+            onChunk: (text) => { setMarkdown(generatedAbadac, text); }
+        });
+
+        setMarkdown(generatedAbadac, newIdeas);
+        abadacOutputArea.classList.remove('hidden');
+    }));
+
+    // 5.6 Diálogo com Mestre (Chat)
+    const chatContainer = document.getElementById('chat-container');
+    const chatInput = document.getElementById('chat-input');
+    chatInput.maxLength = AI_TOOLS.chat.maxLength;
+    const sendBtn = document.getElementById('send-btn');
+    const chatLoadingSpinner = document.getElementById('chat-loading-spinner');
+    const chatPersonaSelect = document.getElementById('chat-persona');
+    const chatSessionsSelect = document.getElementById('chat-sessions');
+    const chatNewBtn = document.getElementById('chat-new-btn');
+    const chatExportBtn = document.getElementById('chat-export-btn');
+    const chatDeleteBtn = document.getElementById('chat-delete-btn');
+    const chatClearBtn = document.getElementById('chat-clear-btn');
+    const chatPlaceholder = chatContainer.innerHTML;
+
+    function fillChatPersonas() {
+        const current = chatPersonaSelect.value;
+        chatPersonaSelect.replaceChildren(...Object.entries(MESTRE_PERSONAS).map(([id, persona]) => new Option(persona.label, id)));
+        chatPersonaSelect.value = current || 'sabio';
+    }
+    fillChatPersonas();
+
+    let chatSession = loadChatSessions()[0] || createChatSession(chatPersonaSelect.value);
+
+    function addMessage(text, isUser) {
+        const messageDiv = document.createElement('div');
+        messageDiv.classList.add('p-3', 'rounded-lg', 'max-w-[80%]', 'break-words');
+        messageDiv.classList.add(isUser ? 'bg-blue-600 text-white ml-auto' : 'bg-stone-200 text-stone-800 mr-auto');
+        if (isUser) {
+            messageDiv.textContent = text;
+        } else {
+            setMarkdown(messageDiv, text);
+        }
+        chatContainer.appendChild(messageDiv);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+        return messageDiv;
+    }
+
+    function renderChatSessions() {
+        const sessions = loadChatSessions();
+        chatSessionsSelect.innerHTML = '';
+        if (!sessions.some(session => session.id === chatSession.id)) {
+            chatSessionsSelect.add(new Option(chatSession.title, chatSession.id));
+        }
+        sessions.forEach(session => {
+            const date = formatDate(new Date(session.updatedAt));
+            chatSessionsSelect.add(new Option(`${session.title} (${date})`, session.id));
+        });
+        chatSessionsSelect.value = chatSession.id;
+    }
+
+    function openChatSession(session) {
+        chatSession = session;
+        chatPersonaSelect.value = session.persona;
+        chatContainer.innerHTML = session.messages.length ? '' : chatPlaceholder;
+        translatePage(chatContainer);
+        session.messages.forEach(message => addMessage(message.text, message.role === 'user'));
+        renderChatSessions();
+    }
+    openChatSession(chatSession);
+
+    const summarizeChat = (prompt, systemInstruction, signal) => aiProvider.generate({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        systemInstruction: { parts: [{ text: systemInstruction }] }
+    }, { signal });
+
+    const chatGuard = createAiRequestGuard(sendBtn, chatLoadingSpinner);
+
+    sendBtn.addEventListener('click', () => chatGuard(async (signal) => {
+        const userInput = readAiInput('chat', chatInput);
+        if (userInput === null) return;
+
+        if (chatSession.messages.length === 0) {
+            chatContainer.innerHTML = '';
+        }
+        addMessage(userInput, true);
+        chatInput.value = '';
+        addChatMessage(chatSession, 'user', userInput);
+        saveChatSession(chatSession);
+        renderChatSessions();
+
+        // Sem conexão a pergunta fica salva, mas o histórico não é resumido (o resumo também depende da IA).
+        if (isAiOffline()) {
+            addMessage(t('ai.offline'), false);
+            return;
+        }
+
+        let mestreBubble = null;
+        let streamedText = '';
+        try {
+            chatLoadingSpinner.classList.remove('hidden');
+            await compactChatSession(chatSession, (prompt, systemInstruction) => summarizeChat(prompt, systemInstruction, signal));
+        } catch (error) {
+            // Cancelado (ou com erro) durante o resumo: a pergunta fica salva e pode ser reenviada.
+            chatLoadingSpinner.classList.add('hidden');
+            if (error.name === 'AbortError') {
+                addMessage(t('ai.stopped'), false);
+            } else {
+                console.error('Erro ao resumir a conversa:', error);
+                addMessage(t('ai.error', { message: error.message }), false);
+            }
+            return;
+        }
+        const { contents, systemInstruction } = buildChatRequest(chatSession);
+        const mestreResponse = await callGeminiApi(contents, chatLoadingSpinner, null, {
+            signal,
+            systemInstruction,
+            tool: 'chat',
+            onChunk: (text) => {
+                streamedText = text;
+                mestreBubble ??= addMessage('', false);
+                setMarkdown(mestreBubble, text);
+                chatContainer.scrollTop = chatContainer.scrollHeight;
+            }
+        });
+
+        mestreBubble ??= addMessage('', false);
+        setMarkdown(mestreBubble, mestreResponse);
+        chatContainer.scrollTop = chatContainer.scrollHeight;
+
+        // Mensagens de erro e recusas não entram no histórico; respostas parciais (interrompidas) entram.
+        if (streamedText && checkAiAnswer('chat', streamedText).ok) {
+            addChatMessage(chatSession, 'model', streamedText);
+        }
+        saveChatSession(chatSession);
+        renderChatSessions();
+    }));
+
+    chatInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            sendBtn.click();
+        }
+    });
+
+    chatPersonaSelect.addEventListener('change', () => {
+        // A persona faz parte da memória: trocar no meio de uma conversa abre uma nova.
+        if (chatSession.messages.length > 0) {
+            openChatSession(createChatSession(chatPersonaSelect.value));
+        } else {
+            chatSession.persona = chatPersonaSelect.value;
+        }
+    });
+
+    chatSessionsSelect.addEventListener('change', () => {
+        const session = loadChatSessions().find(saved => saved.id === chatSessionsSelect.value);
+        if (session) {
+            openChatSession(session);
+        }
+    });
+
+    chatNewBtn.addEventListener('click', () => {
+        openChatSession(createChatSession(chatPersonaSelect.value));
+    });
+
+    chatExportBtn.addEventListener('click', () => {
+        if (chatSession.messages.length === 0) return;
+        const filename = `dialogo-mestre-${new Date(chatSession.createdAt).toISOString().slice(0, 10)}.txt`;
+        downloadFile(filename, exportChatSession(chatSession), 'text/plain;charset=utf-8');
+    });
+
+    chatDeleteBtn.addEventListener('click', () => {
+        if (!confirm(t('chat.confirmDelete'))) return;
+        deleteChatSessions(chatSession.id);
+        openChatSession(loadChatSessions()[0] || createChatSession(chatPersonaSelect.value));
+    });
+
+    chatClearBtn.addEventListener('click', () => {
+        if (!confirm(t('chat.confirmClear'))) return;
+        deleteChatSessions();
+        openChatSession(createChatSession(chatPersonaSelect.value));
     });
 
     // 5.7 Redator de Contato com Grupo
     const contactBtn = document.getElementById('contact-btn');
     const contactInput = document.getElementById('contact-input');
+    contactInput.maxLength = AI_TOOLS.contact.maxLength;
     const generatedContact = document.getElementById('generated-contact');
     const contactOutputArea = document.getElementById('contact-output-area');
     const contactLoadingSpinner = document.getElementById('contact-loading-spinner');
 
-    contactBtn.addEventListener('click', async () => {
-        const userInput = contactInput.value.trim();
-        if (userInput === '') return;
+    const contactGuard = createAiRequestGuard(contactBtn, contactLoadingSpinner);
 
-        const prompt = `Você é um assistente de comunicação formal. Crie um rascunho de e-mail ou mensagem para um mestre ou academia de capoeira com base no seguinte objetivo: "${userInput}". O rascunho deve ser educado, profissional e incluir uma saudação inicial e uma despedida formal. Formate o rascunho com quebras de linha para simular um corpo de e-mail.`;
-        const draft = await callGeminiApi(prompt, contactLoadingSpinner, contactOutputArea);
+    contactBtn.addEventListener('click', () => contactGuard(async (signal) => {
+        const userInput = readAiInput('contact', contactInput);
+        if (userInput === null) return;
+
+        const prompt = buildToolPrompt({
+            task: 'Você é um assistente de comunicação formal. Crie um rascunho de e-mail ou mensagem para um mestre ou academia de capoeira com base no objetivo descrito pelo usuário, abaixo. Escreva apenas mensagens sobre capoeira: aulas, visitas, eventos, o grupo ou a academia.',
+            input: userInput,
+            format: 'O rascunho deve ser educado, profissional e incluir uma saudação inicial e uma despedida formal. Formate o rascunho com quebras de linha para simular um corpo de e-mail.'
+        });
+        const draft = await callGeminiApi(prompt, contactLoadingSpinner, contactOutputArea, {
+            signal,
+            tool: 'contact',
+            onChunk: (text) => { setMarkdown(generatedContact, text); }
+        });
 
-        generatedContact.textContent = draft;
+        setMarkdown(generatedContact, draft);
         contactOutputArea.classList.remove('hidden');
-    });
+    }));
 
     // 5.8 Gerador de Toques do Berimbau
     const rhythmBtn = document.getElementById('rhythm-btn');
     const rhythmInput = document.getElementById('rhythm-input');
+    rhythmInput.maxLength = AI_TOOLS.toque.maxLength;
     const generatedRhythm = document.getElementById('generated-rhythm');
     const rhythmOutputArea = document.getElementById('rhythm-output-area');
     const rhythmLoadingSpinner = document.getElementById('rhythm-loading-spinner');
+    const rhythmListenBtn = document.getElementById('rhythm-listen-btn');
 
-    rhythmBtn.addEventListener('click', async () => {
-        const userInput = rhythmInput.value.trim();
-        if (userInput === '') return;
-        
-        const prompt = `Você é um mestre de bateria de capoeira experiente. Dado o seguinte sentimento ou tipo de jogo: "${userInput}", sugira o toque de berimbau mais apropriado (ex: Angola, São Bento Grande, Iúna) e explique concisamente o tipo de jogo associado. Formate a resposta com o toque em negrito e a explicação em seguida.`;
-        const newRhythm = await callGeminiApi(prompt, rhythmLoadingSpinner, rhythmOutputArea);
+    const rhythmGuard = createAiRequestGuard(rhythmBtn, rhythmLoadingSpinner);
+
+    rhythmBtn.addEventListener('click', () => rhythmGuard(async (signal) => {
+        const userInput = readAiInput('toque', rhythmInput);
+        if (userInput === null) return;
+        rhythmListenBtn.classList.add('hidden');
 
-        generatedRhythm.textContent = newRhythm;
+        const prompt = buildToolPrompt({
+            task: 'Você é um mestre de bateria de capoeira experiente. Para o sentimento ou tipo de jogo descrito pelo usuário, abaixo, sugira o toque de berimbau mais apropriado (ex: Angola, São Bento Grande, Iúna) e explique concisamente o tipo de jogo associado.',
+            input: userInput,
+            format: 'Formate a resposta com o toque em negrito e a explicação em seguida.'
+        });
+        const newRhythm = await callGeminiApi(prompt, rhythmLoadingSpinner, rhythmOutputArea, {
+            signal,
+            tool: 'toque',
+            topicTerms: toques.map(toque => toque.name),
+            onChunk: (text) => { setMarkdown(generatedRhythm, text); }
+        });
+
+        setMarkdown(generatedRhythm, newRhythm);
         rhythmOutputArea.classList.remove('hidden');
+
+        // Se o toque sugerido estiver na biblioteca, oferece ouvi-lo no tocador.
+        const suggested = findToqueInText(toques, newRhythm);
+        if (suggested) {
+            rhythmListenBtn.dataset.toqueId = suggested.id;
+            rhythmListenBtn.textContent = t('toques.listen', { name: suggested.name });
+            rhythmListenBtn.classList.remove('hidden');
+        }
+    }));
+
+    rhythmListenBtn.addEventListener('click', () => {
+        const toque = toques.find(item => item.id === rhythmListenBtn.dataset.toqueId);
+        playToque(toque);
+        document.getElementById('toque-player').scrollIntoView({ behavior: 'smooth', block: 'center' });
     });
 
 
     // --- 6. Configuração e Lógica do Chart.js ---
-    const costData = {
-        labels: ['Berimbau', 'Pandeiro', 'Atabaque'],
-        datasets: [{
-            label: 'Custo Estimado (R$)',
-            data: [150, 80, 250],
-            backgroundColor: ['#f97316', '#0d9488', '#dc2626'],
-            borderColor: ['#f97316', '#0d9488', '#dc2626'],
-            borderWidth: 1
-        }]
-    };
+    // Gráficos financeiros: começam vazios e são preenchidos com os dados da academia (seção 7.5).
+    const FEE_STATUS_COLORS = { pago: '#16a34a', aberto: '#f59e0b', atrasado: '#dc2626' };
+    const moneyTicks = { callback: (value) => formatMoney(value) };
+    const moneyTooltip = { callbacks: { label: (context) => `${context.dataset.label}: ${formatMoney(context.parsed.y)}` } };
+
+    const inventoryChart = new Chart(document.getElementById('inventoryChart'), {
+        type: 'doughnut',
+        data: {
+            labels: [],
+            datasets: [{
+                label: t('finance.chart.value'),
+                data: [],
+                backgroundColor: ['#f97316', '#0d9488', '#dc2626']
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: { callbacks: { label: (context) => `${context.label}: ${formatMoney(context.parsed)}` } }
+            }
+        }
+    });
 
-    const costConfig = {
+    const financeFlowChart = new Chart(document.getElementById('financeFlowChart'), {
         type: 'bar',
-        data: costData,
+        data: {
+            labels: [],
+            datasets: [
+                { label: t('finance.chart.income'), data: [], backgroundColor: '#16a34a' },
+                { label: t('finance.chart.expenses'), data: [], backgroundColor: '#dc2626' }
+            ]
+        },
         options: {
             responsive: true,
             maintainAspectRatio: false,
             scales: {
-                y: {
-                    beginAtZero: true
-                }
+                y: { beginAtZero: true, ticks: moneyTicks }
             },
-            plugins: {
-                legend: {
-                    display: false
-                },
-                title: {
-                    display: false
-                }
-            }
+            plugins: { tooltip: moneyTooltip }
         }
-    };
+    });
 
-    new Chart(document.getElementById('costChart'), costConfig);
+    const feeStatusChart = new Chart(document.getElementById('feeStatusChart'), {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: Object.entries(FEE_STATUS).map(([status, label]) => ({
+                label,
+                data: [],
+                backgroundColor: FEE_STATUS_COLORS[status]
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { stacked: true },
+                y: { stacked: true, beginAtZero: true, ticks: moneyTicks }
+            },
+            plugins: { tooltip: moneyTooltip }
+        }
+    });
     
     // --- 7. Configuração e Lógica do Firebase (Base de Dados) ---
     const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
     const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
     const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+    // `?db=memory` troca o Firestore por um store local, para testes e demonstrações sem rede.
+    const useMemoryStore = new URLSearchParams(window.location.search).get('db') === 'memory';
+    // `?emulator` usa os emuladores locais do Firebase (ver firebase.json e o README).
+    const useEmulator = new URLSearchParams(window.location.search).has('emulator');
     
     const form = document.getElementById('student-form');
     const formMessage = document.getElementById('form-message');
     const authStatus = document.getElementById('auth-status');
     
-    let db, auth, userId;
+    let db, auth, userId, studentStore;
+    // Papel na academia aberta (ver js/academies.js). Fica null sem o Firebase: os dados são só deste aparelho e nada é escondido.
+    let currentRole = null;
+    // Diretório de grupos (seção 8). Declarado aqui porque a graduação de cada aluno depende do sistema de cordas do grupo.
+    let groups = [];
+
+    /**
+     * Sistema de cordas do grupo informado, ou o de referência se o grupo não estiver no diretório.
+     * @param {string} groupName - Nome (ou id) do grupo.
+     * @returns {Array<object>}
+     */
+    function cordSystemForGroup(groupName) {
+        return findGroup(groups, groupName)?.cordSystem ?? DEFAULT_CORD_SYSTEM;
+    }
+
+    function cordLevelsForGroup(groupName) {
+        return cordSystemForGroup(groupName).map(level => level.name);
+    }
+
+    /**
+     * Mostra só as partes da Academia permitidas ao papel (elementos com data-permission).
+     * @param {string|null} role - Chave de `ROLES` (null esconde tudo).
+     */
+    function applyPermissions(role) {
+        currentRole = role;
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.classList.toggle('hidden', !can(role, element.dataset.permission));
+        });
+    }
 
     function initFirebase() {
+        if (useMemoryStore) {
+            authStatus.textContent = t('auth.memoryMode');
+            connectStudentStore(createMemoryStudentStore());
+            connectEventStore(createMemoryDatedStore());
+            connectSessionStore(createMemoryDatedStore());
+            connectFinanceStores(createMemoryDatedStore(), createMemoryDatedStore());
+            return;
+        }
+
         if (!window.firebase) {
+            if (!navigator.onLine) {
+                authStatus.textContent = t('auth.offline');
+                return;
+            }
             console.error("Firebase is not globally defined. Check module imports.");
-            formMessage.textContent = 'Erro de inicialização: Firebase não carregado.';
+            formMessage.textContent = t('auth.firebaseMissing');
             return;
         }
 
@@ -404,11 +1640,19 @@ document.addEventListener('DOMContentLoaded', function () {
             const app = window.firebase.initializeApp(firebaseConfig);
             auth = window.firebase.getAuth(app);
             db = window.firebase.getFirestore(app);
+            if (useEmulator) {
+                window.firebase.connectAuthEmulator(auth, 'http://127.0.0.1:9099');
+                window.firebase.connectFirestoreEmulator(db, '127.0.0.1', 8080);
+            }
+            academies = createAcademyService({ firebase: window.firebase, db, appId });
+            applyPermissions(null);
+            accountPanel.classList.remove('hidden');
             
             window.firebase.onAuthStateChanged(auth, async (user) => {
                 if (user) {
                     userId = user.uid;
-                    authStatus.textContent = `Autenticado. ID do usuário: ${userId}`;
+                    authStatus.textContent = t('auth.signedIn', { id: userId });
+                    await openAcademy(user);
                 } else {
                     try {
                         if (initialAuthToken) {
@@ -418,130 +1662,2311 @@ document.addEventListener('DOMContentLoaded', function () {
                         }
                     } catch (error) {
                         console.error("Erro de autenticação Firebase:", error);
-                        authStatus.textContent = `Erro de autenticação: ${error.message}`;
+                        authStatus.textContent = t('auth.error', { message: error.message });
                     }
                 }
             });
 
         } catch (error) {
             console.error("Erro ao inicializar o Firebase:", error);
-            formMessage.textContent = 'Erro ao inicializar o Firebase. Verifique a configuração.';
+            formMessage.textContent = t('auth.initError');
         }
     }
-    initFirebase();
+
+    const STUDENT_FORM_FIELDS = ['name', 'group', 'style', 'cordel', 'batizado', 'email', 'phone'];
+    const studentStyleSelect = document.getElementById('student-style');
+    const studentCordelSelect = document.getElementById('student-cordel');
+    const studentGroupInput = document.getElementById('student-group');
+
+    ESTILOS.forEach(style => studentStyleSelect.add(new Option(style, style)));
+
+    // As opções de graduação seguem o sistema de cordas do grupo digitado; a escolha é mantida se continuar válida.
+    function fillCordelOptions() {
+        const selected = studentCordelSelect.value;
+        const placeholder = studentCordelSelect.options[0];
+        studentCordelSelect.replaceChildren(placeholder);
+        cordSystemForGroup(studentGroupInput.value).forEach(level => {
+            studentCordelSelect.add(new Option(level.title ? `${level.name} (${level.title})` : level.name, level.name));
+        });
+        studentCordelSelect.value = selected;
+        if (studentCordelSelect.selectedIndex < 0) {
+            studentCordelSelect.value = '';
+        }
+    }
+
+    fillCordelOptions();
+    studentGroupInput.addEventListener('input', fillCordelOptions);
+    document.getElementById('student-batizado').max = toIsoDate(new Date());
+
+    function showFieldErrors(errors) {
+        STUDENT_FORM_FIELDS.forEach(field => {
+            const input = document.getElementById(`student-${field}`);
+            const errorElement = document.getElementById(`student-${field}-error`);
+            const message = errors[field] || '';
+            errorElement.textContent = message;
+            errorElement.classList.toggle('hidden', !message);
+            input.classList.toggle('border-red-500', Boolean(message));
+            input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        });
+    }
+
+    // Revalida o campo ao sair dele, sem mostrar erros de campos que o usuário ainda não tocou.
+    STUDENT_FORM_FIELDS.forEach(field => {
+        const input = document.getElementById(`student-${field}`);
+        input.addEventListener('blur', () => {
+            if (input.value === '') return;
+            const values = readStudentForm();
+            const { errors } = validateStudent(values, { existingStudents: students, cordLevels: cordLevelsForGroup(values.group) });
+            const errorElement = document.getElementById(`student-${field}-error`);
+            errorElement.textContent = errors[field] || '';
+            errorElement.classList.toggle('hidden', !errors[field]);
+            input.classList.toggle('border-red-500', Boolean(errors[field]));
+        });
+    });
+
+    function readStudentForm() {
+        return Object.fromEntries(STUDENT_FORM_FIELDS.map(field => [field, document.getElementById(`student-${field}`).value]));
+    }
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
-        if (!db || !userId) {
-            formMessage.textContent = 'Aguardando autenticação do banco de dados...';
+        const offline = !navigator.onLine && !useMemoryStore;
+        if (!studentStore && !offline) {
+            formMessage.textContent = t('students.awaitingAuth');
             return;
         }
-        const name = document.getElementById('student-name').value;
-        const group = document.getElementById('student-group').value;
-        const style = document.getElementById('student-style').value;
-        const cordel = document.getElementById('student-cordel').value;
-        const batizado = document.getElementById('student-batizado').value;
-        const email = document.getElementById('student-email').value;
-        const phone = document.getElementById('student-phone').value;
-        
-        if (!name || !group || !style || !cordel || !batizado || !email || !phone) {
-            formMessage.textContent = 'Por favor, preencha todos os campos.';
+
+        const input = readStudentForm();
+        const { values, errors } = validateStudent(input, {
+            existingStudents: [...students, ...pendingStudents],
+            cordLevels: cordLevelsForGroup(input.group)
+        });
+        showFieldErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            formMessage.textContent = t('students.fixFields');
             formMessage.style.color = '#dc2626';
+            document.getElementById(`student-${Object.keys(errors)[0]}`).focus();
+            return;
+        }
+
+        if (offline) {
+            await queueStudent(values);
             return;
         }
 
         try {
-            const collectionPath = `/artifacts/${appId}/users/${userId}/alunos`;
-            await window.firebase.addDoc(window.firebase.collection(db, collectionPath), {
-                name,
-                group,
-                style,
-                cordel,
-                batizado,
-                email,
-                phone,
-                timestamp: new Date()
-            });
-            formMessage.textContent = 'Aluno cadastrado com sucesso!';
+            await studentStore.add(values);
+            formMessage.textContent = t('students.saved');
             formMessage.style.color = '#16a34a';
             form.reset();
+            fillCordelOptions();
+            showFieldErrors({});
         } catch (error) {
             console.error("Erro ao adicionar documento:", error);
-            formMessage.textContent = `Erro ao salvar: ${error.message}`;
+            formMessage.textContent = t('students.saveError', { message: error.message });
             formMessage.style.color = '#dc2626';
         }
     });
 
-    // --- 8. Dados e Renderização de Grupos de Capoeira ---
-    const capoeiraGroups = [
-        {
-            logo: "https://placehold.co/100x100/3b82f6/fff?text=CCB",
-            name: "Grupo Capoeira Brasil",
-            masters: "Mestre Boneco, Mestre Paulinho Sabia, Mestre Paulão Ceará",
-            address: "R. da Capoeira, 123 - Salvador, BA",
-            branches: ["Rio de Janeiro, RJ", "São Paulo, SP", "Berlim, Alemanha"],
-            cordSystem: "Verde, Amarela, Azul, etc.",
-            phone: "+55 (71) 98765-4321",
-            website: "http://www.grupocapoerabrasil.com",
-            email: "contato@grupocapoerabrasil.com"
-        },
-        {
-            logo: "https://placehold.co/100x100/15803d/fff?text=ABADÁ",
-            name: "ABADÁ-Capoeira",
-            masters: "Mestre Camisa",
-            address: "R. da Paz, 456 - Rio de Janeiro, RJ",
-            branches: ["São Paulo, SP", "Nova Iorque, EUA", "Paris, França"],
-            cordSystem: "Verde, Amarela, Azul, Verde-Amarela, etc.",
-            phone: "+55 (21) 98765-1234",
-            website: "http://www.abadacapoeira.com",
-            email: "info@abadacapoeira.com"
-        },
-        {
-            logo: "https://placehold.co/100x100/dc2626/fff?text=CDO",
-            name: "Cordão de Ouro",
-            masters: "Mestre Suassuna, Mestre Cueca",
-            address: "Av. da Liberdade, 789 - São Paulo, SP",
-            branches: ["Salvador, BA", "Londres, Reino Unido", "Tóquio, Japão"],
-            cordSystem: "Roxa, Marrom, Vermelha, etc.",
-            phone: "+55 (11) 99876-5432",
-            website: "http://www.cordaodeouro.com",
-            email: "cordaodeouro@email.com"
-        },
-        {
-            logo: "https://placehold.co/100x100/6b21a8/fff?text=Senzala",
-            name: "Grupo Senzala de Capoeira",
-            masters: "Mestre Peixinho, Mestre Gato, Mestre Sorriso",
-            address: "R. dos Palmares, 101 - Rio de Janeiro, RJ",
-            branches: ["Paris, França", "Amsterdã, Holanda"],
-            cordSystem: "Branca, Cinza, Amarela, etc.",
-            phone: "+55 (21) 99123-4567",
-            website: "http://www.gruposenzala.com",
-            email: "contato@gruposenzala.com"
+    // Cadastros feitos sem conexão ficam na fila do IndexedDB e são enviados quando a internet volta.
+    const offlineQueue = createOfflineQueue();
+    let pendingStudents = [];
+    let syncingPendingStudents = false;
+
+    async function refreshPendingStudents() {
+        try {
+            pendingStudents = (await offlineQueue.list()).map(entry => entry.values);
+        } catch (error) {
+            console.error("Erro ao ler os cadastros pendentes:", error);
+            pendingStudents = [];
+        }
+        return pendingStudents.length;
+    }
+
+    async function queueStudent(values) {
+        try {
+            await offlineQueue.add(values);
+            const pending = await refreshPendingStudents();
+            formMessage.textContent = t('students.queued', { count: formatNumber(pending) });
+            formMessage.style.color = '#b45309';
+            form.reset();
+            fillCordelOptions();
+            showFieldErrors({});
+        } catch (error) {
+            console.error("Erro ao guardar o cadastro offline:", error);
+            formMessage.textContent = t('students.queueError');
+            formMessage.style.color = '#dc2626';
         }
+    }
+
+    async function syncPendingStudents() {
+        if (syncingPendingStudents || useMemoryStore || !studentStore || !navigator.onLine) return;
+        if (await refreshPendingStudents() === 0) return;
+
+        syncingPendingStudents = true;
+        formMessage.textContent = t('students.syncing', { count: formatNumber(pendingStudents.length) });
+        formMessage.style.color = '#b45309';
+        try {
+            const { synced, remaining, error } = await flushOfflineQueue(offlineQueue, values => studentStore.add(values));
+            if (error) {
+                console.error("Erro ao sincronizar cadastros pendentes:", error);
+                formMessage.textContent = t('students.syncPartial', { synced: formatNumber(synced), remaining: formatNumber(remaining), message: error.message });
+                formMessage.style.color = '#dc2626';
+            } else {
+                formMessage.textContent = t('students.synced', { count: formatNumber(synced) });
+                formMessage.style.color = '#16a34a';
+            }
+        } catch (error) {
+            console.error("Erro ao ler a fila de cadastros pendentes:", error);
+            formMessage.textContent = t('students.syncError');
+            formMessage.style.color = '#dc2626';
+        } finally {
+            syncingPendingStudents = false;
+            await refreshPendingStudents();
+        }
+    }
+
+    window.addEventListener('online', () => {
+        // Se a página abriu sem conexão, o Firebase não foi carregado e só volta com um recarregamento.
+        if (!window.firebase && !useMemoryStore && pendingStudents.length > 0) {
+            formMessage.textContent = t('students.reconnected', { count: formatNumber(pendingStudents.length) });
+            formMessage.style.color = '#b45309';
+            return;
+        }
+        syncPendingStudents();
+    });
+    window.addEventListener('offline', () => {
+        formMessage.textContent = t('students.offline');
+        formMessage.style.color = '#b45309';
+    });
+
+    refreshPendingStudents().then(pending => {
+        if (pending > 0 && !navigator.onLine) {
+            formMessage.textContent = t('students.pending', { count: formatNumber(pending) });
+            formMessage.style.color = '#b45309';
+        }
+    });
+
+    // --- 7.1 Lista de Alunos (busca, filtros, edição e exclusão) ---
+    const studentSearch = document.getElementById('student-search');
+    const studentFilterCordel = document.getElementById('student-filter-cordel');
+    const studentFilterStyle = document.getElementById('student-filter-style');
+    const studentTableBody = document.getElementById('student-table-body');
+    const studentListStatus = document.getElementById('student-list-status');
+
+    const STUDENT_COLUMNS = [
+        { key: 'name', type: 'text' },
+        { key: 'group', type: 'text' },
+        { key: 'style', type: 'select', options: ESTILOS },
+        // A graduação depende do grupo do aluno.
+        { key: 'cordel', type: 'select', options: student => cordLevelsForGroup(student.group) },
+        { key: 'batizado', type: 'date' },
+        { key: 'email', type: 'email' },
+        { key: 'phone', type: 'tel' }
     ];
 
-    function renderGroups() {
-        let htmlContent = '';
-        capoeiraGroups.forEach(group => {
-            htmlContent += `
-                <div class="bg-white rounded-lg shadow-lg p-6">
-                    <div class="flex items-center space-x-4 mb-4">
-                        <img src="${group.logo}" alt="Logomarca do Grupo ${group.name}" class="w-16 h-16 rounded-full">
-                        <h3 class="font-bold text-xl">${group.name}</h3>
-                    </div>
-                    <ul class="space-y-2 text-sm text-stone-600">
-                        <li><strong>Mestres:</strong> ${group.masters}</li>
-                        <li><strong>Endereço:</strong> ${group.address}</li>
-                        <li><strong>Filiais:</strong> ${group.branches.join(", ")}</li>
-                        <li><strong>Sistema de Cordas:</strong> ${group.cordSystem}</li>
-                        <li><strong>Telefone:</strong> ${group.phone}</li>
-                        <li><strong>Website:</strong> <a href="${group.website}" target="_blank" class="text-blue-600 hover:underline">${group.website}</a></li>
-                        <li><strong>E-mail:</strong> <a href="mailto:${group.email}" class="text-blue-600 hover:underline">${group.email}</a></li>
-                    </ul>
-                </div>
-            `;
-        });
-        groupsContainer.innerHTML = htmlContent;
-    }
-    renderGroups();
+    let students = [];
+    let editingStudentId = null;
+    // O que já foi digitado na linha em edição, mantido quando a tabela é redesenhada (busca, filtros, idioma).
+    let editingDraft = {};
+    let unsubscribeStudents = null;
+
+    function connectStudentStore(store) {
+        unsubscribeStudents?.();
+        studentStore = store;
+        unsubscribeStudents = store.subscribe((list) => {
+            students = list;
+            updateFilterOptions(studentFilterCordel, students.map(student => student.cordel));
+            updateFilterOptions(studentFilterStyle, students.map(student => student.style));
+            // O aluno em edição pode ter sido excluído em outra aba ou aparelho.
+            if (editingStudentId && !students.some(student => student.id === editingStudentId)) {
+                editingStudentId = null;
+                editingDraft = {};
+            }
+            // Não recria a linha em edição para não perder o que está sendo digitado.
+            if (!editingStudentId) {
+                renderStudentTable();
+            }
+            // Chamada, frequência, participantes dos eventos, mensalidades e convites usam a lista de alunos.
+            renderAttendance();
+            renderFinance();
+            fillInviteStudents();
+        }, (error) => {
+            console.error("Erro ao carregar alunos:", error);
+            studentListStatus.textContent = t('students.loadError', { message: error.message });
+        });
+        syncPendingStudents();
+    }
+
+    function updateFilterOptions(select, values) {
+        const selected = select.value;
+        const unique = [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+        select.length = 1;
+        unique.forEach(value => select.add(new Option(value, value)));
+        select.value = unique.includes(selected) ? selected : '';
+    }
+
+    function formatStudentValue(column, value) {
+        if (column.type === 'date') {
+            return formatDate(value);
+        }
+        if (column.type === 'tel') {
+            return formatPhone(value);
+        }
+        return value || '';
+    }
+
+    function createActionButton(label, action, id, colorClass) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.dataset.action = action;
+        button.dataset.id = id;
+        button.className = `font-semibold hover:underline ${colorClass}`;
+        return button;
+    }
+
+    function currentStudentFilters() {
+        return {
+            query: studentSearch.value,
+            cordel: studentFilterCordel.value,
+            style: studentFilterStyle.value
+        };
+    }
+
+    function renderStudentTable() {
+        const visible = filterStudents(students, currentStudentFilters());
+
+        studentTableBody.innerHTML = '';
+        visible.forEach(student => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-stone-100';
+            const isEditing = student.id === editingStudentId;
+            const values = isEditing ? { ...student, ...editingDraft } : student;
+
+            STUDENT_COLUMNS.forEach(column => {
+                const cell = document.createElement('td');
+                cell.className = 'p-2 align-top';
+                if (isEditing) {
+                    const input = document.createElement(column.options ? 'select' : 'input');
+                    if (column.options) {
+                        const columnOptions = typeof column.options === 'function' ? column.options(values) : column.options;
+                        // Valores antigos fora da lista continuam visíveis até serem corrigidos.
+                        const options = columnOptions.includes(values[column.key]) || !values[column.key]
+                            ? columnOptions
+                            : [values[column.key], ...columnOptions];
+                        options.forEach(option => input.add(new Option(option, option)));
+                    } else {
+                        input.type = column.type;
+                    }
+                    input.name = column.key;
+                    input.value = column.type === 'tel' ? formatPhone(values[column.key]) : values[column.key] || '';
+                    input.setAttribute('aria-label', t(`students.column.${column.key}`));
+                    input.className = 'w-full min-w-[6rem] p-1 border border-stone-300 rounded-md';
+                    // O aluno só altera o próprio nome e os contatos (STUDENT_SELF_FIELDS).
+                    input.disabled = currentRole === 'aluno' && !STUDENT_SELF_FIELDS.includes(column.key);
+                    cell.appendChild(input);
+                } else {
+                    cell.textContent = formatStudentValue(column, student[column.key]);
+                }
+                row.appendChild(cell);
+            });
+
+            const actions = document.createElement('td');
+            actions.className = 'p-2 text-right whitespace-nowrap space-x-2';
+            if (isEditing) {
+                actions.append(
+                    createActionButton(t('students.action.save'), 'save', student.id, 'text-green-700'),
+                    createActionButton(t('students.action.cancel'), 'cancel', student.id, 'text-stone-600')
+                );
+            } else {
+                actions.append(createActionButton(t('students.action.edit'), 'edit', student.id, 'text-blue-600'));
+                if (currentRole !== 'aluno') {
+                    actions.append(createActionButton(t('students.action.delete'), 'delete', student.id, 'text-red-600'));
+                }
+            }
+            row.appendChild(actions);
+            studentTableBody.appendChild(row);
+        });
+
+        if (students.length === 0) {
+            studentListStatus.textContent = t('students.empty');
+        } else if (visible.length === 0) {
+            studentListStatus.textContent = t('students.noMatch');
+        } else {
+            studentListStatus.textContent = t('students.count', { visible: formatNumber(visible.length), total: formatNumber(students.length) });
+        }
+    }
+
+    async function saveStudentRow(id, row) {
+        const input = {};
+        row.querySelectorAll('input, select').forEach(control => {
+            input[control.name] = control.value;
+        });
+        const { values, errors: allErrors } = validateStudent(input, {
+            existingStudents: students,
+            editingId: id,
+            cordLevels: cordLevelsForGroup(input.group)
+        });
+        // O aluno grava só os campos que pode alterar; erros nos demais não são dele para corrigir.
+        const ownProfile = currentRole === 'aluno';
+        const errors = ownProfile
+            ? Object.fromEntries(Object.entries(allErrors).filter(([field]) => STUDENT_SELF_FIELDS.includes(field)))
+            : allErrors;
+        row.querySelectorAll('input, select').forEach(control => {
+            control.classList.toggle('border-red-500', Boolean(errors[control.name]));
+            control.title = errors[control.name] || '';
+        });
+        if (Object.keys(errors).length > 0) {
+            studentListStatus.textContent = Object.values(errors)[0];
+            return;
+        }
+        try {
+            const changes = ownProfile
+                ? Object.fromEntries(STUDENT_SELF_FIELDS.map(field => [field, values[field]]))
+                : values;
+            await studentStore.update(id, changes);
+            editStudent(null);
+        } catch (error) {
+            console.error("Erro ao atualizar documento:", error);
+            studentListStatus.textContent = t('students.saveError', { message: error.message });
+        }
+    }
+
+    async function deleteStudent(id) {
+        const student = students.find(item => item.id === id);
+        if (!student || !confirm(t('students.confirmDelete', { name: student.name }))) return;
+        try {
+            await studentStore.remove(id);
+        } catch (error) {
+            console.error("Erro ao excluir documento:", error);
+            studentListStatus.textContent = t('students.deleteError', { message: error.message });
+        }
+    }
+
+    /**
+     * Abre (ou, com null, fecha) a edição de um aluno na tabela, descartando o que foi digitado antes.
+     * @param {string|null} id - O ID do aluno.
+     */
+    function editStudent(id) {
+        editingStudentId = id;
+        editingDraft = {};
+        renderStudentTable();
+    }
+
+    studentTableBody.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        if (action === 'edit') {
+            editStudent(id);
+        } else if (action === 'cancel') {
+            editStudent(null);
+        } else if (action === 'save') {
+            saveStudentRow(id, button.closest('tr'));
+        } else if (action === 'delete') {
+            deleteStudent(id);
+        }
+    });
+
+    studentTableBody.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('input, select')) {
+            saveStudentRow(editingStudentId, e.target.closest('tr'));
+        } else if (e.key === 'Escape') {
+            editStudent(null);
+        }
+    });
+
+    studentTableBody.addEventListener('input', (e) => {
+        if (editingStudentId && e.target.matches('input, select')) {
+            editingDraft[e.target.name] = e.target.value;
+        }
+    });
+
+    [studentSearch, studentFilterCordel, studentFilterStyle].forEach(control => {
+        control.addEventListener('input', renderStudentTable);
+    });
+
+    // --- 7.2 Importação e Exportação (CSV/JSON) ---
+    const studentImportFile = document.getElementById('student-import-file');
+    const studentImportPanel = document.getElementById('student-import-panel');
+    const studentImportMapping = document.getElementById('student-import-mapping');
+    const studentImportSummary = document.getElementById('student-import-summary');
+    const studentImportPreview = document.getElementById('student-import-preview');
+    const studentImportConfirmBtn = document.getElementById('student-import-confirm-btn');
+    const studentImportReportBtn = document.getElementById('student-import-report-btn');
+    const studentImportCancelBtn = document.getElementById('student-import-cancel-btn');
+
+    let importTable = null;
+    let importPreview = [];
+    // Linhas já gravadas deste arquivo: repetir uma importação interrompida não as grava de novo.
+    let importedLines = new Set();
+
+    function renderImportMapping(mapping) {
+        studentImportMapping.innerHTML = '';
+        STUDENT_IO_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'flex flex-col gap-1';
+            label.textContent = t(`students.column.${field.key}`);
+            const select = document.createElement('select');
+            select.name = field.key;
+            select.className = 'p-1 border border-stone-300 rounded-md bg-white';
+            select.add(new Option(t('studentIo.skipColumn'), '-1'));
+            importTable.headers.forEach((header, index) => select.add(new Option(header || t('studentIo.column', { number: index + 1 }), String(index))));
+            select.value = String(mapping[field.key]);
+            label.appendChild(select);
+            studentImportMapping.appendChild(label);
+        });
+    }
+
+    function readImportMapping() {
+        return Object.fromEntries([...studentImportMapping.querySelectorAll('select')].map(select => [select.name, Number(select.value)]));
+    }
+
+    function renderImportPreview() {
+        importPreview = buildImportPreview(importTable.rows, readImportMapping(), students, cordLevelsForGroup);
+        const validCount = importPreview.filter(row => Object.keys(row.errors).length === 0).length;
+        const invalidCount = importPreview.length - validCount;
+
+        studentImportPreview.innerHTML = '';
+        importPreview.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = 'border-b border-stone-200 align-top';
+            const messages = Object.values(row.errors);
+            [row.line, row.values.name, row.values.email, messages.length ? messages.join(' ') : t('studentIo.rowOk')].forEach((value, index) => {
+                const td = document.createElement('td');
+                td.className = 'p-2';
+                td.textContent = value;
+                if (index === 3) {
+                    td.classList.add(messages.length ? 'text-red-600' : 'text-green-700');
+                }
+                tr.appendChild(td);
+            });
+            studentImportPreview.appendChild(tr);
+        });
+
+        studentImportSummary.textContent = t('studentIo.summary', { valid: formatNumber(validCount), invalid: formatNumber(invalidCount) });
+        studentImportConfirmBtn.textContent = t('studentIo.confirm', { count: formatNumber(validCount) });
+        studentImportConfirmBtn.disabled = validCount === 0;
+        studentImportReportBtn.classList.toggle('hidden', invalidCount === 0);
+    }
+
+    function closeImportPanel() {
+        importTable = null;
+        importPreview = [];
+        importedLines = new Set();
+        studentImportFile.value = '';
+        studentImportPanel.classList.add('hidden');
+    }
+
+    studentImportFile.addEventListener('change', async () => {
+        const file = studentImportFile.files[0];
+        if (!file) return;
+        try {
+            const text = await file.text();
+            importTable = /\.json$/i.test(file.name) ? parseJsonStudents(text) : parseCsv(text);
+            importedLines = new Set();
+            if (importTable.rows.length === 0) {
+                throw new Error(t('studentIo.error.empty'));
+            }
+            renderImportMapping(guessColumnMapping(importTable.headers));
+            renderImportPreview();
+            studentImportPanel.classList.remove('hidden');
+        } catch (error) {
+            console.error("Erro ao ler o arquivo de importação:", error);
+            closeImportPanel();
+            studentListStatus.textContent = t('studentIo.error.read', { message: error.message });
+        }
+    });
+
+    studentImportMapping.addEventListener('change', renderImportPreview);
+
+    studentImportConfirmBtn.addEventListener('click', async () => {
+        if (!studentStore) {
+            studentImportSummary.textContent = t('common.awaitingAuth');
+            return;
+        }
+        // Revalida contra a lista atual, que pode ter mudado desde a pré-visualização.
+        renderImportPreview();
+        const validRows = importPreview.filter(row => Object.keys(row.errors).length === 0 && !importedLines.has(row.line));
+        studentImportConfirmBtn.disabled = true;
+        let imported = 0;
+        try {
+            for (const row of validRows) {
+                await studentStore.add(row.values);
+                importedLines.add(row.line);
+                imported++;
+                studentImportSummary.textContent = t('studentIo.progress', { done: formatNumber(imported), total: formatNumber(validRows.length) });
+            }
+            closeImportPanel();
+            studentListStatus.textContent = t('studentIo.imported', { count: formatNumber(imported) });
+        } catch (error) {
+            console.error("Erro ao importar alunos:", error);
+            studentImportSummary.textContent = t('studentIo.error.import', { count: formatNumber(imported), message: error.message });
+            studentImportConfirmBtn.disabled = false;
+        }
+    });
+
+    studentImportReportBtn.addEventListener('click', () => {
+        downloadFile('erros-importacao-alunos.csv', importErrorsToCsv(importPreview), 'text/csv;charset=utf-8');
+    });
+
+    studentImportCancelBtn.addEventListener('click', closeImportPanel);
+
+    document.getElementById('student-export-csv-btn').addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`alunos-${date}.csv`, studentsToCsv(filterStudents(students, currentStudentFilters())), 'text/csv;charset=utf-8');
+    });
+
+    document.getElementById('student-export-json-btn').addEventListener('click', () => {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`alunos-${date}.json`, studentsToJson(filterStudents(students, currentStudentFilters())), 'application/json');
+    });
+
+    // --- 7.3 Eventos da Academia (batizados, trocas de corda e rodas) ---
+    const eventForm = document.getElementById('event-form');
+    const eventFormTitle = document.getElementById('event-form-title');
+    const eventFormMessage = document.getElementById('event-form-message');
+    const eventCancelBtn = document.getElementById('event-cancel-btn');
+    const eventTypeSelect = document.getElementById('event-type');
+    const eventStudentSearch = document.getElementById('event-student-search');
+    const eventParticipantsBody = document.getElementById('event-participants');
+    const eventNextCordelHeader = document.querySelector('th.event-next-cordel');
+    const eventList = document.getElementById('event-list');
+    const eventListStatus = document.getElementById('event-list-status');
+    const printArea = document.getElementById('print-area');
+
+    const EVENT_FORM_FIELDS = ['type', 'title', 'date', 'startTime', 'endTime', 'location', 'mestres', 'participants'];
+
+    let events = [];
+    let eventStore = null;
+    let unsubscribeEvents = null;
+    let editingEventId = null;
+    // Alunos marcados no formulário: studentId -> participante (com a nova corda escolhida).
+    const selectedParticipants = new Map();
+
+    function fillEventTypes() {
+        const current = eventTypeSelect.value;
+        eventTypeSelect.replaceChildren(...Object.entries(EVENT_TYPES).map(([value, label]) => new Option(label, value)));
+        if (current) eventTypeSelect.value = current;
+    }
+    fillEventTypes();
+
+    function connectEventStore(store) {
+        unsubscribeEvents?.();
+        eventStore = store;
+        unsubscribeEvents = store.subscribe((list) => {
+            events = list;
+            renderEventList();
+        }, (error) => {
+            console.error("Erro ao carregar eventos:", error);
+            eventListStatus.textContent = t('events.loadError', { message: error.message });
+        });
+    }
+
+    function renderEventParticipants() {
+        const isBatizado = eventTypeSelect.value === 'batizado';
+        eventNextCordelHeader.classList.toggle('hidden', !isBatizado);
+        const flagged = isBatizado ? lowAttendanceStudents() : new Map();
+
+        // Participantes de alunos já excluídos continuam na lista do evento.
+        const visible = filterStudents(students, { query: eventStudentSearch.value });
+        const removed = [...selectedParticipants.values()]
+            .filter(participant => !students.some(student => student.id === participant.studentId))
+            .map(participant => ({ id: participant.studentId, name: participant.name, group: participant.group, cordel: participant.cordel }));
+
+        eventParticipantsBody.innerHTML = '';
+        [...removed, ...visible].forEach(student => {
+            const participant = selectedParticipants.get(student.id);
+            const row = document.createElement('tr');
+            row.className = 'border-b border-stone-100';
+            row.dataset.studentId = student.id;
+
+            const checkCell = document.createElement('td');
+            checkCell.className = 'p-2';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(participant);
+            checkbox.setAttribute('aria-label', t('events.include', { name: student.name }));
+            checkCell.appendChild(checkbox);
+
+            const nameCell = document.createElement('td');
+            nameCell.className = 'p-2';
+            nameCell.textContent = student.group ? `${student.name} (${student.group})` : student.name;
+            if (flagged.has(student.id)) {
+                const warning = document.createElement('span');
+                warning.className = 'block text-xs text-red-600';
+                warning.textContent = t('events.lowAttendance', { rate: formatNumber(flagged.get(student.id).rate), threshold: formatNumber(attendanceRule.threshold) });
+                nameCell.appendChild(warning);
+            }
+
+            const cordelCell = document.createElement('td');
+            cordelCell.className = 'p-2';
+            cordelCell.textContent = participant?.cordel ?? student.cordel ?? '';
+
+            row.append(checkCell, nameCell, cordelCell);
+
+            if (isBatizado) {
+                const nextCell = document.createElement('td');
+                nextCell.className = 'p-2';
+                const select = document.createElement('select');
+                select.className = 'p-1 border border-stone-300 rounded-md bg-white';
+                select.setAttribute('aria-label', t('events.nextCordel', { name: student.name }));
+                select.disabled = !participant;
+                select.add(new Option('—', ''));
+                cordSystemForGroup(student.group).forEach(level => select.add(new Option(level.name, level.name)));
+                select.value = participant?.nextCordel ?? '';
+                nextCell.appendChild(select);
+                row.appendChild(nextCell);
+            }
+            eventParticipantsBody.appendChild(row);
+        });
+
+        if (eventParticipantsBody.children.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 4;
+            cell.className = 'p-2 text-stone-500';
+            cell.textContent = students.length === 0 ? t('events.noStudents') : t('common.noStudentMatch');
+            row.appendChild(cell);
+            eventParticipantsBody.appendChild(row);
+        }
+    }
+
+    eventParticipantsBody.addEventListener('change', (e) => {
+        const row = e.target.closest('tr[data-student-id]');
+        if (!row) return;
+        const { studentId } = row.dataset;
+        if (e.target.type === 'checkbox') {
+            const student = students.find(item => item.id === studentId);
+            if (e.target.checked && student) {
+                selectedParticipants.set(studentId, eventParticipant(student, cordSystemForGroup(student.group)));
+            } else {
+                selectedParticipants.delete(studentId);
+            }
+            renderEventParticipants();
+        } else if (selectedParticipants.has(studentId)) {
+            selectedParticipants.get(studentId).nextCordel = e.target.value;
+        }
+    });
+
+    eventStudentSearch.addEventListener('input', renderEventParticipants);
+    // Enter na busca não deve salvar o evento.
+    eventStudentSearch.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') e.preventDefault();
+    });
+    eventTypeSelect.addEventListener('change', renderEventParticipants);
+
+    function showEventErrors(errors) {
+        EVENT_FORM_FIELDS.forEach(field => {
+            const errorElement = document.getElementById(`event-${field}-error`);
+            const message = errors[field] || '';
+            errorElement.textContent = message;
+            errorElement.classList.toggle('hidden', !message);
+            const input = document.getElementById(`event-${field}`);
+            input?.classList.toggle('border-red-500', Boolean(message));
+            input?.setAttribute('aria-invalid', message ? 'true' : 'false');
+        });
+    }
+
+    function readEventForm() {
+        const values = Object.fromEntries(EVENT_FORM_FIELDS
+            .filter(field => field !== 'participants')
+            .map(field => [field, document.getElementById(`event-${field}`).value]));
+        return { ...values, participants: [...selectedParticipants.values()] };
+    }
+
+    function updateEventFormTitle() {
+        const event = events.find(item => item.id === editingEventId);
+        eventFormTitle.textContent = event ? t('events.form.edit', { title: event.title }) : t('events.form.new');
+    }
+
+    function resetEventForm() {
+        eventForm.reset();
+        editingEventId = null;
+        selectedParticipants.clear();
+        updateEventFormTitle();
+        eventCancelBtn.classList.add('hidden');
+        showEventErrors({});
+        renderEventParticipants();
+    }
+
+    function editEvent(id) {
+        const event = events.find(item => item.id === id);
+        if (!event) return;
+        editingEventId = id;
+        EVENT_FORM_FIELDS.filter(field => field !== 'participants').forEach(field => {
+            const value = event[field] ?? '';
+            document.getElementById(`event-${field}`).value = Array.isArray(value) ? value.join(', ') : value;
+        });
+        selectedParticipants.clear();
+        event.participants.forEach(participant => selectedParticipants.set(participant.studentId, { ...participant }));
+        updateEventFormTitle();
+        eventCancelBtn.classList.remove('hidden');
+        eventFormMessage.textContent = '';
+        showEventErrors({});
+        renderEventParticipants();
+        eventForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    eventForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!eventStore) {
+            eventFormMessage.textContent = t('common.awaitingAuth');
+            return;
+        }
+
+        const { values, errors } = validateEvent(readEventForm());
+        showEventErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            eventFormMessage.textContent = t('common.fixFields');
+            eventFormMessage.style.color = '#dc2626';
+            return;
+        }
+
+        try {
+            if (editingEventId) {
+                await eventStore.update(editingEventId, values);
+            } else {
+                await eventStore.add(values);
+            }
+            eventFormMessage.textContent = t('events.saved');
+            eventFormMessage.style.color = '#16a34a';
+            resetEventForm();
+        } catch (error) {
+            console.error("Erro ao salvar evento:", error);
+            eventFormMessage.textContent = t('common.saveError', { message: error.message });
+            eventFormMessage.style.color = '#dc2626';
+        }
+    });
+
+    eventCancelBtn.addEventListener('click', () => {
+        eventFormMessage.textContent = '';
+        resetEventForm();
+    });
+
+    function renderEventList() {
+        const today = toIsoDate(new Date());
+        const flagged = lowAttendanceStudents();
+        eventList.innerHTML = '';
+        events.forEach(event => {
+            const item = document.createElement('li');
+            item.className = 'p-4 bg-stone-100 rounded-md';
+
+            const title = document.createElement('p');
+            title.className = 'font-bold';
+            title.textContent = event.date < today ? t('events.past', { title: event.title }) : event.title;
+
+            const details = document.createElement('p');
+            details.className = 'text-sm text-stone-600';
+            const people = t(event.type === 'batizado' ? 'events.receivingCount' : 'events.studentCount', { count: formatNumber(event.participants.length) });
+            details.textContent = `${EVENT_TYPES[event.type]} · ${formatEventDate(event)} · ${event.location} · ${people}`;
+            item.append(title, details);
+
+            // Antes de um batizado, avisa quem está abaixo da frequência mínima.
+            if (event.type === 'batizado' && event.date >= today) {
+                const lowCount = event.participants.filter(participant => flagged.has(participant.studentId)).length;
+                if (lowCount > 0) {
+                    const warning = document.createElement('p');
+                    warning.className = 'text-sm text-red-600';
+                    warning.textContent = t('events.lowAttendanceCount', { count: formatNumber(lowCount), threshold: formatNumber(attendanceRule.threshold) });
+                    item.appendChild(warning);
+                }
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'flex flex-wrap gap-3 mt-2 text-sm';
+            actions.append(
+                createActionButton(t('common.edit'), 'edit', event.id, 'text-blue-600'),
+                createActionButton(t('events.action.printList'), 'print-list', event.id, 'text-stone-700'),
+                createActionButton(t('events.action.ics'), 'ics', event.id, 'text-stone-700')
+            );
+            if (event.type === 'batizado' && event.participants.length > 0) {
+                actions.insertBefore(createActionButton(t('events.action.certificates'), 'print-certificates', event.id, 'text-stone-700'), actions.lastChild);
+            }
+            actions.appendChild(createActionButton(t('common.delete'), 'delete', event.id, 'text-red-600'));
+
+            item.appendChild(actions);
+            eventList.appendChild(item);
+        });
+        eventListStatus.textContent = events.length === 0 ? t('events.empty') : t('events.count', { count: formatNumber(events.length) });
+    }
+
+    // Desenha o conteúdo em #print-area e abre a impressão; o restante da página fica oculto (ver style.css).
+    function printSheet(render) {
+        render(printArea);
+        document.body.classList.add('printing');
+        window.print();
+    }
+
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing');
+        printArea.replaceChildren();
+    });
+
+    async function deleteEvent(id) {
+        const event = events.find(item => item.id === id);
+        if (!event || !confirm(t('events.confirmDelete', { title: event.title }))) return;
+        try {
+            await eventStore.remove(id);
+            if (editingEventId === id) {
+                resetEventForm();
+            }
+        } catch (error) {
+            console.error("Erro ao excluir evento:", error);
+            eventListStatus.textContent = t('common.deleteError', { message: error.message });
+        }
+    }
+
+    eventList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        const event = events.find(item => item.id === id);
+        if (!event) return;
+        if (action === 'edit') {
+            editEvent(id);
+        } else if (action === 'print-list') {
+            printSheet(container => renderCeremonyList(container, event));
+        } else if (action === 'print-certificates') {
+            printSheet(container => renderCertificates(container, event, cordSystemForGroup));
+        } else if (action === 'ics') {
+            downloadFile(`evento-${event.date}.ics`, eventsToIcs([event]), 'text/calendar;charset=utf-8');
+        } else if (action === 'delete') {
+            deleteEvent(id);
+        }
+    });
+
+    document.getElementById('event-export-all-btn').addEventListener('click', () => {
+        if (events.length === 0) {
+            eventListStatus.textContent = t('events.nothingToExport');
+            return;
+        }
+        downloadFile('eventos-academia.ics', eventsToIcs(events), 'text/calendar;charset=utf-8');
+    });
+
+    // --- 7.4 Frequência (aulas, chamada e estatísticas) ---
+    const sessionForm = document.getElementById('session-form');
+    const sessionFormTitle = document.getElementById('session-form-title');
+    const sessionFormMessage = document.getElementById('session-form-message');
+    const sessionCancelBtn = document.getElementById('session-cancel-btn');
+    const sessionDateInput = document.getElementById('session-date');
+    const sessionStudentSearch = document.getElementById('session-student-search');
+    const sessionRoster = document.getElementById('session-roster');
+    const sessionPresentCount = document.getElementById('session-present-count');
+    const sessionList = document.getElementById('session-list');
+    const sessionListStatus = document.getElementById('session-list-status');
+    const attendanceTurmaFilter = document.getElementById('attendance-turma-filter');
+    const attendanceMonthFilter = document.getElementById('attendance-month-filter');
+    const attendanceTurmaTable = document.getElementById('attendance-turma-table');
+    const attendanceStudentSelect = document.getElementById('attendance-student');
+    const attendanceThresholdInput = document.getElementById('attendance-threshold');
+    const attendanceMonthsSelect = document.getElementById('attendance-months');
+    const attendanceFlagged = document.getElementById('attendance-flagged');
+
+    const SESSION_FORM_FIELDS = ['date', 'turma', 'instructor', 'present'];
+    const RECENT_SESSIONS = 10;
+
+    let sessions = [];
+    let sessionStore = null;
+    let unsubscribeSessions = null;
+    let editingSessionId = null;
+    const presentStudents = new Set();
+
+    // A regra de frequência mínima fica salva no navegador.
+    let attendanceRule = loadAttendanceRule();
+    attendanceThresholdInput.value = attendanceRule.threshold;
+    attendanceMonthsSelect.value = String(attendanceRule.months);
+    sessionDateInput.value = toIsoDate(new Date());
+    sessionDateInput.max = toIsoDate(new Date());
+
+    const attendanceChart = new Chart(document.getElementById('attendanceChart'), {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: [
+                { label: t('attendance.chart.checkins'), data: [], backgroundColor: '#f97316', yAxisID: 'y' },
+                { label: t('attendance.chart.average'), data: [], type: 'line', borderColor: '#0d9488', backgroundColor: '#0d9488', yAxisID: 'y1' }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: { beginAtZero: true, title: { display: true, text: t('attendance.chart.checkins') } },
+                y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: t('attendance.chart.averageAxis') } }
+            }
+        }
+    });
+
+    function connectSessionStore(store) {
+        unsubscribeSessions?.();
+        sessionStore = store;
+        unsubscribeSessions = store.subscribe((list) => {
+            sessions = list;
+            renderAttendance();
+        }, (error) => {
+            console.error("Erro ao carregar aulas:", error);
+            sessionListStatus.textContent = t('attendance.loadError', { message: error.message });
+        });
+    }
+
+    /**
+     * Alunos abaixo da frequência mínima (id → frequência), pela regra atual.
+     * @returns {Map<string, object>}
+     */
+    function lowAttendanceStudents() {
+        return lowAttendance(sessions, students, attendanceRule);
+    }
+
+    function renderRoster() {
+        const visible = filterStudents(students, { query: sessionStudentSearch.value });
+        sessionRoster.innerHTML = '';
+        visible.forEach(student => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'flex items-center gap-2 p-2 cursor-pointer';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = student.id;
+            checkbox.checked = presentStudents.has(student.id);
+            label.append(checkbox, student.group ? `${student.name} (${student.group})` : student.name);
+            item.appendChild(label);
+            sessionRoster.appendChild(item);
+        });
+        if (visible.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'p-2 text-stone-500';
+            item.textContent = students.length === 0 ? t('attendance.noStudents') : t('common.noStudentMatch');
+            sessionRoster.appendChild(item);
+        }
+        sessionPresentCount.textContent = t('attendance.presentCount', { count: formatNumber(presentStudents.size) });
+    }
+
+    sessionRoster.addEventListener('change', (e) => {
+        if (e.target.type !== 'checkbox') return;
+        if (e.target.checked) {
+            presentStudents.add(e.target.value);
+        } else {
+            presentStudents.delete(e.target.value);
+        }
+        sessionPresentCount.textContent = t('attendance.presentCount', { count: formatNumber(presentStudents.size) });
+    });
+
+    document.getElementById('session-check-all-btn').addEventListener('click', () => {
+        filterStudents(students, { query: sessionStudentSearch.value }).forEach(student => presentStudents.add(student.id));
+        renderRoster();
+    });
+
+    document.getElementById('session-clear-btn').addEventListener('click', () => {
+        presentStudents.clear();
+        renderRoster();
+    });
+
+    sessionStudentSearch.addEventListener('input', renderRoster);
+    sessionStudentSearch.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') e.preventDefault();
+    });
+
+    function showSessionErrors(errors) {
+        SESSION_FORM_FIELDS.forEach(field => {
+            const errorElement = document.getElementById(`session-${field}-error`);
+            const message = errors[field] || '';
+            errorElement.textContent = message;
+            errorElement.classList.toggle('hidden', !message);
+            const input = document.getElementById(`session-${field}`);
+            input?.classList.toggle('border-red-500', Boolean(message));
+            input?.setAttribute('aria-invalid', message ? 'true' : 'false');
+        });
+    }
+
+    function updateSessionFormTitle() {
+        const session = sessions.find(item => item.id === editingSessionId);
+        sessionFormTitle.textContent = session ? t('attendance.form.edit', { date: formatDate(session.date) }) : t('attendance.form.new');
+    }
+
+    function resetSessionForm() {
+        editingSessionId = null;
+        presentStudents.clear();
+        // Turma e instrutor ficam preenchidos: costumam se repetir na próxima aula.
+        sessionDateInput.value = toIsoDate(new Date());
+        updateSessionFormTitle();
+        sessionCancelBtn.classList.add('hidden');
+        showSessionErrors({});
+        renderRoster();
+    }
+
+    function editSession(id) {
+        const session = sessions.find(item => item.id === id);
+        if (!session) return;
+        editingSessionId = id;
+        sessionDateInput.value = session.date;
+        document.getElementById('session-turma').value = session.turma;
+        document.getElementById('session-instructor').value = session.instructor;
+        presentStudents.clear();
+        session.present.forEach(studentId => presentStudents.add(studentId));
+        updateSessionFormTitle();
+        sessionCancelBtn.classList.remove('hidden');
+        sessionFormMessage.textContent = '';
+        showSessionErrors({});
+        renderRoster();
+        sessionForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    sessionForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!sessionStore) {
+            sessionFormMessage.textContent = t('common.awaitingAuth');
+            return;
+        }
+
+        const { values, errors } = validateSession({
+            date: sessionDateInput.value,
+            turma: document.getElementById('session-turma').value,
+            instructor: document.getElementById('session-instructor').value,
+            present: [...presentStudents]
+        });
+        showSessionErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            sessionFormMessage.textContent = t('common.fixFields');
+            sessionFormMessage.style.color = '#dc2626';
+            return;
+        }
+
+        try {
+            if (editingSessionId) {
+                await sessionStore.update(editingSessionId, values);
+            } else {
+                await sessionStore.add(values);
+            }
+            sessionFormMessage.textContent = t('attendance.saved', { count: formatNumber(values.present.length) });
+            sessionFormMessage.style.color = '#16a34a';
+            resetSessionForm();
+        } catch (error) {
+            console.error("Erro ao salvar aula:", error);
+            sessionFormMessage.textContent = t('common.saveError', { message: error.message });
+            sessionFormMessage.style.color = '#dc2626';
+        }
+    });
+
+    sessionCancelBtn.addEventListener('click', () => {
+        sessionFormMessage.textContent = '';
+        resetSessionForm();
+    });
+
+    async function deleteSession(id) {
+        const session = sessions.find(item => item.id === id);
+        if (!session || !confirm(t('attendance.confirmDelete', { turma: session.turma, date: formatDate(session.date) }))) return;
+        try {
+            await sessionStore.remove(id);
+            if (editingSessionId === id) {
+                resetSessionForm();
+            }
+        } catch (error) {
+            console.error("Erro ao excluir aula:", error);
+            sessionListStatus.textContent = t('common.deleteError', { message: error.message });
+        }
+    }
+
+    sessionList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        if (action === 'edit') {
+            editSession(id);
+        } else if (action === 'delete') {
+            deleteSession(id);
+        }
+    });
+
+    function renderSessionList() {
+        sessionList.innerHTML = '';
+        sessions.slice(-RECENT_SESSIONS).reverse().forEach(session => {
+            const item = document.createElement('li');
+            item.className = 'flex flex-wrap items-center justify-between gap-2 p-2 bg-stone-100 rounded-md';
+            const text = document.createElement('span');
+            text.textContent = `${formatDate(session.date)} · ${session.turma} · ${session.instructor} · ${t('attendance.presentCount', { count: formatNumber(session.present.length) })}`;
+            const actions = document.createElement('span');
+            actions.className = 'flex gap-3';
+            actions.append(
+                createActionButton(t('common.edit'), 'edit', session.id, 'text-blue-600'),
+                createActionButton(t('common.delete'), 'delete', session.id, 'text-red-600')
+            );
+            item.append(text, actions);
+            sessionList.appendChild(item);
+        });
+        sessionListStatus.textContent = sessions.length === 0 ? t('attendance.empty') : t('attendance.count', { count: formatNumber(sessions.length) });
+    }
+
+    function renderAttendanceChart() {
+        const months = monthlyAttendance(sessions, { turma: attendanceTurmaFilter.value });
+        attendanceChart.data.labels = months.map(stats => formatMonth(stats.month));
+        // Os rótulos são refeitos a cada desenho para acompanhar a troca de idioma.
+        attendanceChart.data.datasets[0].label = t('attendance.chart.checkins');
+        attendanceChart.data.datasets[1].label = t('attendance.chart.average');
+        attendanceChart.options.scales.y.title.text = t('attendance.chart.checkins');
+        attendanceChart.options.scales.y1.title.text = t('attendance.chart.averageAxis');
+        attendanceChart.data.datasets[0].data = months.map(stats => stats.checkins);
+        attendanceChart.data.datasets[1].data = months.map(stats => stats.average);
+        attendanceChart.update();
+    }
+
+    function renderTurmaTable() {
+        attendanceTurmaTable.innerHTML = '';
+        turmaAttendance(sessions, { month: attendanceMonthFilter.value }).forEach(stats => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-stone-100';
+            [stats.turma, formatNumber(stats.sessions), formatNumber(stats.average), stats.instructors.join(', ')].forEach(value => {
+                const cell = document.createElement('td');
+                cell.className = 'p-2';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            attendanceTurmaTable.appendChild(row);
+        });
+    }
+
+    function renderStudentHistory() {
+        const history = document.getElementById('attendance-student-history');
+        const summary = document.getElementById('attendance-student-summary');
+        history.innerHTML = '';
+        const studentId = attendanceStudentSelect.value;
+        if (!studentId) {
+            summary.textContent = '';
+            return;
+        }
+        const total = studentAttendance(sessions, studentId);
+        summary.textContent = total.rate === null
+            ? t('attendance.history.none')
+            : t('attendance.history.summary', { attended: formatNumber(total.attended), total: formatNumber(total.total), rate: formatNumber(total.rate) });
+        studentHistory(sessions, studentId).forEach(({ session, present }) => {
+            const item = document.createElement('li');
+            item.className = `p-1 ${present ? 'text-green-700' : 'text-red-600'}`;
+            item.textContent = `${t(present ? 'attendance.history.present' : 'attendance.history.absent')} · ${formatDate(session.date)} · ${session.turma} (${session.instructor})`;
+            history.appendChild(item);
+        });
+    }
+
+    function renderFlaggedStudents() {
+        const flagged = lowAttendanceStudents();
+        attendanceFlagged.innerHTML = '';
+        students.filter(student => flagged.has(student.id)).forEach(student => {
+            const { attended, total, rate } = flagged.get(student.id);
+            const item = document.createElement('li');
+            item.className = 'text-red-600';
+            item.textContent = total
+                ? t('attendance.flagged.rate', { name: student.name, rate: formatNumber(rate), attended: formatNumber(attended), total: formatNumber(total) })
+                : t('attendance.flagged.none', { name: student.name });
+            attendanceFlagged.appendChild(item);
+        });
+        if (flagged.size === 0) {
+            const item = document.createElement('li');
+            item.className = 'text-stone-500';
+            item.textContent = sessions.length === 0 ? t('attendance.flagged.noSessions') : t('attendance.flagged.allAbove');
+            attendanceFlagged.appendChild(item);
+        }
+    }
+
+    // Atualiza tudo que depende das aulas ou dos alunos (chamada, listas, filtros, gráfico e alertas).
+    function renderAttendance() {
+        const turmas = [...new Set(sessions.map(session => session.turma))].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+        updateFilterOptions(attendanceTurmaFilter, turmas);
+        document.getElementById('session-turma-options').replaceChildren(...turmas.map(turma => new Option(turma)));
+
+        const selectedMonth = attendanceMonthFilter.value;
+        const months = [...new Set(sessions.map(session => session.date.slice(0, 7)))].sort().reverse();
+        attendanceMonthFilter.length = 1;
+        months.forEach(month => attendanceMonthFilter.add(new Option(formatMonth(month), month)));
+        attendanceMonthFilter.value = months.includes(selectedMonth) ? selectedMonth : '';
+
+        const selectedStudent = attendanceStudentSelect.value;
+        attendanceStudentSelect.length = 1;
+        students.forEach(student => attendanceStudentSelect.add(new Option(student.name, student.id)));
+        attendanceStudentSelect.value = students.some(student => student.id === selectedStudent) ? selectedStudent : '';
+
+        renderRoster();
+        renderSessionList();
+        renderAttendanceChart();
+        renderTurmaTable();
+        renderStudentHistory();
+        renderFlaggedStudents();
+        // Os eventos mostram quem está abaixo do mínimo antes do batizado.
+        renderEventParticipants();
+        renderEventList();
+    }
+
+    attendanceTurmaFilter.addEventListener('input', renderAttendanceChart);
+    attendanceMonthFilter.addEventListener('input', renderTurmaTable);
+    attendanceStudentSelect.addEventListener('input', renderStudentHistory);
+
+    [attendanceThresholdInput, attendanceMonthsSelect].forEach(control => {
+        control.addEventListener('change', () => {
+            const threshold = Math.min(100, Math.max(0, Number(attendanceThresholdInput.value) || 0));
+            attendanceRule = { threshold, months: Number(attendanceMonthsSelect.value) };
+            attendanceThresholdInput.value = threshold;
+            saveAttendanceRule(attendanceRule);
+            renderFlaggedStudents();
+            renderEventParticipants();
+            renderEventList();
+        });
+    });
+
+    renderAttendance();
+
+    // --- 7.5 Finanças (inventário e mensalidades) ---
+    const financeSummary = document.getElementById('finance-summary');
+    const feeMonthInput = document.getElementById('fee-month');
+    const feeAmountInput = document.getElementById('fee-amount');
+    const feeDueDayInput = document.getElementById('fee-due-day');
+    const feeStatusFilter = document.getElementById('fee-status-filter');
+    const feeTableBody = document.getElementById('fee-table-body');
+    const feeStatusMessage = document.getElementById('fee-status');
+    const inventoryForm = document.getElementById('inventory-form');
+    const inventorySubmitBtn = document.getElementById('inventory-submit-btn');
+    const inventoryCancelBtn = document.getElementById('inventory-cancel-btn');
+    const inventoryTableBody = document.getElementById('inventory-table-body');
+    const inventoryStatus = document.getElementById('inventory-status');
+
+    const INVENTORY_FORM_FIELDS = ['name', 'category', 'date', 'quantity', 'unitCost'];
+    const FINANCE_MONTHS = 12;
+
+    let inventoryItems = [];
+    let fees = [];
+    let inventoryStore = null;
+    let feeStore = null;
+    let unsubscribeFinance = [];
+    let editingItemId = null;
+
+    // Valor e vencimento das mensalidades ficam salvos no navegador.
+    const feeSettings = loadFeeSettings();
+    feeMonthInput.value = toIsoDate(new Date()).slice(0, 7);
+    feeAmountInput.value = String(feeSettings.amount).replace('.', ',');
+    feeDueDayInput.value = feeSettings.dueDay;
+    document.getElementById('inventory-date').value = toIsoDate(new Date());
+
+    // Refeitas ao trocar de idioma; a opção "Todas as situações" do filtro vem do index.html.
+    function fillFinanceOptions() {
+        const inventoryCategory = document.getElementById('inventory-category');
+        const currentCategory = inventoryCategory.value;
+        inventoryCategory.replaceChildren(...Object.entries(INVENTORY_CATEGORIES).map(([value, label]) => new Option(label, value)));
+        if (currentCategory) inventoryCategory.value = currentCategory;
+        const currentStatus = feeStatusFilter.value;
+        feeStatusFilter.length = 1;
+        Object.entries(FEE_STATUS).forEach(([value, label]) => feeStatusFilter.add(new Option(label, value)));
+        feeStatusFilter.value = currentStatus;
+    }
+    fillFinanceOptions();
+
+    function connectFinanceStores(inventory, mensalidades) {
+        unsubscribeFinance.forEach(unsubscribe => unsubscribe());
+        inventoryStore = inventory;
+        feeStore = mensalidades;
+        unsubscribeFinance = [
+            inventory.subscribe((list) => {
+                inventoryItems = list;
+                renderFinance();
+            }, (error) => {
+                console.error("Erro ao carregar inventário:", error);
+                inventoryStatus.textContent = t('finance.inventory.loadError', { message: error.message });
+            }),
+            mensalidades.subscribe((list) => {
+                fees = list;
+                renderFinance();
+            }, (error) => {
+                console.error("Erro ao carregar mensalidades:", error);
+                feeStatusMessage.textContent = t('finance.fees.loadError', { message: error.message });
+            })
+        ];
+    }
+
+    function renderFinanceSummary() {
+        const currentMonth = toIsoDate(new Date()).slice(0, 7);
+        const [flow] = monthlyCashFlow(fees, inventoryItems, [currentMonth]);
+        const pending = { aberto: 0, atrasado: 0 };
+        fees.forEach(fee => {
+            const status = feeStatus(fee);
+            if (status !== 'pago') pending[status] += fee.amount;
+        });
+        const tiles = [
+            [t('finance.summary.income'), flow.income, 'text-green-700'],
+            [t('finance.summary.expenses'), flow.expenses, 'text-red-600'],
+            [t('finance.summary.open'), pending.aberto, 'text-amber-600'],
+            [t('finance.summary.late'), pending.atrasado, 'text-red-600'],
+            [t('finance.summary.inventory'), inventoryItems.reduce((sum, item) => sum + itemTotal(item), 0), 'text-stone-800']
+        ];
+        financeSummary.replaceChildren(...tiles.map(([label, value, colorClass]) => {
+            const tile = document.createElement('div');
+            tile.className = 'p-4 bg-stone-100 rounded-md';
+            const title = document.createElement('p');
+            title.className = 'text-xs text-stone-500';
+            title.textContent = label;
+            const amount = document.createElement('p');
+            amount.className = `font-bold text-lg ${colorClass}`;
+            amount.textContent = formatMoney(value);
+            tile.append(title, amount);
+            return tile;
+        }));
+    }
+
+    function renderFinanceCharts() {
+        const months = recentMonths(new Date(), FINANCE_MONTHS);
+        const labels = months.map(formatMonth);
+
+        const flow = monthlyCashFlow(fees, inventoryItems, months);
+        financeFlowChart.data.labels = labels;
+        // Os rótulos são refeitos a cada desenho para acompanhar a troca de idioma.
+        financeFlowChart.data.datasets[0].label = t('finance.chart.income');
+        financeFlowChart.data.datasets[1].label = t('finance.chart.expenses');
+        financeFlowChart.data.datasets[0].data = flow.map(entry => entry.income);
+        financeFlowChart.data.datasets[1].data = flow.map(entry => entry.expenses);
+        financeFlowChart.update();
+
+        const byStatus = feeStatusByMonth(fees, months);
+        feeStatusChart.data.labels = labels;
+        Object.keys(FEE_STATUS).forEach((status, index) => {
+            feeStatusChart.data.datasets[index].label = FEE_STATUS[status];
+            feeStatusChart.data.datasets[index].data = byStatus.map(entry => entry[status]);
+        });
+        feeStatusChart.update();
+
+        const value = inventoryValue(inventoryItems);
+        inventoryChart.data.labels = value.map(entry => INVENTORY_CATEGORIES[entry.category]);
+        inventoryChart.data.datasets[0].label = t('finance.chart.value');
+        inventoryChart.data.datasets[0].data = value.map(entry => entry.value);
+        inventoryChart.update();
+        document.getElementById('inventory-chart-empty').classList.toggle('hidden', value.length > 0);
+    }
+
+    function renderFeeTable() {
+        const month = feeMonthInput.value;
+        const monthFees = fees.filter(fee => fee.month === month);
+        const visible = monthFees.filter(fee => !feeStatusFilter.value || feeStatus(fee) === feeStatusFilter.value);
+
+        feeTableBody.innerHTML = '';
+        visible.forEach(fee => {
+            const status = feeStatus(fee);
+            const row = document.createElement('tr');
+            row.className = 'border-b border-stone-100';
+            // O nome vem do cadastro atual do aluno; a cópia na mensalidade serve para alunos já excluídos.
+            const name = students.find(student => student.id === fee.studentId)?.name ?? fee.studentName;
+            const statusText = status === 'pago' ? t('finance.paidOn', { status: FEE_STATUS.pago, date: formatDate(fee.paidAt) }) : FEE_STATUS[status];
+            [name, formatMoney(fee.amount), formatDate(fee.date), statusText].forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.className = 'p-2';
+                cell.textContent = value;
+                if (index === 3) cell.style.color = FEE_STATUS_COLORS[status];
+                row.appendChild(cell);
+            });
+            const actions = document.createElement('td');
+            actions.className = 'p-2 text-right whitespace-nowrap space-x-3';
+            actions.append(
+                status === 'pago'
+                    ? createActionButton(t('finance.action.unpay'), 'unpay', fee.id, 'text-stone-600')
+                    : createActionButton(t('finance.action.pay'), 'pay', fee.id, 'text-green-700'),
+                createActionButton(t('common.delete'), 'delete', fee.id, 'text-red-600')
+            );
+            row.appendChild(actions);
+            feeTableBody.appendChild(row);
+        });
+
+        const total = monthFees.reduce((sum, fee) => sum + fee.amount, 0);
+        const paid = monthFees.filter(fee => fee.paidAt).reduce((sum, fee) => sum + fee.amount, 0);
+        feeStatusMessage.textContent = monthFees.length === 0
+            ? t('finance.fees.empty')
+            : t('finance.fees.summary', { paid: formatMoney(paid), total: formatMoney(total), count: formatNumber(monthFees.length) });
+    }
+
+    function renderInventoryTable() {
+        inventoryTableBody.innerHTML = '';
+        inventoryItems.forEach(item => {
+            const row = document.createElement('tr');
+            row.className = 'border-b border-stone-100';
+            [`${item.name} (${INVENTORY_CATEGORIES[item.category]})`, item.quantity, formatMoney(item.unitCost), formatMoney(itemTotal(item)), formatDate(item.date)].forEach(value => {
+                const cell = document.createElement('td');
+                cell.className = 'p-2';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            const actions = document.createElement('td');
+            actions.className = 'p-2 text-right whitespace-nowrap space-x-3';
+            actions.append(
+                createActionButton(t('common.edit'), 'edit', item.id, 'text-blue-600'),
+                createActionButton(t('common.delete'), 'delete', item.id, 'text-red-600')
+            );
+            row.appendChild(actions);
+            inventoryTableBody.appendChild(row);
+        });
+        inventoryStatus.textContent = inventoryItems.length === 0
+            ? t('finance.inventory.empty')
+            : t('finance.inventory.count', { count: formatNumber(inventoryItems.length) });
+    }
+
+    function renderFinance() {
+        renderFinanceSummary();
+        renderFinanceCharts();
+        renderFeeTable();
+        renderInventoryTable();
+    }
+
+    function readFeeSettings() {
+        const amount = parseMoney(feeAmountInput.value);
+        const dueDay = Number(feeDueDayInput.value);
+        if (!/^\d{4}-\d{2}$/.test(feeMonthInput.value)) return { error: t('finance.fees.monthRequired') };
+        if (amount === null || amount <= 0) return { error: t('finance.fees.amountRequired') };
+        if (!Number.isInteger(dueDay) || dueDay < 1 || dueDay > 31) return { error: t('finance.fees.dueDayInvalid') };
+        return { month: feeMonthInput.value, amount, dueDay };
+    }
+
+    document.getElementById('fee-generate-btn').addEventListener('click', async () => {
+        if (!feeStore) {
+            feeStatusMessage.textContent = t('common.awaitingAuth');
+            return;
+        }
+        const settings = readFeeSettings();
+        if (settings.error) {
+            feeStatusMessage.textContent = settings.error;
+            return;
+        }
+        saveFeeSettings(settings);
+
+        const newFees = feesToGenerate(students, fees, settings);
+        if (newFees.length === 0) {
+            feeStatusMessage.textContent = students.length === 0
+                ? t('finance.fees.noStudents')
+                : t('finance.fees.allGenerated', { month: formatMonth(settings.month) });
+            return;
+        }
+        try {
+            await Promise.all(newFees.map(fee => feeStore.add(validateFee(fee).values)));
+            feeStatusMessage.textContent = t('finance.fees.generated', { count: formatNumber(newFees.length), month: formatMonth(settings.month) });
+        } catch (error) {
+            console.error("Erro ao gerar mensalidades:", error);
+            feeStatusMessage.textContent = t('finance.fees.generateError', { message: error.message });
+        }
+    });
+
+    async function updateFee(id, changes) {
+        try {
+            await feeStore.update(id, changes);
+        } catch (error) {
+            console.error("Erro ao atualizar mensalidade:", error);
+            feeStatusMessage.textContent = t('common.saveError', { message: error.message });
+        }
+    }
+
+    feeTableBody.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        const fee = fees.find(item => item.id === id);
+        if (!fee) return;
+        if (action === 'pay') {
+            updateFee(id, { paidAt: toIsoDate(new Date()) });
+        } else if (action === 'unpay') {
+            updateFee(id, { paidAt: '' });
+        } else if (action === 'delete') {
+            if (!confirm(t('finance.fees.confirmDelete', { name: fee.studentName, month: formatMonth(fee.month) }))) return;
+            try {
+                await feeStore.remove(id);
+            } catch (error) {
+                console.error("Erro ao excluir mensalidade:", error);
+                feeStatusMessage.textContent = t('common.deleteError', { message: error.message });
+            }
+        }
+    });
+
+    [feeMonthInput, feeStatusFilter].forEach(control => control.addEventListener('input', renderFeeTable));
+
+    function showInventoryErrors(errors) {
+        INVENTORY_FORM_FIELDS.forEach(field => {
+            const input = document.getElementById(`inventory-${field}`);
+            const errorElement = document.getElementById(`inventory-${field}-error`);
+            const message = errors[field] || '';
+            errorElement.textContent = message;
+            errorElement.classList.toggle('hidden', !message);
+            input.classList.toggle('border-red-500', Boolean(message));
+            input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        });
+    }
+
+    function updateInventorySubmitLabel() {
+        inventorySubmitBtn.textContent = t(editingItemId ? 'finance.inventory.saveItem' : 'finance.inventory.add');
+    }
+
+    function resetInventoryForm() {
+        inventoryForm.reset();
+        editingItemId = null;
+        document.getElementById('inventory-date').value = toIsoDate(new Date());
+        updateInventorySubmitLabel();
+        inventoryCancelBtn.classList.add('hidden');
+        showInventoryErrors({});
+    }
+
+    function editInventoryItem(id) {
+        const item = inventoryItems.find(entry => entry.id === id);
+        if (!item) return;
+        editingItemId = id;
+        INVENTORY_FORM_FIELDS.forEach(field => {
+            document.getElementById(`inventory-${field}`).value = field === 'unitCost' ? String(item.unitCost).replace('.', ',') : item[field];
+        });
+        updateInventorySubmitLabel();
+        inventoryCancelBtn.classList.remove('hidden');
+        showInventoryErrors({});
+        document.getElementById('inventory-name').focus();
+    }
+
+    inventoryForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!inventoryStore) {
+            inventoryStatus.textContent = t('common.awaitingAuth');
+            return;
+        }
+        const input = Object.fromEntries(INVENTORY_FORM_FIELDS.map(field => [field, document.getElementById(`inventory-${field}`).value]));
+        const { values, errors } = validateInventoryItem(input);
+        showInventoryErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            document.getElementById(`inventory-${Object.keys(errors)[0]}`).focus();
+            return;
+        }
+        try {
+            if (editingItemId) {
+                await inventoryStore.update(editingItemId, values);
+            } else {
+                await inventoryStore.add(values);
+            }
+            resetInventoryForm();
+        } catch (error) {
+            console.error("Erro ao salvar item do inventário:", error);
+            inventoryStatus.textContent = t('common.saveError', { message: error.message });
+        }
+    });
+
+    inventoryCancelBtn.addEventListener('click', resetInventoryForm);
+
+    inventoryTableBody.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        const item = inventoryItems.find(entry => entry.id === id);
+        if (!item) return;
+        if (action === 'edit') {
+            editInventoryItem(id);
+        } else if (action === 'delete') {
+            if (!confirm(t('finance.inventory.confirmDelete', { name: item.name }))) return;
+            try {
+                await inventoryStore.remove(id);
+                if (editingItemId === id) {
+                    resetInventoryForm();
+                }
+            } catch (error) {
+                console.error("Erro ao excluir item do inventário:", error);
+                inventoryStatus.textContent = t('common.deleteError', { message: error.message });
+            }
+        }
+    });
+
+    renderFinance();
+
+    // --- 7.6 Contas, Academias e Convites ---
+    // Cada academia tem os seus alunos, eventos, aulas e finanças (ver js/academies.js). O mestre e o professor cuidam
+    // dos dados; o aluno vê e atualiza só o próprio cadastro. Sem o Firebase (`?db=memory` ou offline) não há contas.
+    const accountPanel = document.getElementById('account-panel');
+    const accountForm = document.getElementById('account-form');
+    const accountEmail = document.getElementById('account-email');
+    const accountPassword = document.getElementById('account-password');
+    const accountSignupBtn = document.getElementById('account-signup-btn');
+    const accountSignedIn = document.getElementById('account-signed-in');
+    const accountEmailLabel = document.getElementById('account-email-label');
+    const accountSignoutBtn = document.getElementById('account-signout-btn');
+    const accountMessage = document.getElementById('account-message');
+    const academySetup = document.getElementById('academy-setup');
+    const academyCreateForm = document.getElementById('academy-create-form');
+    const academyNameInput = document.getElementById('academy-name');
+    const academyJoinForm = document.getElementById('academy-join-form');
+    const academyInviteCode = document.getElementById('academy-invite-code');
+    const academyPanel = document.getElementById('academy-panel');
+    const academySummary = document.getElementById('academy-summary');
+    const inviteRoleSelect = document.getElementById('invite-role');
+    const inviteStudentSelect = document.getElementById('invite-student');
+    const inviteCreateBtn = document.getElementById('invite-create-btn');
+    const inviteList = document.getElementById('invite-list');
+    const memberList = document.getElementById('member-list');
+
+    // Código do erro do Firebase Auth -> chave da mensagem no catálogo.
+    const AUTH_ERROR_MESSAGES = {
+        'auth/invalid-credential': 'account.error.credentials',
+        'auth/invalid-email': 'account.error.email',
+        'auth/wrong-password': 'account.error.credentials',
+        'auth/user-not-found': 'account.error.credentials',
+        'auth/email-already-in-use': 'account.error.emailInUse',
+        'auth/credential-already-in-use': 'account.error.emailInUse',
+        'auth/weak-password': 'account.error.password',
+        'auth/too-many-requests': 'account.error.tooManyRequests'
+    };
+
+    let academies = null;
+    let membership = null;
+    let members = [];
+    let invites = [];
+    let unsubscribeAcademy = [];
+
+    function authErrorMessage(error) {
+        return AUTH_ERROR_MESSAGES[error.code] ? t(AUTH_ERROR_MESSAGES[error.code]) : t('account.error.generic', { message: error.message });
+    }
+
+    function toDate(value) {
+        return value?.toDate ? value.toDate() : new Date(value);
+    }
+
+    function showAccount(user) {
+        const hasAccount = !user.isAnonymous;
+        accountForm.classList.toggle('hidden', hasAccount);
+        accountSignedIn.classList.toggle('hidden', !hasAccount);
+        accountEmailLabel.textContent = user.email || t('account.connected');
+    }
+
+    // Para de acompanhar os dados da academia anterior (ao sair, trocar de conta ou de academia).
+    function closeAcademy() {
+        unsubscribeAcademy.forEach(unsubscribe => unsubscribe());
+        unsubscribeAcademy = [];
+        unsubscribeStudents?.();
+        unsubscribeEvents?.();
+        unsubscribeSessions?.();
+        unsubscribeFinance.forEach(unsubscribe => unsubscribe());
+        unsubscribeStudents = unsubscribeEvents = unsubscribeSessions = null;
+        unsubscribeFinance = [];
+        studentStore = eventStore = sessionStore = inventoryStore = feeStore = null;
+        students = [];
+        events = [];
+        sessions = [];
+        inventoryItems = [];
+        fees = [];
+        members = [];
+        invites = [];
+        membership = null;
+        editingStudentId = null;
+        editingDraft = {};
+        renderStudentTable();
+        renderEventList();
+        renderAttendance();
+        renderFinance();
+        applyPermissions(null);
+        academyPanel.classList.add('hidden');
+        academySetup.classList.remove('hidden');
+        studentListStatus.textContent = t('students.noAcademy');
+    }
+
+    // O nome da academia, o papel e os papéis que podem ser convidados (refeitos também na troca de idioma).
+    function renderAcademySummary() {
+        const { role } = membership.member;
+        academySummary.textContent = `${membership.academy.name} · ${ROLES[role]}`;
+        const selected = inviteRoleSelect.value;
+        inviteRoleSelect.replaceChildren(...invitableRoles(role).map(key => new Option(ROLES[key], key)));
+        if (selected) inviteRoleSelect.value = selected;
+    }
+
+    function connectAcademy(current) {
+        const { role, studentId } = current.member;
+        const datedStore = name => createFirestoreDatedStore({
+            firebase: window.firebase,
+            db,
+            collectionPath: academyCollectionPath(appId, current.academyId, name)
+        });
+
+        membership = current;
+        applyPermissions(role);
+        connectStudentStore(createFirestoreStudentStore({
+            firebase: window.firebase,
+            db,
+            collectionPath: academyCollectionPath(appId, current.academyId, 'alunos'),
+            studentId: role === 'aluno' ? studentId : undefined
+        }));
+        if (can(role, 'manageClasses')) {
+            connectEventStore(datedStore('eventos'));
+            connectSessionStore(datedStore('aulas'));
+        }
+        if (can(role, 'manageFinance')) {
+            connectFinanceStores(datedStore('inventario'), datedStore('mensalidades'));
+        }
+
+        renderAcademySummary();
+        academySetup.classList.add('hidden');
+        academyPanel.classList.remove('hidden');
+
+        // O papel é lido no login; se o mestre o mudar (ou remover o membro), a academia é reaberta com o novo papel.
+        unsubscribeAcademy.push(academies.subscribeMember(current.academyId, current.member.uid, (member) => {
+            if (member?.role === role && member.studentId === studentId) return;
+            closeAcademy();
+            if (member) {
+                connectAcademy({ ...current, member });
+                accountMessage.textContent = t('account.roleChanged', { role: ROLES[member.role].toLowerCase() });
+            } else {
+                accountMessage.textContent = t('account.removedFromAcademy', { name: current.academy.name });
+            }
+        }, (error) => {
+            console.error("Erro ao acompanhar o papel na academia:", error);
+        }));
+
+        if (can(role, 'invite')) {
+            inviteRoleSelect.value = 'aluno';
+            inviteStudentSelect.classList.remove('hidden');
+            unsubscribeAcademy.push(
+                academies.subscribeInvites(current.academyId, (list) => {
+                    invites = list;
+                    renderInvites();
+                }, (error) => {
+                    console.error("Erro ao carregar convites:", error);
+                    accountMessage.textContent = t('account.invitesLoadError', { message: error.message });
+                }),
+                academies.subscribeMembers(current.academyId, (list) => {
+                    members = list;
+                    renderMembers();
+                    fillInviteStudents();
+                }, (error) => {
+                    console.error("Erro ao carregar membros:", error);
+                    accountMessage.textContent = t('account.membersLoadError', { message: error.message });
+                })
+            );
+        }
+    }
+
+    async function openAcademy(user) {
+        showAccount(user);
+        closeAcademy();
+        try {
+            const current = await academies.loadMembership(user.uid);
+            if (current) {
+                connectAcademy(current);
+            }
+        } catch (error) {
+            console.error("Erro ao carregar a academia:", error);
+            accountMessage.textContent = t('account.academyLoadError', { message: error.message });
+        }
+    }
+
+    // Cadastros que ainda podem receber um convite de aluno (os já ligados a um membro aparecem desativados).
+    function fillInviteStudents() {
+        const selected = inviteStudentSelect.value;
+        const linked = new Set(members.map(member => member.studentId).filter(Boolean));
+        inviteStudentSelect.length = 1;
+        students.forEach(student => {
+            const option = new Option(linked.has(student.id) ? t('account.hasAccess', { name: student.name }) : student.name, student.id);
+            option.disabled = linked.has(student.id);
+            inviteStudentSelect.add(option);
+        });
+        inviteStudentSelect.value = selected;
+        if (inviteStudentSelect.selectedIndex < 0 || inviteStudentSelect.selectedOptions[0]?.disabled) {
+            inviteStudentSelect.value = '';
+        }
+    }
+
+    function renderInvites() {
+        inviteList.innerHTML = '';
+        if (invites.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'py-2 text-stone-500';
+            item.textContent = t('account.noInvites');
+            inviteList.appendChild(item);
+            return;
+        }
+        const now = new Date();
+        invites.forEach(invite => {
+            const item = document.createElement('li');
+            item.className = 'py-2 flex flex-wrap items-center justify-between gap-2';
+            const code = document.createElement('code');
+            code.className = 'font-bold tracking-wider';
+            code.textContent = invite.code;
+            const details = document.createElement('span');
+            details.className = 'flex-grow text-stone-600';
+            const student = students.find(entry => entry.id === invite.studentId);
+            const expiresAt = toDate(invite.expiresAt);
+            details.textContent = [
+                student ? `${ROLES[invite.role]}: ${student.name}` : ROLES[invite.role],
+                expiresAt <= now ? t('account.inviteExpired') : t('account.inviteValidUntil', { date: formatDate(expiresAt) })
+            ].join(' · ');
+            const actions = document.createElement('span');
+            actions.className = 'space-x-2';
+            actions.append(createActionButton(t('account.action.copy'), 'copy', invite.code, 'text-blue-600'));
+            if (canRevokeInvite(membership.member, invite)) {
+                actions.append(createActionButton(t('account.action.revoke'), 'revoke', invite.code, 'text-red-600'));
+            }
+            item.append(code, details, actions);
+            inviteList.appendChild(item);
+        });
+    }
+
+    function renderMembers() {
+        memberList.innerHTML = '';
+        members.forEach(member => {
+            const item = document.createElement('li');
+            item.className = 'py-2 flex flex-wrap items-center justify-between gap-2';
+            const student = students.find(entry => entry.id === member.studentId);
+            const name = document.createElement('span');
+            name.className = 'flex-grow';
+            name.textContent = [member.email || member.uid, student?.name].filter(Boolean).join(' · ');
+            item.appendChild(name);
+            // O mestre não muda o próprio papel nem se remove: a academia não pode ficar sem mestre.
+            if (member.uid === membership.member.uid) {
+                const role = document.createElement('span');
+                role.className = 'text-stone-500';
+                role.textContent = t('account.you', { role: ROLES[member.role] });
+                item.appendChild(role);
+            } else {
+                const role = document.createElement('select');
+                role.dataset.uid = member.uid;
+                role.setAttribute('aria-label', t('account.roleOf', { name: member.email || member.uid }));
+                role.className = 'p-1 border border-stone-300 rounded-md bg-white';
+                assignableRoles(member).forEach(key => role.add(new Option(ROLES[key], key)));
+                role.value = member.role;
+                item.append(role, createActionButton(t('account.action.remove'), 'remove', member.uid, 'text-red-600'));
+            }
+            memberList.appendChild(item);
+        });
+    }
+
+    /**
+     * Lê e confere o e-mail e a senha do formulário de conta.
+     * @returns {{email: string, password: string}|null} null se algum campo for inválido (a mensagem já é exibida).
+     */
+    function readAccountForm() {
+        const email = accountEmail.value.trim();
+        const password = accountPassword.value;
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            accountMessage.textContent = t('account.error.email');
+            accountEmail.focus();
+            return null;
+        }
+        if (password.length < 6) {
+            accountMessage.textContent = t('account.error.password');
+            accountPassword.focus();
+            return null;
+        }
+        return { email, password };
+    }
+
+    accountForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const credentials = readAccountForm();
+        if (!credentials) return;
+        try {
+            await window.firebase.signInWithEmailAndPassword(auth, credentials.email, credentials.password);
+            accountForm.reset();
+            accountMessage.textContent = '';
+        } catch (error) {
+            console.error("Erro ao entrar:", error);
+            accountMessage.textContent = authErrorMessage(error);
+        }
+    });
+
+    accountSignupBtn.addEventListener('click', async () => {
+        const credentials = readAccountForm();
+        if (!credentials) return;
+        try {
+            // A sessão anônima vira a conta nova, mantendo a academia em que já entrou.
+            if (auth.currentUser?.isAnonymous) {
+                const credential = window.firebase.EmailAuthProvider.credential(credentials.email, credentials.password);
+                const { user } = await window.firebase.linkWithCredential(auth.currentUser, credential);
+                showAccount(user);
+            } else {
+                await window.firebase.createUserWithEmailAndPassword(auth, credentials.email, credentials.password);
+            }
+            accountForm.reset();
+            accountMessage.textContent = t('account.created');
+        } catch (error) {
+            console.error("Erro ao criar conta:", error);
+            accountMessage.textContent = authErrorMessage(error);
+        }
+    });
+
+    accountSignoutBtn.addEventListener('click', async () => {
+        try {
+            await window.firebase.signOut(auth);
+            accountMessage.textContent = '';
+        } catch (error) {
+            console.error("Erro ao sair:", error);
+            accountMessage.textContent = t('account.signOutError', { message: error.message });
+        }
+    });
+
+    academyCreateForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = academyNameInput.value.trim().replace(/\s+/g, ' ');
+        if (name.length < 2) {
+            accountMessage.textContent = t('account.academyNameRequired');
+            academyNameInput.focus();
+            return;
+        }
+        try {
+            await academies.createAcademy(auth.currentUser, name);
+            academyCreateForm.reset();
+            await openAcademy(auth.currentUser);
+            accountMessage.textContent = t('account.academyCreated', { name });
+        } catch (error) {
+            console.error("Erro ao criar academia:", error);
+            accountMessage.textContent = t('account.academyCreateError', { message: error.message });
+        }
+    });
+
+    academyJoinForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const code = normalizeInviteCode(academyInviteCode.value);
+        if (!code) {
+            accountMessage.textContent = t('account.invalidCode');
+            academyInviteCode.focus();
+            return;
+        }
+        try {
+            await academies.joinAcademy(auth.currentUser, code);
+            academyJoinForm.reset();
+            await openAcademy(auth.currentUser);
+            if (membership) {
+                accountMessage.textContent = t('account.joined', { name: membership.academy.name, role: ROLES[membership.member.role].toLowerCase() });
+            }
+        } catch (error) {
+            console.error("Erro ao entrar na academia:", error);
+            accountMessage.textContent = t('account.joinError', { message: error.message });
+        }
+    });
+
+    inviteRoleSelect.addEventListener('change', () => {
+        inviteStudentSelect.classList.toggle('hidden', inviteRoleSelect.value !== 'aluno');
+    });
+
+    inviteCreateBtn.addEventListener('click', async () => {
+        const role = inviteRoleSelect.value;
+        if (role === 'aluno' && !inviteStudentSelect.value) {
+            accountMessage.textContent = t('account.inviteStudentRequired');
+            inviteStudentSelect.focus();
+            return;
+        }
+        try {
+            const code = await academies.createInvite(membership, { role, studentId: inviteStudentSelect.value });
+            accountMessage.textContent = t('account.inviteCreated', { code });
+        } catch (error) {
+            console.error("Erro ao criar convite:", error);
+            accountMessage.textContent = t('account.inviteCreateError', { message: error.message });
+        }
+    });
+
+    inviteList.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        if (action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(id);
+                button.textContent = t('account.copied');
+            } catch (error) {
+                button.textContent = id;
+            }
+            setTimeout(() => { button.textContent = t('account.action.copy'); }, 2000);
+        } else if (action === 'revoke') {
+            if (!confirm(t('account.confirmRevoke', { code: id }))) return;
+            try {
+                await academies.revokeInvite(id);
+            } catch (error) {
+                console.error("Erro ao revogar convite:", error);
+                accountMessage.textContent = t('account.revokeError', { message: error.message });
+            }
+        }
+    });
+
+    memberList.addEventListener('change', async (e) => {
+        const select = e.target.closest('select[data-uid]');
+        if (!select) return;
+        try {
+            await academies.updateMemberRole(membership.academyId, select.dataset.uid, select.value);
+        } catch (error) {
+            console.error("Erro ao mudar papel:", error);
+            accountMessage.textContent = t('account.roleError', { message: error.message });
+            renderMembers();
+        }
+    });
+
+    memberList.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action="remove"]');
+        if (!button) return;
+        const member = members.find(entry => entry.uid === button.dataset.id);
+        if (!member || !confirm(t('account.confirmRemove', { name: member.email || member.uid }))) return;
+        try {
+            await academies.removeMember(membership.academyId, member.uid);
+        } catch (error) {
+            console.error("Erro ao remover membro:", error);
+            accountMessage.textContent = t('account.removeError', { message: error.message });
+        }
+    });
+
+    initFirebase();
+
+    // --- 8. Diretório de Grupos de Capoeira (busca, filtros, mapa e página do grupo) ---
+    const groupSearch = document.getElementById('group-search');
+    const groupFilterCountry = document.getElementById('group-filter-country');
+    const groupFilterEstilo = document.getElementById('group-filter-estilo');
+    const groupsStatus = document.getElementById('groups-status');
+    const groupsDirectory = document.getElementById('groups-directory');
+    const groupPage = document.getElementById('group-page');
+    const groupsMap = document.getElementById('groups-map');
+    const groupsMapLegend = document.getElementById('groups-map-legend');
+    const mapViewButtons = document.querySelectorAll('.map-view-btn');
+
+    let groupsMapView = 'mundo';
+
+    function groupMarkers(list) {
+        return list.flatMap(group => groupLocations(group).map(location => ({
+            id: group.id,
+            lng: location.lng,
+            lat: location.lat,
+            color: group.color,
+            primary: location.headquarters,
+            label: `${group.name}: ${location.headquarters ? t('groups.headquartersMark', { location: formatLocation(location) }) : formatLocation(location)}`
+        })));
+    }
+
+    function groupInfoItem(label, value) {
+        const item = document.createElement('li');
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}: `;
+        item.append(strong, value);
+        return item;
+    }
+
+    function groupLink(href, text, external = false) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = text;
+        link.className = 'text-blue-600 hover:underline';
+        if (external) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        return link;
+    }
+
+    function renderGroups() {
+        const visible = filterGroups(groups, {
+            query: groupSearch.value,
+            country: groupFilterCountry.value,
+            estilo: groupFilterEstilo.value
+        });
+
+        groupsContainer.innerHTML = '';
+        visible.forEach(group => {
+            const card = document.createElement('a');
+            card.href = `#grupos/${group.id}`;
+            card.dataset.groupId = group.id;
+            card.className = 'block bg-white rounded-lg shadow-lg p-6 hover:ring-2 hover:ring-blue-500 transition';
+
+            const header = document.createElement('div');
+            header.className = 'flex items-center space-x-4 mb-4';
+            const logo = document.createElement('img');
+            logo.src = group.logo;
+            logo.alt = t('groups.logoAlt', { name: group.name });
+            logo.className = 'w-16 h-16 rounded-full';
+            const name = document.createElement('h3');
+            name.className = 'font-bold text-xl';
+            name.textContent = group.name;
+            header.append(logo, name);
+
+            const info = document.createElement('ul');
+            info.className = 'space-y-2 text-sm text-stone-600';
+            info.append(
+                groupInfoItem(t('groups.info.masters'), group.masters.map(master => master.name).join(', ')),
+                groupInfoItem(t('groups.info.headquarters'), formatLocation(group.headquarters)),
+                groupInfoItem(t('groups.info.branches'), group.branches.map(branch => branch.city).join(', ') || '—'),
+                groupInfoItem(t('groups.info.estilos'), group.estilos.join(', '))
+            );
+
+            card.append(header, info);
+            groupsContainer.appendChild(card);
+        });
+
+        groupsStatus.textContent = visible.length === 0 ? t('groups.noMatch') : '';
+
+        renderWorldMap(groupsMap, groupMarkers(visible), {
+            view: groupsMapView,
+            onSelect: (marker) => openGroup(marker.id)
+        });
+        groupsMapLegend.innerHTML = '';
+        visible.forEach(group => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center space-x-1';
+            const dot = document.createElement('span');
+            dot.className = 'inline-block w-3 h-3 rounded-full';
+            dot.style.backgroundColor = group.color;
+            item.append(dot, group.name);
+            groupsMapLegend.appendChild(item);
+        });
+    }
+
+    function showGroupPage(id) {
+        const group = findGroup(groups, id);
+        if (!group) return null;
+
+        const wasHidden = groupPage.classList.contains('hidden');
+        groupsDirectory.classList.add('hidden');
+        groupPage.classList.remove('hidden');
+
+        document.getElementById('group-page-logo').src = group.logo;
+        document.getElementById('group-page-logo').alt = t('groups.logoAlt', { name: group.name });
+        document.getElementById('group-page-name').textContent = group.name;
+        document.getElementById('group-page-meta').textContent = `${t('groups.founded', { year: group.founded })} · ${group.estilos.join(', ')}`;
+
+        const masters = document.getElementById('group-page-masters');
+        masters.innerHTML = '';
+        group.masters.forEach(master => {
+            const item = document.createElement('li');
+            item.textContent = master.role ? `${master.name} (${master.role})` : master.name;
+            masters.appendChild(item);
+        });
+
+        const contact = document.getElementById('group-page-contact');
+        contact.innerHTML = '';
+        contact.append(
+            groupInfoItem(t('groups.info.address'), `${group.headquarters.address} - ${formatLocation(group.headquarters)}`),
+            groupInfoItem(t('groups.info.phone'), groupLink(`tel:${group.contact.phone}`, formatPhone(group.contact.phone))),
+            groupInfoItem(t('groups.info.website'), groupLink(group.contact.website, group.contact.website, true)),
+            groupInfoItem(t('groups.info.email'), groupLink(`mailto:${group.contact.email}`, group.contact.email))
+        );
+
+        const locations = document.getElementById('group-page-locations');
+        locations.innerHTML = '';
+        groupLocations(group).forEach(location => {
+            const item = document.createElement('li');
+            item.textContent = location.headquarters ? t('groups.headquartersMark', { location: formatLocation(location) }) : formatLocation(location);
+            locations.appendChild(item);
+        });
+
+        const cords = document.getElementById('group-page-cords');
+        cords.innerHTML = '';
+        group.cordSystem.forEach(cord => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center space-x-3';
+            const swatch = document.createElement('span');
+            swatch.className = 'cord-swatch';
+            swatch.style.background = cordBackground(cord);
+            item.append(swatch, cord.title ? `${cord.name} (${cord.title})` : cord.name);
+            cords.appendChild(item);
+        });
+
+        const onlyBrazil = groupLocations(group).every(location => location.country === 'Brasil');
+        renderWorldMap(document.getElementById('group-page-map'), groupMarkers([group]), { view: onlyBrazil ? 'brasil' : 'mundo' });
+
+        if (wasHidden) {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+        return group;
+    }
+
+    function showGroupDirectory() {
+        groupPage.classList.add('hidden');
+        groupsDirectory.classList.remove('hidden');
+    }
+
+    function openGroup(id) {
+        router.navigate({ section: 'grupos', param: id });
+    }
+
+    groupsContainer.addEventListener('click', (e) => {
+        const card = e.target.closest('a[data-group-id]');
+        if (!card) return;
+        e.preventDefault();
+        openGroup(card.dataset.groupId);
+    });
+
+    [groupSearch, groupFilterCountry, groupFilterEstilo].forEach(control => {
+        control.addEventListener('input', renderGroups);
+    });
+
+    mapViewButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            groupsMapView = button.dataset.mapView;
+            mapViewButtons.forEach(btn => btn.classList.toggle('active', btn === button));
+            renderGroups();
+        });
+    });
+
+    loadGroups()
+        .then(data => {
+            groups = data;
+            groupCountries(groups).forEach(country => groupFilterCountry.add(new Option(country, country)));
+            renderGroups();
+            fillCordSystemOptions();
+            // Um link direto para um grupo (#grupos/<id>) só pode ser aberto depois do carregamento.
+            applyRoute(router.current);
+        })
+        .catch(error => {
+            console.error("Erro ao carregar o diretório de grupos:", error);
+            groupsStatus.textContent = t('groups.loadError');
+        });
+
+    // --- 8.1 Sistema de Graduação (faixa de cordas por grupo) ---
+    const cordSystemGroupSelect = document.getElementById('cord-system-group');
+    const cordStrip = document.getElementById('cord-strip');
+    const studentGroupOptions = document.getElementById('student-group-options');
+
+    function renderSelectedCordSystem() {
+        const group = findGroup(groups, cordSystemGroupSelect.value);
+        renderCordStrip(cordStrip, group ? group.cordSystem : DEFAULT_CORD_SYSTEM);
+    }
+
+    // Chamado quando o diretório carrega: grupos no seletor da faixa e sugestões no campo "Grupo" do cadastro.
+    function fillCordSystemOptions() {
+        groups.forEach(group => {
+            cordSystemGroupSelect.add(new Option(group.name, group.id));
+            studentGroupOptions.appendChild(new Option(group.name));
+        });
+        // Um aluno digitado antes do carregamento passa a ver as graduações do seu grupo.
+        fillCordelOptions();
+        renderEventParticipants();
+        if (editingStudentId) {
+            renderStudentTable();
+        }
+    }
+
+    cordSystemGroupSelect.addEventListener('change', renderSelectedCordSystem);
+    renderSelectedCordSystem();
+
+    // Redesenha, na troca de idioma, o que o script montou com `t()` (os textos do index.html já foram trocados
+    // por `translatePage`). Listas que ainda estão carregando mantêm a mensagem de carregamento.
+    function renderTranslatedSections() {
+        if (movements.length > 0) renderMovements();
+        toquePlayBtn.textContent = t(toquePlayer.playing ? 'toques.stop' : 'toques.play');
+        const suggestedToque = toques.find(toque => toque.id === rhythmListenBtn.dataset.toqueId);
+        if (suggestedToque) rhythmListenBtn.textContent = t('toques.listen', { name: suggestedToque.name });
+        if (traditionalCantigas.length > 0 || savedCantigas.length > 0) renderCantigas();
+        fillSongStructures();
+        fillSongToqueOptions();
+        renderTrainingLibrary();
+        // O título do plano aberto ocupa o lugar do "Seu Plano de Treino:" traduzido pelo translatePage.
+        if (currentPlan) {
+            trainingPlanTitle.textContent = currentPlan.title;
+            renderTrainingChecklist();
+        }
+        trainingTimerBtn.textContent = t(trainingTimer.running ? 'training.timer.pause' : 'training.timer.start');
+        fillChatPersonas();
+        renderChatSessions();
+        if (importTable) {
+            renderImportMapping(readImportMapping());
+            renderImportPreview();
+        }
+        fillEventTypes();
+        updateEventFormTitle();
+        updateSessionFormTitle();
+        renderAttendance();
+        updateInventorySubmitLabel();
+        fillFinanceOptions();
+        renderFinance();
+        if (membership) {
+            renderAcademySummary();
+            renderInvites();
+            renderMembers();
+            fillInviteStudents();
+        }
+        if (groups.length > 0) renderGroups();
+        renderSelectedCordSystem();
+    }
+
+    // --- 9. Rota inicial ---
+    // Aplicada por último, quando todas as seções que ela pode abrir já estão configuradas.
+    router.start();
 });
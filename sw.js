@@ -0,0 +1,133 @@
+// Service worker: deixa o guia disponível offline
+// - Arquivos do próprio site: rede primeiro (para pegar atualizações), com o cache como reserva sem conexão.
+// - Bibliotecas e imagens das CDNs: responde do cache e atualiza em segundo plano.
+// - Firestore, IA e qualquer outra requisição passam direto pela rede.
+// Ao mudar a lista de arquivos, aumente CACHE_VERSION para descartar o cache antigo.
+
+const CACHE_VERSION = 'v13';
+const CACHE_NAME = `guia-capoeira-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'js/academies.js',
+    'js/ai-providers.js',
+    'js/ai-request.js',
+    'js/attendance.js',
+    'js/berimbau.js',
+    'js/cantigas.js',
+    'js/collection-store.js',
+    'js/cord-systems.js',
+    'js/dated-store.js',
+    'js/events.js',
+    'js/finance.js',
+    'js/groups.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/es.js',
+    'js/locales/fr.js',
+    'js/locales/pt-BR.js',
+    'js/markdown.js',
+    'js/mestre-chat.js',
+    'js/movements.js',
+    'js/offline-queue.js',
+    'js/prompt-guard.js',
+    'js/router.js',
+    'js/student-io.js',
+    'js/student-store.js',
+    'js/student-validation.js',
+    'js/training-plans.js',
+    'js/world-map.js',
+    'data/cantigas.json',
+    'data/grupos.json',
+    'data/movimentos.json',
+    'data/toques.json'
+];
+
+// Dependências externas da página. Falhas aqui não impedem a instalação.
+const CDN_ASSETS = [
+    'https://cdn.tailwindcss.com',
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap',
+    'https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js',
+    'https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js',
+    'https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js'
+];
+
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com', 'www.gstatic.com', 'placehold.co'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await Promise.all(CDN_ASSETS.map(async (url) => {
+            try {
+                const mode = url.includes('tailwindcss') ? 'no-cors' : 'cors';
+                await cache.put(url, await fetch(url, { mode }));
+            } catch (error) {
+                console.error(`Não foi possível guardar ${url} no cache:`, error);
+            }
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('guia-capoeira-') && name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Sem conexão: a página sempre cai no index.html, com qualquer parâmetro de busca (ex: ?db=memory).
+        const fallback = request.mode === 'navigate' ? 'index.html' : request;
+        const cached = await cache.match(fallback, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+        });
+    if (cached) {
+        return cached;
+    }
+    return update;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
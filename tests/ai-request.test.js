@@ -0,0 +1,92 @@
+// Testes de js/ai-request.js com o provedor local (js/ai-providers.js): recusa, conferência durante o streaming e interrupção.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MOCK_RESPONSES, createMockProvider } from '../js/ai-providers.js';
+import { buildToolPrompt } from '../js/prompt-guard.js';
+import { requestAiAnswer } from '../js/ai-request.js';
+import { t } from '../js/i18n.js';
+
+const payloadFor = prompt => ({ contents: [{ role: 'user', parts: [{ text: prompt }] }] });
+
+/**
+ * Pede uma resposta ao provedor local, guardando os trechos repassados.
+ * @returns {Promise<{answer: string, chunks: Array<string>}>}
+ */
+async function ask(prompt, options = {}, provider = createMockProvider({ delay: 0 })) {
+    const chunks = [];
+    const answer = await requestAiAnswer(provider, payloadFor(prompt), { ...options, onChunk: text => chunks.push(text) });
+    return { answer, chunks };
+}
+
+test('repassa a resposta de uma ferramenta enquanto ela chega', async () => {
+    const prompt = buildToolPrompt({ task: 'Qual toque de berimbau combina com o texto do usuário?', input: 'jogo lento' });
+    const { answer, chunks } = await ask(prompt, { tool: 'toque' });
+    assert.equal(answer, MOCK_RESPONSES.find(response => response.tool === 'toque').text);
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks.at(-1), answer);
+});
+
+test('a recusa da IA vira a mensagem de recusa e nunca é exibida', async () => {
+    const prompt = buildToolPrompt({ task: 'Qual toque de berimbau combina com o texto do usuário?', input: 'um jogo de futebol' });
+    const { answer, chunks } = await ask(prompt, { tool: 'toque' });
+    assert.equal(answer, t('aiGuard.answer'));
+    assert.deepEqual(chunks, []);
+});
+
+test('respostas fora da capoeira ficam guardadas e são descartadas', async () => {
+    const provider = createMockProvider({ delay: 0, responses: [{ match: /./, text: 'O time venceu o campeonato de futebol ontem à noite.' }] });
+    const { answer, chunks } = await ask('pedido', { tool: 'style' }, provider);
+    assert.equal(answer, t('aiGuard.answer'));
+    assert.deepEqual(chunks, []);
+});
+
+test('o texto só aparece depois de falar de capoeira', async () => {
+    const provider = createMockProvider({ delay: 0, responses: [{ match: /./, text: 'Para você, o estilo é a Capoeira Angola, de jogo baixo.' }] });
+    const { answer, chunks } = await ask('pedido', { tool: 'style' }, provider);
+    assert.equal(answer, 'Para você, o estilo é a Capoeira Angola, de jogo baixo.');
+    assert.ok(chunks.every(chunk => /capoeira/i.test(chunk)));
+});
+
+test('ao interromper, o trecho recebido também é conferido', async () => {
+    const offTopic = createMockProvider({ delay: 0, responses: [{ match: /./, text: 'O time venceu o campeonato de futebol ontem.' }] });
+    const controller = new AbortController();
+    let received = 0;
+    const answer = await requestAiAnswer(offTopic, payloadFor('pedido'), {
+        tool: 'style',
+        signal: controller.signal,
+        onChunk: () => { received++; }
+    });
+    assert.equal(answer, t('aiGuard.answer'));
+    assert.equal(received, 0);
+
+    const onTopic = createMockProvider({ delay: 0, responses: [{ match: /./, text: 'A capoeira angola tem jogo baixo e lento, perto do chão.' }] });
+    const stop = new AbortController();
+    const partial = await requestAiAnswer(onTopic, payloadFor('pedido'), {
+        tool: 'style',
+        signal: stop.signal,
+        onChunk: text => { if (text.trim().split(' ').length >= 3) stop.abort(); }
+    });
+    assert.equal(partial, `A capoeira angola \n\n${t('ai.interrupted')}`);
+});
+
+test('sem ferramenta, o texto é repassado sem conferência', async () => {
+    const provider = createMockProvider({ delay: 0, responses: [{ match: /./, text: 'Resposta qualquer.' }] });
+    const { answer, chunks } = await ask('pedido', {}, provider);
+    assert.equal(answer, 'Resposta qualquer.');
+    assert.equal(chunks.at(-1), 'Resposta qualquer.');
+});
+
+test('repete após o limite de requisições (429) e avisa quando está offline', async () => {
+    let calls = 0;
+    const flaky = {
+        name: 'flaky',
+        async stream(payload, { onChunk }) {
+            calls++;
+            if (calls === 1) throw Object.assign(new Error('Too Many Requests'), { status: 429 });
+            onChunk('Camará, escute o berimbau.');
+        }
+    };
+    assert.equal(await requestAiAnswer(flaky, payloadFor('oi'), { tool: 'chat', retryDelay: () => 0 }), 'Camará, escute o berimbau.');
+    assert.equal(calls, 2);
+    assert.equal(await requestAiAnswer(flaky, payloadFor('oi'), { isOffline: () => true }), t('ai.offline'));
+});
@@ -0,0 +1,73 @@
+// Testes da agenda em iCalendar de js/events.js: dobra das linhas, escape do texto e horários de término.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { eventsToIcs } from '../js/events.js';
+
+const NOW = new Date(Date.UTC(2026, 0, 2, 12, 30, 0));
+
+/** Um evento de roda, com os campos alterados em `fields`. */
+function event(fields = {}) {
+    return {
+        id: 'evento-1',
+        type: 'roda',
+        title: 'Roda de sábado',
+        date: '2026-03-14',
+        startTime: '',
+        endTime: '',
+        location: 'Praça',
+        mestres: [],
+        participants: [],
+        ...fields
+    };
+}
+
+/** As linhas do arquivo, já sem a dobra. */
+function unfoldedLines(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+const property = (ics, name) => unfoldedLines(ics).find(line => line.startsWith(name));
+
+test('linhas longas são dobradas em 75 octetos, sem quebrar caracteres de vários bytes', () => {
+    const title = 'Batizado e troca de cordões — axé, ginga e mandinga na roda de São Bento Grande 🪘 ção'.repeat(3);
+    const ics = eventsToIcs([event({ title })], NOW);
+    const encoder = new TextEncoder();
+    ics.split('\r\n').forEach(line => {
+        assert.ok(encoder.encode(line).length <= 75, line);
+    });
+    assert.ok(ics.split('\r\n').some(line => line.startsWith(' ')));
+    assert.equal(property(ics, 'SUMMARY:'), `SUMMARY:${title.replace(/,/g, '\\,')}`);
+});
+
+test('vírgula, ponto e vírgula, barra invertida e quebras de linha são escapados', () => {
+    const ics = eventsToIcs([event({ title: 'Roda; axé, ginga \\ fim', location: 'Rua A, 10\nFundos\r\nSala 2\rPorta azul' })], NOW);
+    assert.equal(property(ics, 'SUMMARY:'), 'SUMMARY:Roda\\; axé\\, ginga \\\\ fim');
+    assert.equal(property(ics, 'LOCATION:'), 'LOCATION:Rua A\\, 10\\nFundos\\nSala 2\\nPorta azul');
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('o evento sem horário termina no dia seguinte, mesmo na virada do mês ou do ano', () => {
+    [
+        ['2026-03-14', '20260315'],
+        ['2026-01-31', '20260201'],
+        ['2028-02-28', '20280229'],
+        ['2026-02-28', '20260301'],
+        ['2026-12-31', '20270101']
+    ].forEach(([date, end]) => {
+        const ics = eventsToIcs([event({ date })], NOW);
+        assert.equal(property(ics, 'DTSTART'), `DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`);
+        assert.equal(property(ics, 'DTEND'), `DTEND;VALUE=DATE:${end}`, date);
+    });
+});
+
+test('sem término, o evento dura 3 horas e não passa de 23:59', () => {
+    const ends = [['19:00', '220000'], ['20:59', '235900'], ['21:30', '235900'], ['23:10', '235900']].map(([startTime, end]) => {
+        const ics = eventsToIcs([event({ startTime })], NOW);
+        return [property(ics, 'DTEND:'), `DTEND:20260314T${end}`];
+    });
+    ends.forEach(([actual, expected]) => assert.equal(actual, expected));
+    const ics = eventsToIcs([event({ startTime: '09:00', endTime: '12:30' })], NOW);
+    assert.equal(property(ics, 'DTSTART:'), 'DTSTART:20260314T090000');
+    assert.equal(property(ics, 'DTEND:'), 'DTEND:20260314T123000');
+    assert.equal(property(ics, 'DTSTAMP:'), 'DTSTAMP:20260102T123000Z');
+});
@@ -0,0 +1,67 @@
+// Testes das mensalidades de js/finance.js: leitura de valores, vencimentos e situação.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FEE_SETTINGS, feeStatus, feesToGenerate, loadFeeSettings, parseMoney, saveFeeSettings } from '../js/finance.js';
+
+test('parseMoney lê valores no formato brasileiro', () => {
+    [
+        ['150', 150],
+        ['80,50', 80.5],
+        ['R$ 1.250,00', 1250],
+        ['1.250', 1250],
+        ['1.250.000', 1250000],
+        ['1.25', 1.25],
+        ['1.250,5', 1250.5],
+        [' 99,9 ', 99.9],
+        [42, 42]
+    ].forEach(([value, expected]) => assert.equal(parseMoney(value), expected, String(value)));
+});
+
+test('parseMoney recusa valores inválidos', () => {
+    ['', 'abc', '1,2,3', '12.345,678', '-10', '1.2345', Number.NaN, null].forEach(value => {
+        assert.equal(parseMoney(value), null, String(value));
+    });
+});
+
+test('feesToGenerate ajusta o vencimento ao último dia de meses mais curtos', () => {
+    const students = [{ id: 'a1', name: 'Maria' }, { id: 'a2', name: 'João' }];
+    const dates = month => feesToGenerate(students, [], { month, amount: 100, dueDay: 31 }).map(fee => fee.date);
+    assert.deepEqual(dates('2026-02'), ['2026-02-28', '2026-02-28']);
+    assert.deepEqual(dates('2028-02'), ['2028-02-29', '2028-02-29']);
+    assert.deepEqual(dates('2026-04'), ['2026-04-30', '2026-04-30']);
+    assert.deepEqual(dates('2026-12'), ['2026-12-31', '2026-12-31']);
+    assert.equal(feesToGenerate(students, [], { month: '2026-03', amount: 100, dueDay: 5 })[0].date, '2026-03-05');
+});
+
+test('feesToGenerate não repete a mensalidade de quem já tem a do mês', () => {
+    const students = [{ id: 'a1', name: 'Maria' }, { id: 'a2', name: 'João' }];
+    const fees = [{ studentId: 'a1', month: '2026-03' }, { studentId: 'a2', month: '2026-02' }];
+    assert.deepEqual(feesToGenerate(students, fees, { month: '2026-03', amount: 120, dueDay: 10 }), [
+        { studentId: 'a2', studentName: 'João', month: '2026-03', amount: 120, date: '2026-03-10', paidAt: '' }
+    ]);
+});
+
+test('feeStatus: vence no próprio dia e atrasa só no dia seguinte', () => {
+    const fee = { date: '2026-03-10', paidAt: '' };
+    assert.equal(feeStatus(fee, new Date(2026, 2, 9, 23, 59)), 'aberto');
+    assert.equal(feeStatus(fee, new Date(2026, 2, 10, 23, 59)), 'aberto');
+    assert.equal(feeStatus(fee, new Date(2026, 2, 11, 0, 0)), 'atrasado');
+    assert.equal(feeStatus({ ...fee, paidAt: '2026-03-20' }, new Date(2026, 3, 1)), 'pago');
+});
+
+test('loadFeeSettings volta ao padrão com dados salvos inválidos', (t) => {
+    const saved = {};
+    t.mock.method(console, 'error', () => {});
+    globalThis.localStorage = { getItem: key => saved[key] ?? null, setItem: (key, value) => { saved[key] = value; } };
+    try {
+        assert.deepEqual(loadFeeSettings(), DEFAULT_FEE_SETTINGS);
+        saved.feeSettings = '{quebrado';
+        assert.deepEqual(loadFeeSettings(), DEFAULT_FEE_SETTINGS);
+        saved.feeSettings = JSON.stringify({ amount: '120', dueDay: 32 });
+        assert.deepEqual(loadFeeSettings(), DEFAULT_FEE_SETTINGS);
+        saveFeeSettings({ month: '2026-03', amount: 85.5, dueDay: 5 });
+        assert.deepEqual(loadFeeSettings(), { amount: 85.5, dueDay: 5 });
+    } finally {
+        delete globalThis.localStorage;
+    }
+});
@@ -0,0 +1,51 @@
+// Testes do renderizador de js/markdown.js: HTML da IA nunca é interpretado e só links seguros viram <a>.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, renderMarkdown } from '../js/markdown.js';
+
+test('escapeHtml escapa os caracteres especiais', () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+});
+
+test('remove blocos <script> e mostra as outras tags como texto', () => {
+    assert.equal(renderMarkdown('Ginga<script>alert(1)</script> e roda'), '<p>Ginga e roda</p>');
+    assert.equal(renderMarkdown('Antes <SCRIPT src="x.js">'), '<p>Antes</p>');
+    assert.equal(renderMarkdown('<img src=x onerror="alert(1)">'), '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+});
+
+test('só links http(s) e mailto viram <a>', () => {
+    assert.equal(
+        renderMarkdown('[Mestre Bimba](https://exemplo.com/bimba)'),
+        '<p><a href="https://exemplo.com/bimba" target="_blank" rel="noopener noreferrer">Mestre Bimba</a></p>'
+    );
+    assert.match(renderMarkdown('[e-mail](mailto:roda@exemplo.com)'), /<a href="mailto:roda@exemplo.com"/);
+    [
+        '[x](javascript:alert(1))',
+        '[x](jAvAscript:alert(1))',
+        '[x](JAVASCRIPT:alert(1))',
+        '[x](&#106;avascript:alert(1))',
+        '[x](&#x6A;avascript:alert(1))',
+        '[x](data:text/html;base64,PHNjcmlwdD4=)',
+        '[x](vbscript:msgbox(1))'
+    ].forEach(markdown => {
+        assert.equal(renderMarkdown(markdown).includes('<a '), false, markdown);
+    });
+});
+
+test('aspas na URL não saem do atributo href', () => {
+    const html = renderMarkdown(`[x](https://exemplo.com/"onmouseover="alert(1))`);
+    assert.equal(html, '<p><a href="https://exemplo.com/&quot;onmouseover=&quot;alert(1" target="_blank" rel="noopener noreferrer">x</a>)</p>');
+    assert.match(renderMarkdown(`[x](https://exemplo.com/'a')`), /href="https:\/\/exemplo.com\/&#39;a&#39;"/);
+});
+
+test('ênfase aninhada e código inline', () => {
+    assert.equal(renderMarkdown('**A *ginga* é a base**'), '<p><strong>A <em>ginga</em> é a base</strong></p>');
+    assert.equal(renderMarkdown('_meia-lua de **compasso**_'), '<p><em>meia-lua de <strong>compasso</strong></em></p>');
+    assert.equal(renderMarkdown('Use `**roda**` e `<b>`'), '<p>Use <code>**roda**</code> e <code>&lt;b&gt;</code></p>');
+    assert.equal(renderMarkdown('snake_case_name e 2*3*4'), '<p>snake_case_name e 2*3*4</p>');
+});
+
+test('títulos, listas e parágrafos', () => {
+    assert.equal(renderMarkdown('# Toques\n- Angola\n- São Bento'), '<h4>Toques</h4><ul><li>Angola</li><li>São Bento</li></ul>');
+    assert.equal(renderMarkdown('1. Ginga\n2. Esquiva\n\nFim'), '<ol><li>Ginga</li><li>Esquiva</li></ol><p>Fim</p>');
+});
@@ -0,0 +1,209 @@
+// Testes do firestore.rules no emulador do Firestore (npm run test:rules, que sobe o emulador com o Firebase CLI).
+// Os lotes de gravação repetem os de js/academies.js, para conferir que o app e as regras combinam.
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, deleteDoc, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+const APP_ID = 'guia-teste';
+const ACADEMY_ID = 'academia-1';
+const root = `artifacts/${APP_ID}`;
+const academyPath = `${root}/academies/${ACADEMY_ID}`;
+const DAY = 24 * 60 * 60 * 1000;
+
+let testEnv;
+
+/** O Firestore de um usuário logado (ou de um visitante sem login, com `uid` null). */
+function dbFor(uid) {
+    return uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore();
+}
+
+/** Um convite com os campos gravados por `createInvite`. */
+function invite(fields) {
+    return {
+        academyId: ACADEMY_ID,
+        role: 'aluno',
+        studentId: '',
+        createdBy: 'mestre',
+        createdAt: Timestamp.now(),
+        expiresAt: Timestamp.fromMillis(Date.now() + 7 * DAY),
+        usedBy: '',
+        ...fields
+    };
+}
+
+/** O lote de `joinAcademy`: entra na academia, marca o convite como usado e guarda a academia aberta. */
+function joinBatch(db, uid, code, { role, studentId = '' }) {
+    const batch = writeBatch(db);
+    batch.set(doc(db, `${academyPath}/members/${uid}`), { role, email: `${uid}@exemplo.com`, studentId, inviteCode: code, joinedAt: new Date() });
+    batch.update(doc(db, `${root}/invites/${code}`), { usedBy: uid });
+    batch.set(doc(db, `${root}/users/${uid}`), { academyId: ACADEMY_ID });
+    return batch.commit();
+}
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-guiadacapoeira',
+        firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') }
+    });
+});
+
+after(async () => {
+    await testEnv?.cleanup();
+});
+
+// Uma academia com um membro de cada papel; o aluno está ligado ao cadastro 'aluno-1'.
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        const member = (role, studentId = '') => ({ role, email: '', studentId, inviteCode: '', joinedAt: Timestamp.now() });
+        await setDoc(doc(db, academyPath), { name: 'Academia Teste', ownerUid: 'mestre', createdAt: Timestamp.now() });
+        await setDoc(doc(db, `${academyPath}/members/mestre`), member('mestre'));
+        await setDoc(doc(db, `${academyPath}/members/professor`), member('professor'));
+        await setDoc(doc(db, `${academyPath}/members/aluno`), member('aluno', 'aluno-1'));
+        await setDoc(doc(db, `${academyPath}/alunos/aluno-1`), { name: 'Maria Silva', email: '', phone: '', cordel: 'Verde' });
+        await setDoc(doc(db, `${academyPath}/alunos/aluno-2`), { name: 'João Souza', email: '', phone: '', cordel: 'Amarela' });
+        await setDoc(doc(db, `${root}/invites/VALI-DO22`), invite({ studentId: 'aluno-2' }));
+        await setDoc(doc(db, `${root}/invites/USAD-O222`), invite({ studentId: 'aluno-2', usedBy: 'outra-pessoa' }));
+        await setDoc(doc(db, `${root}/invites/VENC-ID22`), invite({ studentId: 'aluno-2', expiresAt: Timestamp.fromMillis(Date.now() - DAY) }));
+    });
+});
+
+describe('criar uma academia', () => {
+    const founding = (db, uid, role = 'mestre') => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${root}/academies/academia-nova`), { name: 'Nova', ownerUid: uid, createdAt: new Date() });
+        batch.set(doc(db, `${root}/academies/academia-nova/members/${uid}`), { role, email: '', studentId: '', inviteCode: '', joinedAt: new Date() });
+        batch.set(doc(db, `${root}/users/${uid}`), { academyId: 'academia-nova' });
+        return batch.commit();
+    };
+
+    test('quem cria entra como mestre', async () => {
+        await assertSucceeds(founding(dbFor('fundador'), 'fundador'));
+    });
+
+    test('não entra com outro papel nem sem login', async () => {
+        await assertFails(founding(dbFor('fundador'), 'fundador', 'professor'));
+        await assertFails(founding(dbFor(null), 'fundador'));
+    });
+
+    test('não vira mestre de uma academia que já existe', async () => {
+        const db = dbFor('intruso');
+        await assertFails(setDoc(doc(db, `${academyPath}/members/intruso`), { role: 'mestre', email: '', studentId: '', inviteCode: '', joinedAt: new Date() }));
+    });
+});
+
+describe('entrar com um convite', () => {
+    test('um convite válido liga a pessoa ao cadastro do aluno', async () => {
+        const db = dbFor('novo');
+        await assertSucceeds(joinBatch(db, 'novo', 'VALI-DO22', { role: 'aluno', studentId: 'aluno-2' }));
+        await assertSucceeds(getDoc(doc(db, `${academyPath}/alunos/aluno-2`)));
+    });
+
+    test('o papel e o cadastro precisam ser os do convite', async () => {
+        await assertFails(joinBatch(dbFor('novo'), 'novo', 'VALI-DO22', { role: 'professor' }));
+        await assertFails(joinBatch(dbFor('novo'), 'novo', 'VALI-DO22', { role: 'aluno', studentId: 'aluno-1' }));
+    });
+
+    test('um convite já usado é recusado', async () => {
+        await assertFails(joinBatch(dbFor('novo'), 'novo', 'USAD-O222', { role: 'aluno', studentId: 'aluno-2' }));
+    });
+
+    test('um convite vencido é recusado', async () => {
+        await assertFails(joinBatch(dbFor('novo'), 'novo', 'VENC-ID22', { role: 'aluno', studentId: 'aluno-2' }));
+    });
+
+    test('não entra sem marcar o convite como usado', async () => {
+        const db = dbFor('novo');
+        await assertFails(setDoc(doc(db, `${academyPath}/members/novo`), {
+            role: 'aluno', email: '', studentId: 'aluno-2', inviteCode: 'VALI-DO22', joinedAt: new Date()
+        }));
+    });
+
+    test('quem já é membro não gasta um convite', async () => {
+        await assertFails(updateDoc(doc(dbFor('aluno'), `${root}/invites/VALI-DO22`), { usedBy: 'aluno' }));
+        await assertFails(updateDoc(doc(dbFor('professor'), `${root}/invites/VALI-DO22`), { usedBy: 'professor' }));
+    });
+});
+
+describe('criar convites', () => {
+    test('o professor convida alunos, mas não mestres nem professores', async () => {
+        const db = dbFor('professor');
+        await assertSucceeds(setDoc(doc(db, `${root}/invites/PROF-AAAA`), invite({ createdBy: 'professor', studentId: 'aluno-2' })));
+        await assertFails(setDoc(doc(db, `${root}/invites/PROF-BBBB`), invite({ createdBy: 'professor', role: 'mestre' })));
+        await assertFails(setDoc(doc(db, `${root}/invites/PROF-CCCC`), invite({ createdBy: 'professor', role: 'professor' })));
+    });
+
+    test('o mestre convida qualquer papel', async () => {
+        const db = dbFor('mestre');
+        await assertSucceeds(setDoc(doc(db, `${root}/invites/MEST-AAAA`), invite({ role: 'mestre' })));
+        await assertSucceeds(setDoc(doc(db, `${root}/invites/MEST-BBBB`), invite({ role: 'professor' })));
+    });
+
+    test('o convite de aluno aponta para um cadastro existente', async () => {
+        await assertFails(setDoc(doc(dbFor('mestre'), `${root}/invites/MEST-CCCC`), invite({ studentId: 'nao-existe' })));
+    });
+
+    test('o professor só revoga os convites que criou; o mestre revoga qualquer um', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(doc(context.firestore(), `${root}/invites/PROF-DDDD`), invite({ createdBy: 'professor', studentId: 'aluno-2' }));
+        });
+        await assertFails(deleteDoc(doc(dbFor('professor'), `${root}/invites/VALI-DO22`)));
+        await assertSucceeds(deleteDoc(doc(dbFor('professor'), `${root}/invites/PROF-DDDD`)));
+        await assertSucceeds(deleteDoc(doc(dbFor('mestre'), `${root}/invites/VALI-DO22`)));
+    });
+
+    test('o aluno não convida ninguém', async () => {
+        await assertFails(setDoc(doc(dbFor('aluno'), `${root}/invites/ALUN-AAAA`), invite({ createdBy: 'aluno', studentId: 'aluno-2' })));
+    });
+});
+
+describe('o aluno e os cadastros', () => {
+    test('lê e atualiza o próprio cadastro', async () => {
+        const db = dbFor('aluno');
+        await assertSucceeds(getDoc(doc(db, `${academyPath}/alunos/aluno-1`)));
+        await assertSucceeds(updateDoc(doc(db, `${academyPath}/alunos/aluno-1`), { phone: '+55 71 98765-4321', updatedAt: new Date() }));
+    });
+
+    test('não lê nem altera o cadastro de outro aluno', async () => {
+        const db = dbFor('aluno');
+        await assertFails(getDoc(doc(db, `${academyPath}/alunos/aluno-2`)));
+        await assertFails(updateDoc(doc(db, `${academyPath}/alunos/aluno-2`), { phone: '+55 71 98765-4321' }));
+    });
+
+    test('não muda a própria graduação nem outros campos fora de nome, e-mail e telefone', async () => {
+        const db = dbFor('aluno');
+        await assertFails(updateDoc(doc(db, `${academyPath}/alunos/aluno-1`), { cordel: 'Azul' }));
+        await assertFails(updateDoc(doc(db, `${academyPath}/alunos/aluno-1`), { name: 'Maria', cordel: 'Azul' }));
+    });
+
+    test('não vê os dados da equipe', async () => {
+        const db = dbFor('aluno');
+        await assertFails(getDoc(doc(db, `${academyPath}/eventos/evento-1`)));
+        await assertFails(getDoc(doc(db, `${academyPath}/mensalidades/mensalidade-1`)));
+    });
+});
+
+describe('papéis dos membros', () => {
+    test('o mestre não muda o próprio papel nem se remove', async () => {
+        const db = dbFor('mestre');
+        await assertFails(updateDoc(doc(db, `${academyPath}/members/mestre`), { role: 'professor' }));
+        await assertFails(deleteDoc(doc(db, `${academyPath}/members/mestre`)));
+    });
+
+    test('o mestre muda o papel dos outros', async () => {
+        await assertSucceeds(updateDoc(doc(dbFor('mestre'), `${academyPath}/members/professor`), { role: 'mestre' }));
+    });
+
+    test('só vira aluno quem está ligado a um cadastro', async () => {
+        const db = dbFor('mestre');
+        await assertFails(updateDoc(doc(db, `${academyPath}/members/professor`), { role: 'aluno' }));
+        await assertSucceeds(updateDoc(doc(db, `${academyPath}/members/aluno`), { role: 'professor' }));
+        await assertSucceeds(updateDoc(doc(db, `${academyPath}/members/aluno`), { role: 'aluno' }));
+    });
+
+    test('o professor não muda papéis', async () => {
+        await assertFails(updateDoc(doc(dbFor('professor'), `${academyPath}/members/aluno`), { role: 'professor' }));
+    });
+});
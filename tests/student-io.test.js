@@ -0,0 +1,66 @@
+// Testes da importação e exportação de alunos (js/student-io.js): leitura do CSV, fórmulas e pré-visualização.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildImportPreview, guessColumnMapping, parseCsv, studentsToCsv, toCsv } from '../js/student-io.js';
+
+test('parseCsv lê campos entre aspas com separadores, aspas e quebras de linha', () => {
+    const { headers, rows } = parseCsv('\uFEFFNome,Obs\r\n"Silva, Maria","Disse ""axé""\nna roda"\r\nJoão,\r\n\r\n');
+    assert.deepEqual(headers, ['Nome', 'Obs']);
+    assert.deepEqual(rows, [['Silva, Maria', 'Disse "axé"\nna roda'], ['João', '']]);
+});
+
+test('parseCsv detecta o ponto e vírgula das planilhas brasileiras', () => {
+    const { headers, rows } = parseCsv('Nome;Telefone\nMaria, a Ligeira;(71) 98765-4321');
+    assert.deepEqual(headers, ['Nome', 'Telefone']);
+    assert.deepEqual(rows, [['Maria, a Ligeira', '(71) 98765-4321']]);
+});
+
+test('toCsv escapa fórmulas e o CSV exportado volta igual', () => {
+    const cells = ['=SOMA(A1:A9)', '+55 71 98765-4321', '-2+3', '@HYPERLINK("x")', 'Silva, "Mestre"\nJoão', 'comum'];
+    const csv = toCsv(['A', 'B', 'C', 'D', 'E', 'F'], [cells]);
+    const { rows } = parseCsv(csv);
+    assert.deepEqual(rows[0].slice(0, 4), ["'=SOMA(A1:A9)", "'+55 71 98765-4321", "'-2+3", "'@HYPERLINK(\"x\")"]);
+    assert.deepEqual(rows[0].slice(4), ['Silva, "Mestre"\nJoão', 'comum']);
+});
+
+test('a importação tira o apóstrofo das fórmulas exportadas', () => {
+    const student = {
+        name: 'Maria Silva', group: '=Grupo Axé', style: 'Angola', cordel: 'Verde', batizado: '2020-03-10',
+        email: 'maria@exemplo.com', phone: '+5571987654321'
+    };
+    const { headers, rows } = parseCsv(studentsToCsv([student, { ...student, name: 'João, o "Gato"', group: '@Angoleiros', email: 'joao@exemplo.com' }]));
+    const preview = buildImportPreview(rows, guessColumnMapping(headers), []);
+    assert.deepEqual(preview.map(row => row.errors), [{}, {}]);
+    assert.equal(preview[0].values.group, '=Grupo Axé');
+    assert.equal(preview[0].values.phone, '+5571987654321');
+    assert.equal(preview[1].values.name, 'João, o "Gato"');
+    assert.equal(preview[1].values.group, '@Angoleiros');
+    // Um apóstrofo que não protege uma fórmula fica no valor.
+    assert.equal(buildImportPreview([["'Grupo Axé"]], { group: 0 }, [])[0].values.group, "'Grupo Axé");
+});
+
+test('a pré-visualização acusa e-mails repetidos no arquivo, com ou sem acento', () => {
+    const rows = [
+        ['Maria Silva', 'Grupo Axé', 'Angola', 'Verde', '10/03/2020', 'josé@exemplo.com', '(71) 98765-4321'],
+        ['José Souza', 'Grupo Axé', 'Angola', 'Verde', '10/03/2020', 'JOSE@exemplo.com', '(71) 98765-4322']
+    ];
+    const mapping = { name: 0, group: 1, style: 2, cordel: 3, batizado: 4, email: 5, phone: 6 };
+    const preview = buildImportPreview(rows, mapping, []);
+    assert.deepEqual(preview[0].errors, {});
+    assert.equal(preview[0].values.batizado, '2020-03-10');
+    assert.match(preview[1].errors.email, /2/);
+});
+
+test('repetir uma importação não duplica quem já foi gravado, mesmo com outro e-mail', () => {
+    const mapping = { name: 0, group: 1, style: 2, cordel: 3, batizado: 4, email: 5, phone: 6 };
+    const rows = [
+        ['Maria  Silva', 'Grupo Axé', 'Angola', 'Verde', '10/03/2020', 'maria.nova@exemplo.com', '(71) 98765-4321'],
+        ['João Souza', 'Grupo Axé', 'Angola', 'Verde', '10/03/2020', 'joao@exemplo.com', '(71) 98765-4322'],
+        ['joão souza', 'Grupo Axé', 'Angola', 'Verde', '10/03/2020', 'joao2@exemplo.com', '+55 71 98765-4322']
+    ];
+    const existingStudents = [{ id: 'a1', name: 'Maria Silva', email: 'maria@exemplo.com', phone: '+5571987654321' }];
+    const preview = buildImportPreview(rows, mapping, existingStudents);
+    assert.ok(preview[0].errors.name);
+    assert.deepEqual(preview[1].errors, {});
+    assert.match(preview[2].errors.name, /3/);
+});
@@ -0,0 +1,79 @@
+// Testes da validação de alunos (js/student-validation.js): telefones em E.164 e e-mails repetidos.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPhone, matchOption, normalizePhone, validateStudent } from '../js/student-validation.js';
+
+const TODAY = new Date(2026, 5, 15);
+
+/** Um aluno válido, com os campos alterados em `fields`. */
+function studentInput(fields = {}) {
+    return {
+        name: 'Maria Silva',
+        group: 'Grupo Axé',
+        style: 'angola',
+        cordel: 'Verde',
+        batizado: '2020-03-10',
+        email: 'maria@exemplo.com',
+        phone: '(71) 98765-4321',
+        ...fields
+    };
+}
+
+test('normalizePhone converte telefones brasileiros e internacionais para E.164', () => {
+    [
+        ['(71) 98765-4321', '+5571987654321'],
+        ['71 3321-4567', '+557133214567'],
+        ['0 71 98765-4321', '+5571987654321'],
+        ['55 71 98765-4321', '+5571987654321'],
+        ['+55 (71) 98765-4321', '+5571987654321'],
+        ['0055 71 98765-4321', '+5571987654321'],
+        ['+33 6 12 34 56 78', '+33612345678'],
+        ['+1 (415) 555-0100', '+14155550100']
+    ].forEach(([raw, expected]) => assert.equal(normalizePhone(raw), expected, raw));
+});
+
+test('normalizePhone recusa números incompletos ou com DDD inválido', () => {
+    ['', '98765-4321', '(01) 98765-4321', '(71) 8765-432', '(71) 18765-4321', '+0 123', '+12 3456'].forEach(raw => {
+        assert.equal(normalizePhone(raw), null, raw);
+    });
+});
+
+test('formatPhone mostra números brasileiros com DDD e mantém os demais', () => {
+    assert.equal(formatPhone('+5571987654321'), '+55 (71) 98765-4321');
+    assert.equal(formatPhone('+557133214567'), '+55 (71) 3321-4567');
+    assert.equal(formatPhone('+33612345678'), '+33612345678');
+});
+
+test('matchOption ignora acentos e maiúsculas', () => {
+    assert.equal(matchOption(' contemporanea ', ['Angola', 'Regional', 'Contemporânea']), 'Contemporânea');
+    assert.equal(matchOption('Capoeira', ['Angola']), null);
+});
+
+test('validateStudent normaliza um cadastro válido', () => {
+    const { values, errors } = validateStudent(studentInput({ name: '  Maria   Silva ', email: ' Maria@Exemplo.com ' }), { today: TODAY });
+    assert.deepEqual(errors, {});
+    assert.equal(values.name, 'Maria Silva');
+    assert.equal(values.style, 'Angola');
+    assert.equal(values.email, 'maria@exemplo.com');
+    assert.equal(values.phone, '+5571987654321');
+});
+
+test('validateStudent aponta cada campo inválido', () => {
+    const { errors } = validateStudent({
+        name: 'Jo3', group: 'A', style: 'Capoeira', cordel: 'Roxa', batizado: '2026-06-16', email: 'maria@', phone: '123'
+    }, { today: TODAY });
+    assert.deepEqual(Object.keys(errors).sort(), ['batizado', 'cordel', 'email', 'group', 'name', 'phone', 'style']);
+    assert.equal(validateStudent(studentInput({ batizado: '1929-12-31' }), { today: TODAY }).errors.batizado !== undefined, true);
+    assert.equal(validateStudent(studentInput({ batizado: '2026-06-15' }), { today: TODAY }).errors.batizado, undefined);
+    assert.equal(validateStudent(studentInput({ phone: '' }), { today: TODAY }).errors.phone !== undefined, true);
+});
+
+test('validateStudent compara e-mails repetidos do mesmo jeito dos dois lados', () => {
+    const existingStudents = [{ id: 'a1', email: ' JOSÉ@Exemplo.com ' }];
+    [' josé@exemplo.com', 'JOSE@EXEMPLO.COM', 'José@exemplo.com'].forEach(email => {
+        const { errors } = validateStudent(studentInput({ email }), { existingStudents, today: TODAY });
+        assert.ok(errors.email, email);
+    });
+    // O próprio aluno em edição não conta como repetido.
+    assert.equal(validateStudent(studentInput({ email: 'josé@exemplo.com' }), { existingStudents, editingId: 'a1', today: TODAY }).errors.email, undefined);
+});